@@ -1,111 +1,119 @@
 import * as path from 'path';
-import * as fs from 'fs/promises';
-import { FileSystemHandle } from './FileSystemHandle.js';
+import { FileSystemHandle, getHandleLocation } from './FileSystemHandle.js';
 import { FileSystemFileHandle } from './FileSystemFileHandle.js';
+import { FileSystemTransaction, runTransaction } from './FileSystemTransaction.js';
+import {
+  deleteSnapshot,
+  findSnapshot,
+  listSnapshots,
+  restoreSnapshot,
+  snapshotContext,
+  takeSnapshot
+} from './snapshots.js';
+import { StorageContext } from './context.js';
+import { childPath, isWithin } from './paths.js';
+import { EntryKind } from './backend.js';
+import { toDOMException, typeMismatchError } from './errors.js';
 
 /**
  * Represents a directory handle
  */
 export class FileSystemDirectoryHandle extends FileSystemHandle {
-  constructor(name: string, dirPath: string) {
-    super('directory', name, dirPath);
+  constructor(name: string, dirPath: string, context?: StorageContext) {
+    super('directory', name, dirPath, context);
   }
 
   /**
    * Returns a file handle for a file in the directory
    */
   async getFileHandle(name: string, options?: FileSystemGetFileOptions): Promise<FileSystemFileHandle> {
-    const filePath = path.join(this._path, name);
-    const create = options?.create ?? false;
-
-    try {
-      const stats = await fs.stat(filePath);
-      if (!stats.isFile()) {
-        throw new TypeError(`'${name}' is not a file`);
-      }
-      return new FileSystemFileHandle(name, filePath);
-    } catch (error: any) {
-      if (error.code === 'ENOENT' && create) {
-        // Create the file if it doesn't exist
-        await fs.writeFile(filePath, '');
-        return new FileSystemFileHandle(name, filePath);
-      }
-      throw new DOMException(`File '${name}' not found`, 'NotFoundError');
-    }
+    const filePath = childPath(this._path, name);
+    await this._getEntry(filePath, name, 'file', options?.create ?? false);
+    return new FileSystemFileHandle(name, filePath, this._context);
   }
 
   /**
    * Returns a directory handle for a subdirectory
    */
   async getDirectoryHandle(name: string, options?: FileSystemGetDirectoryOptions): Promise<FileSystemDirectoryHandle> {
-    const dirPath = path.join(this._path, name);
-    const create = options?.create ?? false;
+    const dirPath = childPath(this._path, name);
+    await this._getEntry(dirPath, name, 'directory', options?.create ?? false);
+    return new FileSystemDirectoryHandle(name, dirPath, this._context);
+  }
 
-    try {
-      const stats = await fs.stat(dirPath);
-      if (!stats.isDirectory()) {
-        throw new TypeError(`'${name}' is not a directory`);
-      }
-      return new FileSystemDirectoryHandle(name, dirPath);
-    } catch (error: any) {
-      if (create) {
-        try {
-          // Create the directory if it doesn't exist
-          await fs.mkdir(dirPath, { recursive: false });
-        } catch (mkdirError: any) {
-          // If another caller created it first, treat it as success
-          if (mkdirError.code === 'EEXIST') {
-            const stats = await fs.stat(dirPath);
-            if (!stats.isDirectory()) {
-              throw new TypeError(`'${name}' is not a directory`);
-            }
-          } else {
-            throw mkdirError;
-          }
-        }
-        return new FileSystemDirectoryHandle(name, dirPath);
-      }
+  /**
+   * Removes an entry from the directory
+   */
+  async removeEntry(name: string, options?: FileSystemRemoveOptions): Promise<void> {
+    const entryPath = childPath(this._path, name);
+    await this._removeEntryAt(entryPath, options?.recursive ?? false);
+  }
 
-      if (error.code === 'ENOENT') {
-        throw new DOMException(`Directory '${name}' not found`, 'NotFoundError');
-      }
+  /**
+   * Runs callback with a FileSystemTransaction that stages changes to this
+   * directory, then applies them all at once and returns callback's result.
+   * If callback throws, nothing changes. The changes are recorded in a
+   * journal before they are applied, so a crash halfway through is
+   * completed the next time a StorageManager's getDirectory() runs; a crash
+   * before that leaves the directory as it was.
+   */
+  async transaction<T>(callback: (transaction: FileSystemTransaction) => T | Promise<T>): Promise<T> {
+    this._assertModifiable();
+    return runTransaction(this._context, this._path, callback);
+  }
 
-      throw error;
+  /**
+   * Copies the directory's contents into a snapshot, and returns a read-only
+   * handle to it, named after the time it was taken. Unchanged files share
+   * their storage with the snapshot where the host allows it. Open writables
+   * and access handles below the directory make it fail with a
+   * NoModificationAllowedError, so no snapshot holds half of their changes.
+   */
+  async snapshot(): Promise<FileSystemDirectoryHandle> {
+    this._assertModifiable();
+    try {
+      return this._snapshotHandle(await takeSnapshot(this._context, this._path));
+    } catch (error) {
+      throw toDOMException(error, this.name);
     }
   }
 
   /**
-   * Removes an entry from the directory
+   * Returns the snapshots taken of this directory, oldest first
    */
-  async removeEntry(name: string, options?: FileSystemRemoveOptions): Promise<void> {
-    const entryPath = path.join(this._path, name);
-    const recursive = options?.recursive ?? false;
+  async snapshots(): Promise<FileSystemDirectoryHandle[]> {
+    try {
+      return (await listSnapshots(this._context, this._path)).map(snapshotPath => this._snapshotHandle(snapshotPath));
+    } catch (error) {
+      throw toDOMException(error, this.name);
+    }
+  }
 
+  /**
+   * Replaces the directory's contents with those of one of its snapshots,
+   * all at once: a crash halfway is completed by the next getDirectory().
+   * The snapshot is kept. Open writables and access handles below the
+   * directory make it fail with a NoModificationAllowedError.
+   */
+  async restore(snapshot: FileSystemDirectoryHandle): Promise<void> {
+    this._assertModifiable();
+    const snapshotPath = await this._findSnapshot(snapshot);
     try {
-      const stats = await fs.stat(entryPath);
-      
-      if (stats.isDirectory()) {
-        if (recursive) {
-          await fs.rm(entryPath, { recursive: true, force: false });
-        } else {
-          // Check if directory is empty
-          const entries = await fs.readdir(entryPath);
-          if (entries.length > 0) {
-            throw new DOMException(
-              `Directory '${name}' is not empty`,
-              'InvalidModificationError'
-            );
-          }
-          await fs.rmdir(entryPath);
-        }
-      } else {
-        await fs.unlink(entryPath);
-      }
-    } catch (error: any) {
-      if (error.code === 'ENOENT') {
-        throw new DOMException(`Entry '${name}' not found`, 'NotFoundError');
-      }
-      throw error;
+      await restoreSnapshot(this._context, this._path, snapshotPath);
+    } catch (error) {
+      throw toDOMException(error, this.name);
+    }
+  }
+
+  /**
+   * Deletes one of the directory's snapshots and frees its space
+   */
+  async deleteSnapshot(snapshot: FileSystemDirectoryHandle): Promise<void> {
+    const snapshotPath = await this._findSnapshot(snapshot);
+    try {
+      await deleteSnapshot(this._context, snapshotPath);
+    } catch (error) {
+      throw toDOMException(error, snapshot.name);
     }
   }
 
@@ -113,9 +121,14 @@ export class FileSystemDirectoryHandle extends FileSystemHandle {
    * Resolves a path relative to this directory
    */
   async resolve(possibleDescendant: FileSystemHandle): Promise<string[] | null> {
-    const descendantPath = (possibleDescendant as any)._path;
-    
-    if (!descendantPath.startsWith(this._path)) {
+    const { path: descendantPath, context: descendantContext } = getHandleLocation(possibleDescendant);
+
+    // Snapshots are stored below the root, but are not part of it
+    if (
+      !this._context.backend.isSameStorage(descendantContext.backend) ||
+      this._context.root !== descendantContext.root ||
+      !isWithin(this._path, descendantPath)
+    ) {
       return null;
     }
 
@@ -131,9 +144,8 @@ export class FileSystemDirectoryHandle extends FileSystemHandle {
    * Async iterator for entry keys (names)
    */
   async *keys(): AsyncIterableIterator<string> {
-    const entries = await fs.readdir(this._path);
-    for (const entry of entries) {
-      yield entry;
+    for await (const [name] of this._readEntries()) {
+      yield name;
     }
   }
 
@@ -141,16 +153,8 @@ export class FileSystemDirectoryHandle extends FileSystemHandle {
    * Async iterator for entry values (handles)
    */
   async *values(): AsyncIterableIterator<FileSystemHandle> {
-    const entries = await fs.readdir(this._path, { withFileTypes: true });
-    
-    for (const entry of entries) {
-      const entryPath = path.join(this._path, entry.name);
-      
-      if (entry.isFile()) {
-        yield new FileSystemFileHandle(entry.name, entryPath);
-      } else if (entry.isDirectory()) {
-        yield new FileSystemDirectoryHandle(entry.name, entryPath);
-      }
+    for await (const [, handle] of this.entries()) {
+      yield handle;
     }
   }
 
@@ -158,15 +162,13 @@ export class FileSystemDirectoryHandle extends FileSystemHandle {
    * Async iterator for entries (key-value pairs)
    */
   async *entries(): AsyncIterableIterator<[string, FileSystemHandle]> {
-    const entries = await fs.readdir(this._path, { withFileTypes: true });
-    
-    for (const entry of entries) {
-      const entryPath = path.join(this._path, entry.name);
+    for await (const [name, kind] of this._readEntries()) {
+      const entryPath = path.join(this._path, name);
       
-      if (entry.isFile()) {
-        yield [entry.name, new FileSystemFileHandle(entry.name, entryPath)];
-      } else if (entry.isDirectory()) {
-        yield [entry.name, new FileSystemDirectoryHandle(entry.name, entryPath)];
+      if (kind === 'file') {
+        yield [name, new FileSystemFileHandle(name, entryPath, this._context)];
+      } else {
+        yield [name, new FileSystemDirectoryHandle(name, entryPath, this._context)];
       }
     }
   }
@@ -177,6 +179,87 @@ export class FileSystemDirectoryHandle extends FileSystemHandle {
   [Symbol.asyncIterator](): AsyncIterableIterator<[string, FileSystemHandle]> {
     return this.entries();
   }
+
+  /**
+   * Ensures that an entry of the given kind exists at entryPath, creating it
+   * with create
+   */
+  private async _getEntry(entryPath: string, name: string, kind: EntryKind, create: boolean): Promise<void> {
+    const { backend, usage, changes } = this._context;
+
+    try {
+      try {
+        const stats = await backend.stat(entryPath);
+        if (stats.kind !== kind) {
+          throw typeMismatchError(name, kind);
+        }
+        return;
+      } catch (error: any) {
+        if (error.code !== 'ENOENT' || !create) {
+          throw error;
+        }
+      }
+
+      this._assertModifiable();
+      await usage.assertRoom();
+      try {
+        await (kind === 'file' ? backend.createFile(entryPath) : backend.createDirectory(entryPath));
+        changes.notify('appeared', kind, entryPath);
+      } catch (error: any) {
+        // If another caller created it first, treat it as success
+        if (error.code !== 'EEXIST') {
+          throw error;
+        }
+        if ((await backend.stat(entryPath)).kind !== kind) {
+          throw typeMismatchError(name, kind);
+        }
+      }
+    } catch (error) {
+      throw toDOMException(error, name);
+    }
+  }
+
+  /**
+   * Returns a read-only handle to the contents of a snapshot
+   */
+  private _snapshotHandle(snapshotPath: string): FileSystemDirectoryHandle {
+    const context = snapshotContext(this._context, snapshotPath);
+    return new FileSystemDirectoryHandle(path.basename(snapshotPath), context.root, context);
+  }
+
+  /**
+   * Returns the path of the snapshot that snapshot is the handle of, which
+   * must be one of this directory's
+   */
+  private async _findSnapshot(snapshot: FileSystemDirectoryHandle): Promise<string> {
+    if (!(snapshot instanceof FileSystemDirectoryHandle)) {
+      throw new TypeError('snapshot must be a FileSystemDirectoryHandle');
+    }
+    const { _context: context, _path: contentsPath } = snapshot;
+    let snapshotPath = null;
+    if (context.readOnly && contentsPath === context.root && context.backend.isSameStorage(this._context.backend)) {
+      try {
+        snapshotPath = await findSnapshot(this._context, this._path, contentsPath);
+      } catch (error) {
+        throw toDOMException(error, snapshot.name);
+      }
+    }
+    if (!snapshotPath) {
+      throw new DOMException(`'${snapshot.name}' is not a snapshot of this directory`, 'NotFoundError');
+    }
+    return snapshotPath;
+  }
+
+  /**
+   * Lists the files and directories in this directory
+   */
+  private async *_readEntries(): AsyncIterableIterator<[string, EntryKind]> {
+    try {
+      yield* await this._context.backend.list(this._path);
+    } catch (error) {
+      throw toDOMException(error, this.name);
+    }
+  }
 }
 
 /**
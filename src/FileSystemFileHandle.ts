@@ -1,86 +1,178 @@
-import * as fs from 'fs/promises';
-import * as fsSync from 'fs';
 import { FileSystemHandle } from './FileSystemHandle.js';
 import { FileSystemWritableFileStream } from './FileSystemWritableFileStream.js';
+import { BackendSyncFile } from './backend.js';
+import { mimeTypeFor } from './mime.js';
+import { EntryLock, LockType } from './locks.js';
+import { StorageContext } from './context.js';
+import { UsageTracker } from './quota.js';
+import { closedError, toDOMException } from './errors.js';
 
 /**
  * Represents a file handle
  */
 export class FileSystemFileHandle extends FileSystemHandle {
-  constructor(name: string, filePath: string) {
-    super('file', name, filePath);
+  constructor(name: string, filePath: string, context?: StorageContext) {
+    super('file', name, filePath, context);
   }
 
   /**
-   * Returns a File object representing the state on disk
+   * Returns a File object representing the state on disk. The file's
+   * contents are not read up front: slice(), stream(), arrayBuffer() and
+   * text() read only the ranges they need. Like in browsers, reading fails
+   * with a NotReadableError once the file has been modified.
    */
   async getFile(): Promise<File> {
-    const buffer = await fs.readFile(this._path);
-    const stats = await fs.stat(this._path);
-    
-    // Create a File-like object
-    const file = new Blob([buffer], { type: 'application/octet-stream' }) as any;
-    file.name = this.name;
-    file.lastModified = stats.mtimeMs;
-    file.lastModifiedDate = stats.mtime;
-    
-    return file as File;
+    try {
+      return await this._context.backend.getFile(this._path, this.name, mimeTypeFor(this.name));
+    } catch (error) {
+      throw toDOMException(error, this.name);
+    }
   }
 
   /**
-   * Returns a writable stream for writing to the file
+   * Returns a writable stream for writing to the file. Writes go to a swap
+   * file and only replace the file's contents when the stream is closed.
+   *
+   * In 'siloed' mode (the default) any number of writables can be open at
+   * once; 'exclusive' mode fails if any other writable or access handle is open.
    */
   async createWritable(options?: FileSystemCreateWritableOptions): Promise<FileSystemWritableFileStream> {
     const keepExistingData = options?.keepExistingData ?? false;
-
-    // If keepExistingData is false, truncate the file
-    if (!keepExistingData) {
-      await fs.writeFile(this._path, '');
+    const mode = options?.mode ?? 'siloed';
+    if (mode !== 'siloed' && mode !== 'exclusive') {
+      throw new TypeError(`'${mode}' is not a valid FileSystemWritableFileStreamMode`);
     }
 
-    return new FileSystemWritableFileStream(this._path, keepExistingData);
+    this._assertModifiable();
+    const lockType = mode === 'exclusive' ? 'exclusive' : 'writable-siloed';
+    const lock = await this._context.locks.acquire(this._path, lockType);
+    try {
+      const swap = await this._context.backend.openSwap(this._path, keepExistingData);
+      // A copy of the existing data counts towards usage like any other write
+      const size = await swap.size();
+      try {
+        await this._context.usage.reserve(size);
+      } catch (error) {
+        await swap.discard();
+        throw error;
+      }
+      const committed = () => this._context.changes.notify('modified', 'file', this._path);
+      return new FileSystemWritableFileStream(swap, lock, this._context.usage, size, committed, this.name);
+    } catch (error) {
+      await lock.release();
+      throw toDOMException(error, this.name);
+    }
   }
 
   /**
    * Creates a synchronous access handle for the file
    * Note: This is primarily for use in workers in browsers
+   *
+   * A 'readwrite' handle (the default) has exclusive access to the file.
+   * 'read-only' and 'readwrite-unsafe' handles can be open alongside other
+   * handles of the same mode, but not alongside writables.
    */
-  async createSyncAccessHandle(): Promise<FileSystemSyncAccessHandle> {
-    const fd = await fs.open(this._path, 'r+');
-    return new FileSystemSyncAccessHandle(fd);
+  async createSyncAccessHandle(options?: FileSystemCreateSyncAccessHandleOptions): Promise<FileSystemSyncAccessHandle> {
+    const mode = options?.mode ?? 'readwrite';
+    const lockType = SYNC_ACCESS_HANDLE_LOCKS[mode];
+    if (!lockType) {
+      throw new TypeError(`'${mode}' is not a valid FileSystemSyncAccessHandleMode`);
+    }
+    if (mode !== 'read-only') {
+      this._assertModifiable();
+    }
+
+    const lock = await this._context.locks.acquire(this._path, lockType);
+    try {
+      // Writes through the handle are synchronous, so usage must be known now
+      await this._context.usage.ready();
+      const file = await this._context.backend.openSync(this._path, mode !== 'read-only');
+      const changed = () => this._context.changes.notify('modified', 'file', this._path);
+      return new FileSystemSyncAccessHandle(file, mode, lock, this._context.usage, changed, this.name);
+    } catch (error) {
+      await lock.release();
+      throw toDOMException(error, this.name);
+    }
   }
 }
 
+/**
+ * Lock taken by sync access handles of each mode
+ */
+const SYNC_ACCESS_HANDLE_LOCKS: Record<string, LockType> = {
+  'readwrite': 'exclusive',
+  'read-only': 'sync-access-handle-read-only',
+  'readwrite-unsafe': 'sync-access-handle-read-write-unsafe'
+};
+
 /**
  * Options for createWritable
  */
 export interface FileSystemCreateWritableOptions {
   keepExistingData?: boolean;
+  mode?: FileSystemWritableFileStreamMode;
 }
 
+/**
+ * Locking mode of a writable stream
+ */
+export type FileSystemWritableFileStreamMode = 'siloed' | 'exclusive';
+
+/**
+ * Options for createSyncAccessHandle
+ */
+export interface FileSystemCreateSyncAccessHandleOptions {
+  mode?: FileSystemSyncAccessHandleMode;
+}
+
+/**
+ * Locking mode of a sync access handle
+ */
+export type FileSystemSyncAccessHandleMode = 'readwrite' | 'read-only' | 'readwrite-unsafe';
+
 /**
  * Synchronous access handle for file operations
  */
 export class FileSystemSyncAccessHandle {
-  private _fd: fs.FileHandle;
+  private _file: BackendSyncFile;
   private _closed = false;
+  private _mode: FileSystemSyncAccessHandleMode;
+  private _lock: EntryLock;
+  private _usage: UsageTracker;
+  private _changed: () => void;
+  private _name: string;
+  // Advanced only by reads and writes without an explicit position
+  private _position = 0;
 
-  constructor(fd: fs.FileHandle) {
-    this._fd = fd;
+  constructor(
+    file: BackendSyncFile,
+    mode: FileSystemSyncAccessHandleMode,
+    lock: EntryLock,
+    usage: UsageTracker,
+    changed: () => void = () => {},
+    name = ''
+  ) {
+    this._file = file;
+    this._mode = mode;
+    this._lock = lock;
+    this._usage = usage;
+    this._changed = changed;
+    this._name = name;
   }
 
   /**
    * Read data from the file synchronously
    */
   read(buffer: ArrayBuffer | ArrayBufferView, options?: { at: number }): number {
-    if (this._closed) {
-      throw new Error('Access handle is closed');
-    }
+    this._assertOpen();
     const buf = this._toMutableBuffer(buffer);
-    const position = options?.at ?? null;
+    const position = options?.at ?? this._position;
     
     // Perform a synchronous read into the provided buffer
-    const bytesRead = fsSync.readSync(this._fd.fd, buf, 0, buf.length, position);
+    const bytesRead = this._call(() => this._file.read(buf, position));
+    if (options?.at === undefined) {
+      this._position += bytesRead;
+    }
     return bytesRead;
   }
 
@@ -88,14 +180,29 @@ export class FileSystemSyncAccessHandle {
    * Write data to the file synchronously
    */
   write(buffer: ArrayBuffer | ArrayBufferView, options?: { at: number }): number {
-    if (this._closed) {
-      throw new Error('Access handle is closed');
-    }
+    this._assertOpen();
+    this._assertWritable();
     const buf = this._toImmutableBuffer(buffer);
-    const position = options?.at ?? null;
-    
+    const position = options?.at ?? this._position;
+    const size = this._call(() => this._file.size());
+    const reserved = Math.max(0, position + buf.length - size);
+    this._usage.reserveSync(reserved);
+
     // Perform a synchronous write from the provided buffer
-    const bytesWritten = fsSync.writeSync(this._fd.fd, buf, 0, buf.length, position);
+    let bytesWritten;
+    try {
+      bytesWritten = this._file.write(buf, position);
+    } catch (error) {
+      // Nothing was written, so the reservation is given back
+      this._usage.release(reserved);
+      throw toDOMException(error, this._name);
+    }
+    // A short write only grows the file by what was written
+    this._usage.release(reserved - Math.max(0, position + bytesWritten - size));
+    if (options?.at === undefined) {
+      this._position += bytesWritten;
+    }
+    this._changed();
     return bytesWritten;
   }
 
@@ -103,31 +210,37 @@ export class FileSystemSyncAccessHandle {
    * Truncate the file to the specified size
    */
   truncate(newSize: number): void {
-    if (this._closed) {
-      throw new Error('Access handle is closed');
+    this._assertOpen();
+    this._assertWritable();
+    const delta = newSize - this._call(() => this._file.size());
+    if (delta > 0) {
+      this._usage.reserveSync(delta);
+    }
+    try {
+      this._file.truncate(newSize);
+    } catch (error) {
+      this._usage.release(delta);
+      throw toDOMException(error, this._name);
     }
-    fsSync.ftruncateSync(this._fd.fd, newSize);
+    this._usage.release(-delta);
+    this._changed();
   }
 
   /**
    * Get the size of the file
    */
   getSize(): number {
-    if (this._closed) {
-      throw new Error('Access handle is closed');
-    }
-    const stats = fsSync.fstatSync(this._fd.fd);
-    return stats.size;
+    this._assertOpen();
+    return this._call(() => this._file.size());
   }
 
   /**
    * Flush any pending writes
    */
   flush(): void {
-    if (this._closed) {
-      throw new Error('Access handle is closed');
-    }
-    fsSync.fsyncSync(this._fd.fd);
+    this._assertOpen();
+    this._assertWritable();
+    this._call(() => this._file.flush());
   }
 
   /**
@@ -138,12 +251,36 @@ export class FileSystemSyncAccessHandle {
       return;
     }
     try {
-      await this._fd.close();
+      await this._file.close();
     } catch (error) {
       // Ignore if already closed
     }
-    this._fd = null as any;
+    this._file = null as any;
     this._closed = true;
+    await this._lock.release();
+  }
+
+  private _assertOpen(): void {
+    if (this._closed) {
+      throw closedError();
+    }
+  }
+
+  /**
+   * Calls the backend, converting its errors to DOMExceptions
+   */
+  private _call<T>(operation: () => T): T {
+    try {
+      return operation();
+    } catch (error) {
+      throw toDOMException(error, this._name);
+    }
+  }
+
+  private _assertWritable(): void {
+    if (this._mode === 'read-only') {
+      throw new DOMException('Access handle is read-only', 'NoModificationAllowedError');
+    }
   }
 
   private _toMutableBuffer(input: ArrayBuffer | ArrayBufferView | Buffer): Buffer {
@@ -154,7 +291,7 @@ export class FileSystemSyncAccessHandle {
     if (input instanceof ArrayBuffer) {
       return Buffer.from(input);
     }
-    throw new Error('Unsupported buffer type');
+    throw new TypeError('Buffer must be an ArrayBuffer or ArrayBufferView');
   }
 
   private _toImmutableBuffer(input: ArrayBuffer | ArrayBufferView | Buffer): Buffer {
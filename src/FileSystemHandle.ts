@@ -1,24 +1,65 @@
 import * as path from 'path';
-import * as fs from 'fs/promises';
-import { constants } from 'fs';
+import { createContext, StorageContext } from './context.js';
+import { DiskBackend } from './disk.js';
+import { withExclusiveLock } from './locks.js';
+import { childPath, isWithin } from './paths.js';
+import { toDOMException } from './errors.js';
+import type { FileSystemRemoveOptions } from './FileSystemDirectoryHandle.js';
 
 /**
  * Permission state type
  */
 export type PermissionState = 'granted' | 'denied' | 'prompt';
 
+/**
+ * Where a handle's entry is, for the modules built on the handles
+ */
+export interface HandleLocation {
+  path: string;
+  context: StorageContext;
+}
+
+// Set by FileSystemHandle's static block, see getHandleLocation()
+let handleLocation: (handle: FileSystemHandle) => HandleLocation;
+
+/**
+ * Returns the path and storage context of a handle's entry. Not exported
+ * from the package.
+ */
+export function getHandleLocation(handle: FileSystemHandle): HandleLocation {
+  return handleLocation(handle);
+}
+
 /**
  * Base class for FileSystemFileHandle and FileSystemDirectoryHandle
  */
 export abstract class FileSystemHandle {
+  static {
+    handleLocation = handle => ({ path: handle._path, context: handle._context });
+  }
+
   readonly kind: 'file' | 'directory';
-  readonly name: string;
-  protected readonly _path: string;
+  protected _name: string;
+  protected _path: string;
+  protected readonly _context: StorageContext;
 
-  constructor(kind: 'file' | 'directory', name: string, filePath: string) {
+  constructor(
+    kind: 'file' | 'directory',
+    name: string,
+    filePath: string,
+    context: StorageContext = createContext(new DiskBackend(filePath))
+  ) {
     this.kind = kind;
-    this.name = name;
+    this._name = name;
     this._path = filePath;
+    this._context = context;
+  }
+
+  /**
+   * Name of the entry; changes when the entry is moved through this handle
+   */
+  get name(): string {
+    return this._name;
   }
 
   /**
@@ -28,27 +69,144 @@ export abstract class FileSystemHandle {
     if (this.kind !== other.kind) {
       return false;
     }
+    // Files of snapshots may share storage with the files they were taken of
+    if ((this._context.readOnly || other._context.readOnly) && this._context.root !== other._context.root) {
+      return false;
+    }
     
     try {
       const [stat1, stat2] = await Promise.all([
-        fs.stat(this._path),
-        fs.stat(other._path)
+        this._context.backend.stat(this._path),
+        other._context.backend.stat(other._path)
       ]);
       
-      // Compare inode numbers on Unix-like systems
-      return stat1.ino === stat2.ino && stat1.dev === stat2.dev;
+      return stat1.id === stat2.id;
     } catch {
       return false;
     }
   }
 
+  /**
+   * Moves or renames the entry. Accepts a new name, a destination directory,
+   * or both. Moving a file onto an existing file replaces it; any other
+   * existing destination fails with an InvalidModificationError.
+   */
+  async move(destination: FileSystemHandle | string, newName?: string): Promise<void> {
+    const root = this._context.root;
+    let destinationPath: string;
+    let name: string;
+
+    this._assertModifiable();
+    if (typeof destination === 'string') {
+      destinationPath = path.dirname(this._path);
+      name = destination;
+    } else {
+      if (!(destination instanceof FileSystemHandle) || destination.kind !== 'directory') {
+        throw new TypeError('Destination must be a FileSystemDirectoryHandle');
+      }
+      destination._assertModifiable();
+      if (!destination._context.backend.isSameStorage(this._context.backend)) {
+        throw new DOMException(
+          'Entries cannot be moved outside of their origin private file system',
+          'InvalidModificationError'
+        );
+      }
+      destinationPath = destination._path;
+      name = newName ?? this._name;
+    }
+
+    const targetPath = childPath(destinationPath, name);
+    if (this._path === root) {
+      throw new DOMException('The root directory cannot be moved', 'InvalidModificationError');
+    }
+    if (targetPath === this._path) {
+      return;
+    }
+    if (this.kind === 'directory' && isWithin(this._path, targetPath)) {
+      throw new DOMException(
+        `'${this._name}' cannot be moved into itself`,
+        'InvalidModificationError'
+      );
+    }
+
+    try {
+      // Both the entry and whatever it replaces must be free of open handles
+      const targetLock = await this._context.locks.acquire(targetPath, 'exclusive', { recursive: true });
+      try {
+        await withExclusiveLock(this._context.locks, this._path, { recursive: true }, async () => {
+          const replaced = await this._context.backend.move(this._path, targetPath);
+          this._context.usage.release(replaced);
+          this._context.changes.notify('moved', this.kind, targetPath, this._path);
+        });
+      } finally {
+        await targetLock.release();
+      }
+    } catch (error: any) {
+      if (error.code === 'ENOENT') {
+        throw new DOMException(`'${this._name}' or the destination was not found`, 'NotFoundError');
+      }
+      throw toDOMException(error, this._name);
+    }
+
+    this._path = targetPath;
+    this._name = name;
+  }
+
+  /**
+   * Removes the entry. Non-empty directories are only removed with
+   * recursive; removing the root directory removes everything inside it.
+   */
+  async remove(options?: FileSystemRemoveOptions): Promise<void> {
+    await this._removeEntryAt(this._path, options?.recursive ?? false);
+  }
+
+  /**
+   * Removes the entry at entryPath while holding an exclusive lock on it, so
+   * that entries with open writables or access handles cannot be removed
+   */
+  protected async _removeEntryAt(entryPath: string, recursive: boolean): Promise<void> {
+    this._assertModifiable();
+    const { backend, locks, usage, changes } = this._context;
+
+    try {
+      // Recursive, since the entry may be a directory
+      await withExclusiveLock(locks, entryPath, { recursive: true }, async () => {
+        // The root itself stays, so it is its entries that disappear
+        const entries = entryPath === this._context.root ? await backend.list(entryPath) : null;
+
+        // Only measure what is removed if there is a usage total to update
+        const removed = await backend.remove(entryPath, recursive, usage.measured);
+        usage.release(removed.size);
+
+        if (entries) {
+          for (const [name, kind] of entries) {
+            changes.notify('disappeared', kind, path.join(entryPath, name));
+          }
+        } else {
+          changes.notify('disappeared', removed.kind, entryPath);
+        }
+      });
+    } catch (error) {
+      throw toDOMException(error, path.basename(entryPath));
+    }
+  }
+
+  /**
+   * Throws for entries of snapshots, which cannot be modified
+   */
+  protected _assertModifiable(): void {
+    if (this._context.readOnly) {
+      throw new DOMException(`'${this._name}' belongs to a snapshot and cannot be modified`, 'NoModificationAllowedError');
+    }
+  }
+
   /**
    * Request permission for the handle
    */
   async queryPermission(descriptor?: { mode?: 'read' | 'readwrite' }): Promise<PermissionState> {
     // In Node.js, we always have permission if the file exists
     try {
-      await fs.access(this._path, constants.R_OK);
+      await this._context.backend.stat(this._path);
       return 'granted';
     } catch {
       return 'denied';
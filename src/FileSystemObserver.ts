@@ -0,0 +1,480 @@
+import * as path from 'path';
+import { FileSystemHandle, getHandleLocation } from './FileSystemHandle.js';
+import { FileSystemFileHandle } from './FileSystemFileHandle.js';
+import { FileSystemDirectoryHandle } from './FileSystemDirectoryHandle.js';
+import { EntryInfo, EntryKind } from './backend.js';
+import { ChangeEvent } from './changes.js';
+import { StorageContext } from './context.js';
+import { isWithin } from './paths.js';
+
+/**
+ * Kind of change reported by a FileSystemObserver
+ */
+export type FileSystemChangeType =
+  | 'appeared'
+  | 'disappeared'
+  | 'modified'
+  | 'moved'
+  | 'unknown'
+  | 'errored';
+
+/**
+ * A change to an observed entry or to an entry inside an observed directory
+ */
+export interface FileSystemChangeRecord {
+  /**
+   * The handle passed to observe()
+   */
+  readonly root: FileSystemHandle;
+  /**
+   * Handle for the changed entry, or null when its kind is not known
+   */
+  readonly changedHandle: FileSystemHandle | null;
+  /**
+   * Path of the changed entry relative to root
+   */
+  readonly relativePathComponents: string[];
+  readonly type: FileSystemChangeType;
+  /**
+   * For 'moved', the path the entry was moved from relative to root
+   */
+  readonly relativePathMovedFrom: string[] | null;
+}
+
+export interface FileSystemObserverObserveOptions {
+  /**
+   * Also report changes to entries in subdirectories
+   */
+  recursive?: boolean;
+}
+
+export type FileSystemObserverCallback = (
+  records: FileSystemChangeRecord[],
+  observer: FileSystemObserver
+) => void;
+
+/**
+ * How long changes seen by a file system watcher settle before they are
+ * compared with what was there before. fs.watch() reports a single change
+ * several times, and some in parts.
+ */
+const SETTLE_DELAY = 50;
+
+/**
+ * Reports changes to files and directories. Changes made through this
+ * library's handles are reported as soon as they are made; changes made by
+ * other processes are picked up with fs.watch() on disk storage.
+ *
+ * Records are delivered in batches in a microtask. Observing does not keep
+ * the process alive.
+ */
+export class FileSystemObserver {
+  private _callback: FileSystemObserverCallback;
+  private _observations = new Map<FileSystemHandle, Observation>();
+  private _records: FileSystemChangeRecord[] = [];
+
+  constructor(callback: FileSystemObserverCallback) {
+    if (typeof callback !== 'function') {
+      throw new TypeError('callback must be a function');
+    }
+    this._callback = callback;
+  }
+
+  /**
+   * Starts reporting changes to handle. Observing a handle again replaces
+   * the previous observation.
+   */
+  async observe(handle: FileSystemHandle, options?: FileSystemObserverObserveOptions): Promise<void> {
+    if (!(handle instanceof FileSystemHandle)) {
+      throw new TypeError('handle must be a FileSystemHandle');
+    }
+    this.unobserve(handle);
+
+    const observation: Observation = new Observation(
+      handle,
+      options?.recursive ?? false,
+      record => this._queue(record),
+      () => {
+        if (this._observations.get(handle) === observation) {
+          this._observations.delete(handle);
+        }
+      }
+    );
+    this._observations.set(handle, observation);
+
+    try {
+      await observation.start();
+    } catch (error) {
+      observation.stop();
+      throw error;
+    }
+  }
+
+  /**
+   * Stops reporting changes to handle
+   */
+  unobserve(handle: FileSystemHandle): void {
+    this._observations.get(handle)?.stop();
+  }
+
+  /**
+   * Stops reporting changes to every observed handle
+   */
+  disconnect(): void {
+    for (const observation of Array.from(this._observations.values())) {
+      observation.stop();
+    }
+  }
+
+  private _queue(record: FileSystemChangeRecord): void {
+    // Changes reported several times in a row are reported once
+    const last = this._records[this._records.length - 1];
+    if (
+      last &&
+      last.root === record.root &&
+      last.type === record.type &&
+      last.relativePathComponents.join('/') === record.relativePathComponents.join('/')
+    ) {
+      return;
+    }
+
+    this._records.push(record);
+    if (this._records.length === 1) {
+      queueMicrotask(() => {
+        const records = this._records;
+        this._records = [];
+        // Like in browsers, a callback that throws is reported and the
+        // observer keeps going, instead of taking the process down
+        try {
+          this._callback(records, this);
+        } catch (error) {
+          process.emitWarning(error as Error);
+        }
+      });
+    }
+  }
+}
+
+/**
+ * Observation of a single handle. Keeps a signature of every entry in scope,
+ * so that what a file system watcher reports can be turned into records.
+ */
+class Observation {
+  private _root: FileSystemHandle;
+  private _path: string;
+  private _context: StorageContext;
+  private _recursive: boolean;
+  private _emit: (record: FileSystemChangeRecord) => void;
+  private _onStop: () => void;
+  private _stopped = false;
+
+  // Signatures of the entries in scope by resolved path
+  private _known = new Map<string, string>();
+  // Paths to compare once they settle, and whether to report their changes.
+  // Changes made through handles are already reported.
+  private _pending = new Map<string, boolean>();
+  private _rescan = false;
+  private _timer: NodeJS.Timeout | null = null;
+  private _settling: Promise<void> = Promise.resolve();
+
+  private _unsubscribe: (() => void) | null = null;
+  private _unwatch: (() => void) | null = null;
+
+  constructor(
+    root: FileSystemHandle,
+    recursive: boolean,
+    emit: (record: FileSystemChangeRecord) => void,
+    onStop: () => void
+  ) {
+    this._root = root;
+    const location = getHandleLocation(root);
+    this._path = path.resolve(location.path);
+    this._context = location.context;
+    this._recursive = recursive;
+    this._emit = emit;
+    this._onStop = onStop;
+  }
+
+  async start(): Promise<void> {
+    const { backend, changes } = this._context;
+
+    // Subscribe first so that no change made during the scan is missed
+    this._unsubscribe = changes.subscribe(event => this._onChange(event));
+
+    const info = await backend.stat(this._path).catch(() => null);
+    if (!info || info.kind !== this._root.kind) {
+      throw new DOMException(`'${this._root.name}' was not found`, 'NotFoundError');
+    }
+    await this._scan(this._path, info, this._known);
+
+    if (!this._stopped && backend.watch) {
+      // A file is watched through its directory
+      const isFile = this._root.kind === 'file';
+      try {
+        this._unwatch = backend.watch(
+          isFile ? path.dirname(this._path) : this._path,
+          !isFile && this._recursive,
+          entryPath => this._schedule(entryPath, true),
+          error => this._fail(error)
+        );
+      } catch {
+        // Hosts that cannot watch this way, like platforms without recursive
+        // fs.watch(), still get the changes made through handles
+      }
+    }
+  }
+
+  stop(): void {
+    if (this._stopped) {
+      return;
+    }
+    this._stopped = true;
+    this._unsubscribe?.();
+    this._unwatch?.();
+    if (this._timer) {
+      clearTimeout(this._timer);
+    }
+    this._onStop();
+  }
+
+  /**
+   * Reports a change made through a handle
+   */
+  private _onChange(event: ChangeEvent): void {
+    if (this._stopped) {
+      return;
+    }
+
+    // The observed entry went away, possibly with one of its ancestors
+    if (isWithin(event.path, this._path) && event.type === 'disappeared') {
+      this._end();
+      return;
+    }
+    if (event.type === 'moved' && event.movedFrom !== undefined && isWithin(event.movedFrom, this._path)) {
+      this._end();
+      return;
+    }
+
+    const inScope = this._inScope(event.path);
+    const movedFromInScope = event.movedFrom !== undefined && this._inScope(event.movedFrom);
+
+    if (event.type === 'moved') {
+      if (inScope && movedFromInScope) {
+        this._report('moved', event.kind, event.path, event.movedFrom);
+      } else if (inScope) {
+        this._report('appeared', event.kind, event.path);
+      } else if (movedFromInScope) {
+        this._report('disappeared', event.kind, event.movedFrom!);
+      }
+      if (movedFromInScope) {
+        this._schedule(event.movedFrom!, false);
+      }
+    } else if (inScope) {
+      this._report(event.type, event.kind, event.path);
+    }
+
+    if (inScope) {
+      this._schedule(event.path, false);
+    }
+  }
+
+  /**
+   * Queues a path to be compared with what was there before
+   */
+  private _schedule(entryPath: string | null, report: boolean): void {
+    // Without a watcher there is nothing to tell changes apart from
+    if (this._stopped || !this._unwatch) {
+      return;
+    }
+
+    if (entryPath === null) {
+      this._rescan = true;
+    } else {
+      entryPath = path.resolve(entryPath);
+      if (!this._inScope(entryPath)) {
+        return;
+      }
+      this._pending.set(entryPath, (this._pending.get(entryPath) ?? true) && report);
+    }
+
+    if (!this._timer) {
+      this._timer = setTimeout(() => {
+        this._timer = null;
+        this._settling = this._settling.then(() => this._settle()).catch(error => this._fail(error));
+      }, SETTLE_DELAY);
+      this._timer.unref();
+    }
+  }
+
+  private async _settle(): Promise<void> {
+    const pending = this._pending;
+    const rescan = this._rescan;
+    this._pending = new Map();
+    this._rescan = false;
+
+    // Directories before their entries, so that entries of a directory that
+    // is gone are not reported one by one
+    const paths = Array.from(pending.keys()).sort((a, b) => a.length - b.length);
+    for (const entryPath of paths) {
+      if (this._stopped) {
+        return;
+      }
+      await this._compare(entryPath, pending.get(entryPath)!);
+    }
+
+    if (rescan && !this._stopped) {
+      // The watcher could not say what changed
+      const known = new Map<string, string>();
+      const info = await this._stat(this._path);
+      if (info) {
+        await this._scan(this._path, info, known);
+        this._known = known;
+        this._report('unknown', null, this._path);
+      }
+    }
+
+    // Watchers do not always report their directory going away
+    if (!this._stopped && !(await this._stat(this._path))) {
+      this._end();
+    }
+  }
+
+  private async _compare(entryPath: string, report: boolean): Promise<void> {
+    const before = this._known.get(entryPath);
+    const info = await this._stat(entryPath);
+
+    if (!info) {
+      if (before !== undefined) {
+        this._forget(entryPath);
+        if (entryPath === this._path) {
+          this._end();
+        } else if (report) {
+          this._report('disappeared', kindOf(before), entryPath);
+        }
+      }
+      return;
+    }
+
+    const after = signature(info);
+    if (before === after) {
+      return;
+    }
+    if (before !== undefined && kindOf(before) === info.kind && info.kind === 'file') {
+      this._known.set(entryPath, after);
+      if (report) {
+        this._report('modified', info.kind, entryPath);
+      }
+      return;
+    }
+
+    // A new entry, or a different one in its place
+    this._forget(entryPath);
+    await this._scan(entryPath, info, this._known);
+    if (report) {
+      this._report(before === undefined ? 'appeared' : 'modified', info.kind, entryPath);
+    }
+  }
+
+  /**
+   * Records the signatures of an entry and the entries in scope inside it
+   */
+  private async _scan(entryPath: string, info: EntryInfo, known: Map<string, string>): Promise<void> {
+    known.set(entryPath, signature(info));
+    if (info.kind !== 'directory' || (entryPath !== this._path && !this._recursive)) {
+      return;
+    }
+
+    const entries = await this._context.backend.list(entryPath).catch(() => []);
+    for (const [name] of entries) {
+      const childPath = path.join(entryPath, name);
+      const childInfo = await this._stat(childPath);
+      if (childInfo) {
+        await this._scan(childPath, childInfo, known);
+      }
+    }
+  }
+
+  private _forget(entryPath: string): void {
+    for (const knownPath of Array.from(this._known.keys())) {
+      if (isWithin(entryPath, knownPath)) {
+        this._known.delete(knownPath);
+      }
+    }
+  }
+
+  /**
+   * Entries that cannot be read are treated as gone
+   */
+  private _stat(entryPath: string): Promise<EntryInfo | null> {
+    return this._context.backend.stat(entryPath).catch(() => null);
+  }
+
+  private _inScope(entryPath: string): boolean {
+    if (entryPath === this._path) {
+      return true;
+    }
+    if (this._root.kind === 'file') {
+      return false;
+    }
+    return this._recursive
+      ? isWithin(this._path, entryPath)
+      : path.dirname(entryPath) === this._path;
+  }
+
+  /**
+   * The observed entry is gone, which ends the observation
+   */
+  private _end(): void {
+    this._report('disappeared', this._root.kind, this._path);
+    this._report('errored', this._root.kind, this._path);
+    this.stop();
+  }
+
+  private _fail(error: Error): void {
+    if (!this._stopped) {
+      this._report('errored', this._root.kind, this._path);
+      this.stop();
+    }
+  }
+
+  private _report(type: FileSystemChangeType, kind: EntryKind | null, entryPath: string, movedFrom?: string): void {
+    if (this._stopped) {
+      return;
+    }
+    this._emit({
+      root: this._root,
+      changedHandle: this._handleFor(kind, entryPath),
+      relativePathComponents: this._relativeComponents(entryPath),
+      type,
+      relativePathMovedFrom: movedFrom === undefined ? null : this._relativeComponents(movedFrom)
+    });
+  }
+
+  private _handleFor(kind: EntryKind | null, entryPath: string): FileSystemHandle | null {
+    if (entryPath === this._path) {
+      return this._root;
+    }
+    const name = path.basename(entryPath);
+    if (kind === 'file') {
+      return new FileSystemFileHandle(name, entryPath, this._context);
+    }
+    if (kind === 'directory') {
+      return new FileSystemDirectoryHandle(name, entryPath, this._context);
+    }
+    return null;
+  }
+
+  private _relativeComponents(entryPath: string): string[] {
+    return path.relative(this._path, entryPath).split(path.sep).filter(Boolean);
+  }
+}
+
+function signature(info: EntryInfo): string {
+  return info.kind === 'file'
+    ? `file:${info.id}:${info.size}:${info.lastModified}`
+    : `directory:${info.id}`;
+}
+
+function kindOf(signature: string): EntryKind {
+  return signature.startsWith('file:') ? 'file' : 'directory';
+}
@@ -0,0 +1,451 @@
+import * as path from 'path';
+import { StorageContext } from './context.js';
+import { StorageBackend, notEmptyError, targetExistsError } from './backend.js';
+import { EntryLock } from './locks.js';
+import { assertValidName, isWithin } from './paths.js';
+import { toDOMException, typeMismatchError } from './errors.js';
+import { toData, BufferSource } from './FileSystemWritableFileStream.js';
+import {
+  applyJournal,
+  createStagingDirectory,
+  JournalOperation,
+  removeStagingDirectory,
+  writeJournal
+} from './journal.js';
+
+/**
+ * Path of an entry relative to the transaction's directory: a
+ * '/'-separated string like 'data/1.json', or a list of names
+ */
+export type FileSystemTransactionPath = string | string[];
+
+/**
+ * Options for FileSystemTransaction.remove()
+ */
+export interface FileSystemTransactionRemoveOptions {
+  recursive?: boolean;
+}
+
+// Set by FileSystemTransaction's static block, for runTransaction()
+let commit: (transaction: FileSystemTransaction) => Promise<void>;
+let rollback: (transaction: FileSystemTransaction) => Promise<void>;
+
+/**
+ * Changes to a directory that take effect all at once, or not at all. See
+ * FileSystemDirectoryHandle.transaction().
+ *
+ * Operations are checked when they are staged, against the directory as it
+ * will be after the operations staged before them, and fail with the same
+ * DOMExceptions as the corresponding handle methods. Nothing changes in the
+ * directory until the transaction commits.
+ */
+export class FileSystemTransaction {
+  static {
+    commit = transaction => transaction._commit();
+    rollback = transaction => transaction._rollback();
+  }
+
+  private _context: StorageContext;
+  private _dirPath: string;
+  private _stagingPath: string;
+  private _tree: StagedTree;
+  private _operations: JournalOperation[] = [];
+  private _queue: Promise<unknown> = Promise.resolve();
+  private _nextStaged = 0;
+  private _finished = false;
+
+  constructor(context: StorageContext, dirPath: string, stagingPath: string) {
+    this._context = context;
+    this._dirPath = dirPath;
+    this._stagingPath = stagingPath;
+    this._tree = new StagedTree(context.backend, dirPath);
+  }
+
+  /**
+   * Creates or replaces a file with the given contents. Its directory must
+   * exist, or be created earlier in the transaction.
+   */
+  async writeFile(entryPath: FileSystemTransactionPath, data: BufferSource | Blob | string): Promise<void> {
+    const names = toNames(entryPath);
+    const contents = toData(data);
+    return this._enqueue(names[names.length - 1], async () => {
+      const staged = String(this._nextStaged++);
+      await this._stage(staged, contents);
+      try {
+        await this._tree.writeFile(names);
+      } catch (error) {
+        await this._unstage(staged);
+        throw error;
+      }
+      this._operations.push({ type: 'write', path: names, staged });
+    });
+  }
+
+  /**
+   * Creates a directory, unless there already is one
+   */
+  async createDirectory(entryPath: FileSystemTransactionPath): Promise<void> {
+    const names = toNames(entryPath);
+    return this._enqueue(names[names.length - 1], async () => {
+      await this._tree.createDirectory(names);
+      this._operations.push({ type: 'createDirectory', path: names });
+    });
+  }
+
+  /**
+   * Removes a file or directory. Non-empty directories are only removed with
+   * recursive.
+   */
+  async remove(entryPath: FileSystemTransactionPath, options?: FileSystemTransactionRemoveOptions): Promise<void> {
+    const names = toNames(entryPath);
+    const recursive = options?.recursive ?? false;
+    return this._enqueue(names[names.length - 1], async () => {
+      await this._tree.remove(names, recursive);
+      this._operations.push({ type: 'remove', path: names, recursive });
+    });
+  }
+
+  /**
+   * Moves or renames an entry. Like FileSystemHandle.move(), moving a file
+   * onto an existing file replaces it, and any other existing destination
+   * fails with an InvalidModificationError.
+   */
+  async move(source: FileSystemTransactionPath, destination: FileSystemTransactionPath): Promise<void> {
+    const from = toNames(source);
+    const to = toNames(destination);
+    return this._enqueue(from[from.length - 1], async () => {
+      await this._tree.move(from, to);
+      this._operations.push({ type: 'move', from, to });
+    });
+  }
+
+  /**
+   * Makes the staged operations take effect. Once the journal is written,
+   * the transaction is completed even if the process crashes, the next time
+   * a StorageManager opens the directory.
+   */
+  private async _commit(): Promise<void> {
+    await this._finish();
+    const { root, locks } = this._context;
+    const operations = this._operations;
+
+    // Paths in the journal are relative to the root
+    const prefix = path.relative(root, this._dirPath).split(path.sep).filter(Boolean);
+    const journal = {
+      operations: operations.map((operation): JournalOperation => operation.type === 'move'
+        ? { ...operation, from: [...prefix, ...operation.from], to: [...prefix, ...operation.to] }
+        : { ...operation, path: [...prefix, ...operation.path] })
+    };
+
+    const held: EntryLock[] = [];
+    try {
+      try {
+        // The entries touched must be free of open handles, and stay that way
+        for (const { entryPath, recursive } of lockRequests(this._dirPath, operations)) {
+          held.push(await locks.acquire(entryPath, 'exclusive', { recursive }));
+        }
+        // The directory may have changed since the operations were staged
+        const tree = new StagedTree(this._context.backend, this._dirPath);
+        for (const operation of operations) {
+          await tree.apply(operation);
+        }
+        await writeJournal(this._context, this._stagingPath, journal);
+      } catch (error) {
+        // Whatever is left of the transaction is cleaned up by the next recovery
+        await this._rollback().catch(() => {});
+        throw error;
+      }
+
+      // Committed: on failure, the journal is left for the next recovery
+      await applyJournal(this._context, this._stagingPath, journal);
+      await removeStagingDirectory(this._context, this._stagingPath);
+    } catch (error) {
+      throw toDOMException(error, path.basename(this._dirPath));
+    } finally {
+      for (const lock of held.reverse()) {
+        await lock.release();
+      }
+    }
+  }
+
+  /**
+   * Discards everything staged
+   */
+  private async _rollback(): Promise<void> {
+    await this._finish().catch(() => {});
+    await removeStagingDirectory(this._context, this._stagingPath);
+  }
+
+  /**
+   * Stops accepting operations and waits for the ones in progress
+   */
+  private async _finish(): Promise<void> {
+    this._finished = true;
+    await this._queue;
+  }
+
+  /**
+   * Runs operations one at a time, in the order they were called
+   */
+  private _enqueue(name: string, operation: () => Promise<void>): Promise<void> {
+    if (this._finished) {
+      return Promise.reject(new DOMException('The transaction has finished', 'InvalidStateError'));
+    }
+    const result = this._queue.then(operation).catch(error => {
+      throw toDOMException(error, name);
+    });
+    this._queue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Writes the contents of a file into the transaction's directory
+   */
+  private async _stage(staged: string, contents: Uint8Array | Blob): Promise<void> {
+    const { backend, usage } = this._context;
+    const stagedPath = path.join(this._stagingPath, staged);
+    let reserved = 0;
+
+    try {
+      await backend.createFile(stagedPath);
+      const swap = await backend.openSwap(stagedPath, false);
+      try {
+        let position = 0;
+        const parts = contents instanceof Blob ? contents.stream() as AsyncIterable<Uint8Array> : [contents];
+        for await (const part of parts) {
+          await usage.reserve(part.byteLength);
+          reserved += part.byteLength;
+          await swap.write(part, position);
+          position += part.byteLength;
+        }
+      } catch (error) {
+        await swap.discard();
+        throw error;
+      }
+      await swap.commit();
+    } catch (error) {
+      usage.release(reserved);
+      throw error;
+    }
+  }
+
+  private async _unstage(staged: string): Promise<void> {
+    const { backend, usage } = this._context;
+    const removed = await backend.remove(path.join(this._stagingPath, staged), false, usage.measured);
+    usage.release(removed.size);
+  }
+}
+
+/**
+ * Runs callback with a new transaction on the directory at dirPath, then
+ * commits it, or rolls it back if callback throws
+ */
+export async function runTransaction<T>(
+  context: StorageContext,
+  dirPath: string,
+  callback: (transaction: FileSystemTransaction) => T | Promise<T>
+): Promise<T> {
+  if (typeof callback !== 'function') {
+    throw new TypeError('callback must be a function');
+  }
+  const name = path.basename(dirPath);
+  let staging;
+  try {
+    if ((await context.backend.stat(dirPath)).kind !== 'directory') {
+      throw typeMismatchError(name, 'directory');
+    }
+    staging = await createStagingDirectory(context);
+  } catch (error) {
+    throw toDOMException(error, name);
+  }
+
+  try {
+    const transaction = new FileSystemTransaction(context, dirPath, staging.stagingPath);
+    let result: T;
+    try {
+      result = await callback(transaction);
+    } catch (error) {
+      await rollback(transaction).catch(() => {});
+      throw error;
+    }
+    await commit(transaction);
+    return result;
+  } finally {
+    await staging.lock.release();
+  }
+}
+
+/**
+ * An entry as it will be once the staged operations are applied. Directories
+ * that already exist list their entries from the backend when first needed.
+ */
+type StagedEntry = { kind: 'file' } | StagedDirectory;
+
+interface StagedDirectory {
+  kind: 'directory';
+  /**
+   * Where the directory's original entries are, or null for a new directory
+   */
+  origin: string | null;
+  children: Map<string, StagedEntry> | null;
+}
+
+/**
+ * The directory of a transaction as seen by the operations staged so far
+ */
+class StagedTree {
+  private _backend: StorageBackend;
+  private _root: StagedDirectory;
+
+  constructor(backend: StorageBackend, dirPath: string) {
+    this._backend = backend;
+    this._root = { kind: 'directory', origin: dirPath, children: null };
+  }
+
+  async apply(operation: JournalOperation): Promise<void> {
+    switch (operation.type) {
+      case 'write':
+        return this.writeFile(operation.path);
+      case 'createDirectory':
+        return this.createDirectory(operation.path);
+      case 'remove':
+        return this.remove(operation.path, operation.recursive);
+      case 'move':
+        return this.move(operation.from, operation.to);
+    }
+  }
+
+  async writeFile(names: string[]): Promise<void> {
+    const { children, name } = await this._parentOf(names);
+    if (children.get(name)?.kind === 'directory') {
+      throw typeMismatchError(name, 'file');
+    }
+    children.set(name, { kind: 'file' });
+  }
+
+  async createDirectory(names: string[]): Promise<void> {
+    const { children, name } = await this._parentOf(names);
+    const existing = children.get(name);
+    if (existing?.kind === 'file') {
+      throw typeMismatchError(name, 'directory');
+    }
+    if (!existing) {
+      children.set(name, { kind: 'directory', origin: null, children: new Map() });
+    }
+  }
+
+  async remove(names: string[], recursive: boolean): Promise<void> {
+    const { children, name } = await this._parentOf(names);
+    const entry = children.get(name);
+    if (!entry) {
+      throw notFoundError(name);
+    }
+    if (entry.kind === 'directory' && !recursive && (await this._children(entry)).size > 0) {
+      throw notEmptyError(name);
+    }
+    children.delete(name);
+  }
+
+  async move(from: string[], to: string[]): Promise<void> {
+    const source = await this._parentOf(from);
+    const entry = source.children.get(source.name);
+    if (!entry) {
+      throw notFoundError(source.name);
+    }
+    if (from.join('/') === to.join('/')) {
+      return;
+    }
+    if (entry.kind === 'directory' && isWithin(from.join(path.sep), to.join(path.sep))) {
+      throw new DOMException(`'${source.name}' cannot be moved into itself`, 'InvalidModificationError');
+    }
+
+    const target = await this._parentOf(to);
+    const existing = target.children.get(target.name);
+    if (existing && (existing.kind === 'directory' || entry.kind === 'directory')) {
+      throw targetExistsError(target.name);
+    }
+    source.children.delete(source.name);
+    target.children.set(target.name, entry);
+  }
+
+  /**
+   * Returns the entries of the directory that will hold names
+   */
+  private async _parentOf(names: string[]): Promise<{ children: Map<string, StagedEntry>; name: string }> {
+    let dir = this._root;
+    for (const name of names.slice(0, -1)) {
+      const entry = (await this._children(dir)).get(name);
+      if (!entry) {
+        throw notFoundError(name);
+      }
+      if (entry.kind !== 'directory') {
+        throw typeMismatchError(name, 'directory');
+      }
+      dir = entry;
+    }
+    return { children: await this._children(dir), name: names[names.length - 1] };
+  }
+
+  private async _children(dir: StagedDirectory): Promise<Map<string, StagedEntry>> {
+    if (!dir.children) {
+      const origin = dir.origin!;
+      dir.children = new Map();
+      for (const [name, kind] of await this._backend.list(origin)) {
+        dir.children.set(name, kind === 'file'
+          ? { kind: 'file' }
+          : { kind: 'directory', origin: path.join(origin, name), children: null });
+      }
+    }
+    return dir.children;
+  }
+}
+
+/**
+ * Splits and validates a path relative to the transaction's directory
+ */
+function toNames(entryPath: FileSystemTransactionPath): string[] {
+  const names = typeof entryPath === 'string'
+    ? entryPath.split('/').filter(name => name !== '')
+    : Array.from(entryPath);
+  if (names.length === 0) {
+    throw new TypeError('Path must name an entry inside the directory');
+  }
+  names.forEach(assertValidName);
+  return names;
+}
+
+/**
+ * Locks a commit takes: a recursive one on every entry that is moved or
+ * removed, and a plain one on every file that is written. Entries inside
+ * another locked entry are covered by its lock.
+ */
+function lockRequests(dirPath: string, operations: JournalOperation[]): Array<{ entryPath: string; recursive: boolean }> {
+  const requests = new Map<string, boolean>();
+  const add = (names: string[], recursive: boolean) => {
+    const entryPath = path.join(dirPath, ...names);
+    requests.set(entryPath, recursive || (requests.get(entryPath) ?? false));
+  };
+  for (const operation of operations) {
+    if (operation.type === 'write') {
+      add(operation.path, false);
+    } else if (operation.type === 'remove') {
+      add(operation.path, true);
+    } else if (operation.type === 'move') {
+      add(operation.from, true);
+      add(operation.to, true);
+    }
+  }
+
+  const result: Array<{ entryPath: string; recursive: boolean }> = [];
+  const sorted = Array.from(requests).sort(([a], [b]) => a.length - b.length);
+  for (const [entryPath, recursive] of sorted) {
+    if (!result.some(lock => isWithin(lock.entryPath, entryPath))) {
+      result.push({ entryPath, recursive });
+    }
+  }
+  return result;
+}
+
+function notFoundError(name: string): DOMException {
+  return new DOMException(`'${name}' was not found`, 'NotFoundError');
+}
@@ -1,129 +1,304 @@
-import * as fs from 'fs';
-import * as fsPromises from 'fs/promises';
+import { WritableStream, UnderlyingSink } from 'stream/web';
+import { BackendSwapFile } from './backend.js';
+import { EntryLock } from './locks.js';
+import { UsageTracker } from './quota.js';
+import { toDOMException } from './errors.js';
 
 /**
  * Buffer source type (compatible with browser API)
  */
 export type BufferSource = ArrayBufferView | ArrayBuffer;
 
+/**
+ * Chunk types accepted by FileSystemWritableFileStream
+ */
+export type FileSystemWriteChunkType = BufferSource | Blob | string | WriteParams;
+
 /**
  * Writable stream for writing to files (OPFS API compatible)
+ *
+ * Like in browsers, this is a WHATWG WritableStream, so it can be used with
+ * getWriter() and as the destination of pipeTo(). All writes go to a swap
+ * file. The target is only replaced, atomically, when the
+ * stream is closed; aborting the stream or a failed write discards the swap
+ * file and leaves the target untouched.
  */
-export class FileSystemWritableFileStream {
-  private _path: string;
-  private _fd: fs.promises.FileHandle | null = null;
-  private _closed = false;
-  private _position = 0;
-  private _keepExistingData: boolean;
+export class FileSystemWritableFileStream extends WritableStream<FileSystemWriteChunkType> {
+  constructor(
+    swap: BackendSwapFile,
+    lock: EntryLock,
+    usage: UsageTracker,
+    size = 0,
+    committed: () => void = () => {},
+    name = ''
+  ) {
+    super(new FileSystemUnderlyingSink(swap, lock, usage, size, committed, name));
+  }
 
-  constructor(filePath: string, keepExistingData: boolean = false) {
-    this._path = filePath;
-    this._keepExistingData = keepExistingData;
-    this._initPromise = this._init();
+  /**
+   * Write data to the file. Like in browsers, the stream is only locked
+   * while the write is queued, so writes and close() can be called without
+   * waiting for earlier writes.
+   */
+  async write(data: FileSystemWriteChunkType): Promise<void> {
+    const writer = this.getWriter();
+    const result = writer.write(data);
+    writer.releaseLock();
+    return result;
   }
 
-  private _initPromise: Promise<void>;
+  /**
+   * Seek to a position in the file
+   */
+  async seek(position: number): Promise<void> {
+    return this.write({ type: 'seek', position });
+  }
 
-  private async _init(): Promise<void> {
-    // Use 'r+' mode if keeping existing data, otherwise 'w' to truncate
-    const mode = this._keepExistingData ? 'r+' : 'w';
-    this._fd = await fsPromises.open(this._path, mode);
+  /**
+   * Truncate the file to the specified size
+   */
+  async truncate(size: number): Promise<void> {
+    return this.write({ type: 'truncate', size });
   }
+}
 
-  private async _ensureOpen(): Promise<void> {
-    await this._initPromise;
-    if (this._closed || !this._fd) {
-      throw new Error('Stream is closed');
+/**
+ * Underlying sink that applies chunks to the swap file. The stream machinery
+ * guarantees that write(), close() and abort() are never called concurrently.
+ * The swap file counts towards usage from the moment it grows, so the quota
+ * is enforced on every write rather than only when the stream is closed.
+ */
+class FileSystemUnderlyingSink implements UnderlyingSink<FileSystemWriteChunkType> {
+  private _swap: BackendSwapFile | null;
+  private _lock: EntryLock;
+  private _usage: UsageTracker;
+  private _position = 0;
+  private _size: number;
+  private _committed: () => void;
+  private _name: string;
+
+  constructor(
+    swap: BackendSwapFile,
+    lock: EntryLock,
+    usage: UsageTracker,
+    size: number,
+    committed: () => void,
+    name: string
+  ) {
+    this._swap = swap;
+    this._lock = lock;
+    this._usage = usage;
+    this._size = size;
+    this._committed = committed;
+    this._name = name;
+  }
+
+  async write(chunk: FileSystemWriteChunkType): Promise<void> {
+    try {
+      await this._write(this._swap!, chunk);
+    } catch (error) {
+      // The stream is errored after a failed write, so the swap file is useless
+      await this._discard().catch(() => {});
+      throw toDOMException(error, this._name);
     }
   }
 
   /**
-   * Write data to the file
+   * Replace the file with everything written so far
    */
-  async write(data: BufferSource | Blob | string | WriteParams): Promise<void> {
-    await this._ensureOpen();
-
-    let buffer: Buffer;
-    let position: number | undefined = undefined;
-
-    // Handle WriteParams object
-    if (typeof data === 'object' && data !== null && 'type' in data) {
-      const params = data as WriteParams;
-      
-      if (params.type === 'write') {
-        position = params.position;
-        if (params.data instanceof ArrayBuffer || ArrayBuffer.isView(params.data)) {
-          buffer = Buffer.from(params.data as ArrayBuffer);
-        } else if (typeof params.data === 'string') {
-          buffer = Buffer.from(params.data);
-        } else {
-          throw new Error('Unsupported data type');
-        }
-      } else if (params.type === 'seek') {
-        this._position = params.position ?? 0;
-        return;
-      } else if (params.type === 'truncate') {
-        await this._fd!.truncate(params.size ?? 0);
-        return;
-      } else {
-        throw new Error('Unsupported write type');
+  async close(): Promise<void> {
+    const swap = this._swap!;
+    this._swap = null;
+    try {
+      let replaced;
+      try {
+        replaced = await swap.commit();
+      } catch (error) {
+        this._usage.release(this._size);
+        throw toDOMException(error, this._name);
       }
-    } else if (data instanceof ArrayBuffer || ArrayBuffer.isView(data)) {
-      buffer = Buffer.from(data as ArrayBuffer);
-    } else if (typeof data === 'string') {
-      buffer = Buffer.from(data);
-    } else {
-      throw new Error('Unsupported data type');
-    }
-
-    const writePosition = position !== undefined ? position : this._position;
-    
-    const { bytesWritten } = await this._fd!.write(buffer, 0, buffer.length, writePosition);
-    if (position === undefined) {
-      this._position += bytesWritten;
+      // The swap file took the place of the previous contents
+      this._usage.release(replaced);
+      this._committed();
+    } finally {
+      await this._lock.release();
     }
   }
 
   /**
-   * Seek to a position in the file
+   * Discard everything written so far
    */
-  async seek(position: number): Promise<void> {
-    this._position = position;
+  async abort(): Promise<void> {
+    try {
+      await this._discard();
+    } catch (error) {
+      throw toDOMException(error, this._name);
+    }
   }
 
-  /**
-   * Truncate the file to the specified size
-   */
-  async truncate(size: number): Promise<void> {
-    await this._ensureOpen();
-    await this._fd!.truncate(size);
+  private async _discard(): Promise<void> {
+    if (this._swap) {
+      const swap = this._swap;
+      this._swap = null;
+      try {
+        await swap.discard();
+        this._usage.release(this._size);
+      } finally {
+        await this._lock.release();
+      }
+    }
   }
 
   /**
-   * Close the stream
+   * Applies a chunk following the "write a chunk" steps of the File System spec
    */
-  async close(): Promise<void> {
-    if (this._closed) {
+  private async _write(swap: BackendSwapFile, chunk: FileSystemWriteChunkType): Promise<void> {
+    const params = toWriteParams(chunk);
+
+    if (params.type === 'seek') {
+      this._position = params.position;
       return;
     }
 
-    await this._initPromise;
-    
-    if (this._fd) {
-      await this._fd.sync();
-      await this._fd.close();
-      this._fd = null;
+    if (params.type === 'truncate') {
+      await this._resize(params.size);
+      await swap.truncate(params.size);
+      // The cursor never points past the end of a truncated file
+      this._position = Math.min(this._position, params.size);
+      return;
+    }
+
+    let position = params.position ?? this._position;
+    const length = params.data instanceof Blob ? params.data.size : params.data.byteLength;
+    const size = this._size;
+    await this._resize(Math.max(size, position + length));
+
+    // Writing past the end of the file extends it with zeros first
+    if (position > size) {
+      await swap.truncate(position);
+    }
+
+    if (params.data instanceof Blob) {
+      // Stream the blob so that it never has to be held in memory at once
+      for await (const part of params.data.stream() as AsyncIterable<Uint8Array>) {
+        await swap.write(part, position);
+        position += part.byteLength;
+      }
+    } else {
+      await swap.write(params.data, position);
+      position += params.data.byteLength;
     }
-    
-    this._closed = true;
+
+    this._position = position;
+  }
+
+  /**
+   * Accounts for the swap file changing to newSize bytes, failing with a
+   * QuotaExceededError if it cannot grow that much
+   */
+  private async _resize(newSize: number): Promise<void> {
+    await this._usage.reserve(newSize - this._size);
+    this._size = newSize;
   }
 }
 
+/**
+ * A validated chunk with its data converted to bytes or a Blob
+ */
+type NormalizedWriteParams =
+  | { type: 'write'; position?: number; data: Uint8Array | Blob }
+  | { type: 'seek'; position: number }
+  | { type: 'truncate'; size: number };
+
+/**
+ * Converts a chunk the way WebIDL converts the
+ * (BufferSource or Blob or USVString or WriteParams) union, then checks the
+ * members each command requires.
+ */
+function toWriteParams(chunk: FileSystemWriteChunkType): NormalizedWriteParams {
+  const isDictionary = chunk === null || chunk === undefined ||
+    typeof chunk === 'object' || typeof chunk === 'function';
+  if (!isDictionary || isBinaryData(chunk)) {
+    return { type: 'write', data: toData(chunk) };
+  }
+
+  // Anything else, including null and undefined, is a WriteParams dictionary
+  const params = (chunk ?? {}) as Partial<Record<'type' | 'position' | 'size' | 'data', any>>;
+
+  switch (params.type) {
+    case 'write':
+      if (params.data === undefined || params.data === null) {
+        throw new DOMException('write requires a data argument', 'SyntaxError');
+      }
+      return {
+        type: 'write',
+        position: params.position === undefined || params.position === null
+          ? undefined
+          : toOffset(params.position, 'position'),
+        data: toData(params.data)
+      };
+    case 'seek':
+      if (params.position === undefined || params.position === null) {
+        throw new DOMException('seek requires a position argument', 'SyntaxError');
+      }
+      return { type: 'seek', position: toOffset(params.position, 'position') };
+    case 'truncate':
+      if (params.size === undefined || params.size === null) {
+        throw new DOMException('truncate requires a size argument', 'SyntaxError');
+      }
+      return { type: 'truncate', size: toOffset(params.size, 'size') };
+    case undefined:
+      throw new TypeError(`WriteParams requires a type`);
+    default:
+      throw new TypeError(`'${String(params.type)}' is not a valid WriteCommandType`);
+  }
+}
+
+/**
+ * Returns true for the BufferSource and Blob members of the union
+ */
+function isBinaryData(value: unknown): value is BufferSource | Blob {
+  return value instanceof ArrayBuffer ||
+    ArrayBuffer.isView(value) ||
+    value instanceof Blob ||
+    Object.prototype.toString.call(value) === '[object SharedArrayBuffer]';
+}
+
+/**
+ * Converts chunk data to bytes, keeping Blobs as they are so they can be streamed
+ */
+export function toData(data: unknown): Uint8Array | Blob {
+  if (data instanceof Blob) {
+    return data;
+  }
+  if (ArrayBuffer.isView(data)) {
+    return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+  }
+  if (isBinaryData(data)) {
+    return new Uint8Array(data as ArrayBuffer);
+  }
+  if (typeof data === 'symbol' || typeof data === 'object') {
+    throw new TypeError('Data must be a BufferSource, Blob or string');
+  }
+  // Other primitives are converted to strings; lone surrogates become U+FFFD
+  return Buffer.from(String(data), 'utf8');
+}
+
+/**
+ * Converts a position or size to a non-negative integer
+ */
+function toOffset(value: unknown, member: string): number {
+  const offset = Math.trunc(Number(value));
+  if (!Number.isFinite(offset) || offset < 0 || offset > Number.MAX_SAFE_INTEGER) {
+    throw new TypeError(`'${member}' must be a non-negative integer`);
+  }
+  return offset;
+}
+
 /**
  * Write parameters for the write method
  */
-export type WriteParams = 
+export type WriteParams =
   | { type: 'write'; position?: number; data: BufferSource | Blob | string }
   | { type: 'seek'; position: number }
   | { type: 'truncate'; size?: number };
-
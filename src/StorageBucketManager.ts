@@ -0,0 +1,322 @@
+import * as path from 'path';
+import * as fs from 'fs/promises';
+import {
+  getReadyContext,
+  setParentUsage,
+  StorageManager,
+  StorageManagerOptions,
+  StorageEstimate
+} from './StorageManager.js';
+import { FileSystemDirectoryHandle } from './FileSystemDirectoryHandle.js';
+import { RESERVED_PREFIX } from './paths.js';
+
+/**
+ * Directory inside a base directory that holds one directory per bucket
+ */
+export const BUCKETS_DIR_NAME = `${RESERVED_PREFIX}buckets`;
+
+/**
+ * Bucket names may only contain lowercase letters, digits, '_' and '-', and
+ * must not start with '_' or '-'
+ */
+const BUCKET_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+
+/**
+ * How writes to a bucket should be flushed
+ */
+export type StorageBucketDurability = 'strict' | 'relaxed';
+
+/**
+ * Options for StorageBucketManager.open(). They only apply when the bucket is
+ * created; opening an existing bucket keeps its settings.
+ */
+export interface StorageBucketOptions {
+  persisted?: boolean;
+  durability?: StorageBucketDurability;
+  /**
+   * Maximum number of bytes the bucket may store
+   */
+  quota?: number;
+  /**
+   * Time in milliseconds since the epoch after which the bucket is deleted
+   */
+  expires?: number;
+}
+
+/**
+ * Settings of a bucket, kept in its storage's metadata
+ */
+interface BucketSettings {
+  durability: StorageBucketDurability;
+  quota?: number;
+  expires: number | null;
+}
+
+// Set by StorageBucketManager's static block, see bucketsUsage()
+let measureBuckets: (buckets: StorageBucketManager) => Promise<number>;
+
+/**
+ * Returns the bytes stored in all buckets, expired or not, which count
+ * towards the usage of the StorageManager they belong to
+ */
+export function bucketsUsage(buckets: StorageBucketManager): Promise<number> {
+  return measureBuckets(buckets);
+}
+
+/**
+ * Implementation of `navigator.storageBuckets`. Each bucket is a separate
+ * storage area with its own root directory, quota and persistence. Like in
+ * browsers, what buckets store also counts towards the usage and quota of
+ * their StorageManager. Buckets of a disk StorageManager live in a hidden
+ * directory inside its base directory.
+ */
+export class StorageBucketManager {
+  static {
+    measureBuckets = buckets => buckets._usage();
+  }
+
+  private _storage: StorageManager;
+  private _options: StorageManagerOptions;
+  // Open buckets by directory, or by name for memory buckets, so that all
+  // handles of a bucket share its usage and locks
+  private _storages = new Map<string, StorageManager>();
+
+  constructor(storage: StorageManager, options: StorageManagerOptions) {
+    this._storage = storage;
+    this._options = options;
+  }
+
+  /**
+   * Opens the bucket with the given name, creating it if it does not exist
+   */
+  async open(name: string, options?: StorageBucketOptions): Promise<StorageBucket> {
+    assertValidBucketName(name);
+    const settings = toBucketSettings(options);
+
+    let storage = await this._find(name);
+    if (storage) {
+      return new StorageBucket(name, storage);
+    }
+
+    storage = await this._create(name, settings.quota);
+    await writeSettings(storage, settings);
+    if (options?.persisted) {
+      await storage.persist();
+    }
+    this._storages.set(this._key(name), storage);
+    return new StorageBucket(name, storage);
+  }
+
+  /**
+   * Returns the names of all buckets, in sorted order
+   */
+  async keys(): Promise<string[]> {
+    const keys: string[] = [];
+    for (const name of await this._names()) {
+      // Expired buckets are deleted on the way
+      if (await this._find(name)) {
+        keys.push(name);
+      }
+    }
+    return keys.sort();
+  }
+
+  /**
+   * Deletes a bucket and everything in it. Fails with a
+   * NoModificationAllowedError while any of its files are open.
+   */
+  async delete(name: string): Promise<void> {
+    assertValidBucketName(name);
+    const storage = await this._find(name);
+    if (storage) {
+      await this._delete(name, storage);
+    }
+  }
+
+  /**
+   * Returns the storage of an existing bucket that has not expired
+   */
+  private async _find(name: string): Promise<StorageManager | null> {
+    const storage = await this._get(name);
+    if (storage) {
+      const { expires } = await readSettings(storage);
+      if (expires !== null && expires <= Date.now()) {
+        await this._delete(name, storage);
+        return null;
+      }
+    }
+    return storage;
+  }
+
+  /**
+   * Returns the storage of an existing bucket, whether or not it expired
+   */
+  private async _get(name: string): Promise<StorageManager | null> {
+    const key = this._key(name);
+    const storage = this._storages.get(key) ?? null;
+    if (this._isMemory()) {
+      return storage;
+    }
+
+    const exists = await fs.stat(key).then(() => true, () => false);
+    if (!exists) {
+      this._storages.delete(key);
+      return null;
+    }
+    if (storage) {
+      return storage;
+    }
+    // The bucket's quota is part of its settings
+    const { quota } = await readSettings(await this._create(name));
+    const created = await this._create(name, quota);
+    this._storages.set(key, created);
+    return created;
+  }
+
+  private async _create(name: string, quota?: number): Promise<StorageManager> {
+    const { backend, baseDir, ...options } = this._options;
+    let storage: StorageManager;
+    if (backend === 'memory') {
+      storage = new StorageManager({ ...options, backend, quota });
+    } else if (backend !== undefined && backend !== 'disk') {
+      throw new DOMException('Storage buckets are not supported by custom backends', 'NotSupportedError');
+    } else if (options.containerFile !== undefined) {
+      throw new DOMException('Storage buckets are not supported by container files', 'NotSupportedError');
+    } else {
+      storage = new StorageManager({ ...options, baseDir: this._key(name), quota });
+    }
+    setParentUsage(storage, (await getReadyContext(this._storage)).usage);
+    return storage;
+  }
+
+  /**
+   * Returns the names of the buckets, including expired ones
+   */
+  private async _names(): Promise<string[]> {
+    const names = this._isMemory()
+      ? Array.from(this._storages.keys())
+      : await fs.readdir(this._bucketsDir()).catch(() => []);
+    return names.filter(name => BUCKET_NAME_PATTERN.test(name));
+  }
+
+  private async _usage(): Promise<number> {
+    let total = 0;
+    for (const name of await this._names()) {
+      const storage = await this._get(name);
+      if (storage) {
+        total += await (await getReadyContext(storage)).usage.usage();
+      }
+    }
+    return total;
+  }
+
+  private async _delete(name: string, storage: StorageManager): Promise<void> {
+    // Removing the root respects the locks of open handles
+    await (await storage.getDirectory()).remove({ recursive: true });
+    this._storages.delete(this._key(name));
+    if (!this._isMemory()) {
+      await fs.rm(this._key(name), { recursive: true, force: true });
+    }
+  }
+
+  private _key(name: string): string {
+    return this._isMemory() ? name : path.join(this._bucketsDir(), name);
+  }
+
+  private _isMemory(): boolean {
+    return this._options.backend === 'memory';
+  }
+
+  private _bucketsDir(): string {
+    return path.join(this._storage.getBaseDir(), BUCKETS_DIR_NAME);
+  }
+}
+
+/**
+ * A storage bucket returned by StorageBucketManager.open()
+ */
+export class StorageBucket {
+  readonly name: string;
+  private _storage: StorageManager;
+
+  constructor(name: string, storage: StorageManager) {
+    this.name = name;
+    this._storage = storage;
+  }
+
+  /**
+   * Get the root directory handle of the bucket
+   */
+  getDirectory(): Promise<FileSystemDirectoryHandle> {
+    return this._storage.getDirectory();
+  }
+
+  estimate(): Promise<StorageEstimate> {
+    return this._storage.estimate();
+  }
+
+  persist(): Promise<boolean> {
+    return this._storage.persist();
+  }
+
+  persisted(): Promise<boolean> {
+    return this._storage.persisted();
+  }
+
+  async durability(): Promise<StorageBucketDurability> {
+    return (await readSettings(this._storage)).durability;
+  }
+
+  /**
+   * Sets the time in milliseconds since the epoch after which the bucket is
+   * deleted
+   */
+  async setExpires(expires: number): Promise<void> {
+    await writeSettings(this._storage, { ...await readSettings(this._storage), expires: toExpires(expires) });
+  }
+
+  async expires(): Promise<number | null> {
+    return (await readSettings(this._storage)).expires;
+  }
+}
+
+function assertValidBucketName(name: string): void {
+  if (typeof name !== 'string' || !BUCKET_NAME_PATTERN.test(name)) {
+    throw new TypeError(`'${name}' is not a valid bucket name`);
+  }
+}
+
+function toBucketSettings(options?: StorageBucketOptions): BucketSettings {
+  const durability = options?.durability ?? 'relaxed';
+  if (durability !== 'strict' && durability !== 'relaxed') {
+    throw new TypeError(`'${durability}' is not a valid StorageBucketDurability`);
+  }
+  const quota = options?.quota;
+  if (quota !== undefined && !(Number.isSafeInteger(quota) && quota > 0)) {
+    throw new TypeError('quota must be a positive integer');
+  }
+  const expires = options?.expires === undefined ? null : toExpires(options.expires);
+  return { durability, quota, expires };
+}
+
+function toExpires(expires: number): number {
+  if (!Number.isFinite(expires)) {
+    throw new TypeError('expires must be a time in milliseconds');
+  }
+  return expires;
+}
+
+async function readSettings(storage: StorageManager): Promise<BucketSettings> {
+  const { backend } = await getReadyContext(storage);
+  const metadata = await backend.readMetadata();
+  return {
+    durability: metadata.durability === 'strict' ? 'strict' : 'relaxed',
+    quota: typeof metadata.quota === 'number' ? metadata.quota : undefined,
+    expires: typeof metadata.expires === 'number' ? metadata.expires : null
+  };
+}
+
+async function writeSettings(storage: StorageManager, settings: BucketSettings): Promise<void> {
+  const { backend } = await getReadyContext(storage);
+  await backend.writeMetadata({ ...await backend.readMetadata(), ...settings });
+}
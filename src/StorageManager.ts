@@ -1,27 +1,228 @@
 import * as path from 'path';
 import * as os from 'os';
-import * as fs from 'fs/promises';
 import { FileSystemDirectoryHandle } from './FileSystemDirectoryHandle.js';
+import { ContextOptions, createContext, StorageContext } from './context.js';
+import { LockManager, lockManager } from './locks.js';
+import { ChangeNotifier } from './changes.js';
+import { CrossProcessLockManager } from './lockfiles.js';
+import { StorageBackend } from './backend.js';
+import { DiskBackend } from './disk.js';
+import { MemoryBackend } from './memory.js';
+import { ContainerBackend } from './container.js';
+import { FaultInjectingBackend, FaultInjector } from './faults.js';
+import { EncryptedBackend } from './encrypted.js';
+import { bucketsUsage, StorageBucketManager } from './StorageBucketManager.js';
+import { UsageTracker } from './quota.js';
+import { ORIGINS_DIR_NAME, originDirectoryName } from './origins.js';
+import { recoverTransactions } from './journal.js';
+import { toDOMException } from './errors.js';
+
+/**
+ * Options for a StorageManager
+ */
+export interface StorageManagerOptions {
+  /**
+   * Directory holding the origin private file system. Defaults to `~/.node-opfs`.
+   */
+  baseDir?: string;
+
+  /**
+   * Where entries are stored: 'disk' (the default) stores them under
+   * baseDir, 'memory' keeps them in memory for the lifetime of the
+   * StorageManager. A StorageBackend object can be passed to store them
+   * anywhere else.
+   */
+  backend?: 'disk' | 'memory' | StorageBackend;
+
+  /**
+   * Store everything inside this one file instead of as files and
+   * directories under baseDir. See ContainerBackend.
+   */
+  containerFile?: string;
+
+  /**
+   * Make locks taken by writables, access handles and removals hold across
+   * all processes using the same base directory, not just this one
+   */
+  crossProcessLocks?: boolean;
+
+  /**
+   * With crossProcessLocks, milliseconds to wait for a lock held by another
+   * process before failing with a NoModificationAllowedError. Defaults to 0.
+   */
+  lockTimeout?: number;
+
+  /**
+   * Maximum number of bytes that may be stored. Writes and file or directory
+   * creation that would exceed it fail with a QuotaExceededError. Defaults to
+   * no limit beyond the free space of the disk.
+   */
+  quota?: number;
+
+  /**
+   * Encrypt everything stored with AES-256-GCM: a 32-byte key, or a
+   * passphrase to derive one from. Storage created with a key can only be
+   * opened with the same key. See EncryptedBackend.
+   */
+  encryptionKey?: Uint8Array | string;
+
+  /**
+   * With encryptionKey, also encrypt the names of files and directories
+   */
+  encryptNames?: boolean;
+
+  /**
+   * Injects the faults scripted on a FaultInjector into every operation,
+   * and records them, for tests
+   */
+  faults?: FaultInjector;
+}
+
+/**
+ * Result of StorageManager.estimate()
+ */
+export interface StorageEstimate {
+  usage: number;
+  quota: number;
+}
+
+// Set by StorageManager's static block, see getReadyContext()
+let readyContext: (storage: StorageManager) => Promise<StorageContext>;
+
+/**
+ * Usage of the StorageManager each bucket's storage belongs to
+ */
+const parentUsages = new WeakMap<StorageManager, UsageTracker>();
+
+/**
+ * Returns the context of a StorageManager once its backend is ready, for
+ * the modules built on it. Not exported from the package.
+ */
+export function getReadyContext(storage: StorageManager): Promise<StorageContext> {
+  return readyContext(storage);
+}
+
+/**
+ * Makes the usage of a bucket's storage count towards that of the storage
+ * it belongs to. Must be called before the bucket's storage is first used.
+ */
+export function setParentUsage(storage: StorageManager, usage: UsageTracker): void {
+  parentUsages.set(storage, usage);
+}
 
 /**
  * Storage Manager for accessing the origin private file system
  */
 export class StorageManager {
+  static {
+    readyContext = storage => storage._getReadyContext();
+  }
+
   private _baseDir: string;
+  private _options: StorageManagerOptions;
+  private _context: StorageContext | null = null;
+  private _ready: Promise<void> | null = null;
+  private _buckets: StorageBucketManager | null = null;
 
-  constructor(baseDir?: string) {
+  constructor(options?: string | StorageManagerOptions) {
+    this._options = typeof options === 'string' ? { baseDir: options } : options ?? {};
+    const quota = this._options.quota;
+    if (quota !== undefined && !(Number.isSafeInteger(quota) && quota >= 0)) {
+      throw new TypeError('quota must be a non-negative integer');
+    }
+    const backend = this._options.backend ?? 'disk';
+    if (backend !== 'disk' && backend !== 'memory' && typeof backend !== 'object') {
+      throw new TypeError(`'${backend}' is not a valid backend`);
+    }
+    if (this._options.faults !== undefined && !(this._options.faults instanceof FaultInjector)) {
+      throw new TypeError('faults must be a FaultInjector');
+    }
+    const { containerFile } = this._options;
+    if (containerFile !== undefined && (typeof containerFile !== 'string' || containerFile === '')) {
+      throw new TypeError('containerFile must be a path');
+    }
+    if (containerFile !== undefined && this._options.backend !== undefined) {
+      throw new TypeError('containerFile cannot be combined with backend');
+    }
+    if (this._options.crossProcessLocks && (backend !== 'disk' || containerFile !== undefined)) {
+      throw new TypeError('crossProcessLocks requires the disk backend');
+    }
+    const { encryptionKey } = this._options;
+    if (encryptionKey !== undefined &&
+        !(typeof encryptionKey === 'string' && encryptionKey !== '') &&
+        !(encryptionKey instanceof Uint8Array && encryptionKey.byteLength === 32)) {
+      throw new TypeError('encryptionKey must be a passphrase or 32 bytes');
+    }
     // Default to a directory in the user's home directory
-    this._baseDir = baseDir || path.join(os.homedir(), '.node-opfs');
+    this._baseDir = this._options.baseDir || defaultBaseDir();
+  }
+
+  /**
+   * Returns a StorageManager for one origin, so that several origins can
+   * share a base directory without seeing each other's data. Each origin is
+   * stored in its own hidden subdirectory of the base directory. Memory
+   * StorageManagers are always isolated, so origins make no difference there.
+   * Container files hold a single origin.
+   */
+  static forOrigin(origin: string, options?: string | StorageManagerOptions): StorageManager {
+    const resolved = typeof options === 'string' ? { baseDir: options } : options ?? {};
+    if (resolved.containerFile !== undefined) {
+      throw new DOMException('Origins are not supported by container files', 'NotSupportedError');
+    }
+    const baseDir = path.join(resolved.baseDir || defaultBaseDir(), ORIGINS_DIR_NAME, originDirectoryName(origin));
+    return new StorageManager({ ...resolved, baseDir });
+  }
+
+  /**
+   * The storage buckets of this StorageManager, like `navigator.storageBuckets`
+   */
+  get storageBuckets(): StorageBucketManager {
+    this._buckets ??= new StorageBucketManager(this, this._options);
+    return this._buckets;
   }
 
   /**
-   * Get the root directory handle for the origin private file system
+   * Get the root directory handle for the origin private file system.
+   * Transactions left unfinished by a crash are completed or rolled back first.
    */
   async getDirectory(): Promise<FileSystemDirectoryHandle> {
-    // Ensure the base directory exists
-    await fs.mkdir(this._baseDir, { recursive: true });
-    
-    return new FileSystemDirectoryHandle('', this._baseDir);
+    const context = await this._getReadyContext();
+    try {
+      await recoverTransactions(context);
+    } catch (error) {
+      throw toDOMException(error, 'transaction');
+    }
+    return new FileSystemDirectoryHandle('', context.root, context);
+  }
+
+  /**
+   * Returns the number of bytes stored and the quota. Usage is measured once
+   * and then kept up to date as files change, and includes storage buckets.
+   * Without a configured quota, the quota is usage plus the free space of
+   * the disk; a bucket's is also limited by the room its parent has left.
+   */
+  async estimate(): Promise<StorageEstimate> {
+    const { backend, usage: tracker } = await this._getReadyContext();
+    const usage = await tracker.usage();
+    return { usage, quota: usage + (await tracker.room() ?? await backend.freeSpace()) };
+  }
+
+  /**
+   * Marks storage as persistent. Nothing is ever evicted in Node.js, so this
+   * always succeeds; the result is remembered for persisted().
+   */
+  async persist(): Promise<boolean> {
+    const { backend } = await this._getReadyContext();
+    await backend.writeMetadata({ ...await backend.readMetadata(), persisted: true });
+    return true;
+  }
+
+  /**
+   * Returns true if persist() has been called for this base directory
+   */
+  async persisted(): Promise<boolean> {
+    const { backend } = await this._getReadyContext();
+    return (await backend.readMetadata()).persisted === true;
   }
 
   /**
@@ -29,6 +230,8 @@ export class StorageManager {
    */
   setBaseDir(baseDir: string): void {
     this._baseDir = baseDir;
+    this._context = null;
+    this._ready = null;
   }
 
   /**
@@ -37,6 +240,81 @@ export class StorageManager {
   getBaseDir(): string {
     return this._baseDir;
   }
+
+  /**
+   * Returns the context, preparing the backend on first use
+   */
+  private async _getReadyContext(): Promise<StorageContext> {
+    const context = this._getContext();
+    this._ready ??= this._init(context.backend).catch(error => {
+      // Try again next time
+      this._ready = null;
+      throw error;
+    });
+    await this._ready;
+    return context;
+  }
+
+  /**
+   * Prepares the backend. Encrypted storage cannot be opened without its key.
+   */
+  private async _init(backend: StorageBackend): Promise<void> {
+    await backend.init();
+    if (!(backend instanceof EncryptedBackend) && (await backend.readMetadata()).encryption !== undefined) {
+      throw new DOMException('The storage is encrypted; pass its encryptionKey', 'InvalidStateError');
+    }
+  }
+
+  private _getContext(): StorageContext {
+    if (!this._context) {
+      const backend = this._options.backend ?? 'disk';
+      const { encryptionKey, encryptNames, faults, quota } = this._options;
+      let storage: StorageBackend;
+      let options: ContextOptions;
+      if (this._options.containerFile !== undefined) {
+        // Only this thread can open the container, so its handles cannot be serialized
+        storage = new ContainerBackend(this._options.containerFile);
+        options = { quota };
+      } else if (backend === 'disk') {
+        const { crossProcessLocks, lockTimeout } = this._options;
+        const locks = crossProcessLocks
+          ? new CrossProcessLockManager(this._baseDir, { timeout: lockTimeout })
+          : lockManager;
+        // Keys and injectors are not handed on, so such handles cannot be serialized
+        const storageOptions = encryptionKey === undefined && faults === undefined
+          ? { baseDir: path.resolve(this._baseDir), crossProcessLocks, lockTimeout, quota }
+          : undefined;
+        storage = new DiskBackend(this._baseDir);
+        options = { locks, quota, storageOptions, measureOthers: () => bucketsUsage(this.storageBuckets) };
+      } else {
+        // Locks and changes are keyed by path, so other backends cannot share them
+        storage = backend === 'memory' ? new MemoryBackend() : backend;
+        options = { locks: new LockManager(), changes: new ChangeNotifier(), quota };
+        if (backend === 'memory') {
+          options.measureOthers = () => bucketsUsage(this.storageBuckets);
+        }
+      }
+      options.parentUsage = parentUsages.get(this);
+
+      if (encryptionKey !== undefined) {
+        storage = new EncryptedBackend(storage, { key: encryptionKey, encryptNames });
+      }
+      if (faults !== undefined) {
+        storage = new FaultInjectingBackend(storage, faults);
+        // Like a process of its own, so that locks left behind by a crash()
+        // do not outlive it
+        if (!this._options.crossProcessLocks) {
+          options = { ...options, locks: new LockManager(), changes: new ChangeNotifier() };
+        }
+      }
+      this._context = createContext(storage, options);
+    }
+    return this._context;
+  }
+}
+
+function defaultBaseDir(): string {
+  return path.join(os.homedir(), '.node-opfs');
 }
 
 /**
@@ -48,14 +326,18 @@ const storageManager = new StorageManager();
  * Navigator-like API for accessing storage
  */
 export const storage = {
-  getDirectory: () => storageManager.getDirectory()
+  getDirectory: () => storageManager.getDirectory(),
+  estimate: () => storageManager.estimate(),
+  persist: () => storageManager.persist(),
+  persisted: () => storageManager.persisted()
 };
 
 /**
  * Navigator-like object
  */
 export const navigator = {
-  storage
+  storage,
+  storageBuckets: storageManager.storageBuckets
 };
 
 export default storageManager;
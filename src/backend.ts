@@ -0,0 +1,213 @@
+/**
+ * Kind of an entry in the file system
+ */
+export type EntryKind = 'file' | 'directory';
+
+/**
+ * What a backend knows about an entry
+ */
+export interface EntryInfo {
+  kind: EntryKind;
+  /**
+   * Size in bytes; 0 for directories
+   */
+  size: number;
+  lastModified: number;
+  /**
+   * Identifies the underlying entry, so that two paths can be compared
+   */
+  id: string;
+}
+
+/**
+ * Storage that the handles read and write through. Entries are addressed by
+ * paths built from root with path.join().
+ *
+ * Missing entries are reported with errors whose code is 'ENOENT' and
+ * existing ones with 'EEXIST', like Node's fs module does, so that handles
+ * can map them to DOMExceptions the same way for every backend.
+ *
+ * Entries whose names start with `.node-opfs-` are the library's own
+ * bookkeeping, like staged transactions. list() leaves them out, and they
+ * do not stop remove() from treating a directory as empty.
+ */
+export interface StorageBackend {
+  /**
+   * Path of the root directory
+   */
+  readonly root: string;
+
+  /**
+   * Prepares the storage before first use
+   */
+  init(): Promise<void>;
+
+  /**
+   * Returns true if other stores its entries in the same place, so that
+   * entries can be moved between the two
+   */
+  isSameStorage(other: StorageBackend): boolean;
+
+  stat(entryPath: string): Promise<EntryInfo>;
+
+  /**
+   * Lists the files and directories in a directory
+   */
+  list(dirPath: string): Promise<Array<[string, EntryKind]>>;
+
+  createFile(filePath: string): Promise<void>;
+
+  createDirectory(dirPath: string): Promise<void>;
+
+  /**
+   * Removes an entry. Non-empty directories are only removed with recursive;
+   * removing the root removes everything inside it. Returns the kind of the
+   * removed entry and, with measure, the number of bytes freed.
+   */
+  remove(entryPath: string, recursive: boolean, measure: boolean): Promise<RemovedEntry>;
+
+  /**
+   * Moves an entry, replacing an existing file at target. Returns the size
+   * of the replaced file.
+   */
+  move(source: string, target: string): Promise<number>;
+
+  /**
+   * Returns a File with the current contents. Reading it fails with a
+   * NotReadableError once the file has changed.
+   */
+  getFile(filePath: string, name: string, type: string): Promise<File>;
+
+  /**
+   * Opens a swap file for a writable, starting out with a copy of the file's
+   * contents with keepExistingData
+   */
+  openSwap(filePath: string, keepExistingData: boolean): Promise<BackendSwapFile>;
+
+  /**
+   * Opens a file for a sync access handle
+   */
+  openSync(filePath: string, writable: boolean): Promise<BackendSyncFile>;
+
+  /**
+   * Returns the number of bytes stored under a directory, swap files included
+   */
+  measure(dirPath: string): Promise<number>;
+
+  /**
+   * Returns the number of bytes that could still be stored
+   */
+  freeSpace(): Promise<number>;
+
+  /**
+   * Reads and writes a small record kept alongside the entries
+   */
+  readMetadata(): Promise<Record<string, unknown>>;
+  writeMetadata(metadata: Record<string, unknown>): Promise<void>;
+
+  /**
+   * Sets the modification time of an entry, in milliseconds since the epoch.
+   * Backends that cannot store it leave it out.
+   */
+  setLastModified?(entryPath: string, lastModified: number): Promise<void>;
+
+  /**
+   * Creates target as a copy of the file at source, keeping its modification
+   * time, more cheaply than reading and writing it, for snapshots. Later
+   * changes through the backend to either file must not show in the other.
+   * Backends without a cheaper way leave it out.
+   */
+  cloneFile?(source: string, target: string): Promise<void>;
+
+  /**
+   * Watches a directory for changes made outside of this library, calling
+   * listener with the path of each changed entry, or null when it is not
+   * known. Returns a function that stops watching, or throws if the host
+   * cannot watch the directory. Backends whose entries can only change
+   * through this library leave it out.
+   */
+  watch?(
+    dirPath: string,
+    recursive: boolean,
+    listener: (entryPath: string | null) => void,
+    onError: (error: Error) => void
+  ): () => void;
+}
+
+/**
+ * Result of StorageBackend.remove()
+ */
+export interface RemovedEntry {
+  kind: EntryKind;
+  /**
+   * Bytes freed, or 0 when they were not measured
+   */
+  size: number;
+}
+
+/**
+ * Private copy of a file that a writable writes to
+ */
+export interface BackendSwapFile {
+  size(): Promise<number>;
+  /**
+   * Reads into buffer, returning the number of bytes read. Only backends
+   * wrapped in an EncryptedBackend need it.
+   */
+  read?(buffer: Uint8Array, position: number): Promise<number>;
+  write(data: Uint8Array, position: number): Promise<void>;
+  truncate(size: number): Promise<void>;
+
+  /**
+   * Replaces the file with the swap file. Returns the size of the replaced
+   * contents.
+   */
+  commit(): Promise<number>;
+
+  /**
+   * Deletes the swap file, leaving the file untouched
+   */
+  discard(): Promise<void>;
+}
+
+/**
+ * A file opened by a sync access handle
+ */
+export interface BackendSyncFile {
+  read(buffer: Uint8Array, position: number): number;
+  write(buffer: Uint8Array, position: number): number;
+  truncate(size: number): void;
+  size(): number;
+  flush(): void;
+  close(): Promise<void>;
+}
+
+/**
+ * Error for removing a directory that still has entries
+ */
+export function notEmptyError(name: string): DOMException {
+  return new DOMException(`Directory '${name}' is not empty`, 'InvalidModificationError');
+}
+
+/**
+ * Error for moving an entry onto one it cannot replace
+ */
+export function targetExistsError(name: string): DOMException {
+  return new DOMException(`'${name}' already exists`, 'InvalidModificationError');
+}
+
+const FS_ERROR_MESSAGES: Record<string, string> = {
+  EBADMSG: 'bad message',
+  EEXIST: 'file already exists',
+  EISDIR: 'illegal operation on a directory',
+  ENOENT: 'no such file or directory',
+  ENOTDIR: 'not a directory'
+};
+
+/**
+ * An error shaped like the ones Node's fs module throws, for backends to
+ * report the conditions described above
+ */
+export function fsError(code: string, entryPath: string): Error {
+  return Object.assign(new Error(`${code}: ${FS_ERROR_MESSAGES[code]}, '${entryPath}'`), { code });
+}
@@ -0,0 +1,56 @@
+import * as path from 'path';
+import { EntryKind } from './backend.js';
+
+/**
+ * A change made through this library's APIs
+ */
+export interface ChangeEvent {
+  type: 'appeared' | 'disappeared' | 'modified' | 'moved';
+  kind: EntryKind;
+  /**
+   * Resolved path of the changed entry
+   */
+  path: string;
+  /**
+   * For 'moved', the resolved path the entry was moved from
+   */
+  movedFrom?: string;
+}
+
+export type ChangeListener = (event: ChangeEvent) => void;
+
+/**
+ * Tells FileSystemObservers about changes made through handles, so that they
+ * are reported right away and do not depend on fs.watch()
+ */
+export class ChangeNotifier {
+  private _listeners = new Set<ChangeListener>();
+
+  /**
+   * Calls listener for every change until the returned function is called
+   */
+  subscribe(listener: ChangeListener): () => void {
+    this._listeners.add(listener);
+    return () => {
+      this._listeners.delete(listener);
+    };
+  }
+
+  notify(type: ChangeEvent['type'], kind: EntryKind, entryPath: string, movedFrom?: string): void {
+    if (this._listeners.size === 0) {
+      return;
+    }
+    const event: ChangeEvent = { type, kind, path: path.resolve(entryPath) };
+    if (movedFrom !== undefined) {
+      event.movedFrom = path.resolve(movedFrom);
+    }
+    for (const listener of this._listeners) {
+      listener(event);
+    }
+  }
+}
+
+/**
+ * Changes made in this process, shared by every disk StorageManager
+ */
+export const changeNotifier = new ChangeNotifier();
@@ -0,0 +1,380 @@
+#!/usr/bin/env node
+/**
+ * The `node-opfs` command, for looking into and managing stores while
+ * debugging:
+ *
+ * ```sh
+ * npx node-opfs --base-dir ./data ls -R
+ * npx node-opfs --origin https://app.example cat settings/user.json
+ * ```
+ *
+ * It only goes through StorageManager and the handles, so hidden origins,
+ * swap files and transaction journals stay hidden, locks are respected, and
+ * errors are the library's DOMExceptions, which set the exit code.
+ */
+
+import * as fs from 'fs';
+import { once } from 'events';
+import { Writable } from 'stream';
+import { pipeline } from 'stream/promises';
+import { parseArgs } from 'util';
+import { StorageManager, StorageManagerOptions } from './StorageManager.js';
+import { FileSystemHandle } from './FileSystemHandle.js';
+import { FileSystemFileHandle } from './FileSystemFileHandle.js';
+import { FileSystemDirectoryHandle } from './FileSystemDirectoryHandle.js';
+import { getHandleByPath, sortedEntries, walk } from './tree.js';
+import { createNodeWriteStream, createReadStream } from './streams.js';
+import { exportTar, importTar } from './tar.js';
+import { toDOMException } from './errors.js';
+
+const USAGE = `Usage: node-opfs [options] <command> [arguments]
+
+Commands:
+  ls [path]                 List a directory; -R lists everything below it
+  tree [path]               Show a directory as a tree
+  cat <path>                Write a file to stdout
+  put <path> [file]         Write a local file, or stdin, to a file
+  mkdir <path>              Create a directory and any missing parents
+  rm <path>                 Remove an entry; -r for directories with entries
+  mv <path> <destination>   Move or rename an entry; into destination if it is a directory
+  du [path]                 Count the bytes of the files below a path
+  estimate                  Show the usage and quota of the store
+  export [path] [archive]   Write a directory to a tar archive, or to stdout
+  import <archive> [path]   Extract a tar archive, or stdin, into a directory
+
+Options:
+  --base-dir <dir>          Directory of the store (default: ~/.node-opfs)
+  --origin <origin>         Use the store of an origin, like https://app.example
+  --container <file>        Use a container file instead of a base directory
+  -r, -R, --recursive       Recurse into directories (ls, rm)
+  --overwrite               Replace existing files (import)
+  --json                    Print machine-readable JSON
+  -h, --help                Show this help
+
+Paths are '/'-separated and relative to the root of the store. Put paths
+that start with '-' after '--'.`;
+
+/**
+ * Exit codes for the DOMException names the library throws. TypeError is
+ * used for invalid arguments; anything else exits with 1.
+ */
+const EXIT_CODES: Record<string, number> = {
+  TypeError: 2,
+  NotFoundError: 3,
+  TypeMismatchError: 4,
+  InvalidModificationError: 5,
+  NoModificationAllowedError: 6,
+  NotAllowedError: 7,
+  SecurityError: 7,
+  QuotaExceededError: 8,
+  NotReadableError: 9,
+  InvalidStateError: 10,
+  NotSupportedError: 11
+};
+
+interface Options {
+  json: boolean;
+  recursive: boolean;
+  overwrite: boolean;
+}
+
+type Command = (root: FileSystemDirectoryHandle, args: string[], options: Options, storage: StorageManager) => Promise<unknown>;
+
+/**
+ * Each command returns what --json prints, or undefined when it printed
+ * its own output
+ */
+const COMMANDS: Record<string, Command> = {
+  async ls(root, args, options) {
+    const [entryPath = ''] = expectArguments(args, 0, 1);
+    const dir = await getDirectory(root, entryPath);
+    const entries = [];
+    for await (const [pathComponents, handle] of walk(dir, { maxDepth: options.recursive ? Infinity : 1 })) {
+      entries.push({ path: pathComponents.join('/'), kind: handle.kind, ...options.json ? await sizeOf(handle) : {} });
+    }
+    if (!options.json) {
+      print(entries.map(entry => entry.path + (entry.kind === 'directory' ? '/' : '')));
+      return undefined;
+    }
+    return entries;
+  },
+
+  async tree(root, args, options) {
+    const [entryPath = ''] = expectArguments(args, 0, 1);
+    const dir = await getDirectory(root, entryPath);
+    if (options.json) {
+      return { name: dir.name, kind: 'directory', children: await treeOf(dir) };
+    }
+    const lines = [entryPath || '/'];
+    await drawTree(dir, '', lines);
+    print(lines);
+    return undefined;
+  },
+
+  async cat(root, args) {
+    const [entryPath] = expectArguments(args, 1, 1);
+    await copyTo(createReadStream(await getFile(root, entryPath)), process.stdout);
+    return undefined;
+  },
+
+  async put(root, args) {
+    const [entryPath, source = '-'] = expectArguments(args, 1, 2);
+    const input = source === '-' ? process.stdin : fs.createReadStream(source);
+    // A missing local file should not leave an empty one behind
+    if (input !== process.stdin) {
+      await once(input, 'open');
+    }
+    const fileHandle = await getHandleByPath(root, toNames(entryPath), { create: true, kind: 'file' }) as FileSystemFileHandle;
+    await pipeline(input, createNodeWriteStream(fileHandle));
+    return { path: entryPath, kind: 'file', size: (await fileHandle.getFile()).size };
+  },
+
+  async mkdir(root, args) {
+    const [entryPath] = expectArguments(args, 1, 1);
+    await getHandleByPath(root, toNames(entryPath), { create: true, kind: 'directory' });
+    return { path: entryPath, kind: 'directory' };
+  },
+
+  async rm(root, args, options) {
+    const [entryPath] = expectArguments(args, 1, 1);
+    if (toNames(entryPath).length === 0) {
+      throw new TypeError('The root cannot be removed');
+    }
+    const handle = await getHandleByPath(root, toNames(entryPath));
+    await handle.remove({ recursive: options.recursive });
+    return { path: entryPath, kind: handle.kind };
+  },
+
+  async mv(root, args) {
+    const [entryPath, destination] = expectArguments(args, 2, 2);
+    const handle = await getHandleByPath(root, toNames(entryPath));
+    const names = toNames(destination);
+    let target: FileSystemHandle | null = null;
+    try {
+      target = await getHandleByPath(root, names);
+    } catch (error: any) {
+      if (error.name !== 'NotFoundError') {
+        throw error;
+      }
+    }
+    // Like mv(1), moving onto a directory moves into it
+    if (target instanceof FileSystemDirectoryHandle) {
+      await handle.move(target, handle.name);
+      return { path: [...names, handle.name].join('/'), kind: handle.kind };
+    }
+    if (names.length === 0) {
+      throw new TypeError('The destination must be a directory or a path below the root');
+    }
+    const parent = await getDirectory(root, names.slice(0, -1));
+    await handle.move(parent, names[names.length - 1]);
+    return { path: names.join('/'), kind: handle.kind };
+  },
+
+  async du(root, args, options) {
+    const [entryPath = ''] = expectArguments(args, 0, 1);
+    const handle = await getHandleByPath(root, toNames(entryPath));
+    let size = (await sizeOf(handle)).size ?? 0;
+    if (handle instanceof FileSystemDirectoryHandle) {
+      for await (const [, child] of walk(handle)) {
+        size += (await sizeOf(child)).size ?? 0;
+      }
+    }
+    if (!options.json) {
+      print([`${size}\t${entryPath || '/'}`]);
+      return undefined;
+    }
+    return { path: entryPath, size };
+  },
+
+  async estimate(root, args, options, storage) {
+    expectArguments(args, 0, 0);
+    const { usage, quota } = await storage.estimate();
+    if (!options.json) {
+      print([`usage\t${usage}`, `quota\t${quota}`]);
+      return undefined;
+    }
+    return { usage, quota };
+  },
+
+  async export(root, args) {
+    const [entryPath = '', archive = '-'] = expectArguments(args, 0, 2);
+    const tar = exportTar(await getDirectory(root, entryPath));
+    if (archive === '-') {
+      await copyTo(tar, process.stdout);
+      return undefined;
+    }
+    await pipeline(tar, fs.createWriteStream(archive));
+    return { path: entryPath, archive };
+  },
+
+  async import(root, args, options) {
+    const [archive, entryPath = ''] = expectArguments(args, 1, 2);
+    const input = archive === '-' ? process.stdin : fs.createReadStream(archive);
+    const dir = await getHandleByPath(root, toNames(entryPath), { create: true, kind: 'directory' }) as FileSystemDirectoryHandle;
+    await importTar(dir, input, { overwrite: options.overwrite });
+    return { path: entryPath, archive };
+  }
+};
+
+/**
+ * Options of main() that take a value, which is never an option itself
+ */
+const VALUE_OPTIONS = new Set(['--base-dir', '--origin', '--container']);
+
+/**
+ * Turns -R (as in ls(1)) and -r (as in rm(1)) into --recursive. Arguments
+ * after `--` and option values are left alone, so `rm -- -r` removes '-r'.
+ */
+function normalizeArgs(argv: string[]): string[] {
+  const args: string[] = [];
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--') {
+      args.push(...argv.slice(i));
+      break;
+    }
+    args.push(arg === '-R' || arg === '-r' ? '--recursive' : arg);
+    if (VALUE_OPTIONS.has(arg) && i + 1 < argv.length) {
+      args.push(argv[++i]);
+    }
+  }
+  return args;
+}
+
+async function main(argv: string[]): Promise<number> {
+  let json = argv.includes('--json');
+  try {
+    const { values, positionals } = parseArgs({
+      args: normalizeArgs(argv),
+      options: {
+        'base-dir': { type: 'string' },
+        origin: { type: 'string' },
+        container: { type: 'string' },
+        recursive: { type: 'boolean', default: false },
+        overwrite: { type: 'boolean', default: false },
+        json: { type: 'boolean', default: false },
+        help: { type: 'boolean', short: 'h', default: false }
+      },
+      allowPositionals: true
+    });
+    json = values.json!;
+    if (values.help) {
+      print([USAGE]);
+      return 0;
+    }
+
+    const [name, ...args] = positionals;
+    if (name === undefined) {
+      throw new TypeError('No command given');
+    }
+    if (!Object.hasOwn(COMMANDS, name)) {
+      throw new TypeError(`'${name}' is not a command`);
+    }
+    const storage = openStorage(values['base-dir'], values.origin, values.container);
+    const options = { json, recursive: values.recursive!, overwrite: values.overwrite! };
+    const result = await COMMANDS[name](await storage.getDirectory(), args, options, storage);
+    if (json && result !== undefined) {
+      print([JSON.stringify(result, null, 2)]);
+    }
+    return 0;
+  } catch (caught: any) {
+    // Errors of local files, like a missing archive, are translated like the library's
+    const error = toDOMException(caught, caught?.path ?? 'node-opfs');
+    const name = error instanceof DOMException ? error.name : 'TypeError';
+    if (json) {
+      process.stderr.write(JSON.stringify({ error: { name, message: error.message } }) + '\n');
+    } else {
+      process.stderr.write(`node-opfs: ${error.message}\n`);
+      if (name === 'TypeError') {
+        process.stderr.write(`Run 'node-opfs --help' for usage.\n`);
+      }
+    }
+    return EXIT_CODES[name] ?? 1;
+  }
+}
+
+/**
+ * Other processes can have the store open as well, so the command takes
+ * part in cross-process locking. A container is only ever open in one.
+ */
+function openStorage(baseDir: string | undefined, origin: string | undefined, containerFile: string | undefined): StorageManager {
+  if (containerFile !== undefined) {
+    if (baseDir !== undefined || origin !== undefined) {
+      throw new TypeError('--container cannot be combined with --base-dir or --origin');
+    }
+    return new StorageManager({ containerFile });
+  }
+  const options: StorageManagerOptions = { baseDir, crossProcessLocks: true };
+  return origin === undefined ? new StorageManager(options) : StorageManager.forOrigin(origin, options);
+}
+
+function expectArguments(args: string[], min: number, max: number): string[] {
+  if (args.length < min || args.length > max) {
+    throw new TypeError(min === max
+      ? `Expected ${min} argument${min === 1 ? '' : 's'}, got ${args.length}`
+      : `Expected ${min} to ${max} arguments, got ${args.length}`);
+  }
+  return args;
+}
+
+/**
+ * '.' and empty names are allowed, so that '/', '.' and './a' work as in
+ * a shell
+ */
+function toNames(entryPath: string): string[] {
+  return entryPath.split('/').filter(name => name !== '' && name !== '.');
+}
+
+async function getDirectory(root: FileSystemDirectoryHandle, entryPath: string | string[]): Promise<FileSystemDirectoryHandle> {
+  const names = typeof entryPath === 'string' ? toNames(entryPath) : entryPath;
+  return await getHandleByPath(root, names, { kind: 'directory' }) as FileSystemDirectoryHandle;
+}
+
+async function getFile(root: FileSystemDirectoryHandle, entryPath: string): Promise<FileSystemFileHandle> {
+  return await getHandleByPath(root, toNames(entryPath), { kind: 'file' }) as FileSystemFileHandle;
+}
+
+async function sizeOf(handle: FileSystemHandle): Promise<{ size?: number }> {
+  return handle instanceof FileSystemFileHandle ? { size: (await handle.getFile()).size } : {};
+}
+
+async function treeOf(dir: FileSystemDirectoryHandle): Promise<unknown[]> {
+  const children = [];
+  for (const [name, handle] of await sortedEntries(dir)) {
+    children.push(handle instanceof FileSystemDirectoryHandle
+      ? { name, kind: 'directory', children: await treeOf(handle) }
+      : { name, kind: 'file', ...await sizeOf(handle) });
+  }
+  return children;
+}
+
+async function drawTree(dir: FileSystemDirectoryHandle, indent: string, lines: string[]): Promise<void> {
+  const entries = await sortedEntries(dir);
+  for (const [index, [name, handle]] of entries.entries()) {
+    const last = index === entries.length - 1;
+    const isDirectory = handle instanceof FileSystemDirectoryHandle;
+    lines.push(`${indent}${last ? '└── ' : '├── '}${name}${isDirectory ? '/' : ''}`);
+    if (isDirectory) {
+      await drawTree(handle, indent + (last ? '    ' : '│   '), lines);
+    }
+  }
+}
+
+/**
+ * Copies a stream to stdout, which must not be ended like pipeline() would
+ */
+async function copyTo(input: AsyncIterable<Uint8Array>, output: Writable): Promise<void> {
+  for await (const chunk of input) {
+    if (!output.write(chunk)) {
+      await once(output, 'drain');
+    }
+  }
+}
+
+function print(lines: string[]): void {
+  if (lines.length > 0) {
+    process.stdout.write(lines.join('\n') + '\n');
+  }
+}
+
+process.exitCode = await main(process.argv.slice(2));
@@ -0,0 +1,932 @@
+import * as path from 'path';
+import * as fs from 'fs';
+import { createHash } from 'crypto';
+import { threadId } from 'worker_threads';
+import {
+  BackendSwapFile,
+  BackendSyncFile,
+  EntryInfo,
+  EntryKind,
+  fsError,
+  notEmptyError,
+  RemovedEntry,
+  StorageBackend,
+  targetExistsError
+} from './backend.js';
+import { MemorySnapshot } from './memory.js';
+import { isReservedName, isWithin } from './paths.js';
+import { isProcessAlive, processStartTime } from './processes.js';
+
+/**
+ * Bytes of a file, stored in the listed blocks. Bytes of the last block
+ * beyond size are left over from earlier use, so growing a file must
+ * zero-fill them.
+ */
+interface Contents {
+  size: number;
+  blocks: number[];
+}
+
+interface FileNode extends Contents {
+  kind: 'file';
+  id: number;
+  lastModified: number;
+  /**
+   * Bumped on every change, so that File snapshots can tell they are stale
+   */
+  version: number;
+}
+
+interface DirectoryNode {
+  kind: 'directory';
+  id: number;
+  lastModified: number;
+  children: Map<string, Node>;
+}
+
+type Node = FileNode | DirectoryNode;
+
+/**
+ * How a node is stored in the index. Blocks are stored as runs of
+ * `[first, count]`.
+ */
+type StoredNode =
+  | { kind: 'file'; id: number; lastModified: number; size: number; extents: Array<[number, number]> }
+  | { kind: 'directory'; id: number; lastModified: number; children: Record<string, StoredNode> };
+
+/**
+ * The index of a container: the whole tree plus the metadata record
+ */
+interface StoredIndex {
+  nextId: number;
+  metadata: Record<string, unknown>;
+  root: StoredNode;
+}
+
+/**
+ * Where the index currently lives and how to check it
+ */
+interface Superblock {
+  sequence: number;
+  indexBlock: number;
+  indexLength: number;
+  indexHash: Buffer;
+}
+
+/**
+ * Who has a container open, as recorded in its lock file
+ */
+interface OwnerRecord {
+  pid: number;
+  threadId: number;
+  created: number;
+}
+
+const MAGIC = Buffer.from('NOPFSCT1');
+const FORMAT_VERSION = 1;
+const BLOCK_SIZE = 4096;
+/**
+ * Blocks 0 and 1 each hold a copy of the superblock
+ */
+const SUPERBLOCK_COUNT = 2;
+const SUPERBLOCK_SIZE = 104;
+const HASH_SIZE = 32;
+/**
+ * Zeros written at a time when a file grows
+ */
+const ZERO_CHUNK = new Uint8Array(64 * 1024);
+
+/**
+ * Containers open in this thread, by path, so that every StorageManager
+ * using the same container shares one index
+ */
+const openContainers = new Map<string, ContainerFile>();
+
+/**
+ * Stores a whole file system inside one container file, so that names are
+ * not subject to the rules of the host file system and the storage can be
+ * copied as a single file.
+ *
+ * The container is divided into 4 KiB blocks. The index, listing every
+ * entry with the blocks holding its contents, is kept in memory and written
+ * to free blocks after every change; then one of the two superblocks at the
+ * start of the container is pointed at it. The superblocks are written in
+ * turn and carry checksums, so a crash at any point leaves the last complete
+ * index in place. Blocks given up by a change are only reused once the index
+ * no longer refers to them. Contents written through sync access handles are
+ * written in place, and recorded in the index when the handle is flushed or
+ * closed.
+ *
+ * All file operations are synchronous, so that each change to the index is
+ * complete before any other runs. Only one thread of one process can have a
+ * container open at a time; a lock file beside it records which one.
+ */
+export class ContainerBackend implements StorageBackend {
+  readonly root: string;
+  private _file: ContainerFile | null = null;
+
+  constructor(containerFile: string) {
+    this.root = path.resolve(containerFile);
+  }
+
+  async init(): Promise<void> {
+    let file = openContainers.get(this.root);
+    if (!file) {
+      file = ContainerFile.open(this.root);
+      openContainers.set(this.root, file);
+    }
+    this._file = file;
+  }
+
+  isSameStorage(other: StorageBackend): boolean {
+    return other instanceof ContainerBackend && other.root === this.root;
+  }
+
+  async stat(entryPath: string): Promise<EntryInfo> {
+    const node = this._lookup(entryPath);
+    return {
+      kind: node.kind,
+      size: node.kind === 'file' ? node.size : 0,
+      lastModified: node.lastModified,
+      id: `container:${this.root}:${node.id}`
+    };
+  }
+
+  async list(dirPath: string): Promise<Array<[string, EntryKind]>> {
+    const node = this._lookupDirectory(dirPath);
+    return Array.from(node.children)
+      .filter(([name]) => !isReservedName(name))
+      .map(([name, child]) => [name, child.kind]);
+  }
+
+  async createFile(filePath: string): Promise<void> {
+    const file = this._file!;
+    this._create(filePath, {
+      kind: 'file',
+      id: file.nextId++,
+      lastModified: Date.now(),
+      version: 0,
+      size: 0,
+      blocks: []
+    });
+    file.commit();
+  }
+
+  async createDirectory(dirPath: string): Promise<void> {
+    const file = this._file!;
+    this._create(dirPath, createDirectoryNode(file.nextId++));
+    file.commit();
+  }
+
+  async remove(entryPath: string, recursive: boolean, measure: boolean): Promise<RemovedEntry> {
+    const file = this._file!;
+    const node = this._lookup(entryPath);
+    // Internal bookkeeping entries are not part of the directory
+    const entries = node.kind === 'directory'
+      ? Array.from(node.children.keys()).filter(name => !isReservedName(name))
+      : [];
+    if (entries.length > 0 && !recursive) {
+      throw notEmptyError(path.basename(entryPath));
+    }
+
+    const removed = measure ? this._size(node, entryPath) : 0;
+    if (node === file.root) {
+      // The root itself always stays, and so does the bookkeeping in it
+      for (const name of entries) {
+        file.release(node.children.get(name)!);
+        node.children.delete(name);
+      }
+    } else {
+      const { parent, name } = this._lookupParent(entryPath);
+      file.release(node);
+      parent.children.delete(name);
+      parent.lastModified = Date.now();
+    }
+    file.commit();
+    return { kind: node.kind, size: removed };
+  }
+
+  async move(source: string, target: string): Promise<number> {
+    const file = this._file!;
+    const node = this._lookup(source);
+    const from = this._lookupParent(source);
+    const to = this._lookupParent(target);
+
+    const existing = to.parent.children.get(to.name);
+    if (existing && (existing.kind === 'directory' || node.kind === 'directory')) {
+      throw targetExistsError(to.name);
+    }
+
+    from.parent.children.delete(from.name);
+    to.parent.children.set(to.name, node);
+    from.parent.lastModified = to.parent.lastModified = Date.now();
+    if (existing) {
+      file.release(existing);
+    }
+    file.commit();
+    return existing?.kind === 'file' ? existing.size : 0;
+  }
+
+  /**
+   * Unlike with the disk backend, the contents are read up front
+   */
+  async getFile(filePath: string, name: string, type: string): Promise<File> {
+    const node = this._lookupFile(filePath);
+    const data = new Uint8Array(node.size);
+    this._file!.read(node, data, 0);
+    const version = node.version;
+    const isStale = () => this._lookupOrNull(filePath) !== node || node.version !== version;
+    return new MemorySnapshot([data], name, { type, lastModified: node.lastModified }, isStale);
+  }
+
+  async openSwap(filePath: string, keepExistingData: boolean): Promise<BackendSwapFile> {
+    const file = this._file!;
+    const node = this._lookupFile(filePath);
+    const contents = keepExistingData ? file.copy(node) : { size: 0, blocks: [] };
+    const swap = new ContainerSwapFile(file, filePath, contents, () => {
+      const target = this._lookupFile(filePath);
+      const replaced = target.size;
+      file.release(target);
+      target.blocks = contents.blocks;
+      target.size = contents.size;
+      touch(target);
+      file.commit();
+      return replaced;
+    });
+    file.swaps.add(swap);
+    return swap;
+  }
+
+  async openSync(filePath: string, writable: boolean): Promise<BackendSyncFile> {
+    return new ContainerSyncFile(this._file!, this._lookupFile(filePath));
+  }
+
+  async measure(dirPath: string): Promise<number> {
+    return this._size(this._lookup(dirPath), dirPath);
+  }
+
+  /**
+   * Free blocks inside the container, plus the free space of the disk it is on
+   */
+  async freeSpace(): Promise<number> {
+    const free = this._file!.freeBlocks() * BLOCK_SIZE;
+    if (!fs.promises.statfs) {
+      return Number.MAX_SAFE_INTEGER;
+    }
+    const stats = await fs.promises.statfs(path.dirname(this.root));
+    return Math.min(free + stats.bavail * stats.bsize, Number.MAX_SAFE_INTEGER);
+  }
+
+  async setLastModified(entryPath: string, lastModified: number): Promise<void> {
+    this._lookup(entryPath).lastModified = lastModified;
+    this._file!.commit();
+  }
+
+  async readMetadata(): Promise<Record<string, unknown>> {
+    return { ...this._file!.metadata };
+  }
+
+  async writeMetadata(metadata: Record<string, unknown>): Promise<void> {
+    this._file!.metadata = { ...metadata };
+    this._file!.commit();
+  }
+
+  /**
+   * Bytes stored in node and the swap files of writables under it
+   */
+  private _size(node: Node, entryPath: string): number {
+    let total = 0;
+    for (const swap of this._file!.swaps) {
+      if (isWithin(entryPath, swap.target)) {
+        total += swap.contents.size;
+      }
+    }
+
+    const sizeOf = (node: Node): number => node.kind === 'file'
+      ? node.size
+      : Array.from(node.children.values()).reduce((sum, child) => sum + sizeOf(child), 0);
+    return total + sizeOf(node);
+  }
+
+  private _create(entryPath: string, node: Node): void {
+    const { parent, name } = this._lookupParent(entryPath);
+    if (parent.children.has(name)) {
+      throw fsError('EEXIST', entryPath);
+    }
+    parent.children.set(name, node);
+    parent.lastModified = Date.now();
+  }
+
+  private _lookup(entryPath: string): Node {
+    if (!isWithin(this.root, entryPath)) {
+      throw fsError('ENOENT', entryPath);
+    }
+    const relativePath = path.relative(this.root, entryPath);
+
+    let node: Node = this._file!.root;
+    for (const name of relativePath.split(path.sep).filter(Boolean)) {
+      if (node.kind !== 'directory') {
+        throw fsError('ENOTDIR', entryPath);
+      }
+      const child = node.children.get(name);
+      if (!child) {
+        throw fsError('ENOENT', entryPath);
+      }
+      node = child;
+    }
+    return node;
+  }
+
+  private _lookupOrNull(entryPath: string): Node | null {
+    try {
+      return this._lookup(entryPath);
+    } catch {
+      return null;
+    }
+  }
+
+  private _lookupFile(filePath: string): FileNode {
+    const node = this._lookup(filePath);
+    if (node.kind !== 'file') {
+      throw fsError('EISDIR', filePath);
+    }
+    return node;
+  }
+
+  private _lookupDirectory(dirPath: string): DirectoryNode {
+    const node = this._lookup(dirPath);
+    if (node.kind !== 'directory') {
+      throw fsError('ENOTDIR', dirPath);
+    }
+    return node;
+  }
+
+  private _lookupParent(entryPath: string): { parent: DirectoryNode; name: string } {
+    return {
+      parent: this._lookupDirectory(path.dirname(entryPath)),
+      name: path.basename(entryPath)
+    };
+  }
+}
+
+/**
+ * A container file opened by this thread: the index, and the blocks
+ */
+class ContainerFile {
+  readonly path: string;
+  root: DirectoryNode;
+  nextId: number;
+  metadata: Record<string, unknown>;
+  readonly swaps = new Set<ContainerSwapFile>();
+  private _fd: number;
+  private _blockCount: number;
+  // Sorted
+  private _free: number[];
+  // Given up since the index was last written, which may still refer to them
+  private _released: number[] = [];
+  private _superblock: Superblock;
+  private _dirty = false;
+
+  private constructor(filePath: string, fd: number, index: StoredIndex, superblock: Superblock, blockCount: number) {
+    this.path = filePath;
+    this._fd = fd;
+    this.root = loadNode(index.root) as DirectoryNode;
+    this.nextId = index.nextId;
+    this.metadata = index.metadata;
+    this._superblock = superblock;
+
+    // Every block that the index does not use is free
+    const used = new Set<number>();
+    for (let block = 0; block < SUPERBLOCK_COUNT; block++) {
+      used.add(block);
+    }
+    for (let block = superblock.indexBlock; block < superblock.indexBlock + blockCountFor(superblock.indexLength); block++) {
+      used.add(block);
+    }
+    const markUsed = (node: Node): void => {
+      if (node.kind === 'file') {
+        node.blocks.forEach(block => used.add(block));
+      } else {
+        node.children.forEach(markUsed);
+      }
+    };
+    markUsed(this.root);
+    this._blockCount = blockCount;
+    used.forEach(block => {
+      this._blockCount = Math.max(this._blockCount, block + 1);
+    });
+    this._free = [];
+    for (let block = 0; block < this._blockCount; block++) {
+      if (!used.has(block)) {
+        this._free.push(block);
+      }
+    }
+  }
+
+  /**
+   * Opens a container, creating it if it does not exist
+   */
+  static open(filePath: string): ContainerFile {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    takeOwnership(filePath);
+    let fd;
+    try {
+      fd = fs.openSync(filePath, fs.constants.O_RDWR | fs.constants.O_CREAT);
+      const size = fs.fstatSync(fd).size;
+      if (size === 0) {
+        const index: StoredIndex = { nextId: 1, metadata: {}, root: { kind: 'directory', id: 0, lastModified: Date.now(), children: {} } };
+        const empty = { sequence: 0, indexBlock: 0, indexLength: 0, indexHash: Buffer.alloc(HASH_SIZE) };
+        const file = new ContainerFile(filePath, fd, index, empty, SUPERBLOCK_COUNT);
+        file.commit();
+        return file;
+      }
+
+      const { index, superblock } = readIndex(fd, filePath);
+      return new ContainerFile(filePath, fd, index, superblock, blockCountFor(size));
+    } catch (error) {
+      if (fd !== undefined) {
+        fs.closeSync(fd);
+      }
+      releaseOwnership(filePath);
+      throw error;
+    }
+  }
+
+  /**
+   * Reads into buffer from position, returning the number of bytes read
+   */
+  read(contents: Contents, buffer: Uint8Array, position: number): number {
+    const count = Math.max(0, Math.min(buffer.byteLength, contents.size - position));
+    this._transfer(contents, buffer.subarray(0, count), position, false);
+    return count;
+  }
+
+  /**
+   * Writes data at position, filling any gap after the end with zeros
+   */
+  write(contents: Contents, data: Uint8Array, position: number): void {
+    if (position > contents.size) {
+      this.resize(contents, position);
+    }
+    const end = position + data.byteLength;
+    this._reserve(contents, end);
+    this._transfer(contents, data, position, true);
+    contents.size = Math.max(contents.size, end);
+  }
+
+  resize(contents: Contents, size: number): void {
+    if (size < contents.size) {
+      this._released.push(...contents.blocks.splice(blockCountFor(size)));
+      contents.size = size;
+      return;
+    }
+    this._reserve(contents, size);
+    for (let position = contents.size; position < size; position += ZERO_CHUNK.byteLength) {
+      this._transfer(contents, ZERO_CHUNK.subarray(0, Math.min(ZERO_CHUNK.byteLength, size - position)), position, true);
+    }
+    contents.size = size;
+  }
+
+  /**
+   * Returns a copy of contents in blocks of its own
+   */
+  copy(contents: Contents): Contents {
+    const copy: Contents = { size: 0, blocks: [] };
+    const chunk = new Uint8Array(ZERO_CHUNK.byteLength);
+    for (let position = 0; position < contents.size; position += chunk.byteLength) {
+      const count = this.read(contents, chunk, position);
+      this.write(copy, chunk.subarray(0, count), position);
+    }
+    return copy;
+  }
+
+  /**
+   * Gives up the blocks of a node and everything under it, or of contents
+   */
+  release(node: Node | Contents): void {
+    if ('children' in node) {
+      node.children.forEach(child => this.release(child));
+    } else {
+      this._released.push(...node.blocks);
+      node.blocks = [];
+    }
+  }
+
+  freeBlocks(): number {
+    return this._free.length + this._released.length;
+  }
+
+  /**
+   * Records that contents changed in place, to be written with the index on
+   * the next commit() or flush()
+   */
+  markDirty(): void {
+    this._dirty = true;
+  }
+
+  /**
+   * Writes the index if it has changed since it was last written
+   */
+  flush(): void {
+    if (this._dirty) {
+      this.commit();
+    }
+    fs.fdatasyncSync(this._fd);
+  }
+
+  /**
+   * Writes the index to free blocks and points the next superblock at it.
+   * Only then are the blocks the previous index used, and any released
+   * since, free to be reused.
+   */
+  commit(): void {
+    const index: StoredIndex = { nextId: this.nextId, metadata: this.metadata, root: storeNode(this.root) };
+    const data = Buffer.from(JSON.stringify(index));
+    const indexBlock = this._allocateRun(blockCountFor(data.byteLength));
+    writeFully(this._fd, data, indexBlock * BLOCK_SIZE);
+    fs.fdatasyncSync(this._fd);
+
+    const previous = this._superblock;
+    const superblock: Superblock = {
+      sequence: previous.sequence + 1,
+      indexBlock,
+      indexLength: data.byteLength,
+      indexHash: createHash('sha256').update(data).digest()
+    };
+    writeFully(this._fd, encodeSuperblock(superblock), (superblock.sequence % SUPERBLOCK_COUNT) * BLOCK_SIZE);
+    fs.fdatasyncSync(this._fd);
+    this._superblock = superblock;
+    this._dirty = false;
+
+    if (previous.indexLength > 0) {
+      for (let block = previous.indexBlock; block < previous.indexBlock + blockCountFor(previous.indexLength); block++) {
+        this._released.push(block);
+      }
+    }
+    this._free.push(...this._released);
+    this._released = [];
+    this._free.sort((a, b) => a - b);
+    this._trim();
+
+    // The new index had to go after the blocks it replaced; written again
+    // lower down, it no longer keeps the container from shrinking
+    const indexBlocks = blockCountFor(data.byteLength);
+    const lower = this._findRun(indexBlocks);
+    if (indexBlock + indexBlocks === this._blockCount && lower !== -1 && this._free[lower] < indexBlock) {
+      this.commit();
+    }
+  }
+
+  /**
+   * Gives contents enough blocks to hold size bytes
+   */
+  private _reserve(contents: Contents, size: number): void {
+    const needed = blockCountFor(size) - contents.blocks.length;
+    if (needed <= 0) {
+      return;
+    }
+    // Lowest free blocks first, then new ones at the end
+    const reused = this._free.splice(0, needed);
+    contents.blocks.push(...reused);
+    for (let i = reused.length; i < needed; i++) {
+      contents.blocks.push(this._blockCount++);
+    }
+  }
+
+  /**
+   * Reads or writes the bytes of contents starting at position, one run of
+   * consecutive blocks at a time
+   */
+  private _transfer(contents: Contents, buffer: Uint8Array, position: number, writing: boolean): void {
+    let done = 0;
+    while (done < buffer.byteLength) {
+      const offset = position + done;
+      const index = Math.floor(offset / BLOCK_SIZE);
+      let runEnd = index + 1;
+      while (runEnd < contents.blocks.length && contents.blocks[runEnd] === contents.blocks[runEnd - 1] + 1) {
+        runEnd++;
+      }
+      const length = Math.min(buffer.byteLength - done, runEnd * BLOCK_SIZE - offset);
+      const chunk = buffer.subarray(done, done + length);
+      const filePosition = contents.blocks[index] * BLOCK_SIZE + offset % BLOCK_SIZE;
+      if (writing) {
+        writeFully(this._fd, chunk, filePosition);
+      } else {
+        readFully(this._fd, chunk, filePosition);
+      }
+      done += length;
+    }
+  }
+
+  /**
+   * Returns the first of count consecutive free blocks, taking them
+   */
+  private _allocateRun(count: number): number {
+    const run = this._findRun(count);
+    if (run !== -1) {
+      return this._free.splice(run, count)[0];
+    }
+    const first = this._blockCount;
+    this._blockCount += count;
+    return first;
+  }
+
+  /**
+   * Returns where in the free list count consecutive blocks start, or -1
+   */
+  private _findRun(count: number): number {
+    for (let i = 0; i + count <= this._free.length; i++) {
+      if (this._free[i + count - 1] === this._free[i] + count - 1) {
+        return i;
+      }
+    }
+    return -1;
+  }
+
+  /**
+   * Shrinks the container when the blocks at its end are free
+   */
+  private _trim(): void {
+    const blockCount = this._blockCount;
+    while (this._free.length > 0 && this._free[this._free.length - 1] === this._blockCount - 1) {
+      this._free.pop();
+      this._blockCount--;
+    }
+    if (this._blockCount < blockCount) {
+      fs.ftruncateSync(this._fd, this._blockCount * BLOCK_SIZE);
+    }
+  }
+}
+
+/**
+ * The swap file of a writable: contents in blocks of their own, which
+ * commit() hands over to the target
+ */
+class ContainerSwapFile implements BackendSwapFile {
+  readonly target: string;
+  readonly contents: Contents;
+  private _file: ContainerFile;
+  private _commit: () => number;
+
+  constructor(file: ContainerFile, target: string, contents: Contents, commit: () => number) {
+    this._file = file;
+    this.target = target;
+    this.contents = contents;
+    this._commit = commit;
+  }
+
+  async size(): Promise<number> {
+    return this.contents.size;
+  }
+
+  async read(buffer: Uint8Array, position: number): Promise<number> {
+    return this._file.read(this.contents, buffer, position);
+  }
+
+  async write(data: Uint8Array, position: number): Promise<void> {
+    this._file.write(this.contents, data, position);
+  }
+
+  async truncate(size: number): Promise<void> {
+    this._file.resize(this.contents, size);
+  }
+
+  async commit(): Promise<number> {
+    this._file.swaps.delete(this);
+    return this._commit();
+  }
+
+  async discard(): Promise<void> {
+    this._file.swaps.delete(this);
+    this._file.release(this.contents);
+  }
+}
+
+/**
+ * A file opened by a sync access handle, read and written in place
+ */
+class ContainerSyncFile implements BackendSyncFile {
+  private _file: ContainerFile;
+  private _node: FileNode;
+
+  constructor(file: ContainerFile, node: FileNode) {
+    this._file = file;
+    this._node = node;
+  }
+
+  read(buffer: Uint8Array, position: number): number {
+    return this._file.read(this._node, buffer, position);
+  }
+
+  write(buffer: Uint8Array, position: number): number {
+    this._file.write(this._node, buffer, position);
+    this._changed();
+    return buffer.byteLength;
+  }
+
+  truncate(size: number): void {
+    this._file.resize(this._node, size);
+    this._changed();
+  }
+
+  size(): number {
+    return this._node.size;
+  }
+
+  flush(): void {
+    this._file.flush();
+  }
+
+  async close(): Promise<void> {
+    this._file.flush();
+  }
+
+  private _changed(): void {
+    touch(this._node);
+    this._file.markDirty();
+  }
+}
+
+/**
+ * Reads the newest complete index, falling back to the other superblock if
+ * the newest one or its index was not completely written
+ */
+function readIndex(fd: number, filePath: string): { index: StoredIndex; superblock: Superblock } {
+  const superblocks: Superblock[] = [];
+  for (let slot = 0; slot < SUPERBLOCK_COUNT; slot++) {
+    const data = new Uint8Array(SUPERBLOCK_SIZE);
+    readFully(fd, data, slot * BLOCK_SIZE);
+    const superblock = decodeSuperblock(Buffer.from(data));
+    if (superblock) {
+      superblocks.push(superblock);
+    }
+  }
+  superblocks.sort((a, b) => b.sequence - a.sequence);
+
+  for (const superblock of superblocks) {
+    const data = Buffer.alloc(superblock.indexLength);
+    readFully(fd, data, superblock.indexBlock * BLOCK_SIZE);
+    if (createHash('sha256').update(data).digest().equals(superblock.indexHash)) {
+      return { index: JSON.parse(data.toString()), superblock };
+    }
+  }
+  throw new DOMException(`'${path.basename(filePath)}' is not a node-opfs container, or is damaged`, 'NotReadableError');
+}
+
+/**
+ * Magic, format version, block size, sequence number, first block and
+ * length of the index, hash of the index, and a hash of all of that
+ */
+function encodeSuperblock(superblock: Superblock): Buffer {
+  const data = Buffer.alloc(SUPERBLOCK_SIZE);
+  MAGIC.copy(data, 0);
+  data.writeUInt32BE(FORMAT_VERSION, 8);
+  data.writeUInt32BE(BLOCK_SIZE, 12);
+  data.writeBigUInt64BE(BigInt(superblock.sequence), 16);
+  data.writeBigUInt64BE(BigInt(superblock.indexBlock), 24);
+  data.writeBigUInt64BE(BigInt(superblock.indexLength), 32);
+  superblock.indexHash.copy(data, 40);
+  createHash('sha256').update(data.subarray(0, 72)).digest().copy(data, 72);
+  return data;
+}
+
+/**
+ * Returns null for superblocks that were never or not completely written
+ */
+function decodeSuperblock(data: Buffer): Superblock | null {
+  if (!data.subarray(0, MAGIC.length).equals(MAGIC) ||
+      !createHash('sha256').update(data.subarray(0, 72)).digest().equals(data.subarray(72, 72 + HASH_SIZE))) {
+    return null;
+  }
+  if (data.readUInt32BE(8) !== FORMAT_VERSION || data.readUInt32BE(12) !== BLOCK_SIZE) {
+    return null;
+  }
+  return {
+    sequence: Number(data.readBigUInt64BE(16)),
+    indexBlock: Number(data.readBigUInt64BE(24)),
+    indexLength: Number(data.readBigUInt64BE(32)),
+    indexHash: Buffer.from(data.subarray(40, 40 + HASH_SIZE))
+  };
+}
+
+function storeNode(node: Node): StoredNode {
+  if (node.kind === 'directory') {
+    const children: Record<string, StoredNode> = {};
+    node.children.forEach((child, name) => {
+      children[name] = storeNode(child);
+    });
+    return { kind: 'directory', id: node.id, lastModified: node.lastModified, children };
+  }
+  const extents: Array<[number, number]> = [];
+  for (const block of node.blocks) {
+    const last = extents[extents.length - 1];
+    if (last && last[0] + last[1] === block) {
+      last[1]++;
+    } else {
+      extents.push([block, 1]);
+    }
+  }
+  return { kind: 'file', id: node.id, lastModified: node.lastModified, size: node.size, extents };
+}
+
+function loadNode(stored: StoredNode): Node {
+  if (stored.kind === 'directory') {
+    const children = new Map<string, Node>();
+    for (const [name, child] of Object.entries(stored.children)) {
+      children.set(name, loadNode(child));
+    }
+    return { kind: 'directory', id: stored.id, lastModified: stored.lastModified, children };
+  }
+  const blocks: number[] = [];
+  for (const [first, count] of stored.extents) {
+    for (let block = first; block < first + count; block++) {
+      blocks.push(block);
+    }
+  }
+  return { kind: 'file', id: stored.id, lastModified: stored.lastModified, version: 0, size: stored.size, blocks };
+}
+
+/**
+ * Records this thread as the container's owner in its lock file. Records of
+ * processes that are no longer running are stale and replaced.
+ */
+function takeOwnership(filePath: string): void {
+  const lockPath = `${filePath}.lock`;
+  const record: OwnerRecord = { pid: process.pid, threadId, created: Date.now() };
+  for (;;) {
+    try {
+      fs.writeFileSync(lockPath, JSON.stringify(record), { flag: 'wx' });
+      return;
+    } catch (error: any) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+    }
+
+    let owner: OwnerRecord | null = null;
+    try {
+      owner = JSON.parse(fs.readFileSync(lockPath, 'utf8'));
+    } catch {
+      // Unreadable records are stale
+    }
+    if (owner && isOwnerAlive(owner)) {
+      throw new DOMException(
+        `'${path.basename(filePath)}' is in use by process ${owner.pid}`,
+        'NoModificationAllowedError'
+      );
+    }
+    fs.rmSync(lockPath, { force: true });
+  }
+}
+
+function releaseOwnership(filePath: string): void {
+  fs.rmSync(`${filePath}.lock`, { force: true });
+}
+
+/**
+ * A record carrying our pid but older than this process was left by an
+ * earlier process that happened to get the same pid
+ */
+function isOwnerAlive(owner: OwnerRecord): boolean {
+  if (owner.pid !== process.pid) {
+    return isProcessAlive(owner.pid);
+  }
+  return owner.threadId !== threadId && owner.created >= processStartTime();
+}
+
+process.on('exit', () => {
+  openContainers.forEach((file, filePath) => releaseOwnership(filePath));
+});
+
+function createDirectoryNode(id: number): DirectoryNode {
+  return { kind: 'directory', id, lastModified: Date.now(), children: new Map() };
+}
+
+function touch(node: FileNode): void {
+  node.version++;
+  node.lastModified = Date.now();
+}
+
+function blockCountFor(size: number): number {
+  return Math.ceil(size / BLOCK_SIZE);
+}
+
+function readFully(fd: number, buffer: Uint8Array, position: number): void {
+  let done = 0;
+  while (done < buffer.byteLength) {
+    const count = fs.readSync(fd, buffer, done, buffer.byteLength - done, position + done);
+    if (count === 0) {
+      // Blocks at the end that were taken but never written
+      buffer.fill(0, done);
+      return;
+    }
+    done += count;
+  }
+}
+
+function writeFully(fd: number, data: Uint8Array, position: number): void {
+  let done = 0;
+  while (done < data.byteLength) {
+    done += fs.writeSync(fd, data, done, data.byteLength - done, position + done);
+  }
+}
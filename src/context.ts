@@ -0,0 +1,89 @@
+import { Locks, lockManager } from './locks.js';
+import { UsageTracker } from './quota.js';
+import { StorageBackend } from './backend.js';
+import { ChangeNotifier, changeNotifier } from './changes.js';
+import type { StorageManagerOptions } from './StorageManager.js';
+
+/**
+ * State shared by all handles that belong to the same StorageManager root
+ */
+export interface StorageContext {
+  /**
+   * Path of the root directory
+   */
+  readonly root: string;
+
+  /**
+   * Where entries are stored
+   */
+  readonly backend: StorageBackend;
+
+  /**
+   * Locks taken by writables, access handles and removals
+   */
+  readonly locks: Locks;
+
+  /**
+   * Bytes stored under the root and the quota they may not exceed
+   */
+  readonly usage: UsageTracker;
+
+  /**
+   * Where handles report the changes they make, for FileSystemObservers
+   */
+  readonly changes: ChangeNotifier;
+
+  /**
+   * Options that open the same storage again from another thread, for
+   * serialized handles. Not set for storage only this thread can reach.
+   */
+  readonly storageOptions?: StorageManagerOptions;
+
+  /**
+   * Set for the contents of snapshots, which cannot be modified
+   */
+  readonly readOnly?: boolean;
+}
+
+/**
+ * Options for createContext
+ */
+export interface ContextOptions {
+  /**
+   * Defaults to the in-process locks shared by every StorageManager
+   */
+  locks?: Locks;
+  /**
+   * Defaults to the notifier shared by every StorageManager
+   */
+  changes?: ChangeNotifier;
+  quota?: number;
+  storageOptions?: StorageManagerOptions;
+  /**
+   * Measures bytes kept outside the root that count towards its usage, like
+   * those of storage buckets
+   */
+  measureOthers?: () => Promise<number>;
+  /**
+   * Usage of the storage this one is a bucket of
+   */
+  parentUsage?: UsageTracker;
+}
+
+/**
+ * Creates a context for the root directory of a backend
+ */
+export function createContext(backend: StorageBackend, options: ContextOptions = {}): StorageContext {
+  return {
+    root: backend.root,
+    backend,
+    locks: options.locks ?? lockManager,
+    usage: new UsageTracker(
+      async () => await backend.measure(backend.root) + (await options.measureOthers?.() ?? 0),
+      options.quota,
+      options.parentUsage
+    ),
+    changes: options.changes ?? changeNotifier,
+    storageOptions: options.storageOptions
+  };
+}
@@ -0,0 +1,401 @@
+import * as path from 'path';
+import * as fs from 'fs/promises';
+import * as fsSync from 'fs';
+import * as buffer from 'buffer';
+import {
+  BackendSwapFile,
+  BackendSyncFile,
+  EntryInfo,
+  EntryKind,
+  fsError,
+  notEmptyError,
+  RemovedEntry,
+  StorageBackend,
+  targetExistsError
+} from './backend.js';
+import { assertWithinRoot, isReservedName, RESERVED_PREFIX, statWithinRoot } from './paths.js';
+import {
+  commitSwapFile,
+  discardSwapFile,
+  isSwapFileName,
+  openSwapFile,
+  removeStaleSwapFiles,
+  SwapFile
+} from './swap.js';
+import { TRANSACTIONS_DIR_NAME } from './journal.js';
+
+/**
+ * File in the root directory holding the backend's metadata
+ */
+const METADATA_FILE_NAME = `${RESERVED_PREFIX}meta.json`;
+
+/**
+ * Stores entries as files and directories under a directory on disk. Every
+ * path is checked to stay inside the root, even when it goes through symlinks.
+ */
+export class DiskBackend implements StorageBackend {
+  readonly root: string;
+
+  constructor(root: string) {
+    this.root = root;
+  }
+
+  async init(): Promise<void> {
+    await fs.mkdir(this.root, { recursive: true });
+    // Swap files left behind by crashed processes
+    await removeStaleSwapFiles(this.root);
+  }
+
+  isSameStorage(other: StorageBackend): boolean {
+    return other instanceof DiskBackend && other.root === this.root;
+  }
+
+  async stat(entryPath: string): Promise<EntryInfo> {
+    const stats = await statWithinRoot(this.root, entryPath);
+    return toEntryInfo(stats);
+  }
+
+  /**
+   * Internal bookkeeping entries are hidden and symlinks are only reported
+   * when they resolve to an entry inside the root
+   */
+  async list(dirPath: string): Promise<Array<[string, EntryKind]>> {
+    await assertWithinRoot(this.root, dirPath);
+    const entries = await fs.readdir(dirPath, { withFileTypes: true });
+    const result: Array<[string, EntryKind]> = [];
+
+    for (const entry of entries) {
+      if (isReservedName(entry.name)) {
+        continue;
+      }
+
+      let stats: { isFile(): boolean; isDirectory(): boolean } = entry;
+
+      if (entry.isSymbolicLink()) {
+        try {
+          stats = await statWithinRoot(this.root, path.join(dirPath, entry.name));
+        } catch {
+          // Dangling or escaping symlinks are not part of the file system
+          continue;
+        }
+      }
+
+      if (stats.isFile()) {
+        result.push([entry.name, 'file']);
+      } else if (stats.isDirectory()) {
+        result.push([entry.name, 'directory']);
+      }
+    }
+
+    return result;
+  }
+
+  async createFile(filePath: string): Promise<void> {
+    // 'wx' never follows a dangling symlink, so the new file cannot end up
+    // outside the root
+    await fs.writeFile(filePath, '', { flag: 'wx' });
+  }
+
+  async createDirectory(dirPath: string): Promise<void> {
+    await fs.mkdir(dirPath, { recursive: false });
+  }
+
+  async remove(entryPath: string, recursive: boolean, measure: boolean): Promise<RemovedEntry> {
+    await assertWithinRoot(this.root, entryPath === this.root ? this.root : path.dirname(entryPath));
+
+    // lstat so that a symlink entry is removed itself rather than followed
+    const stats = await fs.lstat(entryPath);
+
+    if (!stats.isDirectory()) {
+      await fs.unlink(entryPath);
+      return { kind: 'file', size: measure && stats.isFile() ? stats.size : 0 };
+    }
+
+    // Internal bookkeeping entries are not part of the directory
+    const entries = (await fs.readdir(entryPath)).filter(entry => !isReservedName(entry));
+    if (entries.length > 0 && !recursive) {
+      throw notEmptyError(path.basename(entryPath));
+    }
+
+    const removed = measure ? await directorySize(entryPath) : 0;
+    if (entryPath === this.root) {
+      // The root itself always stays
+      for (const entry of entries) {
+        await fs.rm(path.join(entryPath, entry), { recursive: true, force: false });
+      }
+    } else {
+      await fs.rm(entryPath, { recursive: true, force: false });
+    }
+    return { kind: 'directory', size: removed };
+  }
+
+  async move(source: string, target: string): Promise<number> {
+    await assertWithinRoot(this.root, source);
+    await assertWithinRoot(this.root, path.dirname(target));
+
+    const sourceStats = await fs.lstat(source);
+    const targetStats = await fs.lstat(target).catch((error: any) => {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    });
+    if (targetStats && (targetStats.isDirectory() || sourceStats.isDirectory())) {
+      throw targetExistsError(path.basename(target));
+    }
+
+    // rename() replaces an existing file atomically
+    await fs.rename(source, target);
+    return targetStats?.size ?? 0;
+  }
+
+  /**
+   * The file's contents are not read up front: slice(), stream(),
+   * arrayBuffer() and text() read only the ranges they need
+   */
+  async getFile(filePath: string, name: string, type: string): Promise<File> {
+    await assertWithinRoot(this.root, filePath);
+
+    // openAsBlob() reports missing files poorly, so stat first
+    const stats = await statFile(filePath);
+    const blob = await fsSync.openAsBlob(filePath, { type });
+
+    // A File built from a file-backed Blob stays backed by the file
+    return new buffer.File([blob], name, { type, lastModified: stats.mtimeMs }) as File;
+  }
+
+  async openSwap(filePath: string, keepExistingData: boolean): Promise<BackendSwapFile> {
+    await assertWithinRoot(this.root, filePath);
+    await statFile(filePath);
+    return new DiskSwapFile(await openSwapFile(filePath, keepExistingData), filePath);
+  }
+
+  async openSync(filePath: string, writable: boolean): Promise<BackendSyncFile> {
+    await assertWithinRoot(this.root, filePath);
+    const stats = await statFile(filePath);
+    // Writes in place must not reach the snapshots sharing the file, see cloneFile()
+    if (writable && stats.nlink > 1) {
+      const swap = await openSwapFile(filePath, true);
+      await swap.handle.utimes(stats.atime, stats.mtime);
+      await commitSwapFile(swap, filePath);
+    }
+    return new DiskSyncFile(await fs.open(filePath, writable ? 'r+' : 'r'));
+  }
+
+  measure(dirPath: string): Promise<number> {
+    return directorySize(dirPath);
+  }
+
+  /**
+   * Bytes available to unprivileged users on the disk holding the root
+   */
+  async freeSpace(): Promise<number> {
+    if (!fs.statfs) {
+      return Number.MAX_SAFE_INTEGER;
+    }
+    const stats = await fs.statfs(this.root);
+    return Math.min(stats.bavail * stats.bsize, Number.MAX_SAFE_INTEGER);
+  }
+
+  async setLastModified(entryPath: string, lastModified: number): Promise<void> {
+    await assertWithinRoot(this.root, entryPath);
+    const { atime } = await fs.stat(entryPath);
+    await fs.utimes(entryPath, atime, lastModified / 1000);
+  }
+
+  /**
+   * Clones where the host supports copy-on-write, and hard-links otherwise.
+   * Writables replace files rather than write to them, so only openSync()
+   * has to copy a hard-linked file before writing to it.
+   */
+  async cloneFile(source: string, target: string): Promise<void> {
+    await assertWithinRoot(this.root, source);
+    await assertWithinRoot(this.root, path.dirname(target));
+    const stats = await statFile(source);
+    try {
+      await fs.copyFile(source, target, fsSync.constants.COPYFILE_EXCL | fsSync.constants.COPYFILE_FICLONE_FORCE);
+      await fs.utimes(target, stats.atime, stats.mtime);
+      return;
+    } catch (error: any) {
+      if (error.code === 'EEXIST') {
+        throw error;
+      }
+      // COPYFILE_EXCL made sure that whatever is there is ours
+      await fs.rm(target, { force: true });
+    }
+    try {
+      await fs.link(source, target);
+    } catch (error: any) {
+      // Not every file system has hard links
+      if (error.code === 'EEXIST') {
+        throw error;
+      }
+      await fs.copyFile(source, target, fsSync.constants.COPYFILE_EXCL);
+      await fs.utimes(target, stats.atime, stats.mtime);
+    }
+  }
+
+  /**
+   * fs.watch() reports every change as a name, which may belong to a swap
+   * file or other bookkeeping entry; those are left out
+   */
+  watch(
+    dirPath: string,
+    recursive: boolean,
+    listener: (entryPath: string | null) => void,
+    onError: (error: Error) => void
+  ): () => void {
+    // Like observers in browsers, watching does not keep the process alive
+    const watcher = fsSync.watch(dirPath, { recursive, persistent: false }, (eventType, filename) => {
+      if (filename === null) {
+        listener(null);
+      } else if (!filename.split(path.sep).some(isReservedName)) {
+        listener(path.join(dirPath, filename));
+      }
+    });
+    watcher.on('error', onError);
+    return () => watcher.close();
+  }
+
+  async readMetadata(): Promise<Record<string, unknown>> {
+    try {
+      return JSON.parse(await fs.readFile(path.join(this.root, METADATA_FILE_NAME), 'utf8'));
+    } catch {
+      return {};
+    }
+  }
+
+  async writeMetadata(metadata: Record<string, unknown>): Promise<void> {
+    await fs.writeFile(path.join(this.root, METADATA_FILE_NAME), JSON.stringify(metadata));
+  }
+}
+
+/**
+ * A swap file beside its target, renamed over the target on commit
+ */
+class DiskSwapFile implements BackendSwapFile {
+  private _swap: SwapFile;
+  private _target: string;
+
+  constructor(swap: SwapFile, target: string) {
+    this._swap = swap;
+    this._target = target;
+  }
+
+  async size(): Promise<number> {
+    return (await this._swap.handle.stat()).size;
+  }
+
+  async read(buffer: Uint8Array, position: number): Promise<number> {
+    const { bytesRead } = await this._swap.handle.read(buffer, 0, buffer.byteLength, position);
+    return bytesRead;
+  }
+
+  async write(data: Uint8Array, position: number): Promise<void> {
+    let offset = 0;
+    while (offset < data.byteLength) {
+      const { bytesWritten } = await this._swap.handle.write(data, offset, data.byteLength - offset, position + offset);
+      offset += bytesWritten;
+    }
+  }
+
+  async truncate(size: number): Promise<void> {
+    await this._swap.handle.truncate(size);
+  }
+
+  async commit(): Promise<number> {
+    const replaced = await fs.stat(this._target).then(stats => stats.size, () => 0);
+    await commitSwapFile(this._swap, this._target);
+    return replaced;
+  }
+
+  async discard(): Promise<void> {
+    await discardSwapFile(this._swap);
+  }
+}
+
+/**
+ * A file descriptor used with Node's synchronous fs functions
+ */
+class DiskSyncFile implements BackendSyncFile {
+  private _fd: fs.FileHandle;
+
+  constructor(fd: fs.FileHandle) {
+    this._fd = fd;
+  }
+
+  read(buffer: Uint8Array, position: number): number {
+    return fsSync.readSync(this._fd.fd, buffer, 0, buffer.length, position);
+  }
+
+  write(buffer: Uint8Array, position: number): number {
+    return fsSync.writeSync(this._fd.fd, buffer, 0, buffer.length, position);
+  }
+
+  truncate(size: number): void {
+    fsSync.ftruncateSync(this._fd.fd, size);
+  }
+
+  size(): number {
+    return fsSync.fstatSync(this._fd.fd).size;
+  }
+
+  flush(): void {
+    fsSync.fsyncSync(this._fd.fd);
+  }
+
+  async close(): Promise<void> {
+    await this._fd.close();
+  }
+}
+
+/**
+ * Stats a file, failing with EISDIR for a directory
+ */
+async function statFile(filePath: string): Promise<fsSync.Stats> {
+  const stats = await fs.stat(filePath);
+  if (stats.isDirectory()) {
+    throw fsError('EISDIR', filePath);
+  }
+  return stats;
+}
+
+function toEntryInfo(stats: fsSync.Stats): EntryInfo {
+  return {
+    kind: stats.isDirectory() ? 'directory' : 'file',
+    size: stats.isFile() ? stats.size : 0,
+    lastModified: stats.mtimeMs,
+    id: `${stats.dev}:${stats.ino}`
+  };
+}
+
+/**
+ * Returns the total size of the files under dir. Swap files and staged
+ * transactions count, other internal bookkeeping entries do not. Symlinks
+ * are not followed.
+ */
+export async function directorySize(dir: string): Promise<number> {
+  let entries;
+  try {
+    entries = await fs.readdir(dir, { withFileTypes: true });
+  } catch (error: any) {
+    if (error.code === 'ENOENT') {
+      return 0;
+    }
+    throw error;
+  }
+
+  let total = 0;
+  for (const entry of entries) {
+    if (isReservedName(entry.name) && !isSwapFileName(entry.name) && entry.name !== TRANSACTIONS_DIR_NAME) {
+      continue;
+    }
+    const entryPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      total += await directorySize(entryPath);
+    } else if (entry.isFile()) {
+      total += await fs.stat(entryPath).then(stats => stats.size, () => 0);
+    }
+  }
+  return total;
+}
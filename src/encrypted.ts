@@ -0,0 +1,840 @@
+import * as path from 'path';
+import * as buffer from 'buffer';
+import { ReadableStream } from 'stream/web';
+import { promisify } from 'util';
+import {
+  createCipheriv,
+  createDecipheriv,
+  createHmac,
+  hkdfSync,
+  randomBytes,
+  scrypt,
+  timingSafeEqual
+} from 'crypto';
+import {
+  BackendSwapFile,
+  BackendSyncFile,
+  EntryInfo,
+  EntryKind,
+  fsError,
+  RemovedEntry,
+  StorageBackend
+} from './backend.js';
+import { isReservedName } from './paths.js';
+import { TRANSACTIONS_DIR_NAME } from './journal.js';
+
+/**
+ * Options for an EncryptedBackend
+ */
+export interface EncryptedBackendOptions {
+  /**
+   * A 32-byte key, or a passphrase that a key is derived from with scrypt
+   */
+  key: Uint8Array | string;
+  /**
+   * Also encrypt the names of files and directories. Names then have to be
+   * shorter, about 130 bytes instead of 255 on most file systems.
+   */
+  encryptNames?: boolean;
+}
+
+/**
+ * What the backend records about its encryption in the metadata
+ */
+interface EncryptionRecord {
+  /**
+   * Salt for deriving the key from a passphrase
+   */
+  salt?: string;
+  names: boolean;
+  /**
+   * A known value encrypted with the key, to tell when the key is wrong
+   */
+  check: string;
+}
+
+/**
+ * Keys derived from the key the backend was given
+ */
+interface Keys {
+  /**
+   * Encrypts the random key of each file
+   */
+  files: Buffer;
+  names: Buffer;
+  /**
+   * Derives the nonce of a name from the name, so that the same name always
+   * encrypts to the same entry
+   */
+  nameNonces: Buffer;
+  check: Buffer;
+}
+
+const MAGIC = Buffer.from('NOPFSEC1');
+const KEY_SIZE = 32;
+const NONCE_SIZE = 12;
+const TAG_SIZE = 16;
+/**
+ * Magic, then the file's key encrypted with the files key
+ */
+const HEADER_SIZE = MAGIC.length + NONCE_SIZE + KEY_SIZE + TAG_SIZE;
+const BLOCK_SIZE = 4096;
+const BLOCK_OVERHEAD = NONCE_SIZE + TAG_SIZE;
+const STORED_BLOCK_SIZE = BLOCK_SIZE + BLOCK_OVERHEAD;
+const CHECK_VALUE = 'node-opfs';
+const BASE32_ALPHABET = 'abcdefghijklmnopqrstuvwxyz234567';
+
+const scryptAsync = promisify(scrypt) as (password: string, salt: Buffer, length: number) => Promise<Buffer>;
+
+/**
+ * Encrypts the entries of another backend with AES-256-GCM.
+ *
+ * Every file gets its own random key, stored at the start of the file
+ * encrypted with a key derived from the backend's key. Contents are
+ * encrypted in blocks of 4 KiB, each with its own random nonce, so that
+ * reads and writes anywhere in a file only touch the blocks involved. A
+ * block's index and whether it is the last one are authenticated with it,
+ * so blocks cannot be reordered and files cannot be cut short unnoticed.
+ * Anything that fails to decrypt is reported with the code EBADMSG, which
+ * handles turn into a NotReadableError.
+ *
+ * Names are encrypted with encryptNames. The same name always encrypts the
+ * same way, so that entries can be looked up. Internal bookkeeping entries
+ * keep their names.
+ */
+export class EncryptedBackend implements StorageBackend {
+  readonly root: string;
+  private _inner: StorageBackend;
+  private _key: Uint8Array | string;
+  private _encryptNames: boolean;
+  private _keys: Keys | null = null;
+
+  constructor(inner: StorageBackend, options: EncryptedBackendOptions) {
+    const key = options?.key;
+    if (!(typeof key === 'string' && key !== '') && !(key instanceof Uint8Array && key.byteLength === KEY_SIZE)) {
+      throw new TypeError('The encryption key must be a passphrase or 32 bytes');
+    }
+    this.root = inner.root;
+    this._inner = inner;
+    this._key = key;
+    this._encryptNames = options.encryptNames ?? false;
+  }
+
+  /**
+   * Derives the keys, and checks that the key is the one the storage was
+   * created with. Storage that already holds unencrypted entries is refused.
+   */
+  async init(): Promise<void> {
+    await this._inner.init();
+    const metadata = await this._inner.readMetadata();
+    const existing = metadata.encryption as EncryptionRecord | undefined;
+
+    if (!existing && (await this._inner.list(this.root)).length > 0) {
+      throw new DOMException('The storage already holds unencrypted entries', 'InvalidStateError');
+    }
+    if (existing && existing.names !== this._encryptNames) {
+      throw new DOMException(
+        `The storage was created ${existing.names ? 'with' : 'without'} encrypted names`,
+        'InvalidStateError'
+      );
+    }
+
+    const salt = existing?.salt ?? (typeof this._key === 'string' ? randomBytes(16).toString('hex') : undefined);
+    const keys = deriveKeys(typeof this._key === 'string'
+      ? await scryptAsync(this._key, Buffer.from(salt!, 'hex'), KEY_SIZE)
+      : Buffer.from(this._key));
+
+    if (existing) {
+      if (decrypt(keys.check, Buffer.from(existing.check, 'base64'), MAGIC)?.toString() !== CHECK_VALUE) {
+        throw new DOMException('The encryption key is not the one the storage was created with', 'NotAllowedError');
+      }
+    } else {
+      const check = encrypt(keys.check, randomBytes(NONCE_SIZE), Buffer.from(CHECK_VALUE), MAGIC).toString('base64');
+      const record: EncryptionRecord = { salt, names: this._encryptNames, check };
+      await this._inner.writeMetadata({ ...metadata, encryption: record });
+    }
+    this._keys = keys;
+  }
+
+  isSameStorage(other: StorageBackend): boolean {
+    return other instanceof EncryptedBackend && this._inner.isSameStorage(other._inner);
+  }
+
+  async stat(entryPath: string): Promise<EntryInfo> {
+    const info = await this._inner.stat(this._toInner(entryPath));
+    return { ...info, size: info.kind === 'file' ? plaintextSize(info.size) : 0 };
+  }
+
+  /**
+   * Entries whose names do not decrypt are reported as tampered with, except
+   * for hidden files that the operating system may have put there
+   */
+  async list(dirPath: string): Promise<Array<[string, EntryKind]>> {
+    const entries = await this._inner.list(this._toInner(dirPath));
+    const result: Array<[string, EntryKind]> = [];
+    for (const [name, kind] of entries) {
+      const decrypted = this._decryptName(name);
+      if (decrypted !== null) {
+        result.push([decrypted, kind]);
+      } else if (!name.startsWith('.')) {
+        throw fsError('EBADMSG', path.join(dirPath, name));
+      }
+    }
+    return result;
+  }
+
+  createFile(filePath: string): Promise<void> {
+    return this._inner.createFile(this._toInner(filePath));
+  }
+
+  createDirectory(dirPath: string): Promise<void> {
+    return this._inner.createDirectory(this._toInner(dirPath));
+  }
+
+  /**
+   * Sizes are those of the contents, without the encryption overhead, like
+   * everywhere else
+   */
+  async remove(entryPath: string, recursive: boolean, measure: boolean): Promise<RemovedEntry> {
+    const size = measure ? await this.measure(entryPath) : 0;
+    const removed = await this._inner.remove(this._toInner(entryPath), recursive, false);
+    return { kind: removed.kind, size };
+  }
+
+  async move(source: string, target: string): Promise<number> {
+    return plaintextSize(await this._inner.move(this._toInner(source), this._toInner(target)));
+  }
+
+  /**
+   * Unlike with other backends, the whole file is read and decrypted up
+   * front. The File still cannot be read once the file has changed.
+   */
+  async getFile(filePath: string, name: string, type: string): Promise<File> {
+    const source = await this._inner.getFile(this._toInner(filePath), name, type);
+    const contents = new Uint8Array(await source.arrayBuffer());
+    const cipher = new FileCipher(this._keys!, filePath);
+    const data = runSync(cipher.read(0, Number.MAX_SAFE_INTEGER), new BufferFile(contents));
+    return new EncryptedSnapshot([data], name, { type, lastModified: source.lastModified }, source);
+  }
+
+  async openSwap(filePath: string, keepExistingData: boolean): Promise<BackendSwapFile> {
+    const swap = await this._inner.openSwap(this._toInner(filePath), keepExistingData);
+    if (!swap.read) {
+      await swap.discard();
+      throw new TypeError('EncryptedBackend needs swap files that can be read');
+    }
+    return new EncryptedSwapFile(swap, new FileCipher(this._keys!, filePath));
+  }
+
+  async openSync(filePath: string, writable: boolean): Promise<BackendSyncFile> {
+    const file = await this._inner.openSync(this._toInner(filePath), writable);
+    return new EncryptedSyncFile(file, new FileCipher(this._keys!, filePath));
+  }
+
+  /**
+   * Adds up the sizes of the contents, and of transactions staged in the root
+   */
+  async measure(dirPath: string): Promise<number> {
+    const info = await this.stat(dirPath);
+    if (info.kind === 'file') {
+      return info.size;
+    }
+    let total = 0;
+    for (const [name] of await this.list(dirPath)) {
+      total += await this.measure(path.join(dirPath, name));
+    }
+    if (dirPath === this.root) {
+      total += await this.measure(path.join(dirPath, TRANSACTIONS_DIR_NAME)).catch(() => 0);
+    }
+    return total;
+  }
+
+  freeSpace(): Promise<number> {
+    return this._inner.freeSpace();
+  }
+
+  /**
+   * The record of the encryption is kept out of sight
+   */
+  async readMetadata(): Promise<Record<string, unknown>> {
+    const { encryption, ...metadata } = await this._inner.readMetadata();
+    return metadata;
+  }
+
+  async writeMetadata(metadata: Record<string, unknown>): Promise<void> {
+    const { encryption } = await this._inner.readMetadata();
+    await this._inner.writeMetadata({ ...metadata, encryption });
+  }
+
+  async setLastModified(entryPath: string, lastModified: number): Promise<void> {
+    await this._inner.setLastModified?.(this._toInner(entryPath), lastModified);
+  }
+
+  watch(
+    dirPath: string,
+    recursive: boolean,
+    listener: (entryPath: string | null) => void,
+    onError: (error: Error) => void
+  ): () => void {
+    if (!this._inner.watch) {
+      return () => {};
+    }
+    return this._inner.watch(this._toInner(dirPath), recursive, (entryPath) => {
+      listener(entryPath === null ? null : this._fromInner(entryPath));
+    }, onError);
+  }
+
+  /**
+   * Returns where an entry is stored in the inner backend
+   */
+  private _toInner(entryPath: string): string {
+    if (!this._encryptNames) {
+      return entryPath;
+    }
+    const names = path.relative(this.root, entryPath).split(path.sep).filter(Boolean);
+    return path.join(this.root, ...names.map(name => this._encryptName(name)));
+  }
+
+  /**
+   * Returns the path of an entry stored at entryPath in the inner backend,
+   * or null if its names do not decrypt
+   */
+  private _fromInner(entryPath: string): string | null {
+    if (!this._encryptNames) {
+      return entryPath;
+    }
+    const names = path.relative(this.root, entryPath).split(path.sep).filter(Boolean).map(name => this._decryptName(name));
+    return names.includes(null) ? null : path.join(this.root, ...names as string[]);
+  }
+
+  private _encryptName(name: string): string {
+    if (isReservedName(name)) {
+      return name;
+    }
+    const { names, nameNonces } = this._keys!;
+    const data = Buffer.from(name);
+    const nonce = createHmac('sha256', nameNonces).update(data).digest().subarray(0, NONCE_SIZE);
+    return toBase32(encrypt(names, nonce, data, MAGIC));
+  }
+
+  private _decryptName(name: string): string | null {
+    if (!this._encryptNames || isReservedName(name)) {
+      return name;
+    }
+    const data = fromBase32(name);
+    const decrypted = data && decrypt(this._keys!.names, data, MAGIC);
+    return decrypted ? decrypted.toString() : null;
+  }
+}
+
+/**
+ * The swap file of a writable, encrypted as it is written
+ */
+class EncryptedSwapFile implements BackendSwapFile {
+  private _swap: BackendSwapFile;
+  private _cipher: FileCipher;
+
+  constructor(swap: BackendSwapFile, cipher: FileCipher) {
+    this._swap = swap;
+    this._cipher = cipher;
+  }
+
+  async size(): Promise<number> {
+    return plaintextSize(await this._swap.size());
+  }
+
+  read(buffer: Uint8Array, position: number): Promise<number> {
+    return runAsync(this._cipher.read(position, buffer.byteLength), this._swap).then(data => {
+      buffer.set(data);
+      return data.byteLength;
+    });
+  }
+
+  write(data: Uint8Array, position: number): Promise<void> {
+    return runAsync(this._cipher.write(data, position), this._swap);
+  }
+
+  truncate(size: number): Promise<void> {
+    return runAsync(this._cipher.truncate(size), this._swap);
+  }
+
+  async commit(): Promise<number> {
+    return plaintextSize(await this._swap.commit());
+  }
+
+  discard(): Promise<void> {
+    return this._swap.discard();
+  }
+}
+
+/**
+ * A file opened by a sync access handle, decrypted and encrypted in place
+ */
+class EncryptedSyncFile implements BackendSyncFile {
+  private _file: BackendSyncFile;
+  private _cipher: FileCipher;
+
+  constructor(file: BackendSyncFile, cipher: FileCipher) {
+    this._file = file;
+    this._cipher = cipher;
+  }
+
+  read(buffer: Uint8Array, position: number): number {
+    const data = runSync(this._cipher.read(position, buffer.byteLength), this._file);
+    buffer.set(data);
+    return data.byteLength;
+  }
+
+  write(buffer: Uint8Array, position: number): number {
+    runSync(this._cipher.write(buffer, position), this._file);
+    return buffer.byteLength;
+  }
+
+  truncate(size: number): void {
+    runSync(this._cipher.truncate(size), this._file);
+  }
+
+  size(): number {
+    return plaintextSize(this._file.size());
+  }
+
+  flush(): void {
+    this._file.flush();
+  }
+
+  close(): Promise<void> {
+    return this._file.close();
+  }
+}
+
+/**
+ * Decrypted contents of a file. Like a File backed by a file on disk, it
+ * cannot be read once the file has changed.
+ */
+class EncryptedSnapshot extends buffer.File {
+  // The encrypted contents, which tell whether the file has changed
+  private _source: Blob;
+
+  constructor(parts: Array<Uint8Array | Blob>, name: string, options: buffer.FileOptions, source: Blob) {
+    super(parts, name, options);
+    this._source = source;
+  }
+
+  async arrayBuffer(): Promise<ArrayBuffer> {
+    await this._assertFresh();
+    return super.arrayBuffer();
+  }
+
+  async text(): Promise<string> {
+    await this._assertFresh();
+    return super.text();
+  }
+
+  stream(): ReturnType<buffer.Blob['stream']> {
+    const fresh = this._assertFresh();
+    fresh.catch(() => {});
+    const reader = super.stream().getReader();
+    return new ReadableStream({
+      async pull(controller) {
+        await fresh;
+        const { done, value } = await reader.read();
+        if (done) {
+          controller.close();
+        } else {
+          controller.enqueue(value);
+        }
+      },
+      cancel: (reason) => reader.cancel(reason)
+    }) as ReturnType<buffer.Blob['stream']>;
+  }
+
+  slice(start?: number, end?: number, type?: string): EncryptedSnapshot {
+    const blob = super.slice(start, end, type);
+    return new EncryptedSnapshot([blob as Blob], '', { type: blob.type }, this._source);
+  }
+
+  private async _assertFresh(): Promise<void> {
+    await this._source.slice(0, 1).arrayBuffer();
+  }
+}
+
+/**
+ * I/O a FileCipher needs done on the encrypted file
+ */
+type FileRequest =
+  | { type: 'size' }
+  | { type: 'read'; position: number; length: number }
+  | { type: 'write'; data: Uint8Array; position: number }
+  | { type: 'truncate'; size: number };
+
+/**
+ * An operation on an encrypted file, written once as a generator that
+ * yields its I/O so that it can run against both the synchronous files of
+ * access handles and the asynchronous swap files of writables
+ */
+type FileOperation<T> = Generator<FileRequest, T, any>;
+
+/**
+ * Reads and writes the contents of one encrypted file
+ */
+class FileCipher {
+  private _keys: Keys;
+  private _filePath: string;
+  private _fileKey: Buffer | null = null;
+
+  constructor(keys: Keys, filePath: string) {
+    this._keys = keys;
+    this._filePath = filePath;
+  }
+
+  *read(position: number, length: number): FileOperation<Uint8Array> {
+    const size = plaintextSize(yield { type: 'size' });
+    const end = Math.min(size, position + length);
+    if (position >= end) {
+      return new Uint8Array(0);
+    }
+    const key = (yield* this._getFileKey(false))!;
+    const lastBlock = blockCount(size) - 1;
+    const first = Math.floor(position / BLOCK_SIZE);
+    const last = Math.floor((end - 1) / BLOCK_SIZE);
+
+    const stored: Uint8Array = yield {
+      type: 'read',
+      position: blockOffset(first),
+      length: blockOffset(last + 1) - blockOffset(first)
+    };
+    const result = new Uint8Array(end - position);
+    for (let index = first; index <= last; index++) {
+      const offset = (index - first) * STORED_BLOCK_SIZE;
+      const block = this._decryptBlock(key, index, index === lastBlock, stored.subarray(offset, offset + STORED_BLOCK_SIZE));
+      const blockStart = index * BLOCK_SIZE;
+      const from = Math.max(position, blockStart);
+      const to = Math.min(end, blockStart + block.byteLength);
+      result.set(block.subarray(from - blockStart, to - blockStart), from - position);
+    }
+    return result;
+  }
+
+  *write(data: Uint8Array, position: number): FileOperation<void> {
+    const size = plaintextSize(yield { type: 'size' });
+    if (data.byteLength === 0 && position <= size) {
+      return;
+    }
+    const key = (yield* this._getFileKey(true))!;
+    if (position > size) {
+      // Writing past the end fills the gap with zeros
+      const padded = new Uint8Array(position - size + data.byteLength);
+      padded.set(data, position - size);
+      data = padded;
+      position = size;
+    }
+
+    const end = position + data.byteLength;
+    const newSize = Math.max(size, end);
+    const oldBlocks = blockCount(size);
+    const newBlocks = blockCount(newSize);
+    let first = Math.floor(position / BLOCK_SIZE);
+    const last = Math.floor((end - 1) / BLOCK_SIZE);
+    // The old last block is no longer the last one
+    if (newBlocks > oldBlocks && oldBlocks > 0 && first > oldBlocks - 1) {
+      first = oldBlocks - 1;
+    }
+
+    const existing: Uint8Array = first < oldBlocks
+      ? yield { type: 'read', position: blockOffset(first), length: blockOffset(Math.min(last, oldBlocks - 1) + 1) - blockOffset(first) }
+      : new Uint8Array(0);
+    const output = new Uint8Array(blockOffset(last + 1) - blockOffset(first) -
+      (STORED_BLOCK_SIZE - (Math.min(newSize - last * BLOCK_SIZE, BLOCK_SIZE) + BLOCK_OVERHEAD)));
+
+    for (let index = first; index <= last; index++) {
+      const blockStart = index * BLOCK_SIZE;
+      const block = new Uint8Array(Math.min(newSize - blockStart, BLOCK_SIZE));
+      const covered = position <= blockStart && end >= blockStart + block.byteLength;
+      if (index < oldBlocks && !covered) {
+        const offset = (index - first) * STORED_BLOCK_SIZE;
+        block.set(this._decryptBlock(key, index, index === oldBlocks - 1, existing.subarray(offset, offset + STORED_BLOCK_SIZE)));
+      }
+      const from = Math.max(position, blockStart);
+      const to = Math.min(end, blockStart + block.byteLength);
+      if (from < to) {
+        block.set(data.subarray(from - position, to - position), from - blockStart);
+      }
+      output.set(this._encryptBlock(key, index, index === newBlocks - 1, block), (index - first) * STORED_BLOCK_SIZE);
+    }
+    yield { type: 'write', data: output, position: blockOffset(first) };
+  }
+
+  *truncate(newSize: number): FileOperation<void> {
+    const size = plaintextSize(yield { type: 'size' });
+    if (newSize > size) {
+      // Extended with zeros, a chunk at a time
+      const zeros = new Uint8Array(Math.min(newSize - size, BLOCK_SIZE * 256));
+      for (let position = size; position < newSize; position += zeros.byteLength) {
+        yield* this.write(zeros.subarray(0, Math.min(zeros.byteLength, newSize - position)), position);
+      }
+      return;
+    }
+    if (newSize === size) {
+      return;
+    }
+
+    const key = (yield* this._getFileKey(false))!;
+    const newBlocks = blockCount(newSize);
+    if (newBlocks === 0) {
+      yield { type: 'truncate', size: HEADER_SIZE };
+      return;
+    }
+    // The new last block is cut short and marked as the last one
+    const index = newBlocks - 1;
+    const stored: Uint8Array = yield { type: 'read', position: blockOffset(index), length: STORED_BLOCK_SIZE };
+    const block = this._decryptBlock(key, index, index === blockCount(size) - 1, stored)
+      .subarray(0, newSize - index * BLOCK_SIZE);
+    const encrypted = this._encryptBlock(key, index, true, block);
+    yield { type: 'write', data: encrypted, position: blockOffset(index) };
+    yield { type: 'truncate', size: blockOffset(index) + encrypted.byteLength };
+  }
+
+  /**
+   * Reads the file's key from its header. An empty file gets a new key when
+   * create is set, and has none otherwise.
+   */
+  private *_getFileKey(create: boolean): FileOperation<Buffer | null> {
+    if (this._fileKey) {
+      return this._fileKey;
+    }
+    const storedSize: number = yield { type: 'size' };
+    if (storedSize === 0) {
+      if (!create) {
+        return null;
+      }
+      const key = randomBytes(KEY_SIZE);
+      const header = Buffer.concat([MAGIC, encrypt(this._keys.files, randomBytes(NONCE_SIZE), key, MAGIC)]);
+      yield { type: 'write', data: header, position: 0 };
+      this._fileKey = key;
+      return key;
+    }
+
+    const header: Uint8Array = yield { type: 'read', position: 0, length: HEADER_SIZE };
+    const magic = header.subarray(0, MAGIC.length);
+    const key = header.byteLength === HEADER_SIZE && timingSafeEqual(magic, MAGIC)
+      ? decrypt(this._keys.files, header.subarray(MAGIC.length), MAGIC)
+      : null;
+    if (!key) {
+      throw fsError('EBADMSG', this._filePath);
+    }
+    this._fileKey = key;
+    return key;
+  }
+
+  private _encryptBlock(key: Buffer, index: number, last: boolean, block: Uint8Array): Buffer {
+    return encrypt(key, randomBytes(NONCE_SIZE), block, blockData(index, last));
+  }
+
+  private _decryptBlock(key: Buffer, index: number, last: boolean, stored: Uint8Array): Buffer {
+    const block = decrypt(key, stored, blockData(index, last));
+    if (!block) {
+      throw fsError('EBADMSG', this._filePath);
+    }
+    return block;
+  }
+}
+
+/**
+ * Runs an operation against a synchronous file
+ */
+function runSync<T>(operation: FileOperation<T>, file: Pick<BackendSyncFile, 'size' | 'read' | 'write' | 'truncate'>): T {
+  let step = operation.next();
+  while (!step.done) {
+    const request = step.value;
+    let result: unknown;
+    if (request.type === 'size') {
+      result = file.size();
+    } else if (request.type === 'read') {
+      const data = new Uint8Array(request.length);
+      let bytesRead = 0;
+      while (bytesRead < request.length) {
+        const count = file.read(data.subarray(bytesRead), request.position + bytesRead);
+        if (count === 0) {
+          break;
+        }
+        bytesRead += count;
+      }
+      result = data.subarray(0, bytesRead);
+    } else if (request.type === 'write') {
+      let written = 0;
+      while (written < request.data.byteLength) {
+        written += file.write(request.data.subarray(written), request.position + written);
+      }
+    } else {
+      file.truncate(request.size);
+    }
+    step = operation.next(result);
+  }
+  return step.value;
+}
+
+/**
+ * Runs an operation against a swap file
+ */
+async function runAsync<T>(operation: FileOperation<T>, swap: BackendSwapFile): Promise<T> {
+  let step = operation.next();
+  while (!step.done) {
+    const request = step.value;
+    let result: unknown;
+    if (request.type === 'size') {
+      result = await swap.size();
+    } else if (request.type === 'read') {
+      const data = new Uint8Array(request.length);
+      let bytesRead = 0;
+      while (bytesRead < request.length) {
+        const count = await swap.read!(data.subarray(bytesRead), request.position + bytesRead);
+        if (count === 0) {
+          break;
+        }
+        bytesRead += count;
+      }
+      result = data.subarray(0, bytesRead);
+    } else if (request.type === 'write') {
+      await swap.write(request.data, request.position);
+    } else {
+      await swap.truncate(request.size);
+    }
+    step = operation.next(result);
+  }
+  return step.value;
+}
+
+/**
+ * Encrypted contents already in memory, for decrypting a whole file at once
+ */
+class BufferFile {
+  private _data: Uint8Array;
+
+  constructor(data: Uint8Array) {
+    this._data = data;
+  }
+
+  size(): number {
+    return this._data.byteLength;
+  }
+
+  read(buffer: Uint8Array, position: number): number {
+    const data = this._data.subarray(position, position + buffer.byteLength);
+    buffer.set(data);
+    return data.byteLength;
+  }
+
+  write(): number {
+    throw new TypeError('Snapshots cannot be written');
+  }
+
+  truncate(): void {
+    throw new TypeError('Snapshots cannot be written');
+  }
+}
+
+/**
+ * Returns the size of the contents of an encrypted file of storedSize bytes
+ */
+function plaintextSize(storedSize: number): number {
+  if (storedSize <= HEADER_SIZE) {
+    return 0;
+  }
+  const blocks = storedSize - HEADER_SIZE;
+  const partial = blocks % STORED_BLOCK_SIZE;
+  return Math.floor(blocks / STORED_BLOCK_SIZE) * BLOCK_SIZE + Math.max(0, partial - BLOCK_OVERHEAD);
+}
+
+function blockCount(size: number): number {
+  return Math.ceil(size / BLOCK_SIZE);
+}
+
+function blockOffset(index: number): number {
+  return HEADER_SIZE + index * STORED_BLOCK_SIZE;
+}
+
+/**
+ * Data authenticated along with a block: its index and whether it is last
+ */
+function blockData(index: number, last: boolean): Buffer {
+  const data = Buffer.alloc(9);
+  data.writeBigUInt64BE(BigInt(index));
+  data[8] = last ? 1 : 0;
+  return data;
+}
+
+function deriveKeys(key: Buffer): Keys {
+  const derive = (info: string) => Buffer.from(hkdfSync('sha256', key, Buffer.alloc(0), `node-opfs ${info}`, KEY_SIZE));
+  return {
+    files: derive('files'),
+    names: derive('names'),
+    nameNonces: derive('name nonces'),
+    check: derive('check')
+  };
+}
+
+/**
+ * Encrypts data with AES-256-GCM, returning the nonce, ciphertext and tag
+ */
+function encrypt(key: Buffer, nonce: Uint8Array, data: Uint8Array, additionalData: Uint8Array): Buffer {
+  const cipher = createCipheriv('aes-256-gcm', key, nonce);
+  cipher.setAAD(additionalData);
+  return Buffer.concat([nonce, cipher.update(data), cipher.final(), cipher.getAuthTag()]);
+}
+
+/**
+ * Reverses encrypt(), returning null if the data fails authentication
+ */
+function decrypt(key: Buffer, stored: Uint8Array, additionalData: Uint8Array): Buffer | null {
+  if (stored.byteLength < NONCE_SIZE + TAG_SIZE) {
+    return null;
+  }
+  try {
+    const decipher = createDecipheriv('aes-256-gcm', key, stored.subarray(0, NONCE_SIZE));
+    decipher.setAAD(additionalData);
+    decipher.setAuthTag(stored.subarray(stored.byteLength - TAG_SIZE));
+    return Buffer.concat([decipher.update(stored.subarray(NONCE_SIZE, stored.byteLength - TAG_SIZE)), decipher.final()]);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Lower case base32, so that names also work on case-insensitive file systems
+ */
+function toBase32(data: Uint8Array): string {
+  let result = '';
+  let bits = 0;
+  let value = 0;
+  for (const byte of data) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      result += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    result += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return result;
+}
+
+function fromBase32(text: string): Buffer | null {
+  const bytes: number[] = [];
+  let bits = 0;
+  let value = 0;
+  for (const char of text) {
+    const digit = BASE32_ALPHABET.indexOf(char);
+    if (digit === -1) {
+      return null;
+    }
+    value = ((value << 5) | digit) & 0xffff;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
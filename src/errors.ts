@@ -0,0 +1,62 @@
+/**
+ * DOMException names for the error codes of Node's fs module. Backends
+ * report errors with these codes (see backend.ts), so every backend's errors
+ * end up with the same names.
+ */
+const ERROR_NAMES: Record<string, string> = {
+  ENOENT: 'NotFoundError',
+  // A directory on the way to the entry is now a file
+  ENOTDIR: 'NotFoundError',
+  EISDIR: 'TypeMismatchError',
+  EEXIST: 'InvalidModificationError',
+  ENOTEMPTY: 'InvalidModificationError',
+  EACCES: 'NotAllowedError',
+  EPERM: 'NotAllowedError',
+  EROFS: 'NoModificationAllowedError',
+  EBUSY: 'NoModificationAllowedError',
+  ETXTBSY: 'NoModificationAllowedError',
+  ENOSPC: 'QuotaExceededError',
+  EDQUOT: 'QuotaExceededError',
+  EFBIG: 'QuotaExceededError',
+  // Contents or names that fail their integrity check, see encrypted.ts
+  EBADMSG: 'NotReadableError'
+};
+
+const MESSAGES: Record<string, string> = {
+  NotFoundError: 'was not found',
+  TypeMismatchError: 'is not of the expected kind',
+  InvalidModificationError: 'cannot be modified that way',
+  NotAllowedError: 'cannot be accessed',
+  NoModificationAllowedError: 'cannot be modified right now',
+  QuotaExceededError: 'does not fit in the space left',
+  NotReadableError: 'failed its integrity check'
+};
+
+/**
+ * Converts an error from a backend into the DOMException the File System
+ * spec requires, naming the entry it happened to. Errors that already are
+ * DOMExceptions or TypeErrors are returned unchanged; anything unexpected
+ * becomes an 'UnknownError' with the original error as its cause.
+ */
+export function toDOMException(error: unknown, name: string): Error {
+  if (error instanceof DOMException || error instanceof TypeError) {
+    return error;
+  }
+  const errorName = ERROR_NAMES[(error as any)?.code] ?? 'UnknownError';
+  const message = MESSAGES[errorName] ?? `failed: ${(error as any)?.message ?? error}`;
+  return new DOMException(`'${name}' ${message}`, { name: errorName, cause: error });
+}
+
+/**
+ * Error for an entry that exists, but is not of the kind asked for
+ */
+export function typeMismatchError(name: string, kind: 'file' | 'directory'): DOMException {
+  return new DOMException(`'${name}' is not a ${kind}`, 'TypeMismatchError');
+}
+
+/**
+ * Error for using a FileSystemSyncAccessHandle after close()
+ */
+export function closedError(): DOMException {
+  return new DOMException('Access handle is closed', 'InvalidStateError');
+}
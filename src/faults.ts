@@ -0,0 +1,621 @@
+import * as path from 'path';
+import {
+  BackendSwapFile,
+  BackendSyncFile,
+  EntryInfo,
+  EntryKind,
+  RemovedEntry,
+  StorageBackend
+} from './backend.js';
+import { globToRegExp } from './tree.js';
+
+/**
+ * Operations of a StorageBackend that faults can be injected into. Those of
+ * swap files (behind writables) start with 'swap.', and those of files
+ * opened by sync access handles with 'sync.'.
+ */
+export type FaultOperation =
+  | 'stat'
+  | 'list'
+  | 'createFile'
+  | 'createDirectory'
+  | 'remove'
+  | 'move'
+  | 'getFile'
+  | 'openSwap'
+  | 'openSync'
+  | 'measure'
+  | 'freeSpace'
+  | 'readMetadata'
+  | 'writeMetadata'
+  | 'setLastModified'
+  | 'cloneFile'
+  | 'swap.size'
+  | 'swap.read'
+  | 'swap.write'
+  | 'swap.truncate'
+  | 'swap.commit'
+  | 'swap.discard'
+  | 'sync.read'
+  | 'sync.write'
+  | 'sync.truncate'
+  | 'sync.size'
+  | 'sync.flush'
+  | 'sync.close';
+
+/**
+ * A fault to inject into the operations it matches
+ */
+export interface FaultRule {
+  /**
+   * Operations to match. Defaults to all of them.
+   */
+  operation?: FaultOperation | FaultOperation[];
+  /**
+   * Glob pattern matched against the '/'-separated path of the entry,
+   * relative to the root, as in walk(). Defaults to any entry.
+   */
+  path?: string;
+  /**
+   * Error to fail with: an Error or DOMException, the name of a DOMException
+   * like 'NotReadableError', or an fs error code like 'EIO'
+   */
+  error?: Error | string;
+  /**
+   * Let this many bytes be written by the matching writes, then fail with
+   * error, or with ENOSPC, like a full disk. The write that crosses the limit
+   * writes what still fits before failing.
+   */
+  afterBytes?: number;
+  /**
+   * Milliseconds to delay the matching operations by. Operations of sync
+   * access handles block for that long.
+   */
+  latency?: number;
+  /**
+   * How many times the rule takes effect before it is removed. Defaults to
+   * no limit.
+   */
+  times?: number;
+}
+
+/**
+ * An operation performed through a StorageManager with faults
+ */
+export interface FaultRecord {
+  operation: FaultOperation;
+  /**
+   * '/'-separated path of the entry relative to the root; '' for the root
+   * and for operations on the storage as a whole
+   */
+  path: string;
+  /**
+   * Where move() moved the entry to
+   */
+  target?: string;
+  /**
+   * Where reads and writes started, and how many bytes they asked for
+   */
+  position?: number;
+  bytes?: number;
+  /**
+   * What the operation failed with, injected or not
+   */
+  error?: Error;
+}
+
+/**
+ * A rule with what it keeps track of
+ */
+interface ActiveRule {
+  operations: Set<FaultOperation> | null;
+  pattern: RegExp | null;
+  error?: Error | string;
+  afterBytes?: number;
+  latency: number;
+  remaining: number;
+  written: number;
+}
+
+/**
+ * What happens to an operation: how long it is delayed, what it fails with,
+ * and for writes, how many of its bytes are written first
+ */
+interface FaultEffect {
+  latency: number;
+  error: Error | null;
+  allowed: number;
+}
+
+const OPERATIONS: ReadonlySet<string> = new Set<FaultOperation>([
+  'stat', 'list', 'createFile', 'createDirectory', 'remove', 'move', 'getFile', 'openSwap', 'openSync',
+  'measure', 'freeSpace', 'readMetadata', 'writeMetadata', 'setLastModified', 'cloneFile',
+  'swap.size', 'swap.read', 'swap.write', 'swap.truncate', 'swap.commit', 'swap.discard',
+  'sync.read', 'sync.write', 'sync.truncate', 'sync.size', 'sync.flush', 'sync.close'
+]);
+
+const WRITE_OPERATIONS: ReadonlySet<string> = new Set<FaultOperation>(['swap.write', 'sync.write']);
+
+// Set by FaultInjector's static block, for the backend and files it wraps
+let runFault: <T>(faults: FaultInjector, record: FaultRecord, operation: (allowed: number) => Promise<T>) => Promise<T>;
+let runFaultSync: <T>(faults: FaultInjector, record: FaultRecord, operation: (allowed: number) => T) => T;
+let openFiles: (faults: FaultInjector) => Set<FaultInjectingSwapFile | FaultInjectingSyncFile>;
+
+/**
+ * Scripts faults for StorageManagers created with `{ faults }`, and records
+ * every operation they perform, for testing how code copes with failures.
+ *
+ * Faults are injected below the handles, so they surface as the
+ * DOMExceptions the handles turn them into. crash() simulates the process
+ * dying: writes not yet flushed or closed are lost.
+ */
+export class FaultInjector {
+  static {
+    runFault = (faults, record, operation) => faults._run(record, operation);
+    runFaultSync = (faults, record, operation) => faults._runSync(record, operation);
+    openFiles = faults => faults._openFiles;
+  }
+
+  /**
+   * Every operation performed so far, oldest first. Clear it by setting its
+   * length to 0.
+   */
+  readonly operations: FaultRecord[] = [];
+  private _rules: ActiveRule[] = [];
+  private _crashed = false;
+  private _openFiles = new Set<FaultInjectingSwapFile | FaultInjectingSyncFile>();
+
+  /**
+   * Adds a fault. Returns a function that removes it again.
+   */
+  inject(rule: FaultRule): () => void {
+    const active = toActiveRule(rule);
+    this._rules.push(active);
+    return () => {
+      this._rules = this._rules.filter(other => other !== active);
+    };
+  }
+
+  /**
+   * Removes all faults
+   */
+  clear(): void {
+    this._rules = [];
+  }
+
+  /**
+   * Simulates a crash of the process: data written through sync access
+   * handles since they were last flushed is reverted, open writables are
+   * thrown away without replacing their files, and every later operation
+   * through this injector fails with an InvalidStateError. Open the storage
+   * again without this injector to see what survived.
+   */
+  async crash(): Promise<void> {
+    this._crashed = true;
+    const files = Array.from(this._openFiles);
+    this._openFiles.clear();
+    for (const file of files) {
+      await file.crash();
+    }
+  }
+
+  /**
+   * Records an operation and returns what happens to it
+   */
+  private _begin(record: FaultRecord): FaultEffect {
+    this.operations.push(record);
+    if (this._crashed) {
+      return { latency: 0, error: new DOMException('The storage has crashed', 'InvalidStateError'), allowed: 0 };
+    }
+
+    const bytes = record.bytes ?? 0;
+    const effect: FaultEffect = { latency: 0, error: null, allowed: bytes };
+    for (const rule of this._rules) {
+      if (!ruleMatches(rule, record)) {
+        continue;
+      }
+      let acted = false;
+      if (rule.afterBytes !== undefined) {
+        if (!WRITE_OPERATIONS.has(record.operation)) {
+          continue;
+        }
+        const left = Math.max(0, rule.afterBytes - rule.written);
+        rule.written += Math.min(bytes, left);
+        if (bytes > left && !effect.error) {
+          effect.allowed = left;
+          effect.error = toError(rule.error ?? 'ENOSPC', record.path);
+          acted = true;
+        }
+      } else if (rule.error !== undefined && !effect.error) {
+        effect.allowed = 0;
+        effect.error = toError(rule.error, record.path);
+        acted = true;
+      }
+      if (rule.latency > 0) {
+        effect.latency += rule.latency;
+        acted = true;
+      }
+      if (acted && --rule.remaining === 0) {
+        this._rules = this._rules.filter(other => other !== rule);
+      }
+    }
+    return effect;
+  }
+
+  /**
+   * Runs an asynchronous operation with the faults that apply to it
+   */
+  private async _run<T>(record: FaultRecord, operation: (allowed: number) => Promise<T>): Promise<T> {
+    const effect = this._begin(record);
+    if (effect.latency > 0) {
+      await new Promise(resolve => setTimeout(resolve, effect.latency));
+    }
+    try {
+      if (effect.error && effect.allowed === 0) {
+        throw effect.error;
+      }
+      const result = await operation(effect.allowed);
+      if (effect.error) {
+        throw effect.error;
+      }
+      return result;
+    } catch (error) {
+      record.error = error as Error;
+      throw error;
+    }
+  }
+
+  /**
+   * Runs a synchronous operation with the faults that apply to it
+   */
+  private _runSync<T>(record: FaultRecord, operation: (allowed: number) => T): T {
+    const effect = this._begin(record);
+    if (effect.latency > 0) {
+      Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, effect.latency);
+    }
+    try {
+      if (effect.error && effect.allowed === 0) {
+        throw effect.error;
+      }
+      const result = operation(effect.allowed);
+      if (effect.error) {
+        throw effect.error;
+      }
+      return result;
+    } catch (error) {
+      record.error = error as Error;
+      throw error;
+    }
+  }
+}
+
+/**
+ * Passes every operation on to another backend, through a FaultInjector
+ */
+export class FaultInjectingBackend implements StorageBackend {
+  readonly root: string;
+  private _inner: StorageBackend;
+  private _faults: FaultInjector;
+
+  constructor(inner: StorageBackend, faults: FaultInjector) {
+    this.root = inner.root;
+    this._inner = inner;
+    this._faults = faults;
+  }
+
+  init(): Promise<void> {
+    return this._inner.init();
+  }
+
+  isSameStorage(other: StorageBackend): boolean {
+    return other instanceof FaultInjectingBackend && this._inner.isSameStorage(other._inner);
+  }
+
+  stat(entryPath: string): Promise<EntryInfo> {
+    return this._run('stat', entryPath, () => this._inner.stat(entryPath));
+  }
+
+  list(dirPath: string): Promise<Array<[string, EntryKind]>> {
+    return this._run('list', dirPath, () => this._inner.list(dirPath));
+  }
+
+  createFile(filePath: string): Promise<void> {
+    return this._run('createFile', filePath, () => this._inner.createFile(filePath));
+  }
+
+  createDirectory(dirPath: string): Promise<void> {
+    return this._run('createDirectory', dirPath, () => this._inner.createDirectory(dirPath));
+  }
+
+  remove(entryPath: string, recursive: boolean, measure: boolean): Promise<RemovedEntry> {
+    return this._run('remove', entryPath, () => this._inner.remove(entryPath, recursive, measure));
+  }
+
+  move(source: string, target: string): Promise<number> {
+    const record: FaultRecord = { operation: 'move', path: this._relative(source), target: this._relative(target) };
+    return runFault(this._faults, record, () => this._inner.move(source, target));
+  }
+
+  getFile(filePath: string, name: string, type: string): Promise<File> {
+    return this._run('getFile', filePath, () => this._inner.getFile(filePath, name, type));
+  }
+
+  openSwap(filePath: string, keepExistingData: boolean): Promise<BackendSwapFile> {
+    return this._run('openSwap', filePath, async () => {
+      const swap = new FaultInjectingSwapFile(await this._inner.openSwap(filePath, keepExistingData), this._faults, this._relative(filePath));
+      openFiles(this._faults).add(swap);
+      return swap;
+    });
+  }
+
+  openSync(filePath: string, writable: boolean): Promise<BackendSyncFile> {
+    return this._run('openSync', filePath, async () => {
+      const file = new FaultInjectingSyncFile(await this._inner.openSync(filePath, writable), this._faults, this._relative(filePath));
+      openFiles(this._faults).add(file);
+      return file;
+    });
+  }
+
+  measure(dirPath: string): Promise<number> {
+    return this._run('measure', dirPath, () => this._inner.measure(dirPath));
+  }
+
+  freeSpace(): Promise<number> {
+    return this._run('freeSpace', this.root, () => this._inner.freeSpace());
+  }
+
+  readMetadata(): Promise<Record<string, unknown>> {
+    return this._run('readMetadata', this.root, () => this._inner.readMetadata());
+  }
+
+  writeMetadata(metadata: Record<string, unknown>): Promise<void> {
+    return this._run('writeMetadata', this.root, () => this._inner.writeMetadata(metadata));
+  }
+
+  setLastModified(entryPath: string, lastModified: number): Promise<void> {
+    return this._run('setLastModified', entryPath, async () => {
+      await this._inner.setLastModified?.(entryPath, lastModified);
+    });
+  }
+
+  /**
+   * Only there when the inner backend has it, so that snapshots fall back
+   * to copying the same way
+   */
+  get cloneFile(): StorageBackend['cloneFile'] {
+    const cloneFile = this._inner.cloneFile;
+    return cloneFile && ((source, target) => {
+      const record: FaultRecord = { operation: 'cloneFile', path: this._relative(source), target: this._relative(target) };
+      return runFault(this._faults, record, () => cloneFile.call(this._inner, source, target));
+    });
+  }
+
+  /**
+   * Changes made outside the library are not faulted
+   */
+  watch(
+    dirPath: string,
+    recursive: boolean,
+    listener: (entryPath: string | null) => void,
+    onError: (error: Error) => void
+  ): () => void {
+    return this._inner.watch?.(dirPath, recursive, listener, onError) ?? (() => {});
+  }
+
+  private _run<T>(operation: FaultOperation, entryPath: string, fn: () => Promise<T>): Promise<T> {
+    return runFault(this._faults, { operation, path: this._relative(entryPath) }, fn);
+  }
+
+  private _relative(entryPath: string): string {
+    return path.relative(this.root, entryPath).split(path.sep).join('/');
+  }
+}
+
+/**
+ * The swap file of a writable. Its data never reaches the file unless
+ * commit() runs, so a crash only has to throw it away.
+ */
+class FaultInjectingSwapFile implements BackendSwapFile {
+  private _inner: BackendSwapFile;
+  private _faults: FaultInjector;
+  private _path: string;
+
+  constructor(inner: BackendSwapFile, faults: FaultInjector, entryPath: string) {
+    this._inner = inner;
+    this._faults = faults;
+    this._path = entryPath;
+  }
+
+  get read(): BackendSwapFile['read'] {
+    const read = this._inner.read;
+    return read && ((buffer, position) => runFault(
+      this._faults,
+      { operation: 'swap.read', path: this._path, position, bytes: buffer.byteLength },
+      () => read.call(this._inner, buffer, position)
+    ));
+  }
+
+  size(): Promise<number> {
+    return runFault(this._faults, { operation: 'swap.size', path: this._path }, () => this._inner.size());
+  }
+
+  write(data: Uint8Array, position: number): Promise<void> {
+    return runFault(
+      this._faults,
+      { operation: 'swap.write', path: this._path, position, bytes: data.byteLength },
+      allowed => this._inner.write(data.subarray(0, allowed), position)
+    );
+  }
+
+  truncate(size: number): Promise<void> {
+    return runFault(this._faults, { operation: 'swap.truncate', path: this._path }, () => this._inner.truncate(size));
+  }
+
+  commit(): Promise<number> {
+    return runFault(this._faults, { operation: 'swap.commit', path: this._path }, () => {
+      openFiles(this._faults).delete(this);
+      return this._inner.commit();
+    });
+  }
+
+  discard(): Promise<void> {
+    return runFault(this._faults, { operation: 'swap.discard', path: this._path }, () => {
+      openFiles(this._faults).delete(this);
+      return this._inner.discard();
+    });
+  }
+
+  /**
+   * Throws the swap file away, for FaultInjector.crash()
+   */
+  crash(): Promise<void> {
+    return this._inner.discard();
+  }
+}
+
+/**
+ * A file opened by a sync access handle. What writes and truncations
+ * overwrite is kept until the next flush, so that a crash can undo them.
+ */
+class FaultInjectingSyncFile implements BackendSyncFile {
+  private _inner: BackendSyncFile;
+  private _faults: FaultInjector;
+  private _path: string;
+  // Bytes that were at position, and the size of the file, before each change
+  private _undo: Array<{ position: number; data: Uint8Array; size: number }> = [];
+
+  constructor(inner: BackendSyncFile, faults: FaultInjector, entryPath: string) {
+    this._inner = inner;
+    this._faults = faults;
+    this._path = entryPath;
+  }
+
+  read(buffer: Uint8Array, position: number): number {
+    return runFaultSync(
+      this._faults,
+      { operation: 'sync.read', path: this._path, position, bytes: buffer.byteLength },
+      () => this._inner.read(buffer, position)
+    );
+  }
+
+  write(buffer: Uint8Array, position: number): number {
+    return runFaultSync(
+      this._faults,
+      { operation: 'sync.write', path: this._path, position, bytes: buffer.byteLength },
+      allowed => {
+        this._remember(position, allowed);
+        return this._inner.write(buffer.subarray(0, allowed), position);
+      }
+    );
+  }
+
+  truncate(size: number): void {
+    runFaultSync(this._faults, { operation: 'sync.truncate', path: this._path }, () => {
+      this._remember(size, Infinity);
+      this._inner.truncate(size);
+    });
+  }
+
+  size(): number {
+    return runFaultSync(this._faults, { operation: 'sync.size', path: this._path }, () => this._inner.size());
+  }
+
+  flush(): void {
+    runFaultSync(this._faults, { operation: 'sync.flush', path: this._path }, () => {
+      this._inner.flush();
+      this._undo = [];
+    });
+  }
+
+  close(): Promise<void> {
+    return runFault(this._faults, { operation: 'sync.close', path: this._path }, async () => {
+      openFiles(this._faults).delete(this);
+      await this._inner.close();
+      this._undo = [];
+    });
+  }
+
+  /**
+   * Keeps the bytes that a change of length bytes at position overwrites
+   */
+  private _remember(position: number, length: number): void {
+    const size = this._inner.size();
+    const data = new Uint8Array(Math.max(0, Math.min(length, size - position)));
+    this._inner.read(data, position);
+    this._undo.push({ position, data, size });
+  }
+
+  /**
+   * Undoes the changes since the last flush and closes the file, for
+   * FaultInjector.crash()
+   */
+  async crash(): Promise<void> {
+    for (const { position, data, size } of this._undo.reverse()) {
+      this._inner.write(data, position);
+      this._inner.truncate(size);
+    }
+    this._undo = [];
+    await this._inner.close();
+  }
+}
+
+function toActiveRule(rule: FaultRule): ActiveRule {
+  if (typeof rule !== 'object' || rule === null) {
+    throw new TypeError('A fault must be an object');
+  }
+  const operations = rule.operation === undefined
+    ? null
+    : new Set(Array.isArray(rule.operation) ? rule.operation : [rule.operation]);
+  for (const operation of operations ?? []) {
+    if (!OPERATIONS.has(operation)) {
+      throw new TypeError(`'${operation}' is not an operation faults can be injected into`);
+    }
+  }
+  if (rule.path !== undefined && typeof rule.path !== 'string') {
+    throw new TypeError('path must be a glob pattern');
+  }
+  if (rule.error !== undefined && typeof rule.error !== 'string' && !(rule.error instanceof Error)) {
+    throw new TypeError('error must be an Error, a DOMException name or an fs error code');
+  }
+  for (const key of ['afterBytes', 'latency', 'times'] as const) {
+    const value = rule[key];
+    if (value !== undefined && !(Number.isSafeInteger(value) && value >= 0)) {
+      throw new TypeError(`${key} must be a non-negative integer`);
+    }
+  }
+  if (rule.error === undefined && rule.afterBytes === undefined && !rule.latency) {
+    throw new TypeError('A fault needs an error, afterBytes or latency');
+  }
+
+  return {
+    operations,
+    pattern: rule.path === undefined ? null : globToRegExp(rule.path),
+    error: rule.error,
+    afterBytes: rule.afterBytes,
+    latency: rule.latency ?? 0,
+    remaining: rule.times ?? Infinity,
+    written: 0
+  };
+}
+
+function ruleMatches(rule: ActiveRule, record: FaultRecord): boolean {
+  if (rule.operations && !rule.operations.has(record.operation)) {
+    return false;
+  }
+  return !rule.pattern || rule.pattern.test(record.path) ||
+    (record.target !== undefined && rule.pattern.test(record.target));
+}
+
+/**
+ * Errors given by name are created for each failure. Codes like 'EIO' make
+ * errors shaped like those of Node's fs module, which the handles translate.
+ */
+function toError(error: Error | string, entryPath: string): Error {
+  if (typeof error !== 'string') {
+    return error;
+  }
+  if (/^E[A-Z]+$/.test(error)) {
+    return Object.assign(new Error(`${error}: injected fault, '${entryPath}'`), { code: error });
+  }
+  return new DOMException(`Injected ${error} for '${entryPath}'`, error);
+}
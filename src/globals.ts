@@ -0,0 +1,43 @@
+/**
+ * Global declarations for `node-opfs/polyfill`, for TypeScript projects that
+ * do not use lib.dom (which already declares these globals):
+ *
+ * ```typescript
+ * /// <reference types="node-opfs/globals" />
+ * ```
+ */
+
+import type { FileSystemHandle as NodeFileSystemHandle } from './FileSystemHandle.js';
+import type {
+  FileSystemFileHandle as NodeFileSystemFileHandle,
+  FileSystemSyncAccessHandle as NodeFileSystemSyncAccessHandle
+} from './FileSystemFileHandle.js';
+import type { FileSystemDirectoryHandle as NodeFileSystemDirectoryHandle } from './FileSystemDirectoryHandle.js';
+import type { FileSystemWritableFileStream as NodeFileSystemWritableFileStream } from './FileSystemWritableFileStream.js';
+import type { FileSystemObserver as NodeFileSystemObserver } from './FileSystemObserver.js';
+import type { storage } from './StorageManager.js';
+import type { StorageBucketManager } from './StorageBucketManager.js';
+
+declare global {
+  interface Navigator {
+    readonly storage: typeof storage;
+    readonly storageBuckets: StorageBucketManager;
+  }
+
+  var navigator: Navigator;
+
+  var FileSystemHandle: typeof NodeFileSystemHandle;
+  type FileSystemHandle = NodeFileSystemHandle;
+  var FileSystemFileHandle: typeof NodeFileSystemFileHandle;
+  type FileSystemFileHandle = NodeFileSystemFileHandle;
+  var FileSystemDirectoryHandle: typeof NodeFileSystemDirectoryHandle;
+  type FileSystemDirectoryHandle = NodeFileSystemDirectoryHandle;
+  var FileSystemWritableFileStream: typeof NodeFileSystemWritableFileStream;
+  type FileSystemWritableFileStream = NodeFileSystemWritableFileStream;
+  var FileSystemSyncAccessHandle: typeof NodeFileSystemSyncAccessHandle;
+  type FileSystemSyncAccessHandle = NodeFileSystemSyncAccessHandle;
+  var FileSystemObserver: typeof NodeFileSystemObserver;
+  type FileSystemObserver = NodeFileSystemObserver;
+}
+
+export {};
@@ -30,7 +30,44 @@ export { FileSystemHandle } from './FileSystemHandle.js';
 export { FileSystemFileHandle, FileSystemSyncAccessHandle } from './FileSystemFileHandle.js';
 export { FileSystemDirectoryHandle } from './FileSystemDirectoryHandle.js';
 export { FileSystemWritableFileStream } from './FileSystemWritableFileStream.js';
+export { FileSystemTransaction } from './FileSystemTransaction.js';
+export type { FileSystemTransactionPath, FileSystemTransactionRemoveOptions } from './FileSystemTransaction.js';
 export { StorageManager, navigator, storage } from './StorageManager.js';
+export type { StorageManagerOptions, StorageEstimate } from './StorageManager.js';
+export { FileSystemObserver } from './FileSystemObserver.js';
+export type {
+  FileSystemChangeRecord,
+  FileSystemChangeType,
+  FileSystemObserverCallback,
+  FileSystemObserverObserveOptions
+} from './FileSystemObserver.js';
+export { StorageBucketManager, StorageBucket } from './StorageBucketManager.js';
+export type { StorageBucketOptions, StorageBucketDurability } from './StorageBucketManager.js';
+export { serializeHandle, deserializeHandle } from './serialize.js';
+export type { SerializedHandle } from './serialize.js';
+export { exportTar, importTar } from './tar.js';
+export type { ImportTarOptions } from './tar.js';
+export { createReadStream, createNodeWriteStream } from './streams.js';
+export type { CreateReadStreamOptions, CreateNodeWriteStreamOptions } from './streams.js';
+export { walk, glob, copy, getHandleByPath } from './tree.js';
+export type { WalkFilter, WalkOptions, CopyOptions, GetHandleByPathOptions } from './tree.js';
+export { createWebDAVHandler } from './webdav.js';
+export type { WebDAVHandler, WebDAVHandlerOptions } from './webdav.js';
+export { DiskBackend } from './disk.js';
+export { MemoryBackend } from './memory.js';
+export { ContainerBackend } from './container.js';
+export { FaultInjector } from './faults.js';
+export type { FaultOperation, FaultRule, FaultRecord } from './faults.js';
+export { EncryptedBackend } from './encrypted.js';
+export type { EncryptedBackendOptions } from './encrypted.js';
+export type {
+  StorageBackend,
+  BackendSwapFile,
+  BackendSyncFile,
+  EntryInfo,
+  EntryKind,
+  RemovedEntry
+} from './backend.js';
 
 // Re-export default
 import storageManager from './StorageManager.js';
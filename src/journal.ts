@@ -0,0 +1,277 @@
+import * as path from 'path';
+import { randomBytes } from 'crypto';
+import { threadId } from 'worker_threads';
+import { StorageContext } from './context.js';
+import { EntryLock } from './locks.js';
+import { RESERVED_PREFIX } from './paths.js';
+import { isProcessAlive, processStartTime } from './processes.js';
+
+/**
+ * Directory in the root holding one directory per transaction, named
+ * `<pid>-<threadId>-<id>`. It holds the staged contents of the files the
+ * transaction writes, its journal once it commits, and a `done-<n>` marker
+ * for each operation applied since.
+ */
+export const TRANSACTIONS_DIR_NAME = `${RESERVED_PREFIX}transactions`;
+const STAGING_PATTERN = /^(\d+)-(\d+)-[0-9a-z]+$/;
+const JOURNAL_FILE_NAME = 'journal.json';
+const DONE_PATTERN = /^done-(\d+)$/;
+
+/**
+ * An operation of a committed transaction. Paths are lists of names relative
+ * to the root; staged is the name of the file in the transaction's directory
+ * that holds the contents to write.
+ */
+export type JournalOperation =
+  | { type: 'write'; path: string[]; staged: string }
+  | { type: 'createDirectory'; path: string[] }
+  | { type: 'remove'; path: string[]; recursive: boolean }
+  | { type: 'move'; from: string[]; to: string[] };
+
+/**
+ * What a transaction records at its commit point
+ */
+export interface Journal {
+  operations: JournalOperation[];
+}
+
+/**
+ * Creates the directory a new transaction stages its files in. The lock on
+ * it keeps recovery from taking the transaction for an abandoned one, and
+ * must be held until the transaction is over.
+ */
+export async function createStagingDirectory(context: StorageContext): Promise<{ stagingPath: string; lock: EntryLock }> {
+  const { backend, locks, root } = context;
+  const transactionsPath = path.join(root, TRANSACTIONS_DIR_NAME);
+  const stagingPath = path.join(transactionsPath, `${process.pid}-${threadId}-${randomBytes(6).toString('hex')}`);
+
+  const lock = await locks.acquire(stagingPath, 'exclusive');
+  try {
+    await backend.createDirectory(transactionsPath).catch((error: any) => {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+    });
+    await backend.createDirectory(stagingPath);
+  } catch (error) {
+    await lock.release();
+    throw error;
+  }
+  return { stagingPath, lock };
+}
+
+/**
+ * Writes the journal, which commits the transaction: from then on it is
+ * completed rather than rolled back, even after a crash. The journal only
+ * appears once it has been written completely.
+ */
+export async function writeJournal(context: StorageContext, stagingPath: string, journal: Journal): Promise<void> {
+  await writeJsonFile(context, path.join(stagingPath, JOURNAL_FILE_NAME), journal);
+}
+
+/**
+ * Creates a file holding value as JSON. Its contents only appear once they
+ * have been written completely; until then the file is empty.
+ */
+export async function writeJsonFile(context: StorageContext, filePath: string, value: unknown): Promise<void> {
+  const { backend, usage } = context;
+  const data = Buffer.from(JSON.stringify(value));
+
+  await backend.createFile(filePath);
+  await usage.reserve(data.byteLength);
+  try {
+    const swap = await backend.openSwap(filePath, false);
+    try {
+      await swap.write(data, 0);
+    } catch (error) {
+      await swap.discard();
+      throw error;
+    }
+    await swap.commit();
+  } catch (error) {
+    usage.release(data.byteLength);
+    throw error;
+  }
+}
+
+/**
+ * Applies the operations of a committed transaction that have not been
+ * applied yet. An operation interrupted by a crash may have taken effect
+ * without its marker, so each one is skipped when its source is gone.
+ */
+export async function applyJournal(context: StorageContext, stagingPath: string, journal: Journal): Promise<void> {
+  const { backend } = context;
+  const done = new Set<number>();
+  for (const [name] of await backend.list(stagingPath)) {
+    const match = DONE_PATTERN.exec(name);
+    if (match) {
+      done.add(Number(match[1]));
+    }
+  }
+
+  for (const [index, operation] of journal.operations.entries()) {
+    if (done.has(index)) {
+      continue;
+    }
+    await applyOperation(context, stagingPath, operation);
+    await backend.createFile(path.join(stagingPath, `done-${index}`));
+  }
+}
+
+/**
+ * Deletes a transaction's directory, with whatever it staged
+ */
+export async function removeStagingDirectory(context: StorageContext, stagingPath: string): Promise<void> {
+  const { backend, usage } = context;
+  try {
+    const removed = await backend.remove(stagingPath, true, usage.measured);
+    usage.release(removed.size);
+  } catch (error: any) {
+    // Already cleaned up by someone else
+    if (error.code !== 'ENOENT') {
+      throw error;
+    }
+  }
+}
+
+/**
+ * Finishes the transactions a crashed process or a failed commit left
+ * behind: committed ones are completed, the others rolled back. Transactions
+ * still in progress are recognized by the lock on their directory, or by
+ * their process still running.
+ */
+export async function recoverTransactions(context: StorageContext): Promise<void> {
+  const { backend, locks, root } = context;
+  const transactionsPath = path.join(root, TRANSACTIONS_DIR_NAME);
+  let entries;
+  try {
+    entries = await backend.list(transactionsPath);
+  } catch (error: any) {
+    if (error.code === 'ENOENT') {
+      return;
+    }
+    throw error;
+  }
+
+  for (const [name, kind] of entries) {
+    const match = STAGING_PATTERN.exec(name);
+    if (kind !== 'directory' || !match) {
+      continue;
+    }
+    const stagingPath = path.join(transactionsPath, name);
+    if (!await isAbandoned(context, stagingPath, Number(match[1]), Number(match[2]))) {
+      continue;
+    }
+
+    let lock;
+    try {
+      lock = await locks.acquire(stagingPath, 'exclusive');
+    } catch {
+      // In progress in this thread
+      continue;
+    }
+    try {
+      const journal = await readJournal(context, stagingPath);
+      if (journal) {
+        await applyJournal(context, stagingPath, journal);
+      }
+      await removeStagingDirectory(context, stagingPath);
+    } finally {
+      await lock.release();
+    }
+  }
+}
+
+/**
+ * Returns false for transactions that may belong to another running process
+ * or another thread of this one. A directory carrying our pid but older than
+ * this process was left by an earlier process that happened to get the same pid.
+ */
+async function isAbandoned(context: StorageContext, stagingPath: string, pid: number, thread: number): Promise<boolean> {
+  if (pid !== process.pid) {
+    return !isProcessAlive(pid);
+  }
+  if (thread === threadId) {
+    return true;
+  }
+  const stats = await context.backend.stat(stagingPath).catch(() => null);
+  return stats !== null && stats.lastModified < processStartTime();
+}
+
+/**
+ * Returns the journal of a committed transaction, or null if the transaction
+ * never got to write it completely
+ */
+async function readJournal(context: StorageContext, stagingPath: string): Promise<Journal | null> {
+  try {
+    const file = await context.backend.getFile(path.join(stagingPath, JOURNAL_FILE_NAME), JOURNAL_FILE_NAME, 'application/json');
+    const journal = JSON.parse(await file.text());
+    return Array.isArray(journal?.operations) ? journal : null;
+  } catch (error: any) {
+    if (error.code === 'ENOENT' || error instanceof SyntaxError) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+async function applyOperation(context: StorageContext, stagingPath: string, operation: JournalOperation): Promise<void> {
+  const { backend, usage, changes, root } = context;
+  const toPath = (names: string[]) => path.join(root, ...names);
+  const statOrNull = (entryPath: string) => backend.stat(entryPath).catch((error: any) => {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  });
+
+  switch (operation.type) {
+    case 'write': {
+      const target = toPath(operation.path);
+      const staged = path.join(stagingPath, operation.staged);
+      if (!await statOrNull(staged)) {
+        return;
+      }
+      const existed = await statOrNull(target) !== null;
+      usage.release(await backend.move(staged, target));
+      changes.notify(existed ? 'modified' : 'appeared', 'file', target);
+      return;
+    }
+    case 'createDirectory': {
+      const target = toPath(operation.path);
+      try {
+        await backend.createDirectory(target);
+        changes.notify('appeared', 'directory', target);
+      } catch (error: any) {
+        if (error.code !== 'EEXIST') {
+          throw error;
+        }
+      }
+      return;
+    }
+    case 'remove': {
+      const target = toPath(operation.path);
+      try {
+        const removed = await backend.remove(target, operation.recursive, usage.measured);
+        usage.release(removed.size);
+        changes.notify('disappeared', removed.kind, target);
+      } catch (error: any) {
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+      }
+      return;
+    }
+    case 'move': {
+      const source = toPath(operation.from);
+      const target = toPath(operation.to);
+      const info = await statOrNull(source);
+      if (!info) {
+        return;
+      }
+      usage.release(await backend.move(source, target));
+      changes.notify('moved', info.kind, target, source);
+      return;
+    }
+  }
+}
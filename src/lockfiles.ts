@@ -0,0 +1,221 @@
+import * as path from 'path';
+import * as fs from 'fs/promises';
+import { randomBytes } from 'crypto';
+import { threadId } from 'worker_threads';
+import { RESERVED_PREFIX } from './paths.js';
+import { isProcessAlive, processStartTime } from './processes.js';
+import {
+  EntryLock,
+  findConflict,
+  HeldLock,
+  lockManager,
+  LockOptions,
+  Locks,
+  LockType,
+  lockError
+} from './locks.js';
+
+/**
+ * Name of the directory inside the base directory that holds the lock files
+ */
+export const LOCK_DIR_NAME = `${RESERVED_PREFIX}locks`;
+
+/**
+ * How long the lock table mutex may be held before it is considered abandoned
+ */
+const MUTEX_STALE_MS = 10_000;
+
+/**
+ * How long to wait between attempts to take a contended lock
+ */
+const RETRY_DELAY_MS = 20;
+
+/**
+ * Options for cross-process locks
+ */
+export interface CrossProcessLockOptions {
+  /**
+   * Milliseconds to wait for a lock held by another process before failing.
+   * Defaults to 0, failing immediately like browsers do.
+   */
+  timeout?: number;
+}
+
+/**
+ * Contents of a lock file. Every lock held by any process is one file.
+ */
+interface LockRecord extends HeldLock {
+  pid: number;
+  threadId: number;
+  created: number;
+}
+
+/**
+ * Locks that hold across processes sharing a base directory. Each held lock
+ * is recorded as a file in `.node-opfs-locks`; a mutex file serializes
+ * changes to that table. Records of processes that are no longer running are
+ * treated as stale and removed, so a crashed process cannot keep files locked.
+ */
+export class CrossProcessLockManager implements Locks {
+  private _baseDir: string;
+  private _lockDir: string;
+  private _timeout: number;
+
+  constructor(baseDir: string, options?: CrossProcessLockOptions) {
+    this._baseDir = path.resolve(baseDir);
+    this._lockDir = path.join(this._baseDir, LOCK_DIR_NAME);
+    this._timeout = options?.timeout ?? 0;
+  }
+
+  async acquire(entryPath: string, type: LockType, options?: LockOptions): Promise<EntryLock> {
+    // Conflicts within this thread fail fast without touching the disk
+    const localLock = lockManager.take(entryPath, type, options);
+    const relativePath = path.relative(this._baseDir, path.resolve(entryPath));
+    const deadline = Date.now() + this._timeout;
+
+    try {
+      for (;;) {
+        const result = await this._withMutex(deadline, async (records) => {
+          const conflict = findConflict(records.values(), relativePath, type, options) as LockRecord | undefined;
+          if (conflict) {
+            return { conflict };
+          }
+          const id = `${process.pid}-${threadId}-${randomBytes(6).toString('hex')}`;
+          const record: LockRecord = {
+            path: relativePath,
+            type,
+            pid: process.pid,
+            threadId,
+            created: Date.now()
+          };
+          await fs.writeFile(path.join(this._lockDir, `${id}.json`), JSON.stringify(record));
+          return { id };
+        });
+
+        if (result.id !== undefined) {
+          return this._entryLock(result.id, localLock);
+        }
+
+        if (Date.now() >= deadline) {
+          const holder = result.conflict!;
+          throw lockError(entryPath, holder.pid === process.pid
+            ? `thread ${holder.threadId} of this process`
+            : `process ${holder.pid}`);
+        }
+        await delay(RETRY_DELAY_MS);
+      }
+    } catch (error) {
+      await localLock.release();
+      throw error;
+    }
+  }
+
+  private _entryLock(id: string, localLock: EntryLock): EntryLock {
+    let released = false;
+    return {
+      release: async () => {
+        if (released) {
+          return;
+        }
+        released = true;
+        try {
+          await fs.rm(path.join(this._lockDir, `${id}.json`), { force: true });
+        } finally {
+          await localLock.release();
+        }
+      }
+    };
+  }
+
+  /**
+   * Runs fn with the lock table mutex held, passing it the live lock records
+   */
+  private async _withMutex<T>(deadline: number, fn: (records: Map<string, LockRecord>) => Promise<T>): Promise<T> {
+    await fs.mkdir(this._lockDir, { recursive: true });
+    const mutexPath = path.join(this._lockDir, 'mutex');
+    // The mutex is only held briefly, so always allow some time to get it
+    const mutexDeadline = Math.max(deadline, Date.now() + MUTEX_STALE_MS);
+
+    for (;;) {
+      try {
+        await fs.writeFile(mutexPath, JSON.stringify({ pid: process.pid, created: Date.now() }), { flag: 'wx' });
+        break;
+      } catch (error: any) {
+        if (error.code !== 'EEXIST') {
+          throw error;
+        }
+      }
+
+      if (await this._isMutexStale(mutexPath)) {
+        await fs.rm(mutexPath, { force: true });
+        continue;
+      }
+      if (Date.now() >= mutexDeadline) {
+        throw new DOMException('Timed out waiting for the lock table of another process', 'TimeoutError');
+      }
+      await delay(RETRY_DELAY_MS);
+    }
+
+    try {
+      return await fn(await this._readRecords());
+    } finally {
+      await fs.rm(mutexPath, { force: true });
+    }
+  }
+
+  private async _isMutexStale(mutexPath: string): Promise<boolean> {
+    try {
+      const stats = await fs.stat(mutexPath);
+      if (Date.now() - stats.mtimeMs > MUTEX_STALE_MS) {
+        return true;
+      }
+      return isStale(JSON.parse(await fs.readFile(mutexPath, 'utf8')));
+    } catch {
+      // Gone already, or still being written by its owner
+      return false;
+    }
+  }
+
+  /**
+   * Reads all lock records, deleting those of processes that are gone
+   */
+  private async _readRecords(): Promise<Map<string, LockRecord>> {
+    const records = new Map<string, LockRecord>();
+
+    for (const name of await fs.readdir(this._lockDir)) {
+      if (!name.endsWith('.json')) {
+        continue;
+      }
+      const recordPath = path.join(this._lockDir, name);
+      let record: LockRecord;
+      try {
+        record = JSON.parse(await fs.readFile(recordPath, 'utf8'));
+      } catch {
+        continue;
+      }
+      if (isStale(record)) {
+        await fs.rm(recordPath, { force: true });
+      } else {
+        records.set(name, record);
+      }
+    }
+
+    return records;
+  }
+}
+
+/**
+ * Returns true if the process that wrote a record is gone. A record with our
+ * own pid that predates this process was left by an earlier process that
+ * happened to get the same pid.
+ */
+function isStale(record: { pid: number; created: number }): boolean {
+  if (!isProcessAlive(record.pid)) {
+    return true;
+  }
+  return record.pid === process.pid && record.created < processStartTime();
+}
+
+function delay(ms: number): Promise<void> {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
@@ -0,0 +1,156 @@
+import * as path from 'path';
+import { isWithin } from './paths.js';
+
+/**
+ * Lock types from the File System spec. Shared types can be taken any number
+ * of times by holders of the same type; 'exclusive' can only be taken once.
+ */
+export type LockType =
+  | 'exclusive'
+  | 'writable-siloed'
+  | 'sync-access-handle-read-only'
+  | 'sync-access-handle-read-write-unsafe';
+
+/**
+ * A lock taken on an entry, released exactly once
+ */
+export interface EntryLock {
+  release(): Promise<void>;
+}
+
+/**
+ * Options for taking a lock
+ */
+export interface LockOptions {
+  /**
+   * Also conflict with locks held on descendants, which is what removing or
+   * moving a directory needs
+   */
+  recursive?: boolean;
+}
+
+/**
+ * Something that hands out entry locks. Failing to take a lock rejects with a
+ * NoModificationAllowedError.
+ */
+export interface Locks {
+  acquire(entryPath: string, type: LockType, options?: LockOptions): Promise<EntryLock>;
+}
+
+/**
+ * A lock as seen by the conflict check
+ */
+export interface HeldLock {
+  path: string;
+  type: LockType;
+}
+
+/**
+ * Returns the held lock that prevents taking a lock of the given type on
+ * entryPath, if any. Paths must be normalized the same way.
+ */
+export function findConflict(
+  held: Iterable<HeldLock>,
+  entryPath: string,
+  type: LockType,
+  options?: LockOptions
+): HeldLock | undefined {
+  for (const lock of held) {
+    if (lock.path === entryPath) {
+      if (type === 'exclusive' || lock.type !== type) {
+        return lock;
+      }
+    } else if (isWithin(lock.path, entryPath)) {
+      // A directory that is being removed or moved cannot gain new locks below it
+      if (lock.type === 'exclusive') {
+        return lock;
+      }
+    } else if (options?.recursive && isWithin(entryPath, lock.path)) {
+      return lock;
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Error thrown when a lock cannot be taken
+ */
+export function lockError(entryPath: string, holder?: string): DOMException {
+  return new DOMException(
+    `'${path.basename(entryPath)}' is locked by ${holder ?? 'another handle or operation'}`,
+    'NoModificationAllowedError'
+  );
+}
+
+interface LockState {
+  type: LockType;
+  count: number;
+}
+
+/**
+ * Tracks the locks held on entries so that sync access handles, writables and
+ * removals cannot interfere with each other.
+ */
+export class LockManager implements Locks {
+  private _locks = new Map<string, LockState>();
+
+  /**
+   * Takes a lock of the given type on the entry at entryPath, or throws a
+   * NoModificationAllowedError if a conflicting lock is held.
+   */
+  take(entryPath: string, type: LockType, options?: LockOptions): EntryLock {
+    const key = path.resolve(entryPath);
+    const held = Array.from(this._locks, ([lockPath, state]) => ({ path: lockPath, type: state.type }));
+    const conflict = findConflict(held, key, type, options);
+    if (conflict) {
+      throw lockError(conflict.path);
+    }
+
+    const state = this._locks.get(key);
+    if (state) {
+      state.count++;
+    } else {
+      this._locks.set(key, { type, count: 1 });
+    }
+
+    let released = false;
+    return {
+      release: async () => {
+        if (released) {
+          return;
+        }
+        released = true;
+        const current = this._locks.get(key)!;
+        if (--current.count === 0) {
+          this._locks.delete(key);
+        }
+      }
+    };
+  }
+
+  async acquire(entryPath: string, type: LockType, options?: LockOptions): Promise<EntryLock> {
+    return this.take(entryPath, type, options);
+  }
+}
+
+/**
+ * Runs fn while holding an exclusive lock on the entry
+ */
+export async function withExclusiveLock<T>(
+  locks: Locks,
+  entryPath: string,
+  options: LockOptions,
+  fn: () => Promise<T>
+): Promise<T> {
+  const lock = await locks.acquire(entryPath, 'exclusive', options);
+  try {
+    return await fn();
+  } finally {
+    await lock.release();
+  }
+}
+
+/**
+ * Locks of this process, shared by every StorageManager
+ */
+export const lockManager = new LockManager();
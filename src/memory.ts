@@ -0,0 +1,424 @@
+import * as path from 'path';
+import * as os from 'os';
+import * as buffer from 'buffer';
+import {
+  BackendSwapFile,
+  BackendSyncFile,
+  EntryInfo,
+  EntryKind,
+  fsError,
+  notEmptyError,
+  RemovedEntry,
+  StorageBackend,
+  targetExistsError
+} from './backend.js';
+import { isReservedName, isWithin } from './paths.js';
+
+/**
+ * Bytes of a file. Capacity beyond size is always zero-filled, so growing a
+ * file only needs to move size.
+ */
+interface Contents {
+  data: Uint8Array;
+  size: number;
+}
+
+interface FileNode extends Contents {
+  kind: 'file';
+  id: number;
+  lastModified: number;
+  /**
+   * Bumped on every change, so that File snapshots can tell they are stale
+   */
+  version: number;
+}
+
+interface DirectoryNode {
+  kind: 'directory';
+  id: number;
+  lastModified: number;
+  children: Map<string, Node>;
+}
+
+type Node = FileNode | DirectoryNode;
+
+let nextNodeId = 0;
+
+/**
+ * Keeps all entries in memory. Nothing touches the disk, so each backend is
+ * an isolated, empty file system that disappears with the process.
+ */
+export class MemoryBackend implements StorageBackend {
+  readonly root: string;
+  private _rootNode: DirectoryNode = createDirectoryNode();
+  private _swaps = new Set<MemorySwapFile>();
+  private _metadata: Record<string, unknown> = {};
+
+  constructor(root: string = path.sep) {
+    this.root = root;
+  }
+
+  async init(): Promise<void> {}
+
+  isSameStorage(other: StorageBackend): boolean {
+    return other === this;
+  }
+
+  async stat(entryPath: string): Promise<EntryInfo> {
+    const node = this._lookup(entryPath);
+    return {
+      kind: node.kind,
+      size: node.kind === 'file' ? node.size : 0,
+      lastModified: node.lastModified,
+      id: `memory:${node.id}`
+    };
+  }
+
+  /**
+   * Internal bookkeeping entries are hidden, like on disk
+   */
+  async list(dirPath: string): Promise<Array<[string, EntryKind]>> {
+    const node = this._lookupDirectory(dirPath);
+    return Array.from(node.children)
+      .filter(([name]) => !isReservedName(name))
+      .map(([name, child]) => [name, child.kind]);
+  }
+
+  async createFile(filePath: string): Promise<void> {
+    this._create(filePath, {
+      kind: 'file',
+      id: nextNodeId++,
+      lastModified: Date.now(),
+      version: 0,
+      data: new Uint8Array(0),
+      size: 0
+    });
+  }
+
+  async createDirectory(dirPath: string): Promise<void> {
+    this._create(dirPath, createDirectoryNode());
+  }
+
+  async remove(entryPath: string, recursive: boolean, measure: boolean): Promise<RemovedEntry> {
+    const node = this._lookup(entryPath);
+    // Internal bookkeeping entries are not part of the directory
+    const entries = node.kind === 'directory'
+      ? Array.from(node.children.keys()).filter(name => !isReservedName(name))
+      : [];
+    if (entries.length > 0 && !recursive) {
+      throw notEmptyError(path.basename(entryPath));
+    }
+
+    const removed = measure ? this._size(node, entryPath) : 0;
+    if (node === this._rootNode) {
+      // The root itself always stays, and so does the bookkeeping in it
+      for (const name of entries) {
+        node.children.delete(name);
+      }
+    } else {
+      const { parent, name } = this._lookupParent(entryPath);
+      parent.children.delete(name);
+      parent.lastModified = Date.now();
+    }
+    return { kind: node.kind, size: removed };
+  }
+
+  async move(source: string, target: string): Promise<number> {
+    const node = this._lookup(source);
+    const from = this._lookupParent(source);
+    const to = this._lookupParent(target);
+
+    const existing = to.parent.children.get(to.name);
+    if (existing && (existing.kind === 'directory' || node.kind === 'directory')) {
+      throw targetExistsError(to.name);
+    }
+
+    from.parent.children.delete(from.name);
+    to.parent.children.set(to.name, node);
+    from.parent.lastModified = to.parent.lastModified = Date.now();
+    return existing?.kind === 'file' ? existing.size : 0;
+  }
+
+  async getFile(filePath: string, name: string, type: string): Promise<File> {
+    const node = this._lookupFile(filePath);
+    const version = node.version;
+    const isStale = () => this._lookupOrNull(filePath) !== node || node.version !== version;
+    return new MemorySnapshot([node.data.slice(0, node.size)], name, { type, lastModified: node.lastModified }, isStale);
+  }
+
+  async openSwap(filePath: string, keepExistingData: boolean): Promise<BackendSwapFile> {
+    const node = this._lookupFile(filePath);
+    const contents = keepExistingData
+      ? { data: node.data.slice(0, node.size), size: node.size }
+      : { data: new Uint8Array(0), size: 0 };
+
+    const swap = new MemorySwapFile(filePath, contents, {
+      commit: () => {
+        this._swaps.delete(swap);
+        const target = this._lookupFile(filePath);
+        const replaced = target.size;
+        target.data = contents.data;
+        target.size = contents.size;
+        touch(target);
+        return replaced;
+      },
+      discard: () => {
+        this._swaps.delete(swap);
+      }
+    });
+    this._swaps.add(swap);
+    return swap;
+  }
+
+  async openSync(filePath: string, writable: boolean): Promise<BackendSyncFile> {
+    return new MemorySyncFile(this._lookupFile(filePath));
+  }
+
+  async measure(dirPath: string): Promise<number> {
+    return this._size(this._lookup(dirPath), dirPath);
+  }
+
+  async freeSpace(): Promise<number> {
+    return os.freemem();
+  }
+
+  async setLastModified(entryPath: string, lastModified: number): Promise<void> {
+    this._lookup(entryPath).lastModified = lastModified;
+  }
+
+  async readMetadata(): Promise<Record<string, unknown>> {
+    return { ...this._metadata };
+  }
+
+  async writeMetadata(metadata: Record<string, unknown>): Promise<void> {
+    this._metadata = { ...metadata };
+  }
+
+  /**
+   * Bytes stored in node and the swap files of writables under it
+   */
+  private _size(node: Node, entryPath: string): number {
+    let total = 0;
+    for (const swap of this._swaps) {
+      if (isWithin(entryPath, swap.target)) {
+        total += swap.contents.size;
+      }
+    }
+
+    const sizeOf = (node: Node): number => node.kind === 'file'
+      ? node.size
+      : Array.from(node.children.values()).reduce((sum, child) => sum + sizeOf(child), 0);
+    return total + sizeOf(node);
+  }
+
+  private _create(entryPath: string, node: Node): void {
+    const { parent, name } = this._lookupParent(entryPath);
+    if (parent.children.has(name)) {
+      throw fsError('EEXIST', entryPath);
+    }
+    parent.children.set(name, node);
+    parent.lastModified = Date.now();
+  }
+
+  private _lookup(entryPath: string): Node {
+    if (!isWithin(this.root, entryPath)) {
+      throw fsError('ENOENT', entryPath);
+    }
+    const relativePath = path.relative(this.root, entryPath);
+
+    let node: Node = this._rootNode;
+    for (const name of relativePath.split(path.sep).filter(Boolean)) {
+      if (node.kind !== 'directory') {
+        throw fsError('ENOTDIR', entryPath);
+      }
+      const child = node.children.get(name);
+      if (!child) {
+        throw fsError('ENOENT', entryPath);
+      }
+      node = child;
+    }
+    return node;
+  }
+
+  private _lookupOrNull(entryPath: string): Node | null {
+    try {
+      return this._lookup(entryPath);
+    } catch {
+      return null;
+    }
+  }
+
+  private _lookupFile(filePath: string): FileNode {
+    const node = this._lookup(filePath);
+    if (node.kind !== 'file') {
+      throw fsError('EISDIR', filePath);
+    }
+    return node;
+  }
+
+  private _lookupDirectory(dirPath: string): DirectoryNode {
+    const node = this._lookup(dirPath);
+    if (node.kind !== 'directory') {
+      throw fsError('ENOTDIR', dirPath);
+    }
+    return node;
+  }
+
+  private _lookupParent(entryPath: string): { parent: DirectoryNode; name: string } {
+    return {
+      parent: this._lookupDirectory(path.dirname(entryPath)),
+      name: path.basename(entryPath)
+    };
+  }
+}
+
+/**
+ * A private copy of a file, swapped in by commit()
+ */
+class MemorySwapFile implements BackendSwapFile {
+  readonly target: string;
+  readonly contents: Contents;
+  private _callbacks: { commit(): number; discard(): void };
+
+  constructor(target: string, contents: Contents, callbacks: { commit(): number; discard(): void }) {
+    this.target = target;
+    this.contents = contents;
+    this._callbacks = callbacks;
+  }
+
+  async size(): Promise<number> {
+    return this.contents.size;
+  }
+
+  async read(buffer: Uint8Array, position: number): Promise<number> {
+    return readContents(this.contents, buffer, position);
+  }
+
+  async write(data: Uint8Array, position: number): Promise<void> {
+    writeContents(this.contents, data, position);
+  }
+
+  async truncate(size: number): Promise<void> {
+    truncateContents(this.contents, size);
+  }
+
+  async commit(): Promise<number> {
+    return this._callbacks.commit();
+  }
+
+  async discard(): Promise<void> {
+    this._callbacks.discard();
+  }
+}
+
+/**
+ * Reads and writes a file node in place
+ */
+class MemorySyncFile implements BackendSyncFile {
+  private _node: FileNode;
+
+  constructor(node: FileNode) {
+    this._node = node;
+  }
+
+  read(buffer: Uint8Array, position: number): number {
+    return readContents(this._node, buffer, position);
+  }
+
+  write(buffer: Uint8Array, position: number): number {
+    writeContents(this._node, buffer, position);
+    touch(this._node);
+    return buffer.byteLength;
+  }
+
+  truncate(size: number): void {
+    truncateContents(this._node, size);
+    touch(this._node);
+  }
+
+  size(): number {
+    return this._node.size;
+  }
+
+  flush(): void {}
+
+  async close(): Promise<void> {}
+}
+
+/**
+ * A File holding a copy of a file's contents that, like a File backed by a
+ * file on disk, cannot be read once the file has changed
+ */
+export class MemorySnapshot extends buffer.File {
+  private _isStale: () => boolean;
+
+  constructor(parts: Array<Uint8Array | Blob>, name: string, options: buffer.FileOptions, isStale: () => boolean) {
+    super(parts, name, options);
+    this._isStale = isStale;
+  }
+
+  async arrayBuffer(): Promise<ArrayBuffer> {
+    this._assertFresh();
+    return super.arrayBuffer();
+  }
+
+  async text(): Promise<string> {
+    this._assertFresh();
+    return super.text();
+  }
+
+  stream(): ReturnType<buffer.Blob['stream']> {
+    this._assertFresh();
+    return super.stream();
+  }
+
+  slice(start?: number, end?: number, type?: string): MemorySnapshot {
+    const blob = super.slice(start, end, type);
+    return new MemorySnapshot([blob as Blob], '', { type: blob.type }, this._isStale);
+  }
+
+  private _assertFresh(): void {
+    if (this._isStale()) {
+      throw new DOMException('The file was changed after it was read', 'NotReadableError');
+    }
+  }
+}
+
+function createDirectoryNode(): DirectoryNode {
+  return { kind: 'directory', id: nextNodeId++, lastModified: Date.now(), children: new Map() };
+}
+
+function touch(node: FileNode): void {
+  node.version++;
+  node.lastModified = Date.now();
+}
+
+function readContents(contents: Contents, buffer: Uint8Array, position: number): number {
+  const count = Math.max(0, Math.min(buffer.byteLength, contents.size - position));
+  buffer.set(contents.data.subarray(position, position + count));
+  return count;
+}
+
+function writeContents(contents: Contents, bytes: Uint8Array, position: number): void {
+  const end = position + bytes.byteLength;
+  reserveCapacity(contents, end);
+  contents.data.set(bytes, position);
+  contents.size = Math.max(contents.size, end);
+}
+
+function truncateContents(contents: Contents, size: number): void {
+  if (size < contents.size) {
+    contents.data.fill(0, size, contents.size);
+  } else {
+    reserveCapacity(contents, size);
+  }
+  contents.size = size;
+}
+
+function reserveCapacity(contents: Contents, capacity: number): void {
+  if (capacity > contents.data.byteLength) {
+    const data = new Uint8Array(Math.max(capacity, contents.data.byteLength * 2));
+    data.set(contents.data.subarray(0, contents.size));
+    contents.data = data;
+  }
+}
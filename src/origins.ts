@@ -0,0 +1,42 @@
+import { createHash } from 'crypto';
+import { RESERVED_PREFIX } from './paths.js';
+
+/**
+ * Directory inside a base directory that holds one directory per origin
+ */
+export const ORIGINS_DIR_NAME = `${RESERVED_PREFIX}origins`;
+
+/**
+ * Encoded origins longer than this are hashed to stay within the file name
+ * limits of common file systems
+ */
+const MAX_NAME_LENGTH = 200;
+
+/**
+ * Returns the serialized origin of a URL or origin string, throwing a
+ * TypeError for strings that are not URLs or have an opaque origin
+ */
+export function normalizeOrigin(origin: string): string {
+  let url: URL;
+  try {
+    url = new URL(String(origin));
+  } catch {
+    throw new TypeError(`'${origin}' is not a valid origin`);
+  }
+  if (url.origin === 'null') {
+    throw new TypeError(`'${origin}' has an opaque origin`);
+  }
+  return url.origin;
+}
+
+/**
+ * Returns the name of the directory holding an origin's data. Names are
+ * percent-encoded so they are safe on every platform and cannot collide.
+ */
+export function originDirectoryName(origin: string): string {
+  const name = encodeURIComponent(normalizeOrigin(origin));
+  if (name.length <= MAX_NAME_LENGTH) {
+    return name;
+  }
+  return `${name.slice(0, MAX_NAME_LENGTH - 65)}-${createHash('sha256').update(name).digest('hex')}`;
+}
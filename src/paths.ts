@@ -0,0 +1,95 @@
+import * as path from 'path';
+import * as fs from 'fs/promises';
+import type { Stats } from 'fs';
+
+/**
+ * Prefix of the bookkeeping entries this library keeps inside the storage
+ * directory (swap files and the like). Such entries are hidden from iteration
+ * and cannot be created through the API.
+ */
+export const RESERVED_PREFIX = '.node-opfs-';
+
+/**
+ * Returns true for names reserved for internal bookkeeping entries
+ */
+export function isReservedName(name: string): boolean {
+  return name.startsWith(RESERVED_PREFIX);
+}
+
+/**
+ * Validates an entry name the way browsers do before it is used to build a path.
+ * Names must be non-empty, must not be '.' or '..', and must not contain path
+ * separators or NUL characters.
+ */
+export function assertValidName(name: string): void {
+  if (typeof name !== 'string') {
+    throw new TypeError(`Name must be a string`);
+  }
+  if (name === '' || name === '.' || name === '..') {
+    throw new TypeError(`'${name}' is not a valid name`);
+  }
+  if (name.includes('/') || name.includes('\\') || name.includes('\0')) {
+    throw new TypeError(`'${name}' is not a valid name`);
+  }
+  if (isReservedName(name)) {
+    throw new TypeError(`'${name}' is reserved for internal use`);
+  }
+}
+
+/**
+ * Joins a validated entry name onto a parent directory path
+ */
+export function childPath(parentPath: string, name: string): string {
+  assertValidName(name);
+  return path.join(parentPath, name);
+}
+
+/**
+ * Returns true if target is root or lies underneath it
+ */
+export function isWithin(root: string, target: string): boolean {
+  const relativePath = path.relative(root, target);
+  // Names like '..foo' are valid, so only a whole '..' component leaves root
+  return relativePath === '' ||
+    (relativePath !== '..' && !relativePath.startsWith('..' + path.sep) && !path.isAbsolute(relativePath));
+}
+
+/**
+ * Ensures that the real location of target (after following any symlinks)
+ * stays inside the real location of root. Targets that do not exist yet are
+ * checked through their nearest existing ancestor.
+ */
+export async function assertWithinRoot(root: string, target: string): Promise<void> {
+  const realRoot = await fs.realpath(root);
+  let current = target;
+
+  for (;;) {
+    try {
+      const realTarget = await fs.realpath(current);
+      if (!isWithin(realRoot, realTarget)) {
+        throw new DOMException(
+          `'${path.basename(target)}' resolves outside of the origin private file system`,
+          'SecurityError'
+        );
+      }
+      return;
+    } catch (error: any) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+      const parent = path.dirname(current);
+      if (parent === current) {
+        throw error;
+      }
+      current = parent;
+    }
+  }
+}
+
+/**
+ * Stats target (following symlinks) after checking that it stays inside root
+ */
+export async function statWithinRoot(root: string, target: string): Promise<Stats> {
+  await assertWithinRoot(root, target);
+  return fs.stat(target);
+}
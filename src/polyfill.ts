@@ -0,0 +1,75 @@
+/**
+ * Installs the OPFS API onto globalThis, so that code written for browsers
+ * can call `navigator.storage.getDirectory()` and check handles with
+ * `instanceof FileSystemFileHandle` unchanged:
+ *
+ * ```typescript
+ * import 'node-opfs/polyfill';
+ * ```
+ *
+ * Existing globals are left alone; a `navigator` that already exists, like
+ * the one in Node 21 and later, gets the missing `storage` and
+ * `storageBuckets` properties. For TypeScript projects without lib.dom, the
+ * matching global declarations are in `node-opfs/globals`.
+ */
+
+import { FileSystemHandle } from './FileSystemHandle.js';
+import { FileSystemFileHandle, FileSystemSyncAccessHandle } from './FileSystemFileHandle.js';
+import { FileSystemDirectoryHandle } from './FileSystemDirectoryHandle.js';
+import { FileSystemWritableFileStream } from './FileSystemWritableFileStream.js';
+import { FileSystemObserver } from './FileSystemObserver.js';
+import { navigator } from './StorageManager.js';
+
+const globals: Record<string, unknown> = {
+  FileSystemHandle,
+  FileSystemFileHandle,
+  FileSystemDirectoryHandle,
+  FileSystemWritableFileStream,
+  FileSystemSyncAccessHandle,
+  FileSystemObserver
+};
+
+// What install() added, so that uninstall() removes nothing else
+const installed: Array<[object, string, unknown]> = [];
+
+/**
+ * Adds the OPFS globals that are missing. Called when this module is
+ * imported; calling it again after uninstall() puts them back.
+ */
+export function install(): void {
+  for (const [name, value] of Object.entries(globals)) {
+    define(globalThis, name, value);
+  }
+
+  const existing = (globalThis as any).navigator;
+  if (existing === undefined) {
+    define(globalThis, 'navigator', { ...navigator });
+  } else {
+    define(existing, 'storage', navigator.storage);
+    define(existing, 'storageBuckets', navigator.storageBuckets);
+  }
+}
+
+/**
+ * Removes the globals added by install(), for test isolation. Globals that
+ * have since been replaced are left alone.
+ */
+export function uninstall(): void {
+  for (const [target, name, value] of installed.splice(0).reverse()) {
+    if ((target as any)[name] === value) {
+      delete (target as any)[name];
+    }
+  }
+}
+
+function define(target: object, name: string, value: unknown): void {
+  if (name in target) {
+    return;
+  }
+  // Like the properties of browser globals: writable and configurable, but
+  // not enumerable
+  Object.defineProperty(target, name, { value, writable: true, configurable: true, enumerable: false });
+  installed.push([target, name, value]);
+}
+
+install();
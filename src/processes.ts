@@ -0,0 +1,19 @@
+/**
+ * Returns true if a process with the given id is running
+ */
+export function isProcessAlive(pid: number): boolean {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error: any) {
+    // EPERM means the process exists but belongs to someone else
+    return error.code === 'EPERM';
+  }
+}
+
+/**
+ * Wall-clock time at which this process started
+ */
+export function processStartTime(): number {
+  return Date.now() - process.uptime() * 1000;
+}
@@ -0,0 +1,123 @@
+/**
+ * Keeps track of the bytes stored under a root directory and enforces an
+ * optional quota. Usage is measured once and then updated incrementally by
+ * every operation that changes file sizes. The usage of a storage bucket
+ * also counts towards that of the storage it belongs to, its parent, whose
+ * quota applies as well.
+ */
+export class UsageTracker {
+  private _measure: () => Promise<number>;
+  private _quota: number | undefined;
+  private _parent: UsageTracker | undefined;
+  private _usage: number | null = null;
+  private _computing: Promise<number> | null = null;
+
+  constructor(measure: () => Promise<number>, quota?: number, parent?: UsageTracker) {
+    this._measure = measure;
+    this._quota = quota;
+    this._parent = parent;
+  }
+
+  /**
+   * The configured quota in bytes, if any
+   */
+  get quota(): number | undefined {
+    return this._quota;
+  }
+
+  /**
+   * True once usage has been computed. Until then there is nothing to update,
+   * so callers can skip measuring the entries they remove.
+   */
+  get measured(): boolean {
+    return this._usage !== null || this._parent?.measured === true;
+  }
+
+  /**
+   * Returns the number of bytes currently stored, computing it on first use
+   */
+  async usage(): Promise<number> {
+    if (this._usage !== null) {
+      return this._usage;
+    }
+    this._computing ??= this._measure().then(size => {
+      // Changes recorded while computing were already on disk when measured
+      this._usage = size;
+      this._computing = null;
+      return size;
+    });
+    return this._computing;
+  }
+
+  /**
+   * Makes sure usage is known, so that the synchronous methods can be used
+   */
+  async ready(): Promise<void> {
+    await this.usage();
+    await this._parent?.ready();
+  }
+
+  /**
+   * Records a change in stored bytes, throwing a QuotaExceededError instead
+   * if growing by delta would exceed the quota
+   */
+  async reserve(delta: number): Promise<void> {
+    await this.ready();
+    this.reserveSync(delta);
+  }
+
+  /**
+   * Synchronous version of reserve(); requires ready() to have completed
+   */
+  reserveSync(delta: number): void {
+    const usage = this._knownUsage();
+    if (delta > 0 && this._quota !== undefined && usage + delta > this._quota) {
+      throw quotaError(this._quota);
+    }
+    this._parent?.reserveSync(delta);
+    this._usage = Math.max(0, usage + delta);
+  }
+
+  /**
+   * Records bytes that were freed
+   */
+  release(bytes: number): void {
+    if (this._usage !== null && bytes > 0) {
+      this._usage = Math.max(0, this._usage - bytes);
+    }
+    this._parent?.release(bytes);
+  }
+
+  /**
+   * Throws a QuotaExceededError if there is no room left for new entries
+   */
+  async assertRoom(): Promise<void> {
+    const usage = await this.usage();
+    if (this._quota !== undefined && usage >= this._quota) {
+      throw quotaError(this._quota);
+    }
+    await this._parent?.assertRoom();
+  }
+
+  /**
+   * Returns the number of bytes that can still be stored before this quota
+   * or the parent's is reached, or undefined if neither has one
+   */
+  async room(): Promise<number | undefined> {
+    const usage = await this.usage();
+    const own = this._quota === undefined ? undefined : Math.max(0, this._quota - usage);
+    const parent = await this._parent?.room();
+    return own === undefined || parent === undefined ? own ?? parent : Math.min(own, parent);
+  }
+
+  private _knownUsage(): number {
+    if (this._usage === null) {
+      throw new Error('Usage has not been computed yet');
+    }
+    return this._usage;
+  }
+}
+
+function quotaError(quota: number): DOMException {
+  return new DOMException(`The quota of ${quota} bytes has been exceeded`, 'QuotaExceededError');
+}
@@ -0,0 +1,107 @@
+import * as path from 'path';
+import { FileSystemHandle, getHandleLocation } from './FileSystemHandle.js';
+import { FileSystemFileHandle } from './FileSystemFileHandle.js';
+import { FileSystemDirectoryHandle } from './FileSystemDirectoryHandle.js';
+import { StorageManager, StorageManagerOptions, getReadyContext } from './StorageManager.js';
+import { StorageContext } from './context.js';
+import { childPath } from './paths.js';
+
+/**
+ * A handle as plain data, which survives structuredClone(), postMessage()
+ * and JSON.stringify()
+ */
+export interface SerializedHandle {
+  kind: 'file' | 'directory';
+  /**
+   * Names leading from the root directory to the entry; empty for the root
+   */
+  path: string[];
+  /**
+   * Options of the StorageManager the handle belongs to
+   */
+  storage: Pick<StorageManagerOptions, 'baseDir' | 'crossProcessLocks' | 'lockTimeout' | 'quota'>;
+}
+
+// Contexts of serialized handles and StorageManagers of deserialized ones,
+// by their storage options, so that handles of the same storage in a thread
+// share its usage and locks. A handle deserialized in the thread that
+// serialized it uses its original StorageManager's context.
+const contexts = new Map<string, StorageContext>();
+const storages = new Map<string, StorageManager>();
+
+function storageKey({ baseDir, crossProcessLocks, lockTimeout, quota }: SerializedHandle['storage']): string {
+  return JSON.stringify({ baseDir, crossProcessLocks, lockTimeout, quota });
+}
+
+/**
+ * Turns a handle into plain data that can be sent to a worker thread or
+ * stored, and turned back into a handle with deserializeHandle(). Only
+ * handles of disk storage can be serialized; memory storage cannot be
+ * reached from other threads. Every thread has its own locks: without
+ * crossProcessLocks, a lock taken in one thread does not hold in another.
+ */
+export function serializeHandle(handle: FileSystemHandle): SerializedHandle {
+  if (!(handle instanceof FileSystemHandle)) {
+    throw new TypeError('handle must be a FileSystemHandle');
+  }
+
+  const { path: handlePath, context } = getHandleLocation(handle);
+  const { root, storageOptions } = context;
+  if (!storageOptions?.baseDir) {
+    throw new DOMException(`'${handle.name}' is not stored unencrypted on disk and cannot be serialized`, 'DataCloneError');
+  }
+
+  const relativePath = path.relative(root, handlePath);
+  const { baseDir, crossProcessLocks, lockTimeout, quota } = storageOptions;
+  const storage = { baseDir, crossProcessLocks, lockTimeout, quota };
+  const key = storageKey(storage);
+  if (!contexts.has(key)) {
+    contexts.set(key, context);
+  }
+  return {
+    kind: handle.kind,
+    path: relativePath === '' ? [] : relativePath.split(path.sep),
+    storage
+  };
+}
+
+/**
+ * Turns data returned by serializeHandle() back into a handle. The entry
+ * does not need to exist, just like a handle whose entry was removed.
+ */
+export async function deserializeHandle(
+  data: SerializedHandle
+): Promise<FileSystemFileHandle | FileSystemDirectoryHandle> {
+  if (
+    typeof data !== 'object' || data === null ||
+    (data.kind !== 'file' && data.kind !== 'directory') ||
+    !Array.isArray(data.path) ||
+    typeof data.storage?.baseDir !== 'string' ||
+    (data.kind === 'file' && data.path.length === 0)
+  ) {
+    throw new TypeError('Not a serialized FileSystemHandle');
+  }
+
+  const key = storageKey(data.storage);
+  let context = contexts.get(key);
+  if (!context) {
+    let storage = storages.get(key);
+    if (!storage) {
+      const { baseDir, crossProcessLocks, lockTimeout, quota } = data.storage;
+      storage = new StorageManager({ baseDir, crossProcessLocks, lockTimeout, quota });
+      storages.set(key, storage);
+    }
+    context = await getReadyContext(storage);
+  }
+
+  // Names are validated, so stored data cannot point outside the root
+  let entryPath = context.root;
+  for (const name of data.path) {
+    entryPath = childPath(entryPath, name);
+  }
+
+  const name = data.path[data.path.length - 1] ?? '';
+  return data.kind === 'file'
+    ? new FileSystemFileHandle(name, entryPath, context)
+    : new FileSystemDirectoryHandle(name, entryPath, context);
+}
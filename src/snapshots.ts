@@ -0,0 +1,277 @@
+import * as path from 'path';
+import { randomBytes } from 'crypto';
+import { StorageContext } from './context.js';
+import { StorageBackend } from './backend.js';
+import { EntryLock, withExclusiveLock } from './locks.js';
+import { RESERVED_PREFIX } from './paths.js';
+import { typeMismatchError } from './errors.js';
+import {
+  applyJournal,
+  createStagingDirectory,
+  Journal,
+  removeStagingDirectory,
+  writeJournal,
+  writeJsonFile
+} from './journal.js';
+
+/**
+ * Directory in the root holding one directory per snapshot, named after the
+ * time it was taken. Each holds a record of the directory it was taken of
+ * and a copy of that directory's contents.
+ */
+export const SNAPSHOTS_DIR_NAME = `${RESERVED_PREFIX}snapshots`;
+const RECORD_FILE_NAME = 'snapshot.json';
+const CONTENTS_DIR_NAME = 'contents';
+
+/**
+ * What a snapshot records about itself. The path is a list of names
+ * relative to the root.
+ */
+interface SnapshotRecord {
+  path: string[];
+  created: number;
+}
+
+// Snapshots taken by this process are ordered even within a millisecond
+let lastCreated = 0;
+
+/**
+ * Copies the contents of the directory at dirPath into a new snapshot and
+ * returns the snapshot's path. The entries copied are locked while that
+ * happens, so open writables and access handles fail it with a
+ * NoModificationAllowedError instead of leaving half of their changes in it.
+ * It is staged like a transaction, so a crash halfway leaves nothing behind.
+ */
+export async function takeSnapshot(context: StorageContext, dirPath: string): Promise<string> {
+  const { backend, locks, root } = context;
+  if ((await backend.stat(dirPath)).kind !== 'directory') {
+    throw typeMismatchError(path.basename(dirPath), 'directory');
+  }
+  const { stagingPath, lock: stagingLock } = await createStagingDirectory(context);
+  const held: EntryLock[] = [];
+  try {
+    // Locking the directory itself would conflict with the staging directory
+    // when it is the root
+    const entries = await backend.list(dirPath);
+    for (const [name] of entries) {
+      held.push(await locks.acquire(path.join(dirPath, name), 'exclusive', { recursive: true }));
+    }
+    const created = Math.max(Date.now(), lastCreated + 1);
+    lastCreated = created;
+    await cloneEntries(context, dirPath, path.join(stagingPath, CONTENTS_DIR_NAME), entries);
+    const record: SnapshotRecord = { path: relativeNames(root, dirPath), created };
+    await writeJsonFile(context, path.join(stagingPath, RECORD_FILE_NAME), record);
+
+    const snapshotsPath = path.join(root, SNAPSHOTS_DIR_NAME);
+    await backend.createDirectory(snapshotsPath).catch((error: any) => {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+    });
+    const snapshotPath = path.join(snapshotsPath, snapshotName(created));
+    await backend.move(stagingPath, snapshotPath);
+    return snapshotPath;
+  } catch (error) {
+    await removeStagingDirectory(context, stagingPath).catch(() => {});
+    throw error;
+  } finally {
+    for (const lock of held.reverse()) {
+      await lock.release();
+    }
+    await stagingLock.release();
+  }
+}
+
+/**
+ * Returns the paths of the snapshots taken of the directory at dirPath,
+ * oldest first
+ */
+export async function listSnapshots(context: StorageContext, dirPath: string): Promise<string[]> {
+  const { backend, root } = context;
+  const snapshotsPath = path.join(root, SNAPSHOTS_DIR_NAME);
+  let entries;
+  try {
+    entries = await backend.list(snapshotsPath);
+  } catch (error: any) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+
+  const names = relativeNames(root, dirPath).join('/');
+  const snapshots: Array<[string, number]> = [];
+  for (const [name, kind] of entries) {
+    const snapshotPath = path.join(snapshotsPath, name);
+    const record = kind === 'directory' ? await readRecord(backend, snapshotPath) : null;
+    if (record?.path.join('/') === names) {
+      snapshots.push([snapshotPath, record.created]);
+    }
+  }
+  return snapshots.sort(([, a], [, b]) => a - b).map(([snapshotPath]) => snapshotPath);
+}
+
+/**
+ * Returns the context for reading the contents of a snapshot. Its entries
+ * belong to the same storage, but cannot be modified, and its handles
+ * cannot be serialized.
+ */
+export function snapshotContext(context: StorageContext, snapshotPath: string): StorageContext {
+  return { ...context, root: path.join(snapshotPath, CONTENTS_DIR_NAME), readOnly: true, storageOptions: undefined };
+}
+
+/**
+ * Returns the path of the snapshot whose contents are at contentsPath, if
+ * it is one of the directory at dirPath
+ */
+export async function findSnapshot(context: StorageContext, dirPath: string, contentsPath: string): Promise<string | null> {
+  const { backend, root } = context;
+  const snapshotPath = path.dirname(contentsPath);
+  if (path.basename(contentsPath) !== CONTENTS_DIR_NAME || path.dirname(snapshotPath) !== path.join(root, SNAPSHOTS_DIR_NAME)) {
+    return null;
+  }
+  const record = await readRecord(backend, snapshotPath);
+  return record?.path.join('/') === relativeNames(root, dirPath).join('/') ? snapshotPath : null;
+}
+
+/**
+ * Deletes a snapshot. Files of it that are open fail this with a
+ * NoModificationAllowedError.
+ */
+export async function deleteSnapshot(context: StorageContext, snapshotPath: string): Promise<void> {
+  const { backend, locks, usage } = context;
+  await withExclusiveLock(locks, snapshotPath, { recursive: true }, async () => {
+    const removed = await backend.remove(snapshotPath, true, usage.measured);
+    usage.release(removed.size);
+  });
+}
+
+/**
+ * Replaces the contents of the directory at dirPath with those of a
+ * snapshot. The snapshot's contents are copied first, then the directory's
+ * entries are swapped for them through a journal, so that a crash leaves
+ * either the old contents or the restored ones. Entries with open writables
+ * or access handles fail it with a NoModificationAllowedError.
+ */
+export async function restoreSnapshot(context: StorageContext, dirPath: string, snapshotPath: string): Promise<void> {
+  const { backend, locks, root } = context;
+  const contentsPath = path.join(snapshotPath, CONTENTS_DIR_NAME);
+  const { stagingPath, lock: stagingLock } = await createStagingDirectory(context);
+  const held: EntryLock[] = [];
+  try {
+    let journal: Journal;
+    try {
+      held.push(await locks.acquire(snapshotPath, 'exclusive', { recursive: true }));
+      const current = await backend.list(dirPath);
+      const restored = await backend.list(contentsPath);
+      const names = new Set([...current, ...restored].map(([name]) => name));
+      for (const name of names) {
+        held.push(await locks.acquire(path.join(dirPath, name), 'exclusive', { recursive: true }));
+      }
+
+      const stagedPath = path.join(stagingPath, CONTENTS_DIR_NAME);
+      await cloneEntries(context, contentsPath, stagedPath, restored);
+      const prefix = relativeNames(root, dirPath);
+      const staged = relativeNames(root, stagedPath);
+      journal = {
+        operations: [
+          ...current.map(([name]) => ({ type: 'remove' as const, path: [...prefix, name], recursive: true })),
+          ...restored.map(([name]) => ({ type: 'move' as const, from: [...staged, name], to: [...prefix, name] }))
+        ]
+      };
+      await writeJournal(context, stagingPath, journal);
+    } catch (error) {
+      await removeStagingDirectory(context, stagingPath).catch(() => {});
+      throw error;
+    }
+
+    // Committed: on failure, the journal is left for the next recovery
+    await applyJournal(context, stagingPath, journal);
+    await removeStagingDirectory(context, stagingPath);
+  } finally {
+    for (const lock of held.reverse()) {
+      await lock.release();
+    }
+    await stagingLock.release();
+  }
+}
+
+/**
+ * Creates target and copies the given entries of source into it, counting
+ * the copies towards usage
+ */
+async function cloneEntries(
+  context: StorageContext,
+  source: string,
+  target: string,
+  entries: Array<[string, 'file' | 'directory']>
+): Promise<void> {
+  const { backend, usage } = context;
+  await backend.createDirectory(target);
+  for (const [name, kind] of entries) {
+    const from = path.join(source, name);
+    const to = path.join(target, name);
+    if (kind === 'directory') {
+      await cloneEntries(context, from, to, await backend.list(from));
+      continue;
+    }
+
+    const { size, lastModified } = await backend.stat(from);
+    await usage.reserve(size);
+    try {
+      await (backend.cloneFile ? backend.cloneFile(from, to) : copyFile(backend, from, to, lastModified));
+    } catch (error) {
+      usage.release(size);
+      throw error;
+    }
+  }
+}
+
+/**
+ * Copies a file by reading and writing it, for backends without cloneFile()
+ */
+async function copyFile(backend: StorageBackend, source: string, target: string, lastModified: number): Promise<void> {
+  const file = await backend.getFile(source, path.basename(source), '');
+  await backend.createFile(target);
+  const swap = await backend.openSwap(target, false);
+  try {
+    let position = 0;
+    for await (const chunk of file.stream() as unknown as AsyncIterable<Uint8Array>) {
+      await swap.write(chunk, position);
+      position += chunk.byteLength;
+    }
+  } catch (error) {
+    await swap.discard();
+    throw error;
+  }
+  await swap.commit();
+  await backend.setLastModified?.(target, lastModified);
+}
+
+/**
+ * Returns the record of a snapshot, or null if it is incomplete
+ */
+async function readRecord(backend: StorageBackend, snapshotPath: string): Promise<SnapshotRecord | null> {
+  try {
+    const file = await backend.getFile(path.join(snapshotPath, RECORD_FILE_NAME), RECORD_FILE_NAME, 'application/json');
+    const record = JSON.parse(await file.text());
+    return Array.isArray(record?.path) && typeof record.created === 'number' ? record : null;
+  } catch (error: any) {
+    if (error.code === 'ENOENT' || error instanceof SyntaxError) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Names sort in the order the snapshots were taken, and are valid on any
+ * host file system
+ */
+function snapshotName(created: number): string {
+  return `${new Date(created).toISOString().replace(/[:.]/g, '-')}-${randomBytes(3).toString('hex')}`;
+}
+
+function relativeNames(root: string, entryPath: string): string[] {
+  return path.relative(root, entryPath).split(path.sep).filter(Boolean);
+}
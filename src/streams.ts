@@ -0,0 +1,120 @@
+import { Readable, Writable } from 'stream';
+import { ReadableStream, ReadableStreamDefaultReader, WritableStreamDefaultWriter } from 'stream/web';
+import { FileSystemFileHandle } from './FileSystemFileHandle.js';
+
+/**
+ * Options for createReadStream()
+ */
+export interface CreateReadStreamOptions {
+  /**
+   * Offset of the first byte to read. Defaults to 0.
+   */
+  start?: number;
+  /**
+   * Offset of the last byte to read, inclusive like in fs.createReadStream().
+   * Defaults to the end of the file.
+   */
+  end?: number;
+}
+
+/**
+ * Options for createNodeWriteStream()
+ */
+export interface CreateNodeWriteStreamOptions {
+  /**
+   * Start out with the file's current contents and write over them, instead
+   * of with an empty file
+   */
+  keepExistingData?: boolean;
+}
+
+/**
+ * Returns a Node Readable of a file's contents, for use with
+ * stream.pipeline() and other Node APIs. Like a File from getFile(), it
+ * reads the contents as they were when the stream opened, and fails with a
+ * NotReadableError if the file changes before it is done.
+ */
+export function createReadStream(fileHandle: FileSystemFileHandle, options?: CreateReadStreamOptions): Readable {
+  assertFileHandle(fileHandle);
+  const start = options?.start ?? 0;
+  const end = options?.end ?? Infinity;
+  if (!Number.isSafeInteger(start) || start < 0) {
+    throw new TypeError('start must be a non-negative integer');
+  }
+  if (end !== Infinity && (!Number.isSafeInteger(end) || end < start)) {
+    throw new TypeError('end must be an integer no less than start');
+  }
+
+  let reader: ReadableStreamDefaultReader<Uint8Array> | null = null;
+  return new Readable({
+    async construct(callback) {
+      try {
+        const file = await fileHandle.getFile();
+        const blob = file.slice(start, end === Infinity ? file.size : end + 1);
+        reader = (blob.stream() as ReadableStream<Uint8Array>).getReader();
+        callback();
+      } catch (error) {
+        callback(error as Error);
+      }
+    },
+    // Only called when the consumer wants more, which gives backpressure
+    async read() {
+      try {
+        const { done, value } = await reader!.read();
+        this.push(done ? null : value);
+      } catch (error) {
+        this.destroy(error as Error);
+      }
+    },
+    destroy(error, callback) {
+      reader?.cancel().catch(() => {});
+      callback(error);
+    }
+  });
+}
+
+/**
+ * Returns a Node Writable that writes to a file through a
+ * FileSystemWritableFileStream, so the same locks, swap file and quota
+ * apply. The file's contents are only replaced when the stream ends; a
+ * stream destroyed before that, with or without an error, leaves the file
+ * untouched.
+ */
+export function createNodeWriteStream(fileHandle: FileSystemFileHandle, options?: CreateNodeWriteStreamOptions): Writable {
+  assertFileHandle(fileHandle);
+  const keepExistingData = options?.keepExistingData ?? false;
+
+  let writer: WritableStreamDefaultWriter<Uint8Array> | null = null;
+  let finished = false;
+  return new Writable({
+    async construct(callback) {
+      try {
+        writer = (await fileHandle.createWritable({ keepExistingData })).getWriter();
+        callback();
+      } catch (error) {
+        callback(error as Error);
+      }
+    },
+    // The callback only runs once the chunk is in the swap file, which gives backpressure
+    write(chunk: Buffer, encoding, callback) {
+      writer!.write(chunk).then(() => callback(), callback);
+    },
+    final(callback) {
+      finished = true;
+      writer!.close().then(() => callback(), callback);
+    },
+    destroy(error, callback) {
+      if (!writer || finished) {
+        callback(error);
+        return;
+      }
+      writer.abort(error ?? undefined).then(() => callback(error), abortError => callback(error ?? abortError));
+    }
+  });
+}
+
+function assertFileHandle(fileHandle: unknown): void {
+  if (!(fileHandle instanceof FileSystemFileHandle)) {
+    throw new TypeError('fileHandle must be a FileSystemFileHandle');
+  }
+}
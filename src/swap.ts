@@ -0,0 +1,120 @@
+import * as path from 'path';
+import * as fs from 'fs/promises';
+import { constants } from 'fs';
+import { randomBytes } from 'crypto';
+import { isReservedName, RESERVED_PREFIX } from './paths.js';
+import { isProcessAlive, processStartTime } from './processes.js';
+
+/**
+ * Swap files are named `.node-opfs-swap-<pid>-<id>` so that stale ones can be
+ * attributed to the process that created them
+ */
+const SWAP_PREFIX = `${RESERVED_PREFIX}swap-`;
+const SWAP_PATTERN = /^\.node-opfs-swap-(\d+)-[0-9a-z]+$/;
+
+/**
+ * A swap file opened for writing beside its target
+ */
+export interface SwapFile {
+  path: string;
+  handle: fs.FileHandle;
+}
+
+/**
+ * Returns true if name is the name of a swap file
+ */
+export function isSwapFileName(name: string): boolean {
+  return SWAP_PATTERN.test(name);
+}
+
+/**
+ * Creates a swap file beside target and opens it for writing. With
+ * keepExistingData the current contents of target are copied into it first.
+ */
+export async function openSwapFile(target: string, keepExistingData: boolean): Promise<SwapFile> {
+  const swapPath = path.join(
+    path.dirname(target),
+    `${SWAP_PREFIX}${process.pid}-${randomBytes(6).toString('hex')}`
+  );
+  try {
+    if (keepExistingData) {
+      // Clone where the host supports copy-on-write, copy otherwise
+      await fs.copyFile(target, swapPath, constants.COPYFILE_EXCL | constants.COPYFILE_FICLONE);
+      return { path: swapPath, handle: await fs.open(swapPath, 'r+') };
+    }
+    return { path: swapPath, handle: await fs.open(swapPath, 'wx+') };
+  } catch (error) {
+    await fs.rm(swapPath, { force: true });
+    throw error;
+  }
+}
+
+/**
+ * Atomically replaces target with the contents of the swap file
+ */
+export async function commitSwapFile(swap: SwapFile, target: string): Promise<void> {
+  try {
+    await swap.handle.sync();
+    await swap.handle.close();
+    await fs.rename(swap.path, target);
+  } catch (error) {
+    await fs.rm(swap.path, { force: true });
+    throw error;
+  }
+}
+
+/**
+ * Closes and deletes the swap file, leaving the target untouched
+ */
+export async function discardSwapFile(swap: SwapFile): Promise<void> {
+  try {
+    await swap.handle.close();
+  } catch {
+    // Ignore if already closed
+  }
+  await fs.rm(swap.path, { force: true });
+}
+
+/**
+ * Recursively deletes swap files left behind by processes that are no longer
+ * running. A swap file carrying our own pid but older than this process was
+ * left by an earlier process that happened to get the same pid.
+ *
+ * Reserved directories are skipped: origins and buckets sweep their own
+ * trees when they are opened, and transactions remove their staging
+ * directories as a whole.
+ */
+export async function removeStaleSwapFiles(dir: string): Promise<void> {
+  let entries;
+  try {
+    entries = await fs.readdir(dir, { withFileTypes: true });
+  } catch {
+    return;
+  }
+
+  for (const entry of entries) {
+    const entryPath = path.join(dir, entry.name);
+
+    if (entry.isDirectory()) {
+      if (!isReservedName(entry.name)) {
+        await removeStaleSwapFiles(entryPath);
+      }
+      continue;
+    }
+
+    const match = SWAP_PATTERN.exec(entry.name);
+    if (!match || !entry.isFile()) {
+      continue;
+    }
+
+    const pid = Number(match[1]);
+    let stale = !isProcessAlive(pid);
+    if (!stale && pid === process.pid) {
+      const stats = await fs.stat(entryPath).catch(() => null);
+      stale = stats !== null && stats.mtimeMs < processStartTime();
+    }
+    if (stale) {
+      await fs.rm(entryPath, { force: true }).catch(() => {});
+    }
+  }
+}
@@ -0,0 +1,443 @@
+import { ReadableStream } from 'stream/web';
+import { FileSystemHandle, getHandleLocation } from './FileSystemHandle.js';
+import { FileSystemFileHandle } from './FileSystemFileHandle.js';
+import { FileSystemDirectoryHandle } from './FileSystemDirectoryHandle.js';
+import { createFile, sortedEntries } from './tree.js';
+import { toDOMException } from './errors.js';
+
+/**
+ * Options for importTar()
+ */
+export interface ImportTarOptions {
+  /**
+   * Replace files that already exist instead of failing with an
+   * InvalidModificationError. Existing directories are always merged into.
+   */
+  overwrite?: boolean;
+}
+
+const BLOCK_SIZE = 512;
+
+/**
+ * Largest number that fits the 11 octal digits of a ustar size field
+ */
+const MAX_USTAR_SIZE = 0o77777777777;
+
+/**
+ * Largest pax header or GNU long name read into memory, so an archive cannot
+ * claim gigabytes of them
+ */
+const MAX_EXTENDED_HEADER_SIZE = 1024 * 1024;
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+/**
+ * Returns the contents of a directory as a POSIX (pax) tar archive. Entries
+ * are read while the stream is consumed, so files are never held in memory
+ * as a whole. Paths in the archive are relative to the directory.
+ */
+export function exportTar(dir: FileSystemDirectoryHandle): ReadableStream<Uint8Array> {
+  if (!(dir instanceof FileSystemDirectoryHandle)) {
+    throw new TypeError('dir must be a FileSystemDirectoryHandle');
+  }
+
+  const chunks = archiveChunks(dir);
+  return new ReadableStream<Uint8Array>({
+    async pull(controller) {
+      const { value, done } = await chunks.next();
+      if (done) {
+        controller.close();
+      } else {
+        controller.enqueue(value);
+      }
+    },
+    async cancel() {
+      await chunks.return(undefined);
+    }
+  });
+}
+
+/**
+ * Extracts a tar archive into a directory, creating the directories it
+ * needs. Entries whose paths would leave the directory are rejected with a
+ * SecurityError; entries other than files and directories, like links, are
+ * skipped. Pax headers and long names over 1 MiB fail with a DataError. Modification times are restored where the storage supports it.
+ */
+export async function importTar(
+  dir: FileSystemDirectoryHandle,
+  archive: ReadableStream<Uint8Array> | AsyncIterable<Uint8Array> | Iterable<Uint8Array>,
+  options?: ImportTarOptions
+): Promise<void> {
+  if (!(dir instanceof FileSystemDirectoryHandle)) {
+    throw new TypeError('dir must be a FileSystemDirectoryHandle');
+  }
+  const overwrite = options?.overwrite ?? false;
+  const reader = new ArchiveReader(archive as AsyncIterable<Uint8Array> | Iterable<Uint8Array>);
+  // Times of directories are restored last, since adding entries changes them
+  const directories: Array<[FileSystemDirectoryHandle, number]> = [];
+
+  try {
+    let extended: Record<string, string> = {};
+    for (;;) {
+      const block = await reader.read(BLOCK_SIZE);
+      // Archives end with zero blocks, though some writers leave them out
+      if (!block || block.every(byte => byte === 0)) {
+        break;
+      }
+
+      const header = parseHeader(block);
+      if (header.type === 'x' || header.type === 'L') {
+        // A pax header or GNU long name describing the next entry
+        if (header.size > MAX_EXTENDED_HEADER_SIZE) {
+          throw new DOMException(`Extended tar header of ${header.size} bytes is too large`, 'DataError');
+        }
+        const data = await reader.read(header.size, true);
+        await reader.skip(paddingFor(header.size));
+        extended = header.type === 'x'
+          ? { ...extended, ...parsePaxRecords(data!) }
+          : { ...extended, path: decodeString(data!) };
+        continue;
+      }
+
+      const size = extended.size !== undefined ? Number(extended.size) : header.size;
+      const padding = paddingFor(size);
+
+      const entryPath = extended.path ?? header.path;
+      const lastModified = extended.mtime !== undefined ? Number(extended.mtime) * 1000 : header.mtime * 1000;
+      extended = {};
+
+      if (header.type === '0' || header.type === '\0' || header.type === '7') {
+        const names = toNames(entryPath);
+        if (names.length === 0) {
+          throw new TypeError(`'${entryPath}' is not a valid file path`);
+        }
+        const parent = await getDirectory(dir, names.slice(0, -1));
+        const file = await createFile(parent, names[names.length - 1], overwrite);
+        await writeFile(file, reader.chunks(size));
+        await reader.skip(padding);
+        await setLastModified(file, lastModified);
+      } else if (header.type === '5') {
+        directories.push([await getDirectory(dir, toNames(entryPath)), lastModified]);
+        await reader.skip(size + padding);
+      } else {
+        await reader.skip(size + padding);
+      }
+    }
+
+    for (const [handle, lastModified] of directories.reverse()) {
+      await setLastModified(handle, lastModified);
+    }
+  } finally {
+    await reader.close();
+  }
+}
+
+/**
+ * Header blocks, contents and padding of every entry under dir, then the
+ * end-of-archive marker
+ */
+async function* archiveChunks(dir: FileSystemDirectoryHandle): AsyncGenerator<Uint8Array> {
+  yield* entryChunks(dir, '');
+  yield new Uint8Array(BLOCK_SIZE * 2);
+}
+
+async function* entryChunks(dir: FileSystemDirectoryHandle, prefix: string): AsyncGenerator<Uint8Array> {
+  for (const [name, handle] of await sortedEntries(dir)) {
+    const entryPath = prefix + name;
+    if (handle instanceof FileSystemFileHandle) {
+      const file = await handle.getFile();
+      yield* headerBlocks(entryPath, '0', file.size, file.lastModified);
+      for await (const chunk of file.stream() as AsyncIterable<Uint8Array>) {
+        yield chunk;
+      }
+      const padding = paddingFor(file.size);
+      if (padding > 0) {
+        yield new Uint8Array(padding);
+      }
+    } else {
+      const { path, context } = getHandleLocation(handle);
+      const { lastModified } = await context.backend.stat(path).catch(error => {
+        throw toDOMException(error, name);
+      });
+      yield* headerBlocks(`${entryPath}/`, '5', 0, lastModified);
+      yield* entryChunks(handle as FileSystemDirectoryHandle, `${entryPath}/`);
+    }
+  }
+}
+
+/**
+ * Returns the ustar header of an entry, preceded by a pax header for paths
+ * and sizes that do not fit it
+ */
+function headerBlocks(entryPath: string, type: '0' | '5', size: number, lastModified: number): Uint8Array[] {
+  const mtime = Math.max(0, Math.floor(lastModified / 1000));
+  const split = splitPath(entryPath);
+  const records: Record<string, string> = {};
+  if (!split) {
+    records.path = entryPath;
+  }
+  if (size > MAX_USTAR_SIZE) {
+    records.size = String(size);
+  }
+
+  const blocks: Uint8Array[] = [];
+  if (Object.keys(records).length > 0) {
+    const data = encodePaxRecords(records);
+    blocks.push(ustarHeader('PaxHeader', '', 'x', data.length, mtime));
+    const padded = new Uint8Array(Math.ceil(data.length / BLOCK_SIZE) * BLOCK_SIZE);
+    padded.set(data);
+    blocks.push(padded);
+  }
+
+  const { name, prefix } = split ?? { name: entryPath.slice(-100), prefix: '' };
+  blocks.push(ustarHeader(name, prefix, type, size > MAX_USTAR_SIZE ? 0 : size, mtime));
+  return blocks;
+}
+
+/**
+ * Number of zero bytes that fill up the last block of an entry's contents
+ */
+function paddingFor(size: number): number {
+  return (BLOCK_SIZE - size % BLOCK_SIZE) % BLOCK_SIZE;
+}
+
+function ustarHeader(name: string, prefix: string, type: string, size: number, mtime: number): Uint8Array {
+  const block = new Uint8Array(BLOCK_SIZE);
+  writeString(block, 0, 100, name);
+  writeOctal(block, 100, 8, type === '5' ? 0o755 : 0o644);
+  writeOctal(block, 108, 8, 0);
+  writeOctal(block, 116, 8, 0);
+  writeOctal(block, 124, 12, size);
+  writeOctal(block, 136, 12, mtime);
+  writeString(block, 156, 1, type);
+  writeString(block, 257, 6, 'ustar');
+  writeString(block, 263, 2, '00');
+  writeString(block, 345, 155, prefix);
+  writeOctal(block, 148, 8, checksum(block));
+  return block;
+}
+
+/**
+ * Splits a path into the name and prefix fields of a ustar header, or
+ * returns null if it does not fit them
+ */
+function splitPath(entryPath: string): { name: string; prefix: string } | null {
+  if (encoder.encode(entryPath).length <= 100) {
+    return { name: entryPath, prefix: '' };
+  }
+  for (let i = entryPath.indexOf('/'); i !== -1; i = entryPath.indexOf('/', i + 1)) {
+    const prefix = entryPath.slice(0, i);
+    const name = entryPath.slice(i + 1);
+    if (name !== '' && encoder.encode(name).length <= 100 && encoder.encode(prefix).length <= 155) {
+      return { name, prefix };
+    }
+  }
+  return null;
+}
+
+function encodePaxRecords(records: Record<string, string>): Uint8Array {
+  let text = '';
+  for (const [key, value] of Object.entries(records)) {
+    // Each record starts with its own length, including the length itself
+    const body = ` ${key}=${value}\n`;
+    const bodyLength = encoder.encode(body).length;
+    let length = bodyLength + 1;
+    while (String(length).length + bodyLength !== length) {
+      length = String(length).length + bodyLength;
+    }
+    text += length + body;
+  }
+  return encoder.encode(text);
+}
+
+function parsePaxRecords(data: Uint8Array): Record<string, string> {
+  const records: Record<string, string> = {};
+  let offset = 0;
+  while (offset < data.length) {
+    const space = data.indexOf(0x20, offset);
+    const length = Number(decoder.decode(data.subarray(offset, space)));
+    if (space === -1 || !Number.isInteger(length) || length <= 0) {
+      throw new TypeError('Invalid pax header in tar archive');
+    }
+    const record = decoder.decode(data.subarray(space + 1, offset + length - 1));
+    const equals = record.indexOf('=');
+    records[record.slice(0, equals)] = record.slice(equals + 1);
+    offset += length;
+  }
+  return records;
+}
+
+function parseHeader(block: Uint8Array): { path: string; type: string; size: number; mtime: number } {
+  if (parseNumber(block.subarray(148, 156)) !== checksum(block)) {
+    throw new TypeError('Invalid tar header checksum');
+  }
+  const name = decodeString(block.subarray(0, 100));
+  const isUstar = decodeString(block.subarray(257, 262)) === 'ustar';
+  const prefix = isUstar ? decodeString(block.subarray(345, 500)) : '';
+  return {
+    path: prefix ? `${prefix}/${name}` : name,
+    type: String.fromCharCode(block[156]),
+    size: parseNumber(block.subarray(124, 136)),
+    mtime: parseNumber(block.subarray(136, 148))
+  };
+}
+
+/**
+ * Sum of the header's bytes, counting the checksum field as spaces
+ */
+function checksum(block: Uint8Array): number {
+  let sum = 0;
+  for (let i = 0; i < BLOCK_SIZE; i++) {
+    sum += i >= 148 && i < 156 ? 0x20 : block[i];
+  }
+  return sum;
+}
+
+/**
+ * Reads an octal field, or a base-256 one as written by GNU tar for large
+ * values
+ */
+function parseNumber(field: Uint8Array): number {
+  if (field[0] & 0x80) {
+    let value = field[0] & 0x7f;
+    for (const byte of field.subarray(1)) {
+      value = value * 256 + byte;
+    }
+    return value;
+  }
+  const text = decodeString(field).trim();
+  return text === '' ? 0 : parseInt(text, 8);
+}
+
+function writeOctal(block: Uint8Array, offset: number, length: number, value: number): void {
+  writeString(block, offset, length - 1, value.toString(8).padStart(length - 1, '0'));
+}
+
+function writeString(block: Uint8Array, offset: number, length: number, value: string): void {
+  block.set(encoder.encode(value).subarray(0, length), offset);
+}
+
+function decodeString(field: Uint8Array): string {
+  const end = field.indexOf(0);
+  return decoder.decode(end === -1 ? field : field.subarray(0, end));
+}
+
+/**
+ * Splits an archive path into entry names, rejecting paths that would leave
+ * the target directory
+ */
+function toNames(entryPath: string): string[] {
+  const names = entryPath.split('/').filter(name => name !== '' && name !== '.');
+  if (entryPath.startsWith('/') || names.includes('..')) {
+    throw new DOMException(`'${entryPath}' would be extracted outside the target directory`, 'SecurityError');
+  }
+  return names;
+}
+
+async function getDirectory(dir: FileSystemDirectoryHandle, names: string[]): Promise<FileSystemDirectoryHandle> {
+  for (const name of names) {
+    dir = await dir.getDirectoryHandle(name, { create: true });
+  }
+  return dir;
+}
+
+async function writeFile(file: FileSystemFileHandle, chunks: AsyncIterable<Uint8Array>): Promise<void> {
+  const writable = await file.createWritable();
+  try {
+    for await (const chunk of chunks) {
+      await writable.write(chunk);
+    }
+  } catch (error) {
+    await writable.abort().catch(() => {});
+    throw error;
+  }
+  await writable.close();
+}
+
+async function setLastModified(handle: FileSystemHandle, lastModified: number): Promise<void> {
+  const { path, context: { backend } } = getHandleLocation(handle);
+  if (backend.setLastModified && Number.isFinite(lastModified)) {
+    try {
+      await backend.setLastModified(path, lastModified);
+    } catch (error) {
+      throw toDOMException(error, handle.name);
+    }
+  }
+}
+
+/**
+ * Reads exact numbers of bytes from a stream of chunks of any size
+ */
+class ArchiveReader {
+  private _iterator: AsyncIterator<Uint8Array>;
+  private _buffered: Uint8Array = new Uint8Array(0);
+
+  constructor(archive: AsyncIterable<Uint8Array> | Iterable<Uint8Array>) {
+    // Works for both kinds of iterables, and passes return() on to them
+    this._iterator = (async function* () {
+      yield* archive;
+    })();
+  }
+
+  /**
+   * Returns the next length bytes, or null at the end of the archive. With
+   * required, ending early is an error even before the first byte.
+   */
+  async read(length: number, required = false): Promise<Uint8Array | null> {
+    const parts: Uint8Array[] = [];
+    let received = 0;
+    for await (const chunk of this._take(length, !required)) {
+      parts.push(chunk);
+      received += chunk.length;
+    }
+    if (received === 0 && length > 0) {
+      return null;
+    }
+    const data = new Uint8Array(received);
+    let offset = 0;
+    for (const part of parts) {
+      data.set(part, offset);
+      offset += part.length;
+    }
+    return data;
+  }
+
+  /**
+   * Yields the next length bytes in the pieces they arrive in
+   */
+  chunks(length: number): AsyncIterable<Uint8Array> {
+    return this._take(length, false);
+  }
+
+  async skip(length: number): Promise<void> {
+    for await (const chunk of this._take(length, false)) {
+      // Skipped
+    }
+  }
+
+  async close(): Promise<void> {
+    await this._iterator.return?.();
+  }
+
+  private async *_take(length: number, mayEnd: boolean): AsyncGenerator<Uint8Array> {
+    let remaining = length;
+    while (remaining > 0) {
+      if (this._buffered.length === 0) {
+        const { value, done } = await this._iterator.next();
+        if (done) {
+          if (mayEnd && remaining === length) {
+            return;
+          }
+          throw new TypeError('Unexpected end of tar archive');
+        }
+        this._buffered = value;
+        continue;
+      }
+      const piece = this._buffered.subarray(0, remaining);
+      this._buffered = this._buffered.subarray(piece.length);
+      remaining -= piece.length;
+      yield piece;
+    }
+  }
+}
@@ -0,0 +1,321 @@
+import { FileSystemHandle } from './FileSystemHandle.js';
+import { FileSystemFileHandle } from './FileSystemFileHandle.js';
+import { FileSystemDirectoryHandle } from './FileSystemDirectoryHandle.js';
+import { targetExistsError } from './backend.js';
+import { typeMismatchError } from './errors.js';
+
+/**
+ * Decides which entries walk() yields, given their path relative to the
+ * walked directory
+ */
+export type WalkFilter = (pathComponents: string[], handle: FileSystemHandle) => boolean;
+
+/**
+ * Options for walk()
+ */
+export interface WalkOptions {
+  /**
+   * Only yield matching entries: a function, or a glob pattern like
+   * `'**\/*.json'` matched against the '/'-separated path. Directories that
+   * do not match are still walked into.
+   */
+  filter?: WalkFilter | string;
+  /**
+   * How many levels deep to go; 1 only yields the directory's own entries.
+   * Defaults to no limit.
+   */
+  maxDepth?: number;
+}
+
+/**
+ * Options for copy()
+ */
+export interface CopyOptions {
+  /**
+   * Copy directories with everything inside them. Copying a directory
+   * without it fails with a TypeError.
+   */
+  recursive?: boolean;
+  /**
+   * Replace files that already exist instead of failing with an
+   * InvalidModificationError. Existing directories are always merged into.
+   */
+  overwrite?: boolean;
+  /**
+   * Name of the copy. Defaults to the source's name.
+   */
+  name?: string;
+}
+
+/**
+ * Options for getHandleByPath()
+ */
+export interface GetHandleByPathOptions {
+  /**
+   * Create the entry and any missing directories on the way
+   */
+  create?: boolean;
+  /**
+   * Kind of entry expected. Without it, an existing entry of either kind is
+   * returned, and create makes a file unless the path ends with '/'.
+   */
+  kind?: 'file' | 'directory';
+}
+
+/**
+ * Yields every entry under dir as `[pathComponents, handle]`, depth first
+ * and in name order, each directory before its entries
+ */
+export async function* walk(
+  dir: FileSystemDirectoryHandle,
+  options?: WalkOptions
+): AsyncGenerator<[string[], FileSystemHandle]> {
+  assertDirectoryHandle(dir, 'dir');
+  const maxDepth = options?.maxDepth ?? Infinity;
+  if (!(maxDepth === Infinity || (Number.isSafeInteger(maxDepth) && maxDepth >= 0))) {
+    throw new TypeError('maxDepth must be a non-negative integer');
+  }
+
+  const filter = options?.filter;
+  let matches: WalkFilter;
+  if (typeof filter === 'string') {
+    const pattern = globToRegExp(filter);
+    matches = pathComponents => pattern.test(pathComponents.join('/'));
+  } else if (typeof filter === 'function' || filter === undefined) {
+    matches = filter ?? (() => true);
+  } else {
+    throw new TypeError('filter must be a function or a glob pattern');
+  }
+
+  yield* walkDirectory(dir, [], maxDepth, matches);
+}
+
+/**
+ * Yields the entries under dir whose paths match a glob pattern. `*` and `?`
+ * match within a name, `**` matches any number of directories, and `[...]`
+ * and `{a,b}` work as in shells.
+ */
+export function glob(dir: FileSystemDirectoryHandle, pattern: string): AsyncGenerator<[string[], FileSystemHandle]> {
+  return walk(dir, { filter: pattern });
+}
+
+/**
+ * Copies a file or directory into destination, under the same name unless
+ * another is given, and returns the copy. Source and destination may belong to different
+ * StorageManagers, including ones with different backends.
+ */
+export async function copy(
+  source: FileSystemHandle,
+  destination: FileSystemDirectoryHandle,
+  options?: CopyOptions
+): Promise<FileSystemHandle> {
+  if (!(source instanceof FileSystemHandle)) {
+    throw new TypeError('source must be a FileSystemHandle');
+  }
+  assertDirectoryHandle(destination, 'destination');
+  const overwrite = options?.overwrite ?? false;
+  const name = options?.name ?? source.name;
+
+  if (source instanceof FileSystemFileHandle) {
+    return copyFile(source, destination, name, overwrite);
+  }
+  if (!options?.recursive) {
+    throw new TypeError(`'${source.name}' is a directory; pass recursive: true to copy it`);
+  }
+  if (await (source as FileSystemDirectoryHandle).resolve(destination) !== null) {
+    throw new DOMException(`'${source.name}' cannot be copied into itself`, 'InvalidModificationError');
+  }
+  return copyDirectory(source as FileSystemDirectoryHandle, destination, name, overwrite);
+}
+
+/**
+ * Returns the handle for a '/'-separated path below root, like 'a/b/c.txt'
+ */
+export async function getHandleByPath(
+  root: FileSystemDirectoryHandle,
+  entryPath: string | string[],
+  options?: GetHandleByPathOptions
+): Promise<FileSystemFileHandle | FileSystemDirectoryHandle> {
+  assertDirectoryHandle(root, 'root');
+  const names = typeof entryPath === 'string' ? entryPath.split('/').filter(name => name !== '') : entryPath;
+  const create = options?.create ?? false;
+  const kind = options?.kind ??
+    (typeof entryPath === 'string' && entryPath.endsWith('/') ? 'directory' : undefined);
+
+  let dir = root;
+  for (const name of names.slice(0, -1)) {
+    dir = await dir.getDirectoryHandle(name, { create });
+  }
+  if (names.length === 0) {
+    if (kind === 'file') {
+      throw typeMismatchError(root.name, 'file');
+    }
+    return root;
+  }
+
+  const name = names[names.length - 1];
+  if (kind === 'directory') {
+    return dir.getDirectoryHandle(name, { create });
+  }
+  if (kind === 'file') {
+    return dir.getFileHandle(name, { create });
+  }
+  try {
+    return await dir.getFileHandle(name, { create });
+  } catch (error: any) {
+    if (error.name === 'TypeMismatchError') {
+      return dir.getDirectoryHandle(name);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Turns a glob pattern into a regular expression matching '/'-separated paths
+ */
+export function globToRegExp(pattern: string): RegExp {
+  const segments = pattern.split('/').filter(segment => segment !== '');
+  let source = '';
+  segments.forEach((segment, index) => {
+    const isLast = index === segments.length - 1;
+    if (segment === '**') {
+      source += isLast ? '.*' : '(?:[^/]+/)*';
+    } else {
+      source += segmentSource(segment) + (isLast ? '' : '/');
+    }
+  });
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Returns the entries of a directory sorted by name, so that walks and
+ * archives of the same tree always come out the same
+ */
+export async function sortedEntries(dir: FileSystemDirectoryHandle): Promise<Array<[string, FileSystemHandle]>> {
+  const entries: Array<[string, FileSystemHandle]> = [];
+  for await (const entry of dir.entries()) {
+    entries.push(entry);
+  }
+  return entries.sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+}
+
+/**
+ * Returns the file called name in dir, creating it if needed. Unless
+ * overwrite is set, an existing file is an InvalidModificationError.
+ */
+export async function createFile(
+  dir: FileSystemDirectoryHandle,
+  name: string,
+  overwrite: boolean
+): Promise<FileSystemFileHandle> {
+  if (!overwrite && await fileExists(dir, name)) {
+    throw targetExistsError(name);
+  }
+  return dir.getFileHandle(name, { create: true });
+}
+
+async function fileExists(dir: FileSystemDirectoryHandle, name: string): Promise<boolean> {
+  return dir.getFileHandle(name).then(() => true, (error) => {
+    if (error.name === 'NotFoundError') {
+      return false;
+    }
+    throw error;
+  });
+}
+
+async function* walkDirectory(
+  dir: FileSystemDirectoryHandle,
+  prefix: string[],
+  maxDepth: number,
+  matches: WalkFilter
+): AsyncGenerator<[string[], FileSystemHandle]> {
+  for (const [name, handle] of await sortedEntries(dir)) {
+    const pathComponents = [...prefix, name];
+    if (pathComponents.length > maxDepth) {
+      return;
+    }
+    if (matches(pathComponents, handle)) {
+      yield [pathComponents, handle];
+    }
+    if (handle instanceof FileSystemDirectoryHandle) {
+      yield* walkDirectory(handle, pathComponents, maxDepth, matches);
+    }
+  }
+}
+
+async function copyFile(
+  source: FileSystemFileHandle,
+  destination: FileSystemDirectoryHandle,
+  name: string,
+  overwrite: boolean
+): Promise<FileSystemFileHandle> {
+  const created = !overwrite || !(await fileExists(destination, name));
+  const target = await createFile(destination, name, overwrite);
+  try {
+    const file = await source.getFile();
+    // pipeTo() closes the writable when done and aborts it on failure
+    await file.stream().pipeTo(await target.createWritable() as WritableStream);
+  } catch (error) {
+    // A file replaced in place keeps its contents; a new one goes again
+    if (created) {
+      await destination.removeEntry(name).catch(() => {});
+    }
+    throw error;
+  }
+  return target;
+}
+
+async function copyDirectory(
+  source: FileSystemDirectoryHandle,
+  destination: FileSystemDirectoryHandle,
+  name: string,
+  overwrite: boolean
+): Promise<FileSystemDirectoryHandle> {
+  const target = await destination.getDirectoryHandle(name, { create: true });
+  for (const [entryName, handle] of await sortedEntries(source)) {
+    if (handle instanceof FileSystemFileHandle) {
+      await copyFile(handle, target, entryName, overwrite);
+    } else {
+      await copyDirectory(handle as FileSystemDirectoryHandle, target, entryName, overwrite);
+    }
+  }
+  return target;
+}
+
+/**
+ * Regular expression source for one '/'-free segment of a glob pattern
+ */
+function segmentSource(segment: string): string {
+  let source = '';
+  for (let i = 0; i < segment.length; i++) {
+    const char = segment[i];
+    if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '[' && segment.indexOf(']', i + 2) !== -1) {
+      const end = segment.indexOf(']', i + 2);
+      let members = segment.slice(i + 1, end);
+      const negated = members[0] === '!' || members[0] === '^';
+      if (negated) {
+        members = members.slice(1);
+      }
+      source += `[${negated ? '^/' : ''}${members.replace(/[\\\]^]/g, '\\$&')}]`;
+      i = end;
+    } else if (char === '{' && segment.indexOf('}', i) !== -1) {
+      const end = segment.indexOf('}', i);
+      const alternatives = segment.slice(i + 1, end).split(',');
+      source += `(?:${alternatives.map(segmentSource).join('|')})`;
+      i = end;
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return source;
+}
+
+function assertDirectoryHandle(handle: unknown, name: string): void {
+  if (!(handle instanceof FileSystemDirectoryHandle)) {
+    throw new TypeError(`${name} must be a FileSystemDirectoryHandle`);
+  }
+}
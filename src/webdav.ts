@@ -0,0 +1,452 @@
+import { IncomingMessage, ServerResponse } from 'http';
+import { Readable } from 'stream';
+import { ReadableStream } from 'stream/web';
+import { pipeline } from 'stream/promises';
+import { FileSystemHandle } from './FileSystemHandle.js';
+import { FileSystemFileHandle } from './FileSystemFileHandle.js';
+import { FileSystemDirectoryHandle } from './FileSystemDirectoryHandle.js';
+import { FileSystemTransaction } from './FileSystemTransaction.js';
+import { getHandleByPath, sortedEntries, walk } from './tree.js';
+import { createNodeWriteStream } from './streams.js';
+
+/**
+ * Options for createWebDAVHandler()
+ */
+export interface WebDAVHandlerOptions {
+  /**
+   * Only serve the methods that read. The others are answered with 405
+   * Method Not Allowed.
+   */
+  readOnly?: boolean;
+}
+
+/**
+ * A request handler for http.createServer() or a 'request' listener
+ */
+export type WebDAVHandler = (request: IncomingMessage, response: ServerResponse) => Promise<void>;
+
+type Method = (root: FileSystemDirectoryHandle, names: string[], request: IncomingMessage, response: ServerResponse) => Promise<void>;
+
+/**
+ * HTTP statuses for the DOMException names the handles throw. TypeError is
+ * thrown for invalid names; anything else is a 500.
+ */
+const STATUS_CODES: Record<string, number> = {
+  TypeError: 400,
+  NotAllowedError: 403,
+  SecurityError: 403,
+  NotFoundError: 404,
+  TypeMismatchError: 409,
+  InvalidModificationError: 409,
+  NoModificationAllowedError: 423,
+  QuotaExceededError: 507
+};
+
+const READ_METHODS = ['OPTIONS', 'GET', 'HEAD', 'PROPFIND'];
+const WRITE_METHODS = ['PUT', 'DELETE', 'MKCOL', 'MOVE', 'COPY'];
+
+/**
+ * An error with the HTTP status to answer with
+ */
+class HttpError extends Error {
+  constructor(readonly status: number, message: string, readonly headers: Record<string, string> = {}) {
+    super(message);
+  }
+}
+
+/**
+ * Returns a Node http request handler serving a directory over WebDAV
+ * (class 1, without locking), so it can be browsed and edited with file
+ * managers and curl. URL paths are relative to the directory. Everything
+ * goes through the handles, so names are checked, open writables and access
+ * handles are respected, and quotas apply; their DOMExceptions become the
+ * matching HTTP statuses.
+ */
+export function createWebDAVHandler(dir: FileSystemDirectoryHandle, options?: WebDAVHandlerOptions): WebDAVHandler {
+  if (!(dir instanceof FileSystemDirectoryHandle)) {
+    throw new TypeError('dir must be a FileSystemDirectoryHandle');
+  }
+  const allowed = options?.readOnly ? READ_METHODS : [...READ_METHODS, ...WRITE_METHODS];
+
+  return async (request, response) => {
+    try {
+      const method = request.method ?? 'GET';
+      if (!allowed.includes(method)) {
+        throw new HttpError(405, `${method} is not allowed`, { Allow: allowed.join(', ') });
+      }
+      if (method === 'OPTIONS') {
+        await discardBody(request);
+        response.writeHead(200, { DAV: '1', Allow: allowed.join(', '), 'Content-Length': 0 }).end();
+        return;
+      }
+      await METHODS[method](dir, requestPath(request.url), request, response);
+    } catch (error) {
+      sendError(request, response, error);
+    }
+  };
+}
+
+const METHODS: Record<string, Method> = {
+  async GET(root, names, request, response) {
+    await discardBody(request);
+    const handle = await find(root, names);
+    if (!handle) {
+      throw new HttpError(404, `'${names.join('/')}' was not found`);
+    }
+    if (handle instanceof FileSystemDirectoryHandle) {
+      await sendListing(handle, names, request, response);
+      return;
+    }
+
+    const file = await (handle as FileSystemFileHandle).getFile();
+    const headers: Record<string, string | number> = {
+      'Content-Type': file.type || 'application/octet-stream',
+      'Last-Modified': new Date(file.lastModified).toUTCString(),
+      'Accept-Ranges': 'bytes'
+    };
+    const range = parseRange(request.headers.range, file.size);
+    if (range === null) {
+      throw new HttpError(416, 'Range Not Satisfiable', { 'Content-Range': `bytes */${file.size}` });
+    }
+    const [start, end] = range ?? [0, file.size - 1];
+    headers['Content-Length'] = end - start + 1;
+    if (range) {
+      headers['Content-Range'] = `bytes ${start}-${end}/${file.size}`;
+    }
+    response.writeHead(range ? 206 : 200, headers);
+    if (request.method === 'HEAD') {
+      response.end();
+      return;
+    }
+    // The slice reads the contents the headers describe, even if the file changes
+    const stream = file.slice(start, end + 1).stream() as unknown as ReadableStream<Uint8Array>;
+    await pipeline(Readable.fromWeb(stream), response);
+  },
+
+  async HEAD(root, names, request, response) {
+    await METHODS.GET(root, names, request, response);
+  },
+
+  async PUT(root, names, request, response) {
+    const [parent, name] = await parentOf(root, names);
+    let created = false;
+    const fileHandle = await parent.getFileHandle(name).catch(async (error) => {
+      if (error.name !== 'NotFoundError') {
+        throw error;
+      }
+      created = true;
+      return parent.getFileHandle(name, { create: true });
+    });
+    try {
+      await pipeline(request, createNodeWriteStream(fileHandle));
+    } catch (error) {
+      if (created) {
+        await parent.removeEntry(name).catch(() => {});
+      }
+      throw error;
+    }
+    response.writeHead(created ? 201 : 204).end();
+  },
+
+  async DELETE(root, names, request, response) {
+    await discardBody(request);
+    if (names.length === 0) {
+      throw new HttpError(403, 'The root cannot be deleted');
+    }
+    const handle = await find(root, names);
+    if (!handle) {
+      throw new HttpError(404, `'${names.join('/')}' was not found`);
+    }
+    await handle.remove({ recursive: true });
+    response.writeHead(204).end();
+  },
+
+  async MKCOL(root, names, request, response) {
+    if ((await discardBody(request)) > 0) {
+      throw new HttpError(415, 'MKCOL does not take a body');
+    }
+    if (await find(root, names)) {
+      throw new HttpError(405, `'${names.join('/')}' already exists`, { Allow: [...READ_METHODS, ...WRITE_METHODS].join(', ') });
+    }
+    const [parent, name] = await parentOf(root, names);
+    await parent.getDirectoryHandle(name, { create: true });
+    response.writeHead(201).end();
+  },
+
+  async PROPFIND(root, names, request, response) {
+    // Every property is returned, whichever were asked for
+    await discardBody(request);
+    const depth = request.headers.depth ?? 'infinity';
+    if (depth !== '0' && depth !== '1' && depth !== 'infinity') {
+      throw new HttpError(400, `Invalid Depth '${depth}'`);
+    }
+    const handle = await find(root, names);
+    if (!handle) {
+      throw new HttpError(404, `'${names.join('/')}' was not found`);
+    }
+
+    const entries: Array<[string[], FileSystemHandle]> = [[names, handle]];
+    if (handle instanceof FileSystemDirectoryHandle && depth !== '0') {
+      for await (const [pathComponents, child] of walk(handle, { maxDepth: depth === '1' ? 1 : Infinity })) {
+        entries.push([[...names, ...pathComponents], child]);
+      }
+    }
+    const responses = [];
+    for (const [pathComponents, entry] of entries) {
+      const properties = await propertiesOf(entry, pathComponents);
+      // Entries removed while listing are left out
+      if (properties !== null) {
+        responses.push(
+          `<D:response><D:href>${escapeXml(hrefOf(pathComponents, entry.kind))}</D:href>` +
+          `<D:propstat><D:prop>${properties}</D:prop><D:status>HTTP/1.1 200 OK</D:status></D:propstat></D:response>`
+        );
+      }
+    }
+    const body = `<?xml version="1.0" encoding="utf-8"?>\n<D:multistatus xmlns:D="DAV:">${responses.join('')}</D:multistatus>\n`;
+    response.writeHead(207, { 'Content-Type': 'application/xml; charset=utf-8', 'Content-Length': Buffer.byteLength(body) });
+    response.end(body);
+  },
+
+  async MOVE(root, names, request, response) {
+    await transfer(root, names, request, response, async (source, destinationNames, existing) => {
+      // Moving a file onto a file replaces it in one step
+      if (!existing || (source.kind === 'file' && existing.kind === 'file')) {
+        const [parent, name] = await parentOf(root, destinationNames);
+        await source.move(parent, name);
+        return;
+      }
+      await root.transaction(async (transaction) => {
+        await transaction.remove(destinationNames, { recursive: true });
+        await transaction.move(names, destinationNames);
+      });
+    });
+  },
+
+  async COPY(root, names, request, response) {
+    const depth = request.headers.depth ?? 'infinity';
+    if (depth !== '0' && depth !== 'infinity') {
+      throw new HttpError(400, `Invalid Depth '${depth}'`);
+    }
+    await transfer(root, names, request, response, async (source, destinationNames, existing) => {
+      // Staged, so that a copy that fails leaves nothing behind
+      await root.transaction(async (transaction) => {
+        if (existing) {
+          await transaction.remove(destinationNames, { recursive: true });
+        }
+        await stageCopy(transaction, source, destinationNames, depth === 'infinity');
+      });
+    });
+  }
+};
+
+/**
+ * Does the part MOVE and COPY share: finding the source and the Destination,
+ * and checking the Overwrite header. apply() must replace what exists at the
+ * destination only if the source made it there, so that a failure leaves
+ * the destination as it was.
+ */
+async function transfer(
+  root: FileSystemDirectoryHandle,
+  names: string[],
+  request: IncomingMessage,
+  response: ServerResponse,
+  apply: (source: FileSystemHandle, destinationNames: string[], existing: FileSystemHandle | null) => Promise<void>
+): Promise<void> {
+  await discardBody(request);
+  const destination = request.headers.destination;
+  if (!destination) {
+    throw new HttpError(400, 'A Destination header is required');
+  }
+  const destinationNames = requestPath(new URL(destination, `http://${request.headers.host ?? 'localhost'}`).pathname);
+  const overwrite = String(request.headers.overwrite ?? 'T').toUpperCase() !== 'F';
+  const source = await find(root, names);
+  if (!source) {
+    throw new HttpError(404, `'${names.join('/')}' was not found`);
+  }
+  if (isWithin(names, destinationNames) || isWithin(destinationNames, names)) {
+    throw new HttpError(403, 'An entry cannot be moved or copied onto itself, its parents or its entries');
+  }
+
+  await parentOf(root, destinationNames);
+  const existing = await find(root, destinationNames);
+  if (existing && !overwrite) {
+    throw new HttpError(412, `'${destinationNames.join('/')}' already exists`);
+  }
+  await apply(source, destinationNames, existing);
+  response.writeHead(existing ? 204 : 201).end();
+}
+
+/**
+ * Stages a copy of an entry at names, with its entries unless shallow
+ */
+async function stageCopy(
+  transaction: FileSystemTransaction,
+  source: FileSystemHandle,
+  names: string[],
+  recursive: boolean
+): Promise<void> {
+  if (source instanceof FileSystemFileHandle) {
+    await transaction.writeFile(names, await source.getFile());
+    return;
+  }
+  await transaction.createDirectory(names);
+  if (recursive) {
+    for (const [name, handle] of await sortedEntries(source as FileSystemDirectoryHandle)) {
+      await stageCopy(transaction, handle, [...names, name], true);
+    }
+  }
+}
+
+/**
+ * Returns the entry at a path, or null if there is none
+ */
+async function find(root: FileSystemDirectoryHandle, names: string[]): Promise<FileSystemHandle | null> {
+  try {
+    return await getHandleByPath(root, names);
+  } catch (error: any) {
+    // A file on the way means the entry is not there either
+    if (error.name === 'NotFoundError' || error.name === 'TypeMismatchError') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Returns the directory an entry goes in and its name. WebDAV does not
+ * create missing parents, so those are a 409 Conflict.
+ */
+async function parentOf(root: FileSystemDirectoryHandle, names: string[]): Promise<[FileSystemDirectoryHandle, string]> {
+  if (names.length === 0) {
+    throw new HttpError(405, 'The root cannot be replaced', { Allow: READ_METHODS.join(', ') });
+  }
+  const parent = await find(root, names.slice(0, -1));
+  if (!(parent instanceof FileSystemDirectoryHandle)) {
+    throw new HttpError(409, `'${names.slice(0, -1).join('/')}' is not a directory`);
+  }
+  return [parent, names[names.length - 1]];
+}
+
+/**
+ * Returns the names in a request URL's path. Names are checked by the
+ * handles, so '..' and names with '/' or '\' are a 400.
+ */
+function requestPath(url: string | undefined): string[] {
+  const { pathname } = new URL(url ?? '/', 'http://localhost');
+  try {
+    return pathname.split('/').filter(name => name !== '').map(decodeURIComponent);
+  } catch {
+    throw new HttpError(400, `Malformed path '${pathname}'`);
+  }
+}
+
+/**
+ * Returns the byte range a Range header asks for, as inclusive offsets;
+ * undefined to send the whole file, which is what headers that are invalid
+ * or ask for several ranges get; or null if the range is past the end.
+ */
+function parseRange(header: string | undefined, size: number): [number, number] | null | undefined {
+  const match = header && /^bytes=(\d*)-(\d*)$/.exec(header.trim());
+  if (!match || (match[1] === '' && match[2] === '')) {
+    return undefined;
+  }
+  if (match[1] === '') {
+    const suffix = Number(match[2]);
+    return suffix === 0 || size === 0 ? null : [Math.max(0, size - suffix), size - 1];
+  }
+  const start = Number(match[1]);
+  const end = match[2] === '' ? Infinity : Number(match[2]);
+  if (end < start) {
+    return undefined;
+  }
+  return start >= size ? null : [start, Math.min(end, size - 1)];
+}
+
+/**
+ * Returns the DAV: properties of an entry as XML, or null if it is gone
+ */
+async function propertiesOf(handle: FileSystemHandle, names: string[]): Promise<string | null> {
+  const displayName = `<D:displayname>${escapeXml(names[names.length - 1] ?? '')}</D:displayname>`;
+  if (handle instanceof FileSystemDirectoryHandle) {
+    return `${displayName}<D:resourcetype><D:collection/></D:resourcetype>`;
+  }
+  let file;
+  try {
+    file = await (handle as FileSystemFileHandle).getFile();
+  } catch (error: any) {
+    if (error.name === 'NotFoundError') {
+      return null;
+    }
+    throw error;
+  }
+  return `${displayName}<D:resourcetype/>` +
+    `<D:getcontentlength>${file.size}</D:getcontentlength>` +
+    `<D:getcontenttype>${escapeXml(file.type || 'application/octet-stream')}</D:getcontenttype>` +
+    `<D:getlastmodified>${new Date(file.lastModified).toUTCString()}</D:getlastmodified>`;
+}
+
+/**
+ * Answers a GET of a directory with a page linking to its entries
+ */
+async function sendListing(
+  dir: FileSystemDirectoryHandle,
+  names: string[],
+  request: IncomingMessage,
+  response: ServerResponse
+): Promise<void> {
+  const items = [];
+  for (const [name, handle] of await sortedEntries(dir)) {
+    const label = name + (handle.kind === 'directory' ? '/' : '');
+    items.push(`<li><a href="${escapeXml(hrefOf([...names, name], handle.kind))}">${escapeXml(label)}</a></li>`);
+  }
+  const title = escapeXml(`/${names.map(name => name + '/').join('')}`);
+  const body = `<!DOCTYPE html>\n<title>${title}</title>\n<h1>${title}</h1>\n<ul>${items.join('')}</ul>\n`;
+  response.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8', 'Content-Length': Buffer.byteLength(body) });
+  response.end(request.method === 'HEAD' ? undefined : body);
+}
+
+/**
+ * Answers with the status for an error, or cuts the response short if it
+ * was already being sent
+ */
+function sendError(request: IncomingMessage, response: ServerResponse, error: any): void {
+  if (response.headersSent) {
+    response.destroy(error);
+    return;
+  }
+  const status = error instanceof HttpError ? error.status
+    : STATUS_CODES[error instanceof TypeError ? 'TypeError' : error?.name] ?? 500;
+  const body = `${error?.message ?? error}\n`;
+  response.writeHead(status, {
+    ...error instanceof HttpError ? error.headers : {},
+    'Content-Type': 'text/plain; charset=utf-8',
+    'Content-Length': Buffer.byteLength(body)
+  });
+  response.end(request.method === 'HEAD' ? undefined : body);
+  // Whatever is left of a body that was not read is thrown away
+  request.resume();
+}
+
+/**
+ * Reads and throws away a request's body, returning its length
+ */
+async function discardBody(request: IncomingMessage): Promise<number> {
+  let length = 0;
+  for await (const chunk of request) {
+    length += chunk.length;
+  }
+  return length;
+}
+
+function hrefOf(names: string[], kind: string): string {
+  const href = '/' + names.map(encodeURIComponent).join('/');
+  return kind === 'directory' && names.length > 0 ? href + '/' : href;
+}
+
+function isWithin(names: string[], ancestor: string[]): boolean {
+  return ancestor.length <= names.length && ancestor.every((name, index) => names[index] === name);
+}
+
+function escapeXml(text: string): string {
+  return text.replace(/[<>&"']/g, char => `&#${char.charCodeAt(0)};`);
+}
@@ -0,0 +1,103 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { spawn } from 'node:child_process';
+import { once } from 'node:events';
+import { StorageManager } from '../dist/index.js';
+import * as fs from 'fs/promises';
+import * as path from 'path';
+import * as os from 'os';
+
+const testBaseDir = path.join(os.tmpdir(), 'node-opfs-cli-test-' + Date.now());
+const cliPath = new URL('../dist/cli.js', import.meta.url).pathname;
+
+/**
+ * Runs the node-opfs command on the test store, with input on stdin
+ */
+async function cli(args, input = '') {
+  const child = spawn(process.execPath, [cliPath, '--base-dir', testBaseDir, ...args]);
+  const stdout = [];
+  const stderr = [];
+  child.stdout.on('data', chunk => stdout.push(chunk));
+  child.stderr.on('data', chunk => stderr.push(chunk));
+  child.stdin.end(input);
+  const [code] = await once(child, 'exit');
+  return { code, stdout: Buffer.concat(stdout).toString(), stderr: Buffer.concat(stderr).toString() };
+}
+
+test('node-opfs puts, lists, reads and removes entries', async () => {
+  assert.strictEqual((await cli(['put', 'notes/today.txt'], 'hello')).code, 0);
+  assert.strictEqual((await cli(['mkdir', 'empty'])).code, 0);
+  const packageJson = new URL('../package.json', import.meta.url).pathname;
+  const { stdout: put } = await cli(['put', '--json', 'notes/readme.md', packageJson]);
+  assert.deepStrictEqual(JSON.parse(put), { path: 'notes/readme.md', kind: 'file', size: (await fs.stat(packageJson)).size });
+
+  assert.deepStrictEqual((await cli(['ls'])).stdout.split('\n'), ['empty/', 'notes/', '']);
+  assert.deepStrictEqual((await cli(['ls', '-R'])).stdout.split('\n'),
+    ['empty/', 'notes/', 'notes/readme.md', 'notes/today.txt', '']);
+  const { stdout: listed } = await cli(['ls', '--json', 'notes']);
+  assert.deepStrictEqual(JSON.parse(listed)[1], { path: 'today.txt', kind: 'file', size: 5 });
+  assert.strictEqual((await cli(['cat', './notes/today.txt'])).stdout, 'hello');
+  assert.strictEqual((await cli(['tree'])).stdout, '/\n├── empty/\n└── notes/\n    ├── readme.md\n    └── today.txt\n');
+
+  // Moving onto a directory moves into it
+  assert.strictEqual((await cli(['mv', 'notes/today.txt', 'empty'])).code, 0);
+  assert.strictEqual((await cli(['mv', 'empty/today.txt', 'empty/yesterday.txt'])).code, 0);
+  assert.strictEqual((await cli(['du', 'empty'])).stdout, '5\tempty\n');
+  const { stdout: estimate } = await cli(['estimate', '--json']);
+  assert.ok(JSON.parse(estimate).usage > 5);
+
+  assert.strictEqual((await cli(['rm', 'empty'])).code, 5);
+  assert.strictEqual((await cli(['rm', '-r', 'empty'])).code, 0);
+  const root = await new StorageManager(testBaseDir).getDirectory();
+  await assert.rejects(root.getDirectoryHandle('empty'), { name: 'NotFoundError' });
+
+  // Names that look like options can be passed after --
+  assert.strictEqual((await cli(['put', '--', '-r'], 'dash')).code, 0);
+  assert.strictEqual(await (await (await root.getFileHandle('-r')).getFile()).text(), 'dash');
+  assert.strictEqual((await cli(['cat', '--', '-r'])).stdout, 'dash');
+  assert.strictEqual((await cli(['rm', '-r', '--', '-r'])).code, 0);
+  await assert.rejects(root.getFileHandle('-r'), { name: 'NotFoundError' });
+});
+
+test('node-opfs exports and imports tar archives', async () => {
+  await cli(['put', 'project/src/main.js'], 'console.log(1);');
+  const archive = path.join(testBaseDir, '..', path.basename(testBaseDir) + '.tar');
+  assert.strictEqual((await cli(['export', 'project', archive])).code, 0);
+  assert.strictEqual((await cli(['import', archive, 'copy'])).code, 0);
+  assert.strictEqual((await cli(['cat', 'copy/src/main.js'])).stdout, 'console.log(1);');
+  assert.strictEqual((await cli(['import', archive, 'copy'])).code, 5);
+  assert.strictEqual((await cli(['import', '--overwrite', archive, 'copy'])).code, 0);
+  await fs.rm(archive);
+});
+
+test('node-opfs exit codes follow the DOMException names', async () => {
+  const notFound = await cli(['cat', 'missing.txt']);
+  assert.strictEqual(notFound.code, 3);
+  assert.match(notFound.stderr, /'missing.txt' was not found/);
+  const { code, stderr } = await cli(['--json', 'ls', 'missing']);
+  assert.strictEqual(code, 3);
+  assert.strictEqual(JSON.parse(stderr).error.name, 'NotFoundError');
+
+  await cli(['put', 'file.txt'], 'x');
+  assert.strictEqual((await cli(['ls', 'file.txt'])).code, 4);
+  assert.strictEqual((await cli(['put', 'copy.txt', path.join(testBaseDir, 'no-such-file')])).code, 3);
+  assert.strictEqual((await cli(['ls', 'copy.txt'])).code, 3);
+  assert.strictEqual((await cli(['frobnicate'])).code, 2);
+  assert.strictEqual((await cli(['cat'])).code, 2);
+  assert.strictEqual((await cli(['--no-such-option', 'ls'])).code, 2);
+  assert.strictEqual((await cli(['put', 'bad\\name.txt'], 'x')).code, 2);
+
+  // The command takes part in cross-process locking
+  const storage = new StorageManager({ baseDir: testBaseDir, crossProcessLocks: true });
+  const accessHandle = await (await (await storage.getDirectory()).getFileHandle('file.txt')).createSyncAccessHandle();
+  try {
+    assert.strictEqual((await cli(['rm', 'file.txt'])).code, 6);
+  } finally {
+    await accessHandle.close();
+  }
+  assert.strictEqual((await cli(['rm', 'file.txt'])).code, 0);
+});
+
+test('cleanup test directory', async () => {
+  await fs.rm(testBaseDir, { recursive: true, force: true });
+});
@@ -0,0 +1,381 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { FaultInjector, StorageManager } from '../dist/index.js';
+import * as fs from 'fs/promises';
+import * as path from 'path';
+import * as os from 'os';
+
+const testBaseDir = path.join(os.tmpdir(), 'node-opfs-conformance-test-' + Date.now());
+const encryptionKey = new Uint8Array(32).fill(1);
+
+/**
+ * Every backend must behave the same, so each test below runs against each
+ * of them with a fresh, empty StorageManager
+ */
+const backends = {
+  disk: (options = {}) => new StorageManager({
+    baseDir: path.join(testBaseDir, String(Math.random()).slice(2)),
+    ...options
+  }),
+  memory: (options = {}) => new StorageManager({ backend: 'memory', ...options }),
+  container: (options = {}) => new StorageManager({
+    containerFile: path.join(testBaseDir, String(Math.random()).slice(2) + '.opfs'),
+    ...options
+  }),
+  'disk+encryption': (options = {}) => backends.disk({ encryptionKey, encryptNames: true, ...options }),
+  'memory+encryption': (options = {}) => backends.memory({ encryptionKey, ...options }),
+  // Without faults to inject, the injector only records
+  'disk+faults': (options = {}) => backends.disk({ faults: new FaultInjector(), ...options })
+};
+
+async function listKeys(directory) {
+  const keys = [];
+  for await (const key of directory.keys()) {
+    keys.push(key);
+  }
+  return keys.sort();
+}
+
+async function writeText(fileHandle, text) {
+  const writable = await fileHandle.createWritable();
+  await writable.write(text);
+  await writable.close();
+}
+
+async function readText(fileHandle) {
+  return (await fileHandle.getFile()).text();
+}
+
+for (const [backend, createStorage] of Object.entries(backends)) {
+  test(`[${backend}] files and directories are created and looked up`, async () => {
+    const root = await createStorage().getDirectory();
+    assert.strictEqual(root.name, '');
+
+    const dir = await root.getDirectoryHandle('dir', { create: true });
+    const fileHandle = await dir.getFileHandle('file.txt', { create: true });
+    assert.strictEqual(fileHandle.kind, 'file');
+    assert.strictEqual(fileHandle.name, 'file.txt');
+
+    assert.ok(await (await dir.getFileHandle('file.txt')).isSameEntry(fileHandle));
+    assert.ok(await (await root.getDirectoryHandle('dir', { create: true })).isSameEntry(dir));
+    assert.strictEqual(await fileHandle.isSameEntry(await dir.getFileHandle('other.txt', { create: true })), false);
+
+    await assert.rejects(root.getFileHandle('missing.txt'), { name: 'NotFoundError' });
+    await assert.rejects(root.getDirectoryHandle('missing'), { name: 'NotFoundError' });
+    await assert.rejects(dir.getDirectoryHandle('file.txt'), { name: 'TypeMismatchError' });
+    await assert.rejects(root.getFileHandle('..', { create: true }), { name: 'TypeError' });
+    await assert.rejects(root.getFileHandle('a/b', { create: true }), { name: 'TypeError' });
+
+    assert.deepStrictEqual(await listKeys(root), ['dir']);
+    assert.deepStrictEqual(await listKeys(dir), ['file.txt', 'other.txt']);
+    assert.deepStrictEqual(await root.resolve(fileHandle), ['dir', 'file.txt']);
+    assert.strictEqual(await dir.resolve(root), null);
+
+    const kinds = {};
+    for await (const [name, handle] of root) {
+      kinds[name] = handle.kind;
+    }
+    assert.deepStrictEqual(kinds, { dir: 'directory' });
+  });
+
+  test(`[${backend}] writables replace the contents on close`, async () => {
+    const root = await createStorage().getDirectory();
+    const fileHandle = await root.getFileHandle('file.txt', { create: true });
+    await writeText(fileHandle, 'Hello, World!');
+
+    let writable = await fileHandle.createWritable({ keepExistingData: true });
+    await writable.seek(7);
+    await writable.write('Node!');
+    await writable.write({ type: 'write', position: 0, data: new TextEncoder().encode('J') });
+    assert.strictEqual(await readText(fileHandle), 'Hello, World!');
+    await writable.close();
+    assert.strictEqual(await readText(fileHandle), 'Jello, Node!!');
+
+    writable = await fileHandle.createWritable({ keepExistingData: true });
+    await writable.truncate(5);
+    await writable.write({ type: 'write', position: 7, data: new Blob(['!']) });
+    await writable.close();
+    assert.strictEqual(await readText(fileHandle), 'Jello\0\0!');
+
+    writable = await fileHandle.createWritable();
+    await writable.write('discarded');
+    await writable.abort();
+    assert.strictEqual(await readText(fileHandle), 'Jello\0\0!');
+
+    writable = await fileHandle.createWritable();
+    await assert.rejects(writable.write({ type: 'seek' }), { name: 'SyntaxError' });
+    assert.strictEqual(await readText(fileHandle), 'Jello\0\0!');
+
+    await writeText(fileHandle, 'short');
+    assert.strictEqual(await readText(fileHandle), 'short');
+  });
+
+  test(`[${backend}] sync access handles read and write in place`, async () => {
+    const root = await createStorage().getDirectory();
+    const fileHandle = await root.getFileHandle('file.bin', { create: true });
+
+    const accessHandle = await fileHandle.createSyncAccessHandle();
+    assert.strictEqual(accessHandle.write(new TextEncoder().encode('abcdef')), 6);
+    assert.strictEqual(accessHandle.write(new TextEncoder().encode('XY'), { at: 2 }), 2);
+    assert.strictEqual(accessHandle.getSize(), 6);
+
+    const buffer = new Uint8Array(10);
+    assert.strictEqual(accessHandle.read(buffer, { at: 0 }), 6);
+    assert.strictEqual(new TextDecoder().decode(buffer.subarray(0, 6)), 'abXYef');
+    assert.strictEqual(accessHandle.read(buffer, { at: 6 }), 0);
+
+    accessHandle.truncate(3);
+    accessHandle.truncate(5);
+    accessHandle.read(buffer, { at: 0 });
+    assert.deepStrictEqual(Array.from(buffer.subarray(0, 5)), [97, 98, 88, 0, 0]);
+    accessHandle.flush();
+    await accessHandle.close();
+    assert.strictEqual((await fileHandle.getFile()).size, 5);
+
+    const reader = await fileHandle.createSyncAccessHandle({ mode: 'read-only' });
+    assert.throws(() => reader.write(new Uint8Array(1)), { name: 'NoModificationAllowedError' });
+    assert.throws(() => reader.truncate(0), { name: 'NoModificationAllowedError' });
+    await reader.close();
+  });
+
+  test(`[${backend}] open handles lock their files`, async () => {
+    const root = await createStorage().getDirectory();
+    const fileHandle = await root.getFileHandle('file.txt', { create: true });
+
+    const accessHandle = await fileHandle.createSyncAccessHandle();
+    await assert.rejects(fileHandle.createSyncAccessHandle(), { name: 'NoModificationAllowedError' });
+    await assert.rejects(fileHandle.createWritable(), { name: 'NoModificationAllowedError' });
+    await assert.rejects(root.removeEntry('file.txt'), { name: 'NoModificationAllowedError' });
+    await accessHandle.close();
+
+    const first = await fileHandle.createWritable();
+    const second = await fileHandle.createWritable();
+    await assert.rejects(fileHandle.createWritable({ mode: 'exclusive' }), { name: 'NoModificationAllowedError' });
+    await assert.rejects(fileHandle.move('renamed.txt'), { name: 'NoModificationAllowedError' });
+    await first.close();
+    await second.close();
+  });
+
+  test(`[${backend}] entries are removed`, async () => {
+    const root = await createStorage().getDirectory();
+    const dir = await root.getDirectoryHandle('dir', { create: true });
+    const fileHandle = await dir.getFileHandle('file.txt', { create: true });
+
+    await assert.rejects(root.removeEntry('dir'), { name: 'InvalidModificationError' });
+    await assert.rejects(root.removeEntry('missing'), { name: 'NotFoundError' });
+    await fileHandle.remove();
+    await assert.rejects(fileHandle.getFile(), { name: 'NotFoundError' });
+    await root.removeEntry('dir');
+    assert.deepStrictEqual(await listKeys(root), []);
+
+    const nested = await root.getDirectoryHandle('nested', { create: true });
+    await (await nested.getDirectoryHandle('child', { create: true })).getFileHandle('file.txt', { create: true });
+    await root.removeEntry('nested', { recursive: true });
+    await assert.rejects(root.getDirectoryHandle('nested'), { name: 'NotFoundError' });
+
+    await root.getFileHandle('file.txt', { create: true });
+    await root.remove({ recursive: true });
+    assert.deepStrictEqual(await listKeys(root), []);
+  });
+
+  test(`[${backend}] entries are moved and renamed`, async () => {
+    const root = await createStorage().getDirectory();
+    const dir = await root.getDirectoryHandle('dir', { create: true });
+    const fileHandle = await root.getFileHandle('file.txt', { create: true });
+    await writeText(fileHandle, 'moved');
+
+    await fileHandle.move('renamed.txt');
+    assert.strictEqual(fileHandle.name, 'renamed.txt');
+    await fileHandle.move(dir);
+    assert.deepStrictEqual(await root.resolve(fileHandle), ['dir', 'renamed.txt']);
+    assert.strictEqual(await readText(fileHandle), 'moved');
+
+    // Files replace files, anything else fails
+    const other = await root.getFileHandle('other.txt', { create: true });
+    await writeText(other, 'replaced');
+    await other.move(dir, 'renamed.txt');
+    assert.strictEqual(await readText(await dir.getFileHandle('renamed.txt')), 'replaced');
+    await assert.rejects((await root.getFileHandle('file.txt', { create: true })).move(root, 'dir'), {
+      name: 'InvalidModificationError'
+    });
+    await assert.rejects(dir.move(dir), { name: 'InvalidModificationError' });
+
+    await dir.move('moved-dir');
+    assert.deepStrictEqual(await listKeys(root), ['file.txt', 'moved-dir']);
+    assert.deepStrictEqual(await listKeys(dir), ['renamed.txt']);
+  });
+
+  test(`[${backend}] getFile() returns a snapshot that goes stale`, async () => {
+    const root = await createStorage().getDirectory();
+    const fileHandle = await root.getFileHandle('data.json', { create: true });
+    await writeText(fileHandle, '{"a":1}');
+
+    const file = await fileHandle.getFile();
+    assert.ok(file instanceof File);
+    assert.strictEqual(file.name, 'data.json');
+    assert.strictEqual(file.type, 'application/json');
+    assert.strictEqual(file.size, 7);
+    assert.strictEqual(await file.slice(1, 4).text(), '"a"');
+
+    await writeText(fileHandle, '{"a":2}');
+    await assert.rejects(file.text(), { name: 'NotReadableError' });
+    await assert.rejects(file.slice(1, 4).arrayBuffer(), { name: 'NotReadableError' });
+    assert.strictEqual(await readText(fileHandle), '{"a":2}');
+  });
+
+  test(`[${backend}] estimate() and quotas`, async () => {
+    const storage = createStorage({ quota: 20 });
+    const root = await storage.getDirectory();
+    assert.deepStrictEqual(await storage.estimate(), { usage: 0, quota: 20 });
+
+    const fileHandle = await root.getFileHandle('file.txt', { create: true });
+    await writeText(fileHandle, '12345678');
+    assert.strictEqual((await storage.estimate()).usage, 8);
+
+    // The copy made for keepExistingData counts until the writable is closed
+    const writable = await fileHandle.createWritable({ keepExistingData: true });
+    assert.strictEqual((await storage.estimate()).usage, 16);
+    await assert.rejects(writable.write({ type: 'write', position: 8, data: 'abcdef' }), { name: 'QuotaExceededError' });
+    assert.strictEqual((await storage.estimate()).usage, 8);
+
+    const accessHandle = await fileHandle.createSyncAccessHandle();
+    assert.throws(() => accessHandle.truncate(21), { name: 'QuotaExceededError' });
+    accessHandle.truncate(20);
+    await accessHandle.close();
+    await assert.rejects(root.getFileHandle('new.txt', { create: true }), { name: 'QuotaExceededError' });
+
+    await fileHandle.remove();
+    assert.strictEqual((await storage.estimate()).usage, 0);
+  });
+
+  test(`[${backend}] errors are the DOMExceptions the spec requires`, async () => {
+    const root = await createStorage({ quota: 4 }).getDirectory();
+    const dir = await root.getDirectoryHandle('dir', { create: true });
+    const file = await root.getFileHandle('file.txt', { create: true });
+    await dir.getFileHandle('nested.txt', { create: true });
+
+    // Entries of the wrong kind
+    await assert.rejects(root.getFileHandle('dir'), { name: 'TypeMismatchError' });
+    await assert.rejects(root.getFileHandle('dir', { create: true }), { name: 'TypeMismatchError' });
+    await assert.rejects(root.getDirectoryHandle('file.txt'), { name: 'TypeMismatchError' });
+    await assert.rejects(root.getDirectoryHandle('file.txt', { create: true }), { name: 'TypeMismatchError' });
+
+    // Missing entries
+    await assert.rejects(root.removeEntry('missing'), { name: 'NotFoundError' });
+    const removed = await root.getDirectoryHandle('removed', { create: true });
+    await root.removeEntry('removed');
+    await assert.rejects(removed.getFileHandle('file.txt', { create: true }), { name: 'NotFoundError' });
+    await assert.rejects(listKeys(removed), { name: 'NotFoundError' });
+
+    // A file handle whose entry has been replaced by a directory
+    const replaced = await root.getFileHandle('replaced', { create: true });
+    await root.removeEntry('replaced');
+    await root.getDirectoryHandle('replaced', { create: true });
+    await assert.rejects(replaced.getFile(), { name: 'TypeMismatchError' });
+    await assert.rejects(replaced.createWritable(), { name: 'TypeMismatchError' });
+    await assert.rejects(replaced.createSyncAccessHandle(), { name: 'TypeMismatchError' });
+
+    await assert.rejects(root.removeEntry('dir'), { name: 'InvalidModificationError' });
+    await assert.rejects(root.getFileHandle('a/b'), { name: 'TypeError' });
+
+    // Locks, modes and closed handles
+    const accessHandle = await file.createSyncAccessHandle();
+    await assert.rejects(file.createWritable(), { name: 'NoModificationAllowedError' });
+    await assert.rejects(root.removeEntry('file.txt'), { name: 'NoModificationAllowedError' });
+    assert.throws(() => accessHandle.write(new Uint8Array(5)), { name: 'QuotaExceededError' });
+    await accessHandle.close();
+    for (const operation of [
+      () => accessHandle.read(new Uint8Array(1)),
+      () => accessHandle.write(new Uint8Array(1)),
+      () => accessHandle.truncate(0),
+      () => accessHandle.getSize(),
+      () => accessHandle.flush()
+    ]) {
+      assert.throws(operation, { name: 'InvalidStateError' });
+    }
+
+    const readOnly = await file.createSyncAccessHandle({ mode: 'read-only' });
+    assert.throws(() => readOnly.write(new Uint8Array(1)), { name: 'NoModificationAllowedError' });
+    assert.throws(() => readOnly.truncate(0), { name: 'NoModificationAllowedError' });
+    await readOnly.close();
+
+    const writable = await file.createWritable();
+    await assert.rejects(writable.write('too large'), { name: 'QuotaExceededError' });
+  });
+
+  test(`[${backend}] snapshots keep a directory as it was until restored`, async () => {
+    const storage = createStorage();
+    const root = await storage.getDirectory();
+    const dir = await root.getDirectoryHandle('data', { create: true });
+    const fileHandle = await dir.getFileHandle('a.txt', { create: true });
+    await writeText(fileHandle, 'before');
+    const sub = await dir.getDirectoryHandle('sub', { create: true });
+    await sub.getFileHandle('b.txt', { create: true });
+
+    const snapshot = await dir.snapshot();
+    assert.deepStrictEqual(await listKeys(snapshot), ['a.txt', 'sub']);
+    assert.deepStrictEqual(await listKeys(root), ['data']);
+
+    // Changes of every kind stay out of the snapshot
+    await writeText(fileHandle, 'after');
+    const accessHandle = await fileHandle.createSyncAccessHandle();
+    accessHandle.write(new TextEncoder().encode('AFTER'), { at: 0 });
+    await accessHandle.close();
+    await sub.removeEntry('b.txt');
+    await dir.getFileHandle('new.txt', { create: true });
+    assert.strictEqual(await readText(await snapshot.getFileHandle('a.txt')), 'before');
+    assert.deepStrictEqual(await listKeys(await snapshot.getDirectoryHandle('sub')), ['b.txt']);
+    await assert.rejects(snapshot.getFileHandle('c.txt', { create: true }), { name: 'NoModificationAllowedError' });
+    await assert.rejects((await snapshot.getFileHandle('a.txt')).createWritable(), { name: 'NoModificationAllowedError' });
+
+    await dir.restore(snapshot);
+    assert.deepStrictEqual(await listKeys(dir), ['a.txt', 'sub']);
+    assert.strictEqual(await readText(fileHandle), 'before');
+    assert.deepStrictEqual(await listKeys(sub), ['b.txt']);
+
+    // Nor do changes to what was restored reach the snapshot
+    const restoredHandle = await fileHandle.createSyncAccessHandle();
+    restoredHandle.write(new TextEncoder().encode('AGAIN!'), { at: 0 });
+    await restoredHandle.close();
+    await dir.restore(snapshot);
+    assert.strictEqual(await readText(fileHandle), 'before');
+
+    assert.deepStrictEqual((await dir.snapshots()).map(handle => handle.name), [snapshot.name]);
+    await dir.deleteSnapshot(snapshot);
+    assert.deepStrictEqual(await dir.snapshots(), []);
+    assert.strictEqual((await storage.estimate()).usage, 'before'.length);
+  });
+
+  test(`[${backend}] persist() is remembered`, async () => {
+    const storage = createStorage();
+    assert.strictEqual(await storage.persisted(), false);
+    assert.strictEqual(await storage.persist(), true);
+    assert.strictEqual(await storage.persisted(), true);
+    assert.deepStrictEqual(await listKeys(await storage.getDirectory()), []);
+  });
+}
+
+test('memory storage managers are isolated from each other', async () => {
+  const first = await backends.memory().getDirectory();
+  const second = await backends.memory().getDirectory();
+  const fileHandle = await first.getFileHandle('file.txt', { create: true });
+
+  assert.deepStrictEqual(await listKeys(second), []);
+  await assert.rejects(fileHandle.move(second), { name: 'InvalidModificationError' });
+  assert.strictEqual(await second.resolve(fileHandle), null);
+
+  // Each has its own locks
+  const accessHandle = await fileHandle.createSyncAccessHandle();
+  const other = await (await second.getFileHandle('file.txt', { create: true })).createSyncAccessHandle();
+  await accessHandle.close();
+  await other.close();
+});
+
+test('invalid backends are rejected', () => {
+  assert.throws(() => new StorageManager({ backend: 'cloud' }), TypeError);
+  assert.throws(() => new StorageManager({ backend: 'memory', crossProcessLocks: true }), TypeError);
+});
+
+test('cleanup test directory', async () => {
+  await fs.rm(testBaseDir, { recursive: true, force: true });
+});
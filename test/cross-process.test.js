@@ -0,0 +1,274 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { spawn } from 'node:child_process';
+import { once } from 'node:events';
+import { StorageManager } from '../dist/index.js';
+import * as fs from 'fs/promises';
+import * as path from 'path';
+import * as os from 'os';
+
+const testBaseDir = path.join(os.tmpdir(), 'node-opfs-cross-process-test-' + Date.now());
+const indexUrl = new URL('../dist/index.js', import.meta.url).href;
+
+/**
+ * Starts a process that opens a readwrite access handle on file.txt, holds it
+ * for holdMs (or until killed) and reports when the lock is taken
+ */
+async function holdLockInChild(holdMs = 60_000) {
+  const child = spawn(process.execPath, ['--input-type=module', '-e', `
+    import { StorageManager } from ${JSON.stringify(indexUrl)};
+    const storage = new StorageManager({ baseDir: ${JSON.stringify(testBaseDir)}, crossProcessLocks: true });
+    const root = await storage.getDirectory();
+    const fileHandle = await root.getFileHandle('file.txt', { create: true });
+    const accessHandle = await fileHandle.createSyncAccessHandle();
+    console.log('locked');
+    setTimeout(async () => {
+      await accessHandle.close();
+      process.exit(0);
+    }, ${holdMs});
+  `], { stdio: ['ignore', 'pipe', 'inherit'] });
+  const exited = once(child, 'exit');
+
+  const [data] = await once(child.stdout, 'data');
+  assert.strictEqual(data.toString().trim(), 'locked');
+  return { child, exited };
+}
+
+test('locks taken by another process are honored', async () => {
+  const { child, exited } = await holdLockInChild();
+
+  try {
+    const storage = new StorageManager({ baseDir: testBaseDir, crossProcessLocks: true });
+    const root = await storage.getDirectory();
+    const fileHandle = await root.getFileHandle('file.txt');
+
+    await assert.rejects(fileHandle.createWritable(), {
+      name: 'NoModificationAllowedError',
+      message: new RegExp(`process ${child.pid}`)
+    });
+    await assert.rejects(root.removeEntry('file.txt'), { name: 'NoModificationAllowedError' });
+
+    // Without cross-process locks the other process is invisible
+    const localRoot = await new StorageManager(testBaseDir).getDirectory();
+    const writable = await (await localRoot.getFileHandle('file.txt')).createWritable();
+    await writable.abort();
+  } finally {
+    child.kill();
+    await exited;
+  }
+});
+
+test('locks of processes that died are treated as stale', async () => {
+  const { child, exited } = await holdLockInChild();
+  child.kill('SIGKILL');
+  await exited;
+
+  const storage = new StorageManager({ baseDir: testBaseDir, crossProcessLocks: true });
+  const root = await storage.getDirectory();
+  const accessHandle = await (await root.getFileHandle('file.txt')).createSyncAccessHandle();
+  await accessHandle.close();
+});
+
+test('lockTimeout waits for a lock held by another process', async () => {
+  const { exited } = await holdLockInChild(200);
+
+  try {
+    const storage = new StorageManager({ baseDir: testBaseDir, crossProcessLocks: true, lockTimeout: 10_000 });
+    const root = await storage.getDirectory();
+    const writable = await (await root.getFileHandle('file.txt')).createWritable();
+    await writable.write('after wait');
+    await writable.close();
+  } finally {
+    await exited;
+  }
+});
+
+test('cross-process locks still conflict within one process', async () => {
+  const storage = new StorageManager({ baseDir: testBaseDir, crossProcessLocks: true });
+  const root = await storage.getDirectory();
+  const fileHandle = await root.getFileHandle('file.txt');
+
+  const accessHandle = await fileHandle.createSyncAccessHandle();
+  await assert.rejects(fileHandle.createSyncAccessHandle(), { name: 'NoModificationAllowedError' });
+  await accessHandle.close();
+
+  const first = await fileHandle.createWritable();
+  const second = await fileHandle.createWritable();
+  await first.close();
+  await second.close();
+
+  // The lock directory is not part of the file system
+  const keys = [];
+  for await (const key of root.keys()) {
+    keys.push(key);
+  }
+  assert.deepStrictEqual(keys, ['file.txt']);
+});
+
+/**
+ * Runs a transaction on the root of baseDir in a process that dies without
+ * cleaning up, either in the transaction's callback or on the given move
+ * of the commit
+ */
+async function crashDuringTransaction(baseDir, crashOnMove) {
+  const child = spawn(process.execPath, ['--input-type=module', '-e', `
+    import { StorageManager, DiskBackend } from ${JSON.stringify(indexUrl)};
+    let moves = 0;
+    class CrashingBackend extends DiskBackend {
+      async move(source, target) {
+        if (++moves === ${crashOnMove}) {
+          process.exit(0);
+        }
+        return super.move(source, target);
+      }
+    }
+    const storage = new StorageManager({ backend: new CrashingBackend(${JSON.stringify(baseDir)}) });
+    const root = await storage.getDirectory();
+    await root.transaction(async tx => {
+      await tx.writeFile('a.txt', 'new a');
+      await tx.writeFile('b.txt', 'new b');
+      await tx.createDirectory('dir');
+      await tx.move('old.txt', 'dir/old.txt');
+      if (${crashOnMove} === 0) {
+        process.exit(0);
+      }
+    });
+  `], { stdio: 'inherit' });
+  const [code] = await once(child, 'exit');
+  assert.strictEqual(code, 0);
+}
+
+async function readText(root, name) {
+  return (await (await root.getFileHandle(name)).getFile()).text();
+}
+
+async function seedTransactionTest(baseDir) {
+  const root = await new StorageManager(baseDir).getDirectory();
+  for (const name of ['a.txt', 'b.txt', 'old.txt']) {
+    const writable = await (await root.getFileHandle(name, { create: true })).createWritable();
+    await writable.write(`old ${name}`);
+    await writable.close();
+  }
+}
+
+test('transactions of crashed processes are rolled back before they commit', async () => {
+  const baseDir = path.join(testBaseDir, 'transaction-rollback');
+  await seedTransactionTest(baseDir);
+  await crashDuringTransaction(baseDir, 0);
+
+  const root = await new StorageManager(baseDir).getDirectory();
+  assert.strictEqual(await readText(root, 'a.txt'), 'old a.txt');
+  assert.strictEqual(await readText(root, 'old.txt'), 'old old.txt');
+  await assert.rejects(root.getDirectoryHandle('dir'), { name: 'NotFoundError' });
+  assert.deepStrictEqual(await fs.readdir(path.join(baseDir, '.node-opfs-transactions')), []);
+});
+
+test('transactions of crashed processes are completed after they commit', async () => {
+  const baseDir = path.join(testBaseDir, 'transaction-recovery');
+  await seedTransactionTest(baseDir);
+  // Dies after replacing a.txt
+  await crashDuringTransaction(baseDir, 2);
+  assert.strictEqual(await fs.readFile(path.join(baseDir, 'a.txt'), 'utf8'), 'new a');
+  assert.strictEqual(await fs.readFile(path.join(baseDir, 'b.txt'), 'utf8'), 'old b.txt');
+
+  const root = await new StorageManager(baseDir).getDirectory();
+  assert.strictEqual(await readText(root, 'a.txt'), 'new a');
+  assert.strictEqual(await readText(root, 'b.txt'), 'new b');
+  assert.strictEqual(await readText(await root.getDirectoryHandle('dir'), 'old.txt'), 'old old.txt');
+  await assert.rejects(root.getFileHandle('old.txt'), { name: 'NotFoundError' });
+  assert.deepStrictEqual(await fs.readdir(path.join(baseDir, '.node-opfs-transactions')), []);
+});
+
+/**
+ * Runs script in a process that has a container open as root, and waits
+ * for it to exit. With crashOnSync, the process dies at the given call to
+ * fdatasync() made after the script calls crashSoon().
+ */
+async function runWithContainer(containerFile, script, crashOnSync = 0) {
+  const child = spawn(process.execPath, ['--input-type=module', '-e', `
+    import fs from 'node:fs';
+    import { syncBuiltinESMExports } from 'node:module';
+    import { StorageManager } from ${JSON.stringify(indexUrl)};
+    const fdatasyncSync = fs.fdatasyncSync;
+    let syncs = -Infinity;
+    fs.fdatasyncSync = (fd) => {
+      if (++syncs === ${crashOnSync}) {
+        process.exit(0);
+      }
+      fdatasyncSync(fd);
+    };
+    syncBuiltinESMExports();
+    const crashSoon = () => { syncs = 0; };
+    const root = await new StorageManager({ containerFile: ${JSON.stringify(containerFile)} }).getDirectory();
+    const writeText = async (name, text) => {
+      const writable = await (await root.getFileHandle(name, { create: true })).createWritable();
+      await writable.write(text);
+      await writable.close();
+    };
+    ${script}
+  `], { stdio: ['ignore', 'pipe', 'inherit'] });
+  const exited = once(child, 'exit');
+  return { child, exited };
+}
+
+test('a container is used by one process at a time', async () => {
+  const containerFile = path.join(testBaseDir, 'shared.opfs');
+  const { child, exited } = await runWithContainer(containerFile, `
+    await writeText('CON', 'reserved on Windows');
+    await writeText('File.txt', 'upper');
+    await writeText('file.txt', 'lower');
+    await writeText('${'n'.repeat(300)}', 'long');
+    console.log('ready');
+    setTimeout(() => {}, 60_000);
+  `);
+
+  try {
+    const [data] = await once(child.stdout, 'data');
+    assert.strictEqual(data.toString().trim(), 'ready');
+    await assert.rejects(new StorageManager({ containerFile }).getDirectory(), {
+      name: 'NoModificationAllowedError',
+      message: new RegExp(`process ${child.pid}`)
+    });
+  } finally {
+    // Killed without a chance to clean up its lock file
+    child.kill('SIGKILL');
+    await exited;
+  }
+
+  const root = await new StorageManager({ containerFile }).getDirectory();
+  assert.strictEqual(await readText(root, 'CON'), 'reserved on Windows');
+  assert.strictEqual(await readText(root, 'File.txt'), 'upper');
+  assert.strictEqual(await readText(root, 'file.txt'), 'lower');
+  assert.strictEqual(await readText(root, 'n'.repeat(300)), 'long');
+  assert.deepStrictEqual((await fs.readdir(testBaseDir)).filter(name => name.startsWith('shared')), ['shared.opfs', 'shared.opfs.lock']);
+});
+
+test('a container keeps its last complete index when a process dies while updating it', async () => {
+  // Dies after writing the new index, before pointing a superblock at it
+  const torn = path.join(testBaseDir, 'torn.opfs');
+  await (await runWithContainer(torn, `
+    await writeText('a.txt', 'one');
+    crashSoon();
+    await writeText('a.txt', 'two');
+  `, 1)).exited;
+  let root = await new StorageManager({ containerFile: torn }).getDirectory();
+  assert.strictEqual(await readText(root, 'a.txt'), 'one');
+  const writable = await (await root.getFileHandle('b.txt', { create: true })).createWritable();
+  await writable.write('three');
+  await writable.close();
+  assert.strictEqual(await readText(root, 'b.txt'), 'three');
+
+  // Dies right after pointing a superblock at it
+  const written = path.join(testBaseDir, 'written.opfs');
+  await (await runWithContainer(written, `
+    await writeText('a.txt', 'one');
+    crashSoon();
+    await writeText('a.txt', 'two');
+  `, 2)).exited;
+  root = await new StorageManager({ containerFile: written }).getDirectory();
+  assert.strictEqual(await readText(root, 'a.txt'), 'two');
+});
+
+test('cleanup test directory', async () => {
+  await fs.rm(testBaseDir, { recursive: true, force: true });
+});
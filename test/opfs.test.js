@@ -4,6 +4,7 @@ import { navigator, storage } from '../dist/index.js';
 import * as fs from 'fs/promises';
 import * as path from 'path';
 import * as os from 'os';
+import { once } from 'events';
 
 // Create a temporary test directory
 const testBaseDir = path.join(os.tmpdir(), 'node-opfs-test-' + Date.now());
@@ -79,6 +80,19 @@ test('FileSystemWritableFileStream supports multiple writes', async () => {
   assert.strictEqual(text, 'Line 1\nLine 2\nLine 3');
 });
 
+test('FileSystemWritableFileStream writes need not be awaited before close()', async () => {
+  const root = await storage.getDirectory();
+  const fileHandle = await root.getFileHandle('unawaited-writes.txt', { create: true });
+
+  const writable = await fileHandle.createWritable();
+  const writes = [writable.write('one '), writable.write('two '), writable.seek(0), writable.write('ONE')];
+  await writable.close();
+  await Promise.all(writes);
+
+  const file = await fileHandle.getFile();
+  assert.strictEqual(await file.text(), 'ONE two ');
+});
+
 test('FileSystemWritableFileStream supports WriteParams with position', async () => {
   const root = await storage.getDirectory();
   const fileHandle = await root.getFileHandle('position-test.txt', { create: true });
@@ -619,6 +633,1920 @@ test('FileSystemSyncAccessHandle read without position uses current position', a
   await accessHandle.close();
 });
 
+test('invalid entry names are rejected with TypeError', async () => {
+  const root = await storage.getDirectory();
+  const invalidNames = ['', '.', '..', 'a/b', '../escape.txt', '../../etc/passwd', 'a\\b', 'nul\0byte'];
+
+  for (const name of invalidNames) {
+    await assert.rejects(root.getFileHandle(name, { create: true }), TypeError);
+    await assert.rejects(root.getDirectoryHandle(name, { create: true }), TypeError);
+    await assert.rejects(root.removeEntry(name), TypeError);
+  }
+
+  // Names that only start with dots stay inside the directory
+  for (const name of ['..foo', '...', '..a.txt']) {
+    const fileHandle = await root.getFileHandle(name, { create: true });
+    assert.deepStrictEqual(await root.resolve(fileHandle), [name]);
+    await root.removeEntry(name);
+  }
+  const dir = await root.getDirectoryHandle('dotted', { create: true });
+  const accessHandle = await (await dir.getFileHandle('..x', { create: true })).createSyncAccessHandle();
+  await assert.rejects(root.removeEntry('dotted', { recursive: true }), { name: 'NoModificationAllowedError' });
+  await accessHandle.close();
+  await root.removeEntry('dotted', { recursive: true });
+});
+
+test('symlinks pointing outside the root cannot be followed', async () => {
+  const { StorageManager } = await import('../dist/StorageManager.js');
+  const sandboxDir = path.join(testBaseDir, 'symlink-sandbox');
+  const outsideDir = path.join(testBaseDir, 'symlink-outside');
+  await fs.mkdir(outsideDir, { recursive: true });
+  await fs.writeFile(path.join(outsideDir, 'secret.txt'), 'secret');
+
+  const root = await new StorageManager(sandboxDir).getDirectory();
+  await fs.symlink(path.join(outsideDir, 'secret.txt'), path.join(sandboxDir, 'file-link'));
+  await fs.symlink(outsideDir, path.join(sandboxDir, 'dir-link'));
+  await fs.symlink(path.join(outsideDir, 'missing.txt'), path.join(sandboxDir, 'dangling-link'));
+
+  await assert.rejects(root.getFileHandle('file-link'), { name: 'SecurityError' });
+  await assert.rejects(root.getDirectoryHandle('dir-link'), { name: 'SecurityError' });
+  await assert.rejects(root.getFileHandle('dangling-link', { create: true }));
+  await assert.rejects(fs.access(path.join(outsideDir, 'missing.txt')));
+
+  // Escaping symlinks are not listed
+  const keys = [];
+  for await (const key of root.keys()) {
+    keys.push(key);
+  }
+  assert.deepStrictEqual(keys, []);
+
+  // Removing the link leaves the target untouched
+  await root.removeEntry('file-link');
+  assert.strictEqual(await fs.readFile(path.join(outsideDir, 'secret.txt'), 'utf8'), 'secret');
+});
+
+test('FileSystemDirectoryHandle.resolve() ignores sibling paths sharing a prefix', async () => {
+  const root = await storage.getDirectory();
+  const dir = await root.getDirectoryHandle('prefix', { create: true });
+  const sibling = await root.getDirectoryHandle('prefix-sibling', { create: true });
+
+  assert.strictEqual(await dir.resolve(sibling), null);
+});
+
+test('createWritable() leaves the original contents intact until close()', async () => {
+  const root = await storage.getDirectory();
+  const fileHandle = await root.getFileHandle('swap-close.txt', { create: true });
+
+  let writable = await fileHandle.createWritable();
+  await writable.write('Original');
+  await writable.close();
+
+  writable = await fileHandle.createWritable();
+  await writable.write('Replacement');
+  assert.strictEqual(await (await fileHandle.getFile()).text(), 'Original');
+
+  await writable.close();
+  assert.strictEqual(await (await fileHandle.getFile()).text(), 'Replacement');
+});
+
+test('FileSystemWritableFileStream.abort() discards written data', async () => {
+  const root = await storage.getDirectory();
+  const dir = await root.getDirectoryHandle('swap-abort', { create: true });
+  const fileHandle = await dir.getFileHandle('file.txt', { create: true });
+
+  let writable = await fileHandle.createWritable();
+  await writable.write('Keep me');
+  await writable.close();
+
+  writable = await fileHandle.createWritable({ keepExistingData: true });
+  await writable.write({ type: 'write', position: 0, data: 'Lose' });
+  await writable.abort();
+
+  assert.strictEqual(await (await fileHandle.getFile()).text(), 'Keep me');
+
+  // No swap files are left behind
+  const hostEntries = await fs.readdir(path.join(root._path, 'swap-abort'));
+  assert.deepStrictEqual(hostEntries, ['file.txt']);
+});
+
+test('swap files are hidden from iteration and stale ones are removed', async () => {
+  const { StorageManager } = await import('../dist/StorageManager.js');
+  const swapBaseDir = path.join(testBaseDir, 'swap-cleanup');
+  await fs.mkdir(path.join(swapBaseDir, 'nested'), { recursive: true });
+
+  // Left behind by a process that no longer exists
+  const stalePath = path.join(swapBaseDir, 'nested', '.node-opfs-swap-99999999-0a1b2c');
+  await fs.writeFile(stalePath, 'stale');
+
+  const root = await new StorageManager(swapBaseDir).getDirectory();
+  await assert.rejects(fs.access(stalePath));
+
+  const fileHandle = await root.getFileHandle('file.txt', { create: true });
+  const writable = await fileHandle.createWritable();
+  await writable.write('pending');
+
+  const keys = [];
+  for await (const key of root.keys()) {
+    keys.push(key);
+  }
+  keys.sort();
+  assert.deepStrictEqual(keys, ['file.txt', 'nested']);
+
+  // Swap files of live writables survive a fresh StorageManager
+  await new StorageManager(swapBaseDir).getDirectory();
+  await writable.close();
+  assert.strictEqual(await (await fileHandle.getFile()).text(), 'pending');
+
+  // Buckets are swept when they are opened, not with their StorageManager
+  const bucketDir = path.join(swapBaseDir, '.node-opfs-buckets', 'inbox');
+  await fs.mkdir(bucketDir, { recursive: true });
+  const bucketStalePath = path.join(bucketDir, '.node-opfs-swap-99999999-3d4e5f');
+  await fs.writeFile(bucketStalePath, 'stale');
+  const manager = new StorageManager(swapBaseDir);
+  await manager.getDirectory();
+  await fs.access(bucketStalePath);
+  await (await manager.storageBuckets.open('inbox')).getDirectory();
+  await assert.rejects(fs.access(bucketStalePath));
+});
+
+test('reserved names cannot be created', async () => {
+  const root = await storage.getDirectory();
+
+  await assert.rejects(root.getFileHandle('.node-opfs-swap-1-abc', { create: true }), TypeError);
+});
+
+test('FileSystemWritableFileStream is a WritableStream', async () => {
+  const root = await storage.getDirectory();
+  const fileHandle = await root.getFileHandle('writable-stream.txt', { create: true });
+
+  const writable = await fileHandle.createWritable();
+  assert.ok(writable instanceof WritableStream);
+  assert.strictEqual(writable.locked, false);
+
+  const writer = writable.getWriter();
+  assert.strictEqual(writable.locked, true);
+  await writer.write('Hello, ');
+  await writer.write(new TextEncoder().encode('Writer!'));
+  await writer.close();
+
+  assert.strictEqual(await (await fileHandle.getFile()).text(), 'Hello, Writer!');
+});
+
+test('ReadableStream.pipeTo() a FileSystemWritableFileStream', async () => {
+  const root = await storage.getDirectory();
+  const fileHandle = await root.getFileHandle('pipe-to.txt', { create: true });
+
+  const chunks = ['one ', 'two ', 'three'];
+  const readable = new ReadableStream({
+    pull(controller) {
+      const chunk = chunks.shift();
+      if (chunk === undefined) {
+        controller.close();
+      } else {
+        controller.enqueue(new TextEncoder().encode(chunk));
+      }
+    }
+  });
+
+  await readable.pipeTo(await fileHandle.createWritable());
+
+  assert.strictEqual(await (await fileHandle.getFile()).text(), 'one two three');
+});
+
+test('FileSystemWritableFileStream rejects writes while locked and after errors', async () => {
+  const root = await storage.getDirectory();
+  const fileHandle = await root.getFileHandle('writable-errors.txt', { create: true });
+
+  let writable = await fileHandle.createWritable();
+  await writable.write('kept');
+  await writable.close();
+
+  writable = await fileHandle.createWritable();
+  const writer = writable.getWriter();
+  await assert.rejects(writable.write('locked'), TypeError);
+  writer.releaseLock();
+
+  // An invalid chunk errors the stream and discards the swap file
+  await assert.rejects(writable.write({}), TypeError);
+  await assert.rejects(writable.write('after error'));
+  await assert.rejects(writable.close());
+
+  assert.strictEqual(await (await fileHandle.getFile()).text(), 'kept');
+});
+
+test('aborting a pipe discards the written data', async () => {
+  const root = await storage.getDirectory();
+  const fileHandle = await root.getFileHandle('pipe-abort.txt', { create: true });
+
+  let writable = await fileHandle.createWritable();
+  await writable.write('original');
+  await writable.close();
+
+  const readable = new ReadableStream({
+    start(controller) {
+      controller.enqueue(new TextEncoder().encode('partial'));
+      controller.error(new Error('source failed'));
+    }
+  });
+
+  await assert.rejects(readable.pipeTo(await fileHandle.createWritable()), /source failed/);
+  assert.strictEqual(await (await fileHandle.getFile()).text(), 'original');
+});
+
+test('FileSystemWritableFileStream writes Blob and File data', async () => {
+  const root = await storage.getDirectory();
+  const fileHandle = await root.getFileHandle('blob-write.txt', { create: true });
+
+  const writable = await fileHandle.createWritable();
+  await writable.write(new Blob(['Hello, ']));
+  await writable.write(new File(['File'], 'part.txt'));
+  await writable.write({ type: 'write', position: 0, data: new Blob(['J']) });
+  await writable.close();
+
+  assert.strictEqual(await (await fileHandle.getFile()).text(), 'Jello, File');
+});
+
+test('FileSystemWritableFileStream streams large Blobs', async () => {
+  const root = await storage.getDirectory();
+  const fileHandle = await root.getFileHandle('blob-large.bin', { create: true });
+  const data = new Uint8Array(3 * 1024 * 1024).map((_, i) => i % 251);
+
+  const writable = await fileHandle.createWritable();
+  await writable.write(new Blob([data, data]));
+  await writable.close();
+
+  const file = await fileHandle.getFile();
+  assert.strictEqual(file.size, data.length * 2);
+  const bytes = new Uint8Array(await file.arrayBuffer());
+  assert.deepStrictEqual(bytes.subarray(data.length), data);
+  await root.removeEntry('blob-large.bin');
+});
+
+test('FileSystemWritableFileStream writes typed array views byte for byte', async () => {
+  const root = await storage.getDirectory();
+  const fileHandle = await root.getFileHandle('typed-array.bin', { create: true });
+
+  const writable = await fileHandle.createWritable();
+  await writable.write(new Uint16Array([0x0201, 0x0403]));
+  await writable.write(new DataView(new Uint8Array([9, 5, 6, 9]).buffer, 1, 2));
+  await writable.close();
+
+  const bytes = new Uint8Array(await (await fileHandle.getFile()).arrayBuffer());
+  assert.deepStrictEqual(bytes, new Uint8Array([1, 2, 3, 4, 5, 6]));
+});
+
+test('FileSystemWritableFileStream zero-fills writes and seeks past the end', async () => {
+  const root = await storage.getDirectory();
+  const fileHandle = await root.getFileHandle('zero-fill.bin', { create: true });
+
+  const writable = await fileHandle.createWritable();
+  await writable.write('ab');
+  await writable.write({ type: 'write', position: 4, data: 'cd' });
+  await writable.seek(8);
+  await writable.write('ef');
+  await writable.close();
+
+  const bytes = new Uint8Array(await (await fileHandle.getFile()).arrayBuffer());
+  assert.deepStrictEqual(Array.from(bytes), [97, 98, 0, 0, 99, 100, 0, 0, 101, 102]);
+});
+
+test('FileSystemWritableFileStream positional writes move the cursor', async () => {
+  const root = await storage.getDirectory();
+  const fileHandle = await root.getFileHandle('write-cursor.txt', { create: true });
+
+  const writable = await fileHandle.createWritable();
+  await writable.write('0123456789');
+  await writable.write({ type: 'write', position: 2, data: 'ab' });
+  await writable.write('cd');
+  await writable.close();
+
+  assert.strictEqual(await (await fileHandle.getFile()).text(), '01abcd6789');
+});
+
+test('FileSystemWritableFileStream truncate extends with zeros and clamps the cursor', async () => {
+  const root = await storage.getDirectory();
+  const fileHandle = await root.getFileHandle('truncate-cursor.bin', { create: true });
+
+  const writable = await fileHandle.createWritable();
+  await writable.write('abcdef');
+  await writable.truncate(3);
+  await writable.write('X');
+  await writable.truncate(6);
+  await writable.close();
+
+  const bytes = new Uint8Array(await (await fileHandle.getFile()).arrayBuffer());
+  assert.deepStrictEqual(Array.from(bytes), [97, 98, 99, 88, 0, 0]);
+});
+
+test('FileSystemWritableFileStream converts primitives to strings', async () => {
+  const root = await storage.getDirectory();
+  const fileHandle = await root.getFileHandle('primitive-write.txt', { create: true });
+
+  const writable = await fileHandle.createWritable();
+  await writable.write(42);
+  await writable.write({ type: 'write', data: true });
+  await writable.close();
+
+  assert.strictEqual(await (await fileHandle.getFile()).text(), '42true');
+});
+
+test('FileSystemWritableFileStream rejects invalid WriteParams', async () => {
+  const root = await storage.getDirectory();
+  const fileHandle = await root.getFileHandle('invalid-params.txt', { create: true });
+
+  const cases = [
+    [{ type: 'write' }, { name: 'SyntaxError' }],
+    [{ type: 'write', data: null }, { name: 'SyntaxError' }],
+    [{ type: 'seek' }, { name: 'SyntaxError' }],
+    [{ type: 'truncate' }, { name: 'SyntaxError' }],
+    [{ type: 'append', data: 'x' }, TypeError],
+    [{ data: 'x' }, TypeError],
+    [null, TypeError],
+    [{ type: 'seek', position: -1 }, TypeError],
+    [{ type: 'write', data: {} }, TypeError]
+  ];
+
+  for (const [params, expected] of cases) {
+    const writable = await fileHandle.createWritable();
+    await assert.rejects(writable.write(params), expected);
+    // The stream is errored afterwards
+    await assert.rejects(writable.close());
+  }
+});
+
+test('a readwrite sync access handle locks the file exclusively', async () => {
+  const root = await storage.getDirectory();
+  const fileHandle = await root.getFileHandle('lock-exclusive.txt', { create: true });
+
+  const accessHandle = await fileHandle.createSyncAccessHandle();
+  await assert.rejects(fileHandle.createSyncAccessHandle(), { name: 'NoModificationAllowedError' });
+  await assert.rejects(fileHandle.createWritable(), { name: 'NoModificationAllowedError' });
+  await assert.rejects(root.removeEntry('lock-exclusive.txt'), { name: 'NoModificationAllowedError' });
+
+  await accessHandle.close();
+  const writable = await fileHandle.createWritable();
+  await writable.close();
+  await root.removeEntry('lock-exclusive.txt');
+});
+
+test('siloed writables share the lock, exclusive writables do not', async () => {
+  const root = await storage.getDirectory();
+  const fileHandle = await root.getFileHandle('lock-writables.txt', { create: true });
+
+  const first = await fileHandle.createWritable();
+  const second = await fileHandle.createWritable({ mode: 'siloed' });
+  await assert.rejects(fileHandle.createWritable({ mode: 'exclusive' }), { name: 'NoModificationAllowedError' });
+  await assert.rejects(fileHandle.createSyncAccessHandle(), { name: 'NoModificationAllowedError' });
+  await first.close();
+  await second.abort();
+
+  const exclusive = await fileHandle.createWritable({ mode: 'exclusive' });
+  await assert.rejects(fileHandle.createWritable(), { name: 'NoModificationAllowedError' });
+  await exclusive.close();
+
+  await assert.rejects(fileHandle.createWritable({ mode: 'shared' }), TypeError);
+});
+
+test('shared sync access handle modes', async () => {
+  const root = await storage.getDirectory();
+  const fileHandle = await root.getFileHandle('lock-shared-modes.txt', { create: true });
+
+  const unsafe1 = await fileHandle.createSyncAccessHandle({ mode: 'readwrite-unsafe' });
+  const unsafe2 = await fileHandle.createSyncAccessHandle({ mode: 'readwrite-unsafe' });
+  unsafe1.write(new TextEncoder().encode('shared'), { at: 0 });
+  await assert.rejects(fileHandle.createSyncAccessHandle({ mode: 'read-only' }), { name: 'NoModificationAllowedError' });
+  await unsafe1.close();
+  await unsafe2.close();
+
+  const reader1 = await fileHandle.createSyncAccessHandle({ mode: 'read-only' });
+  const reader2 = await fileHandle.createSyncAccessHandle({ mode: 'read-only' });
+  const buffer = new Uint8Array(6);
+  reader2.read(buffer, { at: 0 });
+  assert.strictEqual(new TextDecoder().decode(buffer), 'shared');
+  assert.throws(() => reader1.write(new Uint8Array([1])), { name: 'NoModificationAllowedError' });
+  assert.throws(() => reader1.truncate(0), { name: 'NoModificationAllowedError' });
+  await assert.rejects(fileHandle.createWritable(), { name: 'NoModificationAllowedError' });
+  await reader1.close();
+  await reader2.close();
+});
+
+test('directories with locked descendants cannot be removed', async () => {
+  const root = await storage.getDirectory();
+  const dir = await root.getDirectoryHandle('lock-dir', { create: true });
+  const nested = await dir.getDirectoryHandle('nested', { create: true });
+  const fileHandle = await nested.getFileHandle('file.txt', { create: true });
+
+  const writable = await fileHandle.createWritable();
+  await assert.rejects(root.removeEntry('lock-dir', { recursive: true }), { name: 'NoModificationAllowedError' });
+  await writable.close();
+
+  await root.removeEntry('lock-dir', { recursive: true });
+});
+
+test('locks are released when a write fails', async () => {
+  const root = await storage.getDirectory();
+  const fileHandle = await root.getFileHandle('lock-release-error.txt', { create: true });
+
+  const writable = await fileHandle.createWritable({ mode: 'exclusive' });
+  await assert.rejects(writable.write({ type: 'seek' }));
+
+  const accessHandle = await fileHandle.createSyncAccessHandle();
+  await accessHandle.close();
+});
+
+test('FileSystemHandle.move() renames an entry in place', async () => {
+  const root = await storage.getDirectory();
+  const dir = await root.getDirectoryHandle('move-rename', { create: true });
+  const fileHandle = await dir.getFileHandle('old.txt', { create: true });
+  const writable = await fileHandle.createWritable();
+  await writable.write('moved content');
+  await writable.close();
+
+  await fileHandle.move('new.txt');
+
+  assert.strictEqual(fileHandle.name, 'new.txt');
+  assert.strictEqual(await (await fileHandle.getFile()).text(), 'moved content');
+  await assert.rejects(dir.getFileHandle('old.txt'), { name: 'NotFoundError' });
+  assert.deepStrictEqual(await dir.resolve(fileHandle), ['new.txt']);
+});
+
+test('FileSystemHandle.move() moves entries between directories', async () => {
+  const root = await storage.getDirectory();
+  const source = await root.getDirectoryHandle('move-source', { create: true });
+  const destination = await root.getDirectoryHandle('move-destination', { create: true });
+  const fileHandle = await source.getFileHandle('file.txt', { create: true });
+  const subdir = await source.getDirectoryHandle('subdir', { create: true });
+  await subdir.getFileHandle('nested.txt', { create: true });
+
+  await fileHandle.move(destination);
+  assert.deepStrictEqual(await root.resolve(fileHandle), ['move-destination', 'file.txt']);
+
+  await subdir.move(destination, 'renamed');
+  assert.strictEqual(subdir.name, 'renamed');
+  assert.deepStrictEqual(await root.resolve(subdir), ['move-destination', 'renamed']);
+  await subdir.getFileHandle('nested.txt');
+
+  await root.removeEntry('move-source', { recursive: true });
+  await root.removeEntry('move-destination', { recursive: true });
+});
+
+test('FileSystemHandle.move() replaces files but not directories', async () => {
+  const root = await storage.getDirectory();
+  const dir = await root.getDirectoryHandle('move-existing', { create: true });
+  const a = await dir.getFileHandle('a.txt', { create: true });
+  const writable = await a.createWritable();
+  await writable.write('from a');
+  await writable.close();
+  await dir.getFileHandle('b.txt', { create: true });
+  const sub = await dir.getDirectoryHandle('sub', { create: true });
+  await dir.getDirectoryHandle('other', { create: true });
+
+  await a.move('b.txt');
+  assert.strictEqual(await (await dir.getFileHandle('b.txt')).getFile().then(file => file.text()), 'from a');
+
+  await assert.rejects(a.move('sub'), { name: 'InvalidModificationError' });
+  await assert.rejects(sub.move('other'), { name: 'InvalidModificationError' });
+  await assert.rejects(sub.move(sub), { name: 'InvalidModificationError' });
+  await assert.rejects(a.move('../escape.txt'), TypeError);
+  await assert.rejects(a.move(a), TypeError);
+});
+
+test('FileSystemHandle.move() fails for locked entries', async () => {
+  const root = await storage.getDirectory();
+  const dir = await root.getDirectoryHandle('move-locked', { create: true });
+  const fileHandle = await dir.getFileHandle('file.txt', { create: true });
+  const other = await dir.getFileHandle('other.txt', { create: true });
+
+  const accessHandle = await fileHandle.createSyncAccessHandle();
+  await assert.rejects(fileHandle.move('renamed.txt'), { name: 'NoModificationAllowedError' });
+  await assert.rejects(dir.move('move-locked-renamed'), { name: 'NoModificationAllowedError' });
+  await assert.rejects(other.move('file.txt'), { name: 'NoModificationAllowedError' });
+  await accessHandle.close();
+
+  await fileHandle.move('renamed.txt');
+  assert.strictEqual(fileHandle.name, 'renamed.txt');
+});
+
+test('FileSystemHandle.move() refuses to leave the root', async () => {
+  const { StorageManager } = await import('../dist/StorageManager.js');
+  const root = await storage.getDirectory();
+  const otherRoot = await new StorageManager(path.join(testBaseDir, 'move-other-root')).getDirectory();
+  const fileHandle = await root.getFileHandle('move-cross-root.txt', { create: true });
+
+  await assert.rejects(fileHandle.move(otherRoot), { name: 'InvalidModificationError' });
+  await assert.rejects(root.move('renamed-root'), { name: 'InvalidModificationError' });
+});
+
+test('FileSystemHandle.remove() removes files and directories', async () => {
+  const root = await storage.getDirectory();
+  const dir = await root.getDirectoryHandle('remove-self', { create: true });
+  const fileHandle = await dir.getFileHandle('file.txt', { create: true });
+  await dir.getDirectoryHandle('nested', { create: true });
+
+  await fileHandle.remove();
+  await assert.rejects(dir.getFileHandle('file.txt'), { name: 'NotFoundError' });
+  await assert.rejects(fileHandle.remove(), { name: 'NotFoundError' });
+
+  await assert.rejects(dir.remove(), { name: 'InvalidModificationError' });
+  await dir.remove({ recursive: true });
+  await assert.rejects(root.getDirectoryHandle('remove-self'), { name: 'NotFoundError' });
+});
+
+test('FileSystemHandle.remove() on the root empties it', async () => {
+  const { StorageManager } = await import('../dist/StorageManager.js');
+  const root = await new StorageManager(path.join(testBaseDir, 'remove-root')).getDirectory();
+  await root.getFileHandle('file.txt', { create: true });
+  await root.getDirectoryHandle('dir', { create: true });
+
+  await assert.rejects(root.remove(), { name: 'InvalidModificationError' });
+  await root.remove({ recursive: true });
+
+  const keys = [];
+  for await (const key of root.keys()) {
+    keys.push(key);
+  }
+  assert.deepStrictEqual(keys, []);
+  await root.getFileHandle('after.txt', { create: true });
+});
+
+test('FileSystemFileHandle.getFile() returns a File', async () => {
+  const root = await storage.getDirectory();
+  const fileHandle = await root.getFileHandle('get-file.json', { create: true });
+  const writable = await fileHandle.createWritable();
+  await writable.write('{"hello":"world"}');
+  await writable.close();
+
+  const file = await fileHandle.getFile();
+  assert.ok(file instanceof File);
+  assert.strictEqual(file.name, 'get-file.json');
+  assert.strictEqual(file.type, 'application/json');
+  assert.strictEqual(file.size, 17);
+  assert.ok(Math.abs(file.lastModified - Date.now()) < 60_000);
+  assert.strictEqual(await file.slice(2, 7).text(), 'hello');
+
+  const unknown = await (await root.getFileHandle('get-file.unknownext', { create: true })).getFile();
+  assert.strictEqual(unknown.type, '');
+});
+
+test('FileSystemFileHandle.getFile() does not read the file up front', async () => {
+  const root = await storage.getDirectory();
+  const fileHandle = await root.getFileHandle('get-file-lazy.bin', { create: true });
+  const accessHandle = await fileHandle.createSyncAccessHandle();
+  // A sparse 1 GiB file with a marker at the end
+  accessHandle.truncate(1024 * 1024 * 1024);
+  accessHandle.write(new TextEncoder().encode('END'), { at: 1024 * 1024 * 1024 - 3 });
+  await accessHandle.close();
+
+  const before = process.memoryUsage().rss;
+  const file = await fileHandle.getFile();
+  assert.strictEqual(file.size, 1024 * 1024 * 1024);
+  assert.strictEqual(await file.slice(-3).text(), 'END');
+  assert.ok(process.memoryUsage().rss - before < 256 * 1024 * 1024);
+
+  await root.removeEntry('get-file-lazy.bin');
+});
+
+test('File snapshots become unreadable after the file changes', async () => {
+  const root = await storage.getDirectory();
+  const fileHandle = await root.getFileHandle('get-file-stale.txt', { create: true });
+  let writable = await fileHandle.createWritable();
+  await writable.write('first');
+  await writable.close();
+
+  const snapshot = await fileHandle.getFile();
+  assert.strictEqual(await snapshot.text(), 'first');
+
+  writable = await fileHandle.createWritable();
+  await writable.write('second version');
+  await writable.close();
+
+  await assert.rejects(snapshot.text(), { name: 'NotReadableError' });
+  await assert.rejects(snapshot.slice(0, 2).arrayBuffer(), { name: 'NotReadableError' });
+  assert.strictEqual(await (await fileHandle.getFile()).text(), 'second version');
+});
+
+test('FileSystemFileHandle.getFile() throws NotFoundError for removed files', async () => {
+  const root = await storage.getDirectory();
+  const fileHandle = await root.getFileHandle('get-file-removed.txt', { create: true });
+  await root.removeEntry('get-file-removed.txt');
+
+  await assert.rejects(fileHandle.getFile(), { name: 'NotFoundError' });
+});
+
+test('StorageManager.estimate() tracks usage as files change', async () => {
+  const { StorageManager } = await import('../dist/StorageManager.js');
+  const manager = new StorageManager(path.join(testBaseDir, 'estimate'));
+  const root = await manager.getDirectory();
+  const fileHandle = await root.getFileHandle('file.txt', { create: true });
+
+  let estimate = await manager.estimate();
+  assert.strictEqual(estimate.usage, 0);
+  assert.ok(estimate.quota > 0);
+
+  const writable = await fileHandle.createWritable();
+  await writable.write('0123456789');
+  assert.strictEqual((await manager.estimate()).usage, 10);
+  await writable.close();
+  assert.strictEqual((await manager.estimate()).usage, 10);
+
+  const accessHandle = await fileHandle.createSyncAccessHandle();
+  accessHandle.write(new Uint8Array(5), { at: 10 });
+  accessHandle.truncate(4);
+  await accessHandle.close();
+  assert.strictEqual((await manager.estimate()).usage, 4);
+
+  const dir = await root.getDirectoryHandle('dir', { create: true });
+  await fileHandle.move(dir);
+  assert.strictEqual((await manager.estimate()).usage, 4);
+  await root.removeEntry('dir', { recursive: true });
+  assert.strictEqual((await manager.estimate()).usage, 0);
+
+  // Usage measured from disk by a fresh manager agrees
+  await root.getFileHandle('other.txt', { create: true }).then(async handle => {
+    const writable = await handle.createWritable();
+    await writable.write('abc');
+    await writable.close();
+  });
+  estimate = await new StorageManager(path.join(testBaseDir, 'estimate')).estimate();
+  assert.strictEqual(estimate.usage, 3);
+});
+
+test('StorageManager enforces a configured quota', async () => {
+  const { StorageManager } = await import('../dist/StorageManager.js');
+  const manager = new StorageManager({ baseDir: path.join(testBaseDir, 'quota'), quota: 16 });
+  const root = await manager.getDirectory();
+  assert.deepStrictEqual(await manager.estimate(), { usage: 0, quota: 16 });
+
+  const fileHandle = await root.getFileHandle('file.txt', { create: true });
+  const writable = await fileHandle.createWritable();
+  await writable.write('0123456789');
+  await assert.rejects(writable.write('0123456789'), { name: 'QuotaExceededError' });
+  // The failed stream discarded its swap file and left the file untouched
+  assert.strictEqual((await manager.estimate()).usage, 0);
+  assert.strictEqual(await (await fileHandle.getFile()).text(), '');
+
+  const accessHandle = await fileHandle.createSyncAccessHandle();
+  assert.strictEqual(accessHandle.write(new Uint8Array(16)), 16);
+  assert.throws(() => accessHandle.write(new Uint8Array(1)), { name: 'QuotaExceededError' });
+  assert.throws(() => accessHandle.truncate(17), { name: 'QuotaExceededError' });
+  assert.strictEqual(accessHandle.getSize(), 16);
+  await accessHandle.close();
+
+  await assert.rejects(root.getFileHandle('new.txt', { create: true }), { name: 'QuotaExceededError' });
+  await assert.rejects(root.getDirectoryHandle('new', { create: true }), { name: 'QuotaExceededError' });
+  // Existing entries can still be opened
+  await root.getFileHandle('file.txt', { create: true });
+
+  await root.removeEntry('file.txt');
+  await root.getFileHandle('new.txt', { create: true });
+  assert.throws(() => new StorageManager({ quota: -1 }), TypeError);
+});
+
+test('FileSystemSyncAccessHandle gives back the quota of a short write', async () => {
+  const { StorageManager, MemoryBackend } = await import('../dist/index.js');
+  class ShortWriteBackend extends MemoryBackend {
+    async openSync(filePath, writable) {
+      const file = await super.openSync(filePath, writable);
+      const write = file.write.bind(file);
+      file.write = (buffer, position) => write(buffer.subarray(0, 2), position);
+      return file;
+    }
+  }
+  const manager = new StorageManager({ backend: new ShortWriteBackend(), quota: 16 });
+  const root = await manager.getDirectory();
+  const accessHandle = await (await root.getFileHandle('file.txt', { create: true })).createSyncAccessHandle();
+  try {
+    assert.strictEqual(accessHandle.write(new Uint8Array(6)), 2);
+    assert.strictEqual((await manager.estimate()).usage, 2);
+  } finally {
+    await accessHandle.close();
+  }
+});
+
+test('StorageManager.persist() is remembered by persisted()', async () => {
+  const { StorageManager } = await import('../dist/StorageManager.js');
+  const baseDir = path.join(testBaseDir, 'persist');
+  const manager = new StorageManager(baseDir);
+  assert.strictEqual(await manager.persisted(), false);
+  assert.strictEqual(await manager.persist(), true);
+  assert.strictEqual(await manager.persisted(), true);
+  assert.strictEqual(await new StorageManager(baseDir).persisted(), true);
+
+  // The record is not an entry of the file system
+  const keys = [];
+  for await (const key of (await manager.getDirectory()).keys()) {
+    keys.push(key);
+  }
+  assert.deepStrictEqual(keys, []);
+});
+
+test('navigator.storage exposes estimate(), persist() and persisted()', () => {
+  assert.strictEqual(typeof navigator.storage.estimate, 'function');
+  assert.strictEqual(typeof navigator.storage.persist, 'function');
+  assert.strictEqual(typeof navigator.storage.persisted, 'function');
+});
+
+test('StorageManager.forOrigin() isolates origins in encoded subdirectories', async () => {
+  const { StorageManager } = await import('../dist/StorageManager.js');
+  const baseDir = path.join(testBaseDir, 'origins');
+  const a = await StorageManager.forOrigin('https://a.example', baseDir).getDirectory();
+  const b = await StorageManager.forOrigin('https://b.example:8443', { baseDir }).getDirectory();
+  await a.getFileHandle('a.txt', { create: true });
+  await b.getFileHandle('b.txt', { create: true });
+
+  const keys = async (dir) => {
+    const names = [];
+    for await (const name of dir.keys()) {
+      names.push(name);
+    }
+    return names;
+  };
+  assert.deepStrictEqual(await keys(a), ['a.txt']);
+  assert.deepStrictEqual(await keys(b), ['b.txt']);
+
+  // URLs of the same origin share storage
+  const sameOrigin = await StorageManager.forOrigin('HTTPS://A.example/some/page?q=1', baseDir).getDirectory();
+  assert.deepStrictEqual(await keys(sameOrigin), ['a.txt']);
+
+  // Origins live in a hidden directory of the base directory
+  assert.deepStrictEqual(await keys(await new StorageManager(baseDir).getDirectory()), []);
+  assert.deepStrictEqual((await fs.readdir(path.join(baseDir, '.node-opfs-origins'))).sort(), [
+    'https%3A%2F%2Fa.example',
+    'https%3A%2F%2Fb.example%3A8443'
+  ]);
+
+  assert.throws(() => StorageManager.forOrigin('not a url', baseDir), TypeError);
+  assert.throws(() => StorageManager.forOrigin('data:text/plain,hi', baseDir), TypeError);
+});
+
+test('storageBuckets.open(), keys() and delete()', async () => {
+  const { StorageManager } = await import('../dist/StorageManager.js');
+  const manager = new StorageManager(path.join(testBaseDir, 'buckets'));
+  const buckets = manager.storageBuckets;
+
+  const inbox = await buckets.open('inbox', { quota: 8, durability: 'strict', persisted: true });
+  assert.strictEqual(inbox.name, 'inbox');
+  assert.strictEqual(await inbox.durability(), 'strict');
+  assert.strictEqual(await inbox.persisted(), true);
+  assert.deepStrictEqual(await inbox.estimate(), { usage: 0, quota: 8 });
+
+  const root = await inbox.getDirectory();
+  const fileHandle = await root.getFileHandle('mail.txt', { create: true });
+  const writable = await fileHandle.createWritable();
+  await assert.rejects(writable.write('more than eight bytes'), { name: 'QuotaExceededError' });
+
+  // Buckets are separate from each other and from the default storage
+  const drafts = await buckets.open('drafts');
+  assert.strictEqual(await drafts.durability(), 'relaxed');
+  assert.strictEqual(await drafts.persisted(), false);
+  for await (const name of (await drafts.getDirectory()).keys()) {
+    assert.fail(`unexpected entry ${name}`);
+  }
+  for await (const name of (await manager.getDirectory()).keys()) {
+    assert.fail(`unexpected entry ${name}`);
+  }
+  assert.deepStrictEqual(await buckets.keys(), ['drafts', 'inbox']);
+
+  // Reopening keeps the settings the bucket was created with
+  const reopened = await buckets.open('inbox', { quota: 1000 });
+  assert.strictEqual((await reopened.estimate()).quota, 8);
+  await (await reopened.getDirectory()).getFileHandle('mail.txt');
+
+  await buckets.delete('inbox');
+  await buckets.delete('missing');
+  assert.deepStrictEqual(await buckets.keys(), ['drafts']);
+  const recreated = await buckets.open('inbox');
+  await assert.rejects((await recreated.getDirectory()).getFileHandle('mail.txt'), { name: 'NotFoundError' });
+
+  await assert.rejects(buckets.open('Invalid'), TypeError);
+  await assert.rejects(buckets.open('_private'), TypeError);
+  await assert.rejects(buckets.open('ok', { durability: 'eventual' }), TypeError);
+  await assert.rejects(buckets.open('ok', { quota: 0 }), TypeError);
+});
+
+test('storage buckets expire', async () => {
+  const { StorageManager } = await import('../dist/StorageManager.js');
+  const buckets = new StorageManager(path.join(testBaseDir, 'buckets-expire')).storageBuckets;
+
+  const bucket = await buckets.open('temporary', { expires: Date.now() + 60_000 });
+  await (await bucket.getDirectory()).getFileHandle('file.txt', { create: true });
+  assert.ok(await bucket.expires() > Date.now());
+
+  await bucket.setExpires(Date.now() - 1);
+  assert.deepStrictEqual(await buckets.keys(), []);
+  const fresh = await buckets.open('temporary');
+  assert.strictEqual(await fresh.expires(), null);
+  await assert.rejects((await fresh.getDirectory()).getFileHandle('file.txt'), { name: 'NotFoundError' });
+});
+
+test('storage buckets count towards the usage and quota of their StorageManager', async () => {
+  const { StorageManager } = await import('../dist/StorageManager.js');
+  for (const options of [{ baseDir: path.join(testBaseDir, 'buckets-quota') }, { backend: 'memory' }]) {
+    const manager = new StorageManager({ ...options, quota: 16 });
+    const bucket = await manager.storageBuckets.open('cache');
+    const bucketRoot = await bucket.getDirectory();
+    await createTree(bucketRoot, { 'a.txt': '0123456789' });
+    assert.deepStrictEqual(await manager.estimate(), { usage: 10, quota: 16 });
+    // Without a quota of its own, a bucket gets the room its parent has left
+    assert.deepStrictEqual(await bucket.estimate(), { usage: 10, quota: 16 });
+
+    const root = await manager.getDirectory();
+    const writable = await (await root.getFileHandle('b.txt', { create: true })).createWritable();
+    await assert.rejects(writable.write('0123456789'), { name: 'QuotaExceededError' });
+    const limited = await manager.storageBuckets.open('limited', { quota: 4 });
+    assert.deepStrictEqual(await limited.estimate(), { usage: 0, quota: 4 });
+    const accessHandle = await (await bucketRoot.getFileHandle('a.txt')).createSyncAccessHandle();
+    assert.throws(() => accessHandle.write(new Uint8Array(10), { at: 10 }), { name: 'QuotaExceededError' });
+    await accessHandle.close();
+
+    await bucketRoot.removeEntry('a.txt');
+    assert.strictEqual((await manager.estimate()).usage, 0);
+  }
+
+  // Buckets on disk are measured with the rest
+  const baseDir = path.join(testBaseDir, 'buckets-measured');
+  const bucket = await new StorageManager(baseDir).storageBuckets.open('cache');
+  await createTree(await bucket.getDirectory(), { 'a.txt': 'abc' });
+  assert.strictEqual((await new StorageManager(baseDir).estimate()).usage, 3);
+});
+
+test('storage buckets of memory StorageManagers', async () => {
+  const { StorageManager } = await import('../dist/StorageManager.js');
+  const buckets = new StorageManager({ backend: 'memory' }).storageBuckets;
+
+  const bucket = await buckets.open('cache', { quota: 4 });
+  await (await bucket.getDirectory()).getFileHandle('file.txt', { create: true });
+  assert.deepStrictEqual(await buckets.keys(), ['cache']);
+  await (await (await buckets.open('cache')).getDirectory()).getFileHandle('file.txt');
+  assert.strictEqual((await bucket.estimate()).quota, 4);
+
+  await buckets.delete('cache');
+  assert.deepStrictEqual(await buckets.keys(), []);
+});
+
+test('navigator.storageBuckets is available', () => {
+  assert.strictEqual(typeof navigator.storageBuckets.open, 'function');
+  assert.strictEqual(typeof navigator.storageBuckets.keys, 'function');
+  assert.strictEqual(typeof navigator.storageBuckets.delete, 'function');
+});
+
+/**
+ * Collects the records an observer reports, as [type, path] pairs
+ */
+function recordChanges(records, { FileSystemObserver }) {
+  const observer = new FileSystemObserver(batch => {
+    for (const record of batch) {
+      const entry = [record.type, record.relativePathComponents.join('/')];
+      if (record.relativePathMovedFrom) {
+        entry.push(record.relativePathMovedFrom.join('/'));
+      }
+      records.push(entry);
+    }
+  });
+  return observer;
+}
+
+async function waitFor(condition, timeout = 5000) {
+  const start = Date.now();
+  while (!condition()) {
+    if (Date.now() - start > timeout) {
+      throw new Error('Timed out waiting for condition');
+    }
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+}
+
+test('FileSystemObserver reports changes made through handles', async () => {
+  const opfs = await import('../dist/index.js');
+  for (const options of [{ backend: 'memory' }, path.join(testBaseDir, 'observer-handles')]) {
+    const root = await new opfs.StorageManager(options).getDirectory();
+    const records = [];
+    const observer = recordChanges(records, opfs);
+    await observer.observe(root, { recursive: true });
+
+    const dir = await root.getDirectoryHandle('dir', { create: true });
+    const file = await dir.getFileHandle('a.txt', { create: true });
+    const writable = await file.createWritable();
+    await writable.write('hello');
+    await writable.close();
+    await file.move('b.txt');
+    await file.move(root);
+    await root.removeEntry('dir');
+    await root.removeEntry('b.txt');
+    await waitFor(() => records.length >= 7);
+
+    assert.deepStrictEqual(records, [
+      ['appeared', 'dir'],
+      ['appeared', 'dir/a.txt'],
+      ['modified', 'dir/a.txt'],
+      ['moved', 'dir/b.txt', 'dir/a.txt'],
+      ['moved', 'b.txt', 'dir/b.txt'],
+      ['disappeared', 'dir'],
+      ['disappeared', 'b.txt']
+    ]);
+    observer.disconnect();
+  }
+});
+
+test('FileSystemObserver records carry handles and the observer', async () => {
+  const opfs = await import('../dist/index.js');
+  const root = await new opfs.StorageManager({ backend: 'memory' }).getDirectory();
+  const dir = await root.getDirectoryHandle('dir', { create: true });
+
+  const batches = [];
+  const observer = new opfs.FileSystemObserver((records, self) => batches.push([records, self]));
+  await observer.observe(dir);
+  const file = await dir.getFileHandle('file.txt', { create: true });
+  await waitFor(() => batches.length > 0);
+
+  const [[record], self] = batches[0];
+  assert.strictEqual(self, observer);
+  assert.strictEqual(record.root, dir);
+  assert.strictEqual(record.type, 'appeared');
+  assert.deepStrictEqual(record.relativePathComponents, ['file.txt']);
+  assert.strictEqual(record.relativePathMovedFrom, null);
+  assert.ok(await record.changedHandle.isSameEntry(file));
+
+  await dir.removeEntry('file.txt');
+  await assert.rejects(observer.observe(file), { name: 'NotFoundError' });
+  assert.throws(() => new opfs.FileSystemObserver(), TypeError);
+  observer.disconnect();
+});
+
+test('FileSystemObserver keeps observing when its callback throws', async () => {
+  const opfs = await import('../dist/index.js');
+  const root = await new opfs.StorageManager({ backend: 'memory' }).getDirectory();
+  const warnings = [];
+  const onWarning = warning => warnings.push(warning);
+  process.on('warning', onWarning);
+
+  const batches = [];
+  const observer = new opfs.FileSystemObserver(records => {
+    batches.push(records);
+    if (batches.length === 1) {
+      throw new Error('callback failed');
+    }
+  });
+  try {
+    await observer.observe(root);
+    await root.getFileHandle('a.txt', { create: true });
+    await waitFor(() => warnings.length > 0);
+    await root.getFileHandle('b.txt', { create: true });
+    await waitFor(() => batches.length >= 2);
+
+    assert.strictEqual(warnings[0].message, 'callback failed');
+    assert.deepStrictEqual(batches.flat().map(record => record.relativePathComponents.join('/')), ['a.txt', 'b.txt']);
+  } finally {
+    observer.disconnect();
+    process.off('warning', onWarning);
+  }
+});
+
+test('FileSystemObserver scopes observations', async () => {
+  const opfs = await import('../dist/index.js');
+  const root = await new opfs.StorageManager({ backend: 'memory' }).getDirectory();
+  const sub = await root.getDirectoryHandle('sub', { create: true });
+  const file = await root.getFileHandle('file.txt', { create: true });
+
+  const records = [];
+  const observer = recordChanges(records, opfs);
+  await observer.observe(root);
+  const fileRecords = [];
+  const fileObserver = recordChanges(fileRecords, opfs);
+  await fileObserver.observe(file);
+
+  // Not recursive, so entries of subdirectories are left out
+  await sub.getFileHandle('nested.txt', { create: true });
+  const handle = await file.createSyncAccessHandle();
+  handle.write(new TextEncoder().encode('data'));
+  handle.truncate(2);
+  await handle.close();
+  await root.getFileHandle('other.txt', { create: true });
+  await waitFor(() => records.length >= 2);
+  assert.deepStrictEqual(records, [['modified', 'file.txt'], ['appeared', 'other.txt']]);
+  assert.deepStrictEqual(fileRecords, [['modified', '']]);
+
+  // Removing an observed file ends its observation
+  records.length = 0;
+  observer.unobserve(root);
+  await root.removeEntry('file.txt');
+  await waitFor(() => fileRecords.length >= 3);
+  assert.deepStrictEqual(fileRecords.slice(1), [['disappeared', ''], ['errored', '']]);
+
+  fileRecords.length = 0;
+  await root.getFileHandle('file.txt', { create: true });
+  await new Promise(resolve => setTimeout(resolve, 20));
+  assert.deepStrictEqual(records, []);
+  assert.deepStrictEqual(fileRecords, []);
+  fileObserver.disconnect();
+});
+
+test('FileSystemObserver reports changes made outside the library', async () => {
+  const opfs = await import('../dist/index.js');
+  const baseDir = path.join(testBaseDir, 'observer-external');
+  const root = await new opfs.StorageManager(baseDir).getDirectory();
+  await root.getFileHandle('existing.txt', { create: true });
+
+  const records = [];
+  const observer = recordChanges(records, opfs);
+  await observer.observe(root, { recursive: true });
+
+  await fs.mkdir(path.join(baseDir, 'dir'));
+  await waitFor(() => records.length >= 1);
+  await fs.writeFile(path.join(baseDir, 'dir', 'new.txt'), 'new');
+  await fs.writeFile(path.join(baseDir, 'existing.txt'), 'changed');
+  await waitFor(() => records.length >= 3);
+  await fs.rm(path.join(baseDir, 'existing.txt'));
+  await waitFor(() => records.length >= 4);
+
+  assert.deepStrictEqual(records.slice(0, 1), [['appeared', 'dir']]);
+  assert.deepStrictEqual(records.slice(1, 3).sort(), [['appeared', 'dir/new.txt'], ['modified', 'existing.txt']]);
+  assert.deepStrictEqual(records.slice(3), [['disappeared', 'existing.txt']]);
+
+  // Changes made through handles are not reported twice
+  records.length = 0;
+  const writable = await (await root.getFileHandle('handle.txt', { create: true })).createWritable();
+  await writable.write('data');
+  await writable.close();
+  await new Promise(resolve => setTimeout(resolve, 300));
+  assert.deepStrictEqual(records, [['appeared', 'handle.txt'], ['modified', 'handle.txt']]);
+  observer.disconnect();
+});
+
+test('FileSystemObserver falls back to changes made through handles when watching fails', async () => {
+  const opfs = await import('../dist/index.js');
+  class UnwatchableBackend extends opfs.MemoryBackend {
+    watch() {
+      throw new TypeError('The feature watch recursively is unavailable on the current platform');
+    }
+  }
+  const root = await new opfs.StorageManager({ backend: new UnwatchableBackend() }).getDirectory();
+
+  const records = [];
+  const observer = recordChanges(records, opfs);
+  await observer.observe(root, { recursive: true });
+  const dir = await root.getDirectoryHandle('dir', { create: true });
+  await dir.getFileHandle('a.txt', { create: true });
+  await waitFor(() => records.length >= 2);
+  assert.deepStrictEqual(records, [['appeared', 'dir'], ['appeared', 'dir/a.txt']]);
+  observer.disconnect();
+});
+
+test('serialized handles survive structuredClone() and JSON', async () => {
+  const { StorageManager, serializeHandle, deserializeHandle } = await import('../dist/index.js');
+  const baseDir = path.join(testBaseDir, 'serialize');
+  const root = await new StorageManager(baseDir).getDirectory();
+  const dir = await root.getDirectoryHandle('dir', { create: true });
+  const file = await dir.getFileHandle('file.txt', { create: true });
+  const writable = await file.createWritable();
+  await writable.write('serialized');
+  await writable.close();
+
+  const copy = await deserializeHandle(structuredClone(serializeHandle(file)));
+  assert.strictEqual(copy.kind, 'file');
+  assert.strictEqual(copy.name, 'file.txt');
+  assert.ok(await copy.isSameEntry(file));
+  assert.strictEqual(await (await copy.getFile()).text(), 'serialized');
+
+  const stored = JSON.stringify(serializeHandle(root));
+  const rootCopy = await deserializeHandle(JSON.parse(stored));
+  assert.strictEqual(rootCopy.name, '');
+  assert.deepStrictEqual(await rootCopy.resolve(copy), ['dir', 'file.txt']);
+
+  // Stored data cannot point outside the root
+  await assert.rejects(deserializeHandle({ kind: 'file', path: ['..', 'x'], storage: { baseDir } }), TypeError);
+  await assert.rejects(deserializeHandle({ kind: 'file', path: [], storage: { baseDir } }), TypeError);
+  await assert.rejects(deserializeHandle(null), TypeError);
+
+  const memoryRoot = await new StorageManager({ backend: 'memory' }).getDirectory();
+  assert.throws(() => serializeHandle(memoryRoot), { name: 'DataCloneError' });
+});
+
+test('serialized handles share usage and locks with the original in the same thread', async () => {
+  const { StorageManager, serializeHandle, deserializeHandle } = await import('../dist/index.js');
+  const root = await new StorageManager({ baseDir: path.join(testBaseDir, 'serialize-shared'), quota: 10 }).getDirectory();
+  const copy = await deserializeHandle(serializeHandle(root));
+  const writeFile = async (dir, name, data) => {
+    const writable = await (await dir.getFileHandle(name, { create: true })).createWritable();
+    await writable.write(data);
+    await writable.close();
+  };
+
+  await writeFile(root, 'a.txt', 'aaaa');
+  await writeFile(copy, 'b.txt', 'bbbb');
+  await assert.rejects(writeFile(root, 'c.txt', 'cccc'), { name: 'QuotaExceededError' });
+
+  const accessHandle = await (await root.getFileHandle('a.txt')).createSyncAccessHandle();
+  try {
+    await assert.rejects((await copy.getFileHandle('a.txt')).createSyncAccessHandle(), { name: 'NoModificationAllowedError' });
+  } finally {
+    await accessHandle.close();
+  }
+});
+
+test('serialized handles can be used in worker threads', async () => {
+  const { Worker } = await import('node:worker_threads');
+  const { StorageManager, serializeHandle } = await import('../dist/index.js');
+  const root = await new StorageManager(path.join(testBaseDir, 'serialize-worker')).getDirectory();
+  const file = await root.getFileHandle('worker.txt', { create: true });
+
+  const worker = new Worker(`
+    const { parentPort, workerData } = require('node:worker_threads');
+    import(workerData.url).then(async ({ deserializeHandle }) => {
+      const handle = await deserializeHandle(workerData.handle);
+      const accessHandle = await handle.createSyncAccessHandle();
+      accessHandle.write(new TextEncoder().encode('from worker'), { at: 0 });
+      await accessHandle.close();
+      parentPort.postMessage('done');
+    });
+  `, {
+    eval: true,
+    workerData: { url: new URL('../dist/index.js', import.meta.url).href, handle: serializeHandle(file) }
+  });
+
+  const [message] = await once(worker, 'message');
+  assert.strictEqual(message, 'done');
+  await once(worker, 'exit');
+  assert.strictEqual(await (await file.getFile()).text(), 'from worker');
+});
+
+test('errors from the file system are translated to DOMExceptions', async () => {
+  const { toDOMException } = await import('../dist/errors.js');
+  const fsError = (code) => Object.assign(new Error(code), { code });
+
+  for (const [code, name] of [
+    ['ENOENT', 'NotFoundError'],
+    ['ENOTDIR', 'NotFoundError'],
+    ['EISDIR', 'TypeMismatchError'],
+    ['EEXIST', 'InvalidModificationError'],
+    ['ENOTEMPTY', 'InvalidModificationError'],
+    ['EACCES', 'NotAllowedError'],
+    ['EPERM', 'NotAllowedError'],
+    ['EROFS', 'NoModificationAllowedError'],
+    ['EBUSY', 'NoModificationAllowedError'],
+    ['ENOSPC', 'QuotaExceededError'],
+    ['EDQUOT', 'QuotaExceededError'],
+    ['EIO', 'UnknownError']
+  ]) {
+    const error = toDOMException(fsError(code), 'entry');
+    assert.ok(error instanceof DOMException, code);
+    assert.strictEqual(error.name, name, code);
+    assert.match(error.message, /'entry'/);
+    assert.strictEqual(error.cause.code, code);
+  }
+
+  const domException = new DOMException('locked', 'NoModificationAllowedError');
+  assert.strictEqual(toDOMException(domException, 'entry'), domException);
+  const typeError = new TypeError('invalid');
+  assert.strictEqual(toDOMException(typeError, 'entry'), typeError);
+});
+
+/**
+ * Builds a single-entry tar archive by hand, for archives exportTar() would
+ * never produce
+ */
+function tarEntry(name, data = '', type = '0') {
+  const header = new Uint8Array(512);
+  const encoder = new TextEncoder();
+  const field = (offset, value) => header.set(encoder.encode(value), offset);
+  const content = encoder.encode(data);
+  field(0, name);
+  field(100, '0000644');
+  field(124, content.length.toString(8).padStart(11, '0'));
+  field(136, '00000000000');
+  field(148, '        ');
+  field(156, type);
+  field(257, 'ustar');
+  field(263, '00');
+  const sum = header.reduce((total, byte) => total + byte, 0);
+  field(148, sum.toString(8).padStart(6, '0') + '\0 ');
+
+  const archive = new Uint8Array(512 + Math.ceil(content.length / 512) * 512 + 1024);
+  archive.set(header);
+  archive.set(content, 512);
+  return archive;
+}
+
+async function collectStream(stream) {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+test('exportTar() and importTar() round-trip a directory tree', async () => {
+  const { StorageManager, exportTar, importTar } = await import('../dist/index.js');
+  const source = await new StorageManager({ backend: 'memory' }).getDirectory();
+  const longName = 'd'.repeat(150);
+  const nested = await (await source.getDirectoryHandle('docs', { create: true }))
+    .getDirectoryHandle(longName, { create: true });
+  await source.getDirectoryHandle('empty', { create: true });
+
+  const writeFile = async (dir, name, data) => {
+    const writable = await (await dir.getFileHandle(name, { create: true })).createWritable();
+    await writable.write(data);
+    await writable.close();
+  };
+  await writeFile(source, 'hello.txt', 'Hello, tar!');
+  await writeFile(nested, 'big.bin', new Uint8Array(70_000).map((_, i) => i % 251));
+
+  const archive = await collectStream(exportTar(source));
+  assert.strictEqual(archive.length % 512, 0);
+
+  const target = await new StorageManager(path.join(testBaseDir, 'tar-import')).getDirectory();
+  // Chunks of odd sizes must not matter
+  const chunks = [];
+  for (let offset = 0; offset < archive.length; offset += 777) {
+    chunks.push(archive.subarray(offset, offset + 777));
+  }
+  await importTar(target, chunks);
+
+  const names = [];
+  for await (const name of target.keys()) {
+    names.push(name);
+  }
+  assert.deepStrictEqual(names.sort(), ['docs', 'empty', 'hello.txt']);
+  const hello = await (await target.getFileHandle('hello.txt')).getFile();
+  assert.strictEqual(await hello.text(), 'Hello, tar!');
+  const original = await (await source.getFileHandle('hello.txt')).getFile();
+  assert.strictEqual(Math.floor(hello.lastModified / 1000), Math.floor(original.lastModified / 1000));
+
+  const big = await (await (await (await target.getDirectoryHandle('docs')).getDirectoryHandle(longName))
+    .getFileHandle('big.bin')).getFile();
+  assert.strictEqual(big.size, 70_000);
+  assert.strictEqual(new Uint8Array(await big.arrayBuffer())[69_999], 69_999 % 251);
+
+  // Existing files are only replaced with overwrite
+  await assert.rejects(importTar(target, [archive]), { name: 'InvalidModificationError' });
+  await importTar(target, [archive], { overwrite: true });
+});
+
+test('importTar() rejects entries outside the target directory', async () => {
+  const { StorageManager, importTar } = await import('../dist/index.js');
+  const root = await new StorageManager({ backend: 'memory' }).getDirectory();
+  const dir = await root.getDirectoryHandle('target', { create: true });
+
+  await assert.rejects(importTar(dir, [tarEntry('../escaped.txt', 'x')]), { name: 'SecurityError' });
+  await assert.rejects(importTar(dir, [tarEntry('/etc/passwd', 'x')]), { name: 'SecurityError' });
+  await assert.rejects(root.getFileHandle('escaped.txt'), { name: 'NotFoundError' });
+
+  // Links are skipped; names are validated like any other
+  await importTar(dir, [tarEntry('link', '', '2'), tarEntry('./ok.txt', 'ok')].map(entry => entry.subarray(0, -1024)));
+  assert.strictEqual(await (await (await dir.getFileHandle('ok.txt')).getFile()).text(), 'ok');
+  await assert.rejects(dir.getFileHandle('link'), { name: 'NotFoundError' });
+  await assert.rejects(importTar(dir, [tarEntry('a\\b.txt')]), TypeError);
+
+  const corrupt = tarEntry('file.txt', 'data');
+  corrupt[0] = 'g'.charCodeAt(0);
+  await assert.rejects(importTar(dir, [corrupt]), TypeError);
+  await assert.rejects(importTar(dir, [tarEntry('cut.txt', 'data').subarray(0, 514)]), TypeError);
+
+  // Extended headers are not read into memory whatever their size
+  const huge = tarEntry('PaxHeader', 'x'.repeat(1024 * 1024 + 1), 'x').subarray(0, 512);
+  await assert.rejects(importTar(dir, [huge]), { name: 'DataError' });
+});
+
+/**
+ * Creates files with the given contents, and the directories on their paths
+ */
+async function createTree(root, files) {
+  const { getHandleByPath } = await import('../dist/index.js');
+  for (const [entryPath, contents] of Object.entries(files)) {
+    const handle = await getHandleByPath(root, entryPath, { create: true });
+    if (handle.kind === 'file') {
+      const writable = await handle.createWritable();
+      await writable.write(contents);
+      await writable.close();
+    }
+  }
+}
+
+async function collectPaths(entries) {
+  const paths = [];
+  for await (const [pathComponents] of entries) {
+    paths.push(pathComponents.join('/'));
+  }
+  return paths;
+}
+
+test('walk() yields every entry depth first in name order', async () => {
+  const { StorageManager, walk } = await import('../dist/index.js');
+  const root = await new StorageManager({ backend: 'memory' }).getDirectory();
+  await createTree(root, { 'b.txt': 'b', 'a/c.json': '{}', 'a/d/e.json': '[]', 'empty/': '' });
+
+  assert.deepStrictEqual(await collectPaths(walk(root)), ['a', 'a/c.json', 'a/d', 'a/d/e.json', 'b.txt', 'empty']);
+  assert.deepStrictEqual(await collectPaths(walk(root, { maxDepth: 1 })), ['a', 'b.txt', 'empty']);
+  assert.deepStrictEqual(await collectPaths(walk(root, { maxDepth: 0 })), []);
+
+  const files = walk(root, { filter: (pathComponents, handle) => handle.kind === 'file' });
+  assert.deepStrictEqual(await collectPaths(files), ['a/c.json', 'a/d/e.json', 'b.txt']);
+  for await (const [pathComponents, handle] of walk(root)) {
+    assert.strictEqual(handle.name, pathComponents[pathComponents.length - 1]);
+  }
+
+  await assert.rejects(collectPaths(walk(root, { maxDepth: -1 })), TypeError);
+  await assert.rejects(collectPaths(walk(root, { filter: 42 })), TypeError);
+});
+
+test('glob() matches paths like a shell', async () => {
+  const { StorageManager, glob, walk } = await import('../dist/index.js');
+  const root = await new StorageManager({ backend: 'memory' }).getDirectory();
+  await createTree(root, {
+    'package.json': '{}',
+    'src/index.ts': '',
+    'src/util.test.ts': '',
+    'src/lib/data.json': '{}',
+    'docs/a.md': '',
+    'docs/b.md': '',
+    'docs/ab.md': ''
+  });
+
+  assert.deepStrictEqual(await collectPaths(glob(root, '**/*.json')), ['package.json', 'src/lib/data.json']);
+  assert.deepStrictEqual(await collectPaths(glob(root, 'src/*.ts')), ['src/index.ts', 'src/util.test.ts']);
+  assert.deepStrictEqual(await collectPaths(glob(root, 'src/**')), ['src/index.ts', 'src/lib', 'src/lib/data.json', 'src/util.test.ts']);
+  assert.deepStrictEqual(await collectPaths(glob(root, 'docs/?.md')), ['docs/a.md', 'docs/b.md']);
+  assert.deepStrictEqual(await collectPaths(glob(root, 'docs/[!a]*')), ['docs/b.md']);
+  assert.strictEqual((await collectPaths(glob(root, '**/*.{md,json}'))).length, 5);
+  assert.deepStrictEqual(await collectPaths(walk(root, { filter: '*.json' })), ['package.json']);
+});
+
+test('copy() copies files and directories between storage managers', async () => {
+  const { StorageManager, copy, getHandleByPath } = await import('../dist/index.js');
+  const source = await new StorageManager({ backend: 'memory' }).getDirectory();
+  const target = await new StorageManager(path.join(testBaseDir, 'copy-target')).getDirectory();
+  await createTree(source, { 'notes.txt': 'notes', 'project/a.txt': 'a', 'project/lib/b.bin': 'b'.repeat(100_000) });
+
+  const notes = await copy(await source.getFileHandle('notes.txt'), target);
+  assert.strictEqual(notes.kind, 'file');
+  assert.strictEqual(await (await notes.getFile()).text(), 'notes');
+  await assert.rejects(copy(await source.getFileHandle('notes.txt'), target), { name: 'InvalidModificationError' });
+
+  const project = await source.getDirectoryHandle('project');
+  await assert.rejects(copy(project, target), TypeError);
+  const copied = await copy(project, target, { recursive: true });
+  assert.strictEqual(copied.name, 'project');
+  const big = await (await getHandleByPath(target, 'project/lib/b.bin')).getFile();
+  assert.strictEqual(big.size, 100_000);
+
+  // Existing directories are merged into; existing files need overwrite
+  await createTree(source, { 'project/a.txt': 'changed', 'project/new.txt': 'new' });
+  await assert.rejects(copy(project, target, { recursive: true }), { name: 'InvalidModificationError' });
+  await copy(project, target, { recursive: true, overwrite: true });
+  assert.strictEqual(await (await (await getHandleByPath(target, 'project/a.txt')).getFile()).text(), 'changed');
+  assert.strictEqual(await (await (await getHandleByPath(target, 'project/new.txt')).getFile()).text(), 'new');
+
+  // Copies can be given another name
+  const renamed = await copy(project, target, { recursive: true, name: 'project-copy' });
+  assert.strictEqual(renamed.name, 'project-copy');
+  assert.strictEqual(await (await (await getHandleByPath(target, 'project-copy/lib/b.bin')).getFile()).size, 100_000);
+
+  await assert.rejects(
+    copy(project, await project.getDirectoryHandle('lib'), { recursive: true }),
+    { name: 'InvalidModificationError' }
+  );
+});
+
+test('copy() leaves no file behind when copying fails', async () => {
+  const { StorageManager, copy } = await import('../dist/index.js');
+  const source = await new StorageManager({ backend: 'memory' }).getDirectory();
+  const target = await new StorageManager({ backend: 'memory', quota: 8 }).getDirectory();
+  await createTree(source, { 'big.txt': 'x'.repeat(16) });
+  await createTree(target, { 'old.txt': 'old' });
+
+  const big = await source.getFileHandle('big.txt');
+  await assert.rejects(copy(big, target), { name: 'QuotaExceededError' });
+  await assert.rejects(target.getFileHandle('big.txt'), { name: 'NotFoundError' });
+  // Files that already existed are left as they were
+  await assert.rejects(copy(big, target, { name: 'old.txt', overwrite: true }), { name: 'QuotaExceededError' });
+  assert.strictEqual(await readText(target, 'old.txt'), 'old');
+});
+
+test('getHandleByPath() resolves and creates nested entries', async () => {
+  const { StorageManager, getHandleByPath } = await import('../dist/index.js');
+  const root = await new StorageManager({ backend: 'memory' }).getDirectory();
+
+  await assert.rejects(getHandleByPath(root, 'a/b/c.txt'), { name: 'NotFoundError' });
+  const file = await getHandleByPath(root, 'a/b/c.txt', { create: true });
+  assert.strictEqual(file.kind, 'file');
+  assert.deepStrictEqual(await root.resolve(file), ['a', 'b', 'c.txt']);
+
+  assert.strictEqual((await getHandleByPath(root, '/a/b')).kind, 'directory');
+  assert.strictEqual((await getHandleByPath(root, ['a', 'b', 'c.txt'])).kind, 'file');
+  assert.strictEqual((await getHandleByPath(root, 'd/', { create: true })).kind, 'directory');
+  assert.strictEqual((await getHandleByPath(root, 'e', { create: true, kind: 'directory' })).kind, 'directory');
+  assert.strictEqual(await getHandleByPath(root, ''), root);
+
+  await assert.rejects(getHandleByPath(root, 'a/b', { kind: 'file' }), { name: 'TypeMismatchError' });
+  await assert.rejects(getHandleByPath(root, 'a/../x', { create: true }), TypeError);
+});
+
+test('createReadStream() reads a file into a Node pipeline', async () => {
+  const { StorageManager, createReadStream } = await import('../dist/index.js');
+  const { pipeline } = await import('node:stream/promises');
+  const { createGzip, gunzipSync } = await import('node:zlib');
+  const { PassThrough } = await import('node:stream');
+  const root = await new StorageManager({ backend: 'memory' }).getDirectory();
+  const contents = 'row,value\n'.repeat(20_000);
+  await createTree(root, { 'data.csv': contents });
+  const fileHandle = await root.getFileHandle('data.csv');
+
+  const chunks = [];
+  const sink = new PassThrough();
+  sink.on('data', chunk => chunks.push(chunk));
+  await pipeline(createReadStream(fileHandle), createGzip(), sink);
+  assert.strictEqual(gunzipSync(Buffer.concat(chunks)).toString(), contents);
+
+  // end is inclusive, like in fs.createReadStream()
+  const range = [];
+  for await (const chunk of createReadStream(fileHandle, { start: 4, end: 8 })) {
+    range.push(chunk);
+  }
+  assert.strictEqual(Buffer.concat(range).toString(), 'value');
+
+  assert.throws(() => createReadStream(fileHandle, { start: -1 }), TypeError);
+  assert.throws(() => createReadStream(fileHandle, { start: 5, end: 4 }), TypeError);
+  assert.throws(() => createReadStream(root), TypeError);
+  await root.removeEntry('data.csv');
+  await assert.rejects(pipeline(createReadStream(fileHandle), new PassThrough()), { name: 'NotFoundError' });
+});
+
+test('createNodeWriteStream() writes a file from a Node pipeline', async () => {
+  const { StorageManager, createNodeWriteStream } = await import('../dist/index.js');
+  const { pipeline } = await import('node:stream/promises');
+  const { Readable } = await import('node:stream');
+  const storage = new StorageManager({ backend: 'memory', quota: 100 });
+  const root = await storage.getDirectory();
+  const fileHandle = await root.getFileHandle('out.txt', { create: true });
+
+  await pipeline(Readable.from(['hello', ' ', 'world']), createNodeWriteStream(fileHandle));
+  assert.strictEqual(await readText(root, 'out.txt'), 'hello world');
+
+  // Writes go to a swap file, so the file only changes once the stream ends
+  const stream = createNodeWriteStream(fileHandle, { keepExistingData: true });
+  await new Promise(resolve => stream.write('HELLO', resolve));
+  assert.strictEqual(await readText(root, 'out.txt'), 'hello world');
+  await assert.rejects(fileHandle.createWritable({ mode: 'exclusive' }), { name: 'NoModificationAllowedError' });
+  stream.end();
+  await once(stream, 'finish');
+  assert.strictEqual(await readText(root, 'out.txt'), 'HELLO world');
+
+  // A failed pipeline leaves the file untouched
+  const failing = Readable.from((async function* () {
+    yield 'partial';
+    throw new Error('source failed');
+  })());
+  await assert.rejects(pipeline(failing, createNodeWriteStream(fileHandle)), /source failed/);
+  assert.strictEqual(await readText(root, 'out.txt'), 'HELLO world');
+
+  await assert.rejects(pipeline(Readable.from(['x'.repeat(200)]), createNodeWriteStream(fileHandle)), { name: 'QuotaExceededError' });
+  assert.strictEqual((await storage.estimate()).usage, 11);
+  const accessHandle = await fileHandle.createSyncAccessHandle();
+  await assert.rejects(pipeline(Readable.from(['x']), createNodeWriteStream(fileHandle)), { name: 'NoModificationAllowedError' });
+  await accessHandle.close();
+});
+
+async function readText(root, entryPath) {
+  const { getHandleByPath } = await import('../dist/index.js');
+  return (await (await getHandleByPath(root, entryPath, { kind: 'file' })).getFile()).text();
+}
+
+test('transaction() applies staged changes all at once', async () => {
+  const { StorageManager, getHandleByPath } = await import('../dist/index.js');
+  const storage = new StorageManager({ backend: 'memory' });
+  const root = await storage.getDirectory();
+  await createTree(root, { 'manifest.json': '{"version":1}', 'data/old.bin': 'old', 'tmp/scratch.txt': 'x' });
+  const before = await storage.estimate();
+
+  const result = await root.transaction(async tx => {
+    await tx.createDirectory('data/v2');
+    await tx.writeFile('data/v2/1.bin', new Uint8Array([1, 2, 3]));
+    await tx.writeFile(['data', 'v2', '2.bin'], new Blob(['blob']));
+    await tx.move('data/old.bin', 'data/v2/old.bin');
+    await tx.remove('tmp', { recursive: true });
+    await tx.writeFile('manifest.json', '{"version":2}');
+
+    // Nothing is visible until the transaction commits
+    assert.strictEqual(await readText(root, 'manifest.json'), '{"version":1}');
+    await assert.rejects(root.getDirectoryHandle('data').then(data => data.getDirectoryHandle('v2')), { name: 'NotFoundError' });
+    return 'done';
+  });
+
+  assert.strictEqual(result, 'done');
+  assert.strictEqual(await readText(root, 'manifest.json'), '{"version":2}');
+  assert.strictEqual(await readText(root, 'data/v2/2.bin'), 'blob');
+  assert.strictEqual(await readText(root, 'data/v2/old.bin'), 'old');
+  assert.strictEqual((await (await getHandleByPath(root, 'data/v2/1.bin')).getFile()).size, 3);
+  await assert.rejects(root.getDirectoryHandle('tmp'), { name: 'NotFoundError' });
+
+  const names = [];
+  for await (const name of root.keys()) {
+    names.push(name);
+  }
+  assert.deepStrictEqual(names.sort(), ['data', 'manifest.json']);
+  const { usage } = await storage.estimate();
+  assert.strictEqual(usage, before.usage - 'x'.length - '{"version":1}'.length + '{"version":2}'.length + 3 + 4);
+});
+
+test('transaction() changes nothing when the callback throws', async () => {
+  const { StorageManager } = await import('../dist/index.js');
+  const storage = new StorageManager(path.join(testBaseDir, 'transaction-rollback'));
+  const root = await storage.getDirectory();
+  await createTree(root, { 'a.txt': 'a', 'dir/b.txt': 'b' });
+  const before = await storage.estimate();
+
+  let staged;
+  await assert.rejects(root.transaction(async tx => {
+    staged = tx;
+    await tx.writeFile('a.txt', 'changed');
+    await tx.writeFile('c.txt', 'c'.repeat(10_000));
+    await tx.remove('dir', { recursive: true });
+    throw new Error('changed my mind');
+  }), /changed my mind/);
+
+  assert.strictEqual(await readText(root, 'a.txt'), 'a');
+  assert.strictEqual(await readText(root, 'dir/b.txt'), 'b');
+  await assert.rejects(root.getFileHandle('c.txt'), { name: 'NotFoundError' });
+  assert.strictEqual((await storage.estimate()).usage, before.usage);
+  await assert.rejects(staged.writeFile('d.txt', 'd'), { name: 'InvalidStateError' });
+  assert.deepStrictEqual(await fs.readdir(path.join(testBaseDir, 'transaction-rollback', '.node-opfs-transactions')), []);
+});
+
+test('transaction() checks operations as they are staged', async () => {
+  const { StorageManager } = await import('../dist/index.js');
+  const root = await new StorageManager({ backend: 'memory' }).getDirectory();
+  await createTree(root, { 'file.txt': 'file', 'dir/nested.txt': 'nested', 'other/': '' });
+
+  await root.transaction(async tx => {
+    await assert.rejects(tx.writeFile('missing/file.txt', 'x'), { name: 'NotFoundError' });
+    await assert.rejects(tx.writeFile('dir', 'x'), { name: 'TypeMismatchError' });
+    await assert.rejects(tx.remove('dir'), { name: 'InvalidModificationError' });
+    await assert.rejects(tx.remove('missing'), { name: 'NotFoundError' });
+    await assert.rejects(tx.move('dir', 'other'), { name: 'InvalidModificationError' });
+    await assert.rejects(tx.move('dir', 'dir/inside'), { name: 'InvalidModificationError' });
+    await assert.rejects(tx.createDirectory('file.txt'), { name: 'TypeMismatchError' });
+    await assert.rejects(tx.writeFile('../escape.txt', 'x'), TypeError);
+    await assert.rejects(tx.writeFile('', 'x'), TypeError);
+
+    // Later operations see the effects of earlier ones
+    await tx.remove('dir/nested.txt');
+    await tx.remove('dir');
+    await tx.createDirectory('dir');
+    await tx.writeFile('dir/new.txt', 'new');
+    await tx.move('file.txt', 'other/file.txt');
+    await assert.rejects(tx.move('file.txt', 'moved.txt'), { name: 'NotFoundError' });
+  });
+
+  assert.strictEqual(await readText(root, 'dir/new.txt'), 'new');
+  await assert.rejects(readText(root, 'dir/nested.txt'), { name: 'NotFoundError' });
+  assert.strictEqual(await readText(root, 'other/file.txt'), 'file');
+});
+
+test('transaction() fails without changes when an entry is in use', async () => {
+  const { StorageManager } = await import('../dist/index.js');
+  const root = await new StorageManager({ backend: 'memory' }).getDirectory();
+  await createTree(root, { 'a.txt': 'a', 'b.txt': 'b' });
+  const accessHandle = await (await root.getFileHandle('b.txt')).createSyncAccessHandle();
+
+  try {
+    await assert.rejects(root.transaction(async tx => {
+      await tx.writeFile('a.txt', 'changed');
+      await tx.writeFile('b.txt', 'changed');
+    }), { name: 'NoModificationAllowedError' });
+    assert.strictEqual(await readText(root, 'a.txt'), 'a');
+  } finally {
+    await accessHandle.close();
+  }
+});
+
+test('transaction() gives back the quota of a journal it failed to write', async () => {
+  const { StorageManager, FaultInjector } = await import('../dist/index.js');
+  const faults = new FaultInjector();
+  const storage = new StorageManager({ backend: 'memory', faults });
+  const root = await storage.getDirectory();
+  await createTree(root, { 'a.txt': 'a' });
+  const { usage } = await storage.estimate();
+
+  faults.inject({ operation: 'swap.write', path: '.node-opfs-transactions/**', error: 'EIO', times: 1 });
+  await assert.rejects(root.transaction(tx => tx.createDirectory('dir')), { name: 'UnknownError' });
+  assert.strictEqual((await storage.estimate()).usage, usage);
+});
+
+test('an interrupted commit is completed by the next getDirectory()', async () => {
+  const { StorageManager, MemoryBackend } = await import('../dist/index.js');
+  class FailingBackend extends MemoryBackend {
+    failMoves = 0;
+    async move(source, target) {
+      if (this.failMoves > 0 && --this.failMoves === 0) {
+        throw Object.assign(new Error('EIO: i/o error'), { code: 'EIO' });
+      }
+      return super.move(source, target);
+    }
+  }
+  const backend = new FailingBackend();
+  const storage = new StorageManager({ backend });
+  const root = await storage.getDirectory();
+  await createTree(root, { 'a.txt': 'a', 'b.txt': 'b' });
+
+  // The second operation fails after the transaction committed
+  backend.failMoves = 2;
+  await assert.rejects(root.transaction(async tx => {
+    await tx.writeFile('a.txt', 'new a');
+    await tx.move('b.txt', 'c.txt');
+    await tx.writeFile('b.txt', 'new b');
+  }), { name: 'UnknownError' });
+  assert.strictEqual(await readText(root, 'a.txt'), 'new a');
+  assert.strictEqual(await readText(root, 'b.txt'), 'b');
+
+  await storage.getDirectory();
+  assert.strictEqual(await readText(root, 'a.txt'), 'new a');
+  assert.strictEqual(await readText(root, 'b.txt'), 'new b');
+  assert.strictEqual(await readText(root, 'c.txt'), 'b');
+});
+
+test('container files reuse the space of removed entries', async () => {
+  const { StorageManager } = await import('../dist/index.js');
+  const containerFile = path.join(testBaseDir, 'reuse.opfs');
+  const root = await new StorageManager({ containerFile }).getDirectory();
+  const write = async (name, size) => {
+    const accessHandle = await (await root.getFileHandle(name, { create: true })).createSyncAccessHandle();
+    accessHandle.write(new Uint8Array(size).fill(name.charCodeAt(0)), { at: 0 });
+    await accessHandle.close();
+  };
+
+  await write('a.bin', 100_000);
+  await write('b.bin', 100_000);
+  const { size } = await fs.stat(containerFile);
+  await root.removeEntry('a.bin');
+  await write('c.bin', 100_000);
+  assert.ok((await fs.stat(containerFile)).size <= size + 2 * 4096);
+
+  const file = await (await root.getFileHandle('c.bin')).getFile();
+  assert.deepStrictEqual(new Uint8Array(await file.arrayBuffer()), new Uint8Array(100_000).fill('c'.charCodeAt(0)));
+  await root.removeEntry('b.bin');
+  await root.removeEntry('c.bin');
+  assert.ok((await fs.stat(containerFile)).size < size / 4);
+});
+
+test('container files are checked', async () => {
+  const { StorageManager } = await import('../dist/index.js');
+  assert.throws(() => new StorageManager({ containerFile: '' }), TypeError);
+  assert.throws(() => new StorageManager({ containerFile: 'app.opfs', backend: 'memory' }), TypeError);
+  assert.throws(() => new StorageManager({ containerFile: 'app.opfs', crossProcessLocks: true }), TypeError);
+  assert.throws(() => StorageManager.forOrigin('https://a.example', { containerFile: 'app.opfs' }), { name: 'NotSupportedError' });
+  const storage = new StorageManager({ containerFile: path.join(testBaseDir, 'buckets.opfs') });
+  await assert.rejects(storage.storageBuckets.open('inbox'), { name: 'NotSupportedError' });
+
+  const notContainer = path.join(testBaseDir, 'not-a-container.txt');
+  await fs.writeFile(notContainer, 'hello');
+  await assert.rejects(new StorageManager({ containerFile: notContainer }).getDirectory(), { name: 'NotReadableError' });
+  await assert.rejects(fs.stat(notContainer + '.lock'), { code: 'ENOENT' });
+});
+
+test('encrypted storage keeps contents and names unreadable on disk', async () => {
+  const { StorageManager, serializeHandle } = await import('../dist/index.js');
+  const baseDir = path.join(testBaseDir, 'encrypted');
+  const storage = new StorageManager({ baseDir, encryptionKey: 'correct horse battery staple', encryptNames: true });
+  const root = await storage.getDirectory();
+  const contents = 'secret '.repeat(1000);
+  await createTree(root, { 'private/notes.txt': contents });
+  assert.strictEqual(await readText(root, 'private/notes.txt'), contents);
+  assert.strictEqual((await storage.estimate()).usage, contents.length);
+
+  const stored = (await fs.readdir(baseDir, { recursive: true })).filter(name => !name.startsWith('.node-opfs-'));
+  assert.strictEqual(stored.length, 2);
+  for (const name of stored) {
+    assert.ok(!name.includes('private') && !name.includes('notes'));
+    const stats = await fs.stat(path.join(baseDir, name));
+    if (stats.isFile()) {
+      assert.ok(!(await fs.readFile(path.join(baseDir, name), 'utf8')).includes('secret'));
+    }
+  }
+  assert.throws(() => serializeHandle(root), { name: 'DataCloneError' });
+
+  // The same passphrase opens it again, anything else does not
+  const reopened = await new StorageManager({ baseDir, encryptionKey: 'correct horse battery staple', encryptNames: true }).getDirectory();
+  assert.strictEqual(await readText(reopened, 'private/notes.txt'), contents);
+  await assert.rejects(new StorageManager({ baseDir, encryptionKey: 'wrong', encryptNames: true }).getDirectory(), { name: 'NotAllowedError' });
+  await assert.rejects(new StorageManager({ baseDir, encryptionKey: 'correct horse battery staple' }).getDirectory(), { name: 'InvalidStateError' });
+  await assert.rejects(new StorageManager(baseDir).getDirectory(), { name: 'InvalidStateError' });
+});
+
+test('encrypted storage detects tampering', async () => {
+  const { StorageManager } = await import('../dist/index.js');
+  const baseDir = path.join(testBaseDir, 'encrypted-tampered');
+  const root = await new StorageManager({ baseDir, encryptionKey: new Uint8Array(32).fill(9) }).getDirectory();
+  const fileHandle = await root.getFileHandle('data.bin', { create: true });
+  const writable = await fileHandle.createWritable();
+  await writable.write(new Uint8Array(10_000).fill(42));
+  await writable.close();
+
+  // Flip a byte in the second block
+  const stored = await fs.readFile(path.join(baseDir, 'data.bin'));
+  stored[5000] ^= 1;
+  await fs.writeFile(path.join(baseDir, 'data.bin'), stored);
+
+  await assert.rejects(fileHandle.getFile(), { name: 'NotReadableError' });
+  const accessHandle = await fileHandle.createSyncAccessHandle();
+  const buffer = new Uint8Array(100);
+  assert.strictEqual(accessHandle.read(buffer, { at: 0 }), 100);
+  assert.deepStrictEqual(buffer, new Uint8Array(100).fill(42));
+  assert.throws(() => accessHandle.read(buffer, { at: 5000 }), { name: 'NotReadableError' });
+  await accessHandle.close();
+
+  // Cutting a file short is noticed as well
+  stored[5000] ^= 1;
+  await fs.writeFile(path.join(baseDir, 'data.bin'), stored.subarray(0, stored.length - 1000));
+  await assert.rejects(fileHandle.getFile(), { name: 'NotReadableError' });
+});
+
+test('encryption options are checked', async () => {
+  const { StorageManager } = await import('../dist/index.js');
+  assert.throws(() => new StorageManager({ backend: 'memory', encryptionKey: new Uint8Array(16) }), TypeError);
+  assert.throws(() => new StorageManager({ backend: 'memory', encryptionKey: '' }), TypeError);
+
+  // Existing unencrypted entries are not encrypted after the fact
+  const baseDir = path.join(testBaseDir, 'encrypted-existing');
+  await (await new StorageManager(baseDir).getDirectory()).getFileHandle('plain.txt', { create: true });
+  await assert.rejects(new StorageManager({ baseDir, encryptionKey: 'key' }).getDirectory(), { name: 'InvalidStateError' });
+});
+
+test('injected faults surface as DOMExceptions', async () => {
+  const { StorageManager, FaultInjector, getHandleByPath, walk } = await import('../dist/index.js');
+  const faults = new FaultInjector();
+  const root = await new StorageManager({ backend: 'memory', faults }).getDirectory();
+  await createTree(root, { 'data/a.txt': 'a', 'data/b.txt': 'b' });
+  const fileHandle = await getHandleByPath(root, 'data/a.txt');
+  faults.operations.length = 0;
+
+  faults.inject({ operation: 'getFile', path: 'data/a.txt', error: 'NotReadableError', times: 1 });
+  await assert.rejects(fileHandle.getFile(), { name: 'NotReadableError' });
+  assert.strictEqual(await readText(root, 'data/a.txt'), 'a');
+
+  // fs error codes are translated like real ones, and the file is left as it was
+  const removeFault = faults.inject({ operation: 'swap.commit', path: 'data/*.txt', error: 'EIO' });
+  const writable = await fileHandle.createWritable();
+  await writable.write('new a');
+  await assert.rejects(writable.close(), { name: 'UnknownError' });
+  removeFault();
+  assert.strictEqual(await readText(root, 'data/a.txt'), 'a');
+
+  // A disk that is full after 4 more bytes
+  faults.inject({ operation: 'sync.write', afterBytes: 4, times: 1 });
+  const accessHandle = await fileHandle.createSyncAccessHandle();
+  assert.throws(() => accessHandle.write(new TextEncoder().encode('abcdef'), { at: 0 }), { name: 'QuotaExceededError' });
+  assert.strictEqual(accessHandle.getSize(), 4);
+  assert.strictEqual(accessHandle.write(new TextEncoder().encode('abcdef'), { at: 0 }), 6);
+  await accessHandle.close();
+
+  faults.inject({ operation: 'list', latency: 50, times: 1 });
+  const started = Date.now();
+  await collectPaths(walk(root));
+  assert.ok(Date.now() - started >= 45);
+
+  // The records have the errors as injected, before they were translated
+  const failed = faults.operations.filter(record => record.error);
+  assert.deepStrictEqual(failed.map(({ operation, path: entryPath, error }) =>
+    [operation, entryPath, error instanceof DOMException ? error.name : error.code]), [
+    ['getFile', 'data/a.txt', 'NotReadableError'],
+    ['swap.commit', 'data/a.txt', 'EIO'],
+    ['sync.write', 'data/a.txt', 'ENOSPC']
+  ]);
+  assert.ok(faults.operations.some(record =>
+    record.operation === 'sync.write' && record.position === 0 && record.bytes === 6 && !record.error));
+});
+
+test('FaultInjector.crash() loses what was not flushed', async () => {
+  const { StorageManager, FaultInjector, MemoryBackend, walk } = await import('../dist/index.js');
+  const backend = new MemoryBackend();
+  const faults = new FaultInjector();
+  const root = await new StorageManager({ backend, faults }).getDirectory();
+  await createTree(root, { 'log.bin': '', 'doc.txt': 'old' });
+
+  const accessHandle = await (await root.getFileHandle('log.bin')).createSyncAccessHandle();
+  accessHandle.write(new TextEncoder().encode('flushed'));
+  accessHandle.flush();
+  accessHandle.write(new TextEncoder().encode(' and lost'));
+  accessHandle.truncate(3);
+  const writable = await (await root.getFileHandle('doc.txt')).createWritable();
+  await writable.write('new');
+
+  await faults.crash();
+  await assert.rejects(writable.close(), { name: 'InvalidStateError' });
+  assert.throws(() => accessHandle.flush(), { name: 'InvalidStateError' });
+  await assert.rejects(root.getFileHandle('doc.txt'), { name: 'InvalidStateError' });
+
+  // What survived, as the next process would see it
+  const reopened = await new StorageManager({ backend }).getDirectory();
+  assert.strictEqual(await readText(reopened, 'log.bin'), 'flushed');
+  assert.strictEqual(await readText(reopened, 'doc.txt'), 'old');
+  assert.deepStrictEqual(await collectPaths(walk(reopened)), ['doc.txt', 'log.bin']);
+  const reopenedHandle = await (await reopened.getFileHandle('log.bin')).createSyncAccessHandle();
+  await reopenedHandle.close();
+});
+
+test('fault rules are checked', async () => {
+  const { StorageManager, FaultInjector } = await import('../dist/index.js');
+  const faults = new FaultInjector();
+  assert.throws(() => new StorageManager({ backend: 'memory', faults: {} }), TypeError);
+  assert.throws(() => faults.inject({ operation: 'rename', error: 'EIO' }), TypeError);
+  assert.throws(() => faults.inject({ operation: 'stat' }), TypeError);
+  assert.throws(() => faults.inject({ error: 'EIO', times: -1 }), TypeError);
+  assert.throws(() => faults.inject({ error: 42 }), TypeError);
+
+  // Rules can be cleared, and other errors become UnknownErrors like unexpected ones do
+  const error = new RangeError('custom');
+  faults.inject({ operation: 'createFile', path: '**/*.tmp', error });
+  const root = await new StorageManager({ backend: 'memory', faults }).getDirectory();
+  await assert.rejects(root.getFileHandle('x.tmp', { create: true }), { name: 'UnknownError', cause: error });
+  await root.getFileHandle('x.txt', { create: true });
+  faults.clear();
+  await root.getFileHandle('x.tmp', { create: true });
+});
+
+test('snapshots share unchanged files on disk', async () => {
+  const { StorageManager, walk } = await import('../dist/index.js');
+  const baseDir = path.join(testBaseDir, 'snapshots');
+  const root = await new StorageManager(baseDir).getDirectory();
+  await createTree(root, { 'db/data.bin': 'x'.repeat(10_000), 'db/log.txt': 'log' });
+  const dir = await root.getDirectoryHandle('db');
+  const { lastModified } = await (await dir.getFileHandle('data.bin')).getFile();
+
+  const snapshot = await dir.snapshot();
+  assert.match(snapshot.name, /^\d{4}-\d\d-\d\dT\d\d-\d\d-\d\d-\d{3}Z-[0-9a-f]+$/);
+  const snapshotFile = await (await snapshot.getFileHandle('data.bin')).getFile();
+  assert.strictEqual(snapshotFile.lastModified, lastModified);
+
+  // A hard link is copied before being written to in place
+  const accessHandle = await (await dir.getFileHandle('data.bin')).createSyncAccessHandle();
+  accessHandle.write(new TextEncoder().encode('y'), { at: 0 });
+  await accessHandle.close();
+  assert.strictEqual((await fs.stat(path.join(baseDir, 'db', 'data.bin'))).nlink, 1);
+  assert.strictEqual(await snapshotFile.text(), 'x'.repeat(10_000));
+
+  // Snapshots are not part of the directory they were taken of
+  assert.deepStrictEqual(await collectPaths(walk(root)), ['db', 'db/data.bin', 'db/log.txt']);
+  assert.strictEqual(await root.resolve(await snapshot.getFileHandle('log.txt')), null);
+  assert.ok(!await (await snapshot.getFileHandle('log.txt')).isSameEntry(await dir.getFileHandle('log.txt')));
+  const second = await dir.snapshot();
+  assert.deepStrictEqual((await dir.snapshots()).map(handle => handle.name), [snapshot.name, second.name]);
+  assert.deepStrictEqual(await root.snapshots(), []);
+});
+
+test('snapshots wait for open handles to close', async () => {
+  const { StorageManager, serializeHandle } = await import('../dist/index.js');
+  const root = await new StorageManager({ backend: 'memory' }).getDirectory();
+  await createTree(root, { 'app/config.json': '{}', 'other/': '' });
+  const dir = await root.getDirectoryHandle('app');
+  const fileHandle = await dir.getFileHandle('config.json');
+
+  const writable = await fileHandle.createWritable();
+  await writable.write('{"half":');
+  await assert.rejects(dir.snapshot(), { name: 'NoModificationAllowedError' });
+  await writable.abort();
+  const snapshot = await dir.snapshot();
+
+  const accessHandle = await fileHandle.createSyncAccessHandle();
+  await assert.rejects(dir.restore(snapshot), { name: 'NoModificationAllowedError' });
+  await accessHandle.close();
+  const reader = await (await snapshot.getFileHandle('config.json')).createSyncAccessHandle({ mode: 'read-only' });
+  await assert.rejects(dir.deleteSnapshot(snapshot), { name: 'NoModificationAllowedError' });
+  await reader.close();
+
+  // Snapshots are read-only, and belong to the directory they were taken of
+  await assert.rejects((await snapshot.getFileHandle('config.json')).createSyncAccessHandle(), { name: 'NoModificationAllowedError' });
+  await assert.rejects(snapshot.removeEntry('config.json'), { name: 'NoModificationAllowedError' });
+  await assert.rejects((await snapshot.getFileHandle('config.json')).move(dir), { name: 'NoModificationAllowedError' });
+  await assert.rejects(fileHandle.move(snapshot), { name: 'NoModificationAllowedError' });
+  await assert.rejects(snapshot.snapshot(), { name: 'NoModificationAllowedError' });
+  await assert.rejects((await root.getDirectoryHandle('other')).restore(snapshot), { name: 'NotFoundError' });
+  await assert.rejects(dir.restore(dir), { name: 'NotFoundError' });
+  await assert.rejects(dir.restore('snapshot'), TypeError);
+  assert.throws(() => serializeHandle(snapshot), { name: 'DataCloneError' });
+
+  await dir.deleteSnapshot(snapshot);
+  await assert.rejects(dir.restore(snapshot), { name: 'NotFoundError' });
+});
+
+test('an interrupted restore is completed by the next getDirectory()', async () => {
+  const { StorageManager, FaultInjector, walk } = await import('../dist/index.js');
+  const baseDir = path.join(testBaseDir, 'snapshots-interrupted');
+  const faults = new FaultInjector();
+  const root = await new StorageManager({ baseDir, faults }).getDirectory();
+  await createTree(root, { 'a.txt': 'a', 'b/c.txt': 'c' });
+  const snapshot = await root.snapshot();
+  await createTree(root, { 'd.txt': 'd' });
+  await root.removeEntry('b', { recursive: true });
+
+  // The restored entries are moved into place after the journal is written
+  faults.inject({ operation: 'move', path: '.node-opfs-transactions/**', error: 'EIO', times: 1 });
+  await assert.rejects(root.restore(snapshot), { name: 'UnknownError' });
+
+  const reopened = await new StorageManager(baseDir).getDirectory();
+  assert.deepStrictEqual(await collectPaths(walk(reopened)), ['a.txt', 'b', 'b/c.txt']);
+  assert.strictEqual(await readText(reopened, 'b/c.txt'), 'c');
+});
+
 // Cleanup after all tests
 test('cleanup test directory', async () => {
   try {
@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import * as path from 'path';
+import * as os from 'os';
+import * as fs from 'fs/promises';
+import * as opfs from '../dist/index.js';
+
+test('the polyfill installs and uninstalls the OPFS globals', async () => {
+  const hadNavigator = 'navigator' in globalThis;
+  const { install, uninstall } = await import('../dist/polyfill.js');
+
+  assert.strictEqual(globalThis.FileSystemHandle, opfs.FileSystemHandle);
+  assert.strictEqual(globalThis.FileSystemFileHandle, opfs.FileSystemFileHandle);
+  assert.strictEqual(globalThis.FileSystemDirectoryHandle, opfs.FileSystemDirectoryHandle);
+  assert.strictEqual(globalThis.FileSystemWritableFileStream, opfs.FileSystemWritableFileStream);
+  assert.strictEqual(globalThis.FileSystemSyncAccessHandle, opfs.FileSystemSyncAccessHandle);
+  assert.strictEqual(globalThis.navigator.storage, opfs.navigator.storage);
+  assert.ok(!Object.keys(globalThis).includes('FileSystemHandle'));
+
+  const baseDir = path.join(os.tmpdir(), 'node-opfs-polyfill-' + Date.now());
+  try {
+    opfs.default.setBaseDir(baseDir);
+    const root = await globalThis.navigator.storage.getDirectory();
+    const fileHandle = await root.getFileHandle('file.txt', { create: true });
+    assert.ok(fileHandle instanceof globalThis.FileSystemFileHandle);
+    assert.ok(root instanceof globalThis.FileSystemHandle);
+  } finally {
+    await fs.rm(baseDir, { recursive: true, force: true });
+  }
+
+  uninstall();
+  assert.strictEqual('FileSystemFileHandle' in globalThis, false);
+  assert.strictEqual('navigator' in globalThis, hadNavigator);
+
+  install();
+  assert.strictEqual(globalThis.FileSystemFileHandle, opfs.FileSystemFileHandle);
+  uninstall();
+});
+
+test('the polyfill keeps existing globals', async () => {
+  const { install, uninstall } = await import('../dist/polyfill.js');
+  const existingHandle = class FileSystemHandle {};
+  const existingNavigator = Object.getOwnPropertyDescriptor(globalThis, 'navigator');
+  globalThis.FileSystemHandle = existingHandle;
+  Object.defineProperty(globalThis, 'navigator', { value: { userAgent: 'test' }, configurable: true, writable: true });
+
+  try {
+    install();
+    assert.strictEqual(globalThis.FileSystemHandle, existingHandle);
+    assert.strictEqual(globalThis.navigator.userAgent, 'test');
+    assert.strictEqual(globalThis.navigator.storage, opfs.navigator.storage);
+    assert.strictEqual(globalThis.navigator.storageBuckets, opfs.navigator.storageBuckets);
+
+    uninstall();
+    assert.strictEqual(globalThis.FileSystemHandle, existingHandle);
+    assert.deepStrictEqual(globalThis.navigator, { userAgent: 'test' });
+    assert.strictEqual('FileSystemFileHandle' in globalThis, false);
+  } finally {
+    delete globalThis.FileSystemHandle;
+    delete globalThis.navigator;
+    if (existingNavigator) {
+      Object.defineProperty(globalThis, 'navigator', existingNavigator);
+    }
+  }
+});
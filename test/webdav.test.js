@@ -0,0 +1,195 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import * as http from 'node:http';
+import { once } from 'node:events';
+import { StorageManager, createWebDAVHandler } from '../dist/index.js';
+
+/**
+ * Serves dir over WebDAV on a free local port for the length of callback,
+ * which gets a fetch() for paths on it
+ */
+async function withServer(dir, options, callback) {
+  const server = http.createServer(createWebDAVHandler(dir, options));
+  server.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  const base = `http://127.0.0.1:${server.address().port}`;
+  try {
+    await callback((path, init) => fetch(base + path, init), base);
+  } finally {
+    server.close();
+    await once(server, 'close');
+  }
+}
+
+async function readText(root, path) {
+  const names = path.split('/');
+  let dir = root;
+  for (const name of names.slice(0, -1)) {
+    dir = await dir.getDirectoryHandle(name);
+  }
+  return (await (await dir.getFileHandle(names[names.length - 1])).getFile()).text();
+}
+
+test('WebDAV handler reads, writes and lists entries', async () => {
+  const root = await new StorageManager({ backend: 'memory' }).getDirectory();
+  await withServer(root, {}, async (request) => {
+    assert.strictEqual((await request('/notes', { method: 'MKCOL' })).status, 201);
+    assert.strictEqual((await request('/notes', { method: 'MKCOL' })).status, 405);
+    assert.strictEqual((await request('/notes/hello world.txt', { method: 'PUT', body: 'hello' })).status, 201);
+    assert.strictEqual((await request('/notes/hello%20world.txt', { method: 'PUT', body: 'Hello, WebDAV' })).status, 204);
+    assert.strictEqual(await readText(root, 'notes/hello world.txt'), 'Hello, WebDAV');
+
+    const response = await request('/notes/hello%20world.txt');
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.headers.get('content-type'), 'text/plain');
+    assert.strictEqual(response.headers.get('accept-ranges'), 'bytes');
+    assert.strictEqual(await response.text(), 'Hello, WebDAV');
+    const head = await request('/notes/hello%20world.txt', { method: 'HEAD' });
+    assert.strictEqual(head.headers.get('content-length'), '13');
+    assert.match(await (await request('/notes/')).text(), /<a href="\/notes\/hello%20world.txt">hello world.txt<\/a>/);
+
+    const options = await request('/', { method: 'OPTIONS' });
+    assert.strictEqual(options.headers.get('dav'), '1');
+    assert.match(options.headers.get('allow'), /PROPFIND/);
+
+    const propfind = await request('/', { method: 'PROPFIND', headers: { Depth: '1' } });
+    assert.strictEqual(propfind.status, 207);
+    const xml = await propfind.text();
+    const hrefs = [...xml.matchAll(/<D:href>([^<]*)<\/D:href>/g)].map(([, href]) => href);
+    assert.deepStrictEqual(hrefs, ['/', '/notes/']);
+    assert.match(xml, /<D:collection\/>/);
+    const deep = await (await request('/', { method: 'PROPFIND' })).text();
+    assert.match(deep, /<D:href>\/notes\/hello%20world.txt<\/D:href>.*<D:getcontentlength>13<\/D:getcontentlength>/);
+    assert.strictEqual((await request('/missing', { method: 'PROPFIND', headers: { Depth: '0' } })).status, 404);
+
+    assert.strictEqual((await request('/notes', { method: 'DELETE' })).status, 204);
+    assert.strictEqual((await request('/notes/hello%20world.txt')).status, 404);
+  });
+});
+
+test('WebDAV handler serves byte ranges', async () => {
+  const root = await new StorageManager({ backend: 'memory' }).getDirectory();
+  await withServer(root, {}, async (request) => {
+    await request('/digits.txt', { method: 'PUT', body: '0123456789' });
+
+    const partial = await request('/digits.txt', { headers: { Range: 'bytes=2-4' } });
+    assert.strictEqual(partial.status, 206);
+    assert.strictEqual(partial.headers.get('content-range'), 'bytes 2-4/10');
+    assert.strictEqual(await partial.text(), '234');
+    assert.strictEqual(await (await request('/digits.txt', { headers: { Range: 'bytes=7-' } })).text(), '789');
+    assert.strictEqual(await (await request('/digits.txt', { headers: { Range: 'bytes=-3' } })).text(), '789');
+    assert.strictEqual(await (await request('/digits.txt', { headers: { Range: 'bytes=8-100' } })).text(), '89');
+
+    const unsatisfiable = await request('/digits.txt', { headers: { Range: 'bytes=10-' } });
+    assert.strictEqual(unsatisfiable.status, 416);
+    assert.strictEqual(unsatisfiable.headers.get('content-range'), 'bytes */10');
+    // Several ranges get the whole file
+    const whole = await request('/digits.txt', { headers: { Range: 'bytes=0-1,4-5' } });
+    assert.strictEqual(whole.status, 200);
+    assert.strictEqual(await whole.text(), '0123456789');
+  });
+});
+
+test('WebDAV handler moves and copies entries', async () => {
+  const root = await new StorageManager({ backend: 'memory' }).getDirectory();
+  await withServer(root, {}, async (request, base) => {
+    await request('/src', { method: 'MKCOL' });
+    await request('/src/a.txt', { method: 'PUT', body: 'a' });
+    await request('/other.txt', { method: 'PUT', body: 'other' });
+
+    assert.strictEqual((await request('/src', { method: 'COPY', headers: { Destination: `${base}/copy` } })).status, 201);
+    assert.strictEqual(await readText(root, 'copy/a.txt'), 'a');
+    const shallow = await request('/src', { method: 'COPY', headers: { Destination: '/empty', Depth: '0' } });
+    assert.strictEqual(shallow.status, 201);
+    for await (const name of (await root.getDirectoryHandle('empty')).keys()) {
+      assert.fail(`'${name}' was copied with Depth: 0`);
+    }
+
+    assert.strictEqual((await request('/copy/a.txt', { method: 'MOVE', headers: { Destination: '/b.txt' } })).status, 201);
+    assert.strictEqual(await readText(root, 'b.txt'), 'a');
+    const refused = await request('/b.txt', { method: 'MOVE', headers: { Destination: '/other.txt', Overwrite: 'F' } });
+    assert.strictEqual(refused.status, 412);
+    assert.strictEqual((await request('/b.txt', { method: 'MOVE', headers: { Destination: '/other.txt' } })).status, 204);
+    assert.strictEqual(await readText(root, 'other.txt'), 'a');
+
+    assert.strictEqual((await request('/src', { method: 'MOVE', headers: { Destination: '/src/inner' } })).status, 403);
+    assert.strictEqual((await request('/src', { method: 'MOVE', headers: { Destination: '/missing/src' } })).status, 409);
+    assert.strictEqual((await request('/src', { method: 'MOVE' })).status, 400);
+  });
+});
+
+test('WebDAV handler leaves the destination alone when MOVE or COPY fails', async () => {
+  const root = await new StorageManager({ backend: 'memory' }).getDirectory();
+  await withServer(root, {}, async (request) => {
+    await request('/a.txt', { method: 'PUT', body: 'a' });
+    await request('/b.txt', { method: 'PUT', body: 'b' });
+    await request('/dir', { method: 'MKCOL' });
+    await request('/dir/c.txt', { method: 'PUT', body: 'c' });
+    await request('/target', { method: 'MKCOL' });
+    await request('/target/d.txt', { method: 'PUT', body: 'd' });
+
+    const accessHandle = await (await root.getFileHandle('a.txt')).createSyncAccessHandle();
+    try {
+      assert.strictEqual((await request('/a.txt', { method: 'MOVE', headers: { Destination: '/b.txt' } })).status, 423);
+      assert.strictEqual((await request('/a.txt', { method: 'MOVE', headers: { Destination: '/target' } })).status, 423);
+      assert.strictEqual(await readText(root, 'b.txt'), 'b');
+      assert.strictEqual(await readText(root, 'target/d.txt'), 'd');
+    } finally {
+      await accessHandle.close();
+    }
+
+    const reader = await (await (await root.getDirectoryHandle('target')).getFileHandle('d.txt')).createSyncAccessHandle();
+    try {
+      assert.strictEqual((await request('/dir', { method: 'COPY', headers: { Destination: '/target' } })).status, 423);
+      assert.strictEqual((await request('/dir', { method: 'MOVE', headers: { Destination: '/target' } })).status, 423);
+      assert.strictEqual(await readText(root, 'target/d.txt'), 'd');
+      assert.strictEqual(await readText(root, 'dir/c.txt'), 'c');
+    } finally {
+      await reader.close();
+    }
+
+    // Once nothing is open, the destination is replaced
+    assert.strictEqual((await request('/dir', { method: 'COPY', headers: { Destination: '/target' } })).status, 204);
+    assert.strictEqual(await readText(root, 'target/c.txt'), 'c');
+    await assert.rejects(readText(root, 'target/d.txt'), { name: 'NotFoundError' });
+    assert.strictEqual((await request('/a.txt', { method: 'MOVE', headers: { Destination: '/target' } })).status, 204);
+    assert.strictEqual(await readText(root, 'target'), 'a');
+  });
+});
+
+test('WebDAV handler turns DOMExceptions into HTTP statuses', async () => {
+  const root = await new StorageManager({ backend: 'memory', quota: 16 }).getDirectory();
+  await withServer(root, {}, async (request) => {
+    assert.strictEqual((await request('/missing/file.txt', { method: 'PUT', body: 'x' })).status, 409);
+    assert.strictEqual((await request('/bad%5Cname.txt', { method: 'PUT', body: 'x' })).status, 400);
+    assert.strictEqual((await request('/big.bin', { method: 'PUT', body: 'x'.repeat(32) })).status, 507);
+    // A failed upload leaves nothing behind
+    assert.strictEqual((await request('/big.bin')).status, 404);
+    assert.strictEqual((await request('/', { method: 'DELETE' })).status, 403);
+
+    // Open access handles are respected
+    await request('/locked.txt', { method: 'PUT', body: 'x' });
+    const accessHandle = await (await root.getFileHandle('locked.txt')).createSyncAccessHandle();
+    try {
+      assert.strictEqual((await request('/locked.txt', { method: 'PUT', body: 'y' })).status, 423);
+      assert.strictEqual((await request('/locked.txt', { method: 'DELETE' })).status, 423);
+    } finally {
+      await accessHandle.close();
+    }
+    assert.strictEqual((await request('/locked.txt', { method: 'DELETE' })).status, 204);
+  });
+});
+
+test('WebDAV handler can be read-only', async () => {
+  const root = await new StorageManager({ backend: 'memory' }).getDirectory();
+  await (await (await root.getFileHandle('file.txt', { create: true })).createWritable()).close();
+  await withServer(root, { readOnly: true }, async (request) => {
+    assert.strictEqual((await request('/file.txt')).status, 200);
+    for (const method of ['PUT', 'DELETE', 'MKCOL', 'MOVE', 'COPY']) {
+      const response = await request('/file.txt', { method });
+      assert.strictEqual(response.status, 405);
+      assert.strictEqual(response.headers.get('allow'), 'OPTIONS, GET, HEAD, PROPFIND');
+    }
+  });
+  assert.throws(() => createWebDAVHandler('/'), TypeError);
+});